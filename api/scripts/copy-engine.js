@@ -0,0 +1,26 @@
+// Copy the front end's headless game engine (front/src/game) into dist/game so the
+// multiplayer server runs the exact same simulation as the browser.
+// The engine is written as ES modules, so the copy is marked "type": "module".
+const fs = require('fs');
+const path = require('path');
+
+const source = path.resolve(__dirname, '../../front/src/game');
+const target = path.resolve(__dirname, '../dist/game');
+
+if (!fs.existsSync(source)) {
+  // Deployed API (no front/ next to it): keep the engine copied at build time
+  if (fs.existsSync(target)) {
+    console.log('Game engine sources not found, keeping existing dist/game');
+    process.exit(0);
+  }
+  console.error(`Game engine sources not found at ${source}`);
+  process.exit(1);
+}
+
+fs.rmSync(target, { recursive: true, force: true });
+fs.mkdirSync(target, { recursive: true });
+for (const file of fs.readdirSync(source)) {
+  if (file.endsWith('.js')) fs.copyFileSync(path.join(source, file), path.join(target, file));
+}
+fs.writeFileSync(path.join(target, 'package.json'), JSON.stringify({ type: 'module' }, null, 2) + '\n');
+console.log(`Copied game engine to ${path.relative(process.cwd(), target) || target}`);
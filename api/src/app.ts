@@ -3,7 +3,7 @@ import dotenv from 'dotenv';
 // Load env from api/.env even if process.cwd() is repository root
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
-import express from 'express';
+import express, { NextFunction, Request, Response } from 'express';
 import cors from 'cors';
 
 // Import all function handlers
@@ -11,24 +11,41 @@ import playersRouter from './players';
 import scoresRouter from './scores';
 import leaderboardRouter from './leaderboard';
 import matchesRouter from './matches';
-import { getDbPool } from './shared/database';
+import replaysRouter from './replays';
+import authRouter from './auth';
+import difficultiesRouter from './difficulties';
+import campaignRouter from './campaign';
+import dailyRouter from './daily';
+import { authenticate } from './shared/auth';
+import { getRepository, storageKind } from './shared/database';
+import { attachMultiplayer } from './multiplayer';
+import { validationError } from './shared/validation';
 
 const app = express();
 app.use(cors());
+// A replay holds a whole match's inputs (uploaded alone or with the match result): allow bigger
+// bodies there than the default 100kb
+app.use(['/replays', '/matches'], express.json({ limit: '1mb' }));
 app.use(express.json());
+// Sign-in session from the HTTP-only cookie, for the routers that check who is posting
+app.use(authenticate);
 
 app.use('/players', playersRouter);
 app.use('/scores', scoresRouter);
 app.use('/leaderboard', leaderboardRouter);
 app.use('/matches', matchesRouter);
+app.use('/replays', replaysRouter);
+app.use('/auth', authRouter);
+app.use('/difficulties', difficultiesRouter);
+app.use('/campaign', campaignRouter);
+app.use('/daily', dailyRouter);
 
 // health check
 app.get('/health', (_req, res) => res.status(200).send('OK'));
 // optional DB health check
 app.get('/health/db', async (_req, res) => {
   try {
-    const pool = await getDbPool();
-    await pool.request().query('SELECT 1 AS ok');
+    await getRepository().ping();
     res.status(200).send('DB OK');
   } catch (e) {
     console.error('DB health failed:', e);
@@ -36,17 +53,36 @@ app.get('/health/db', async (_req, res) => {
   }
 });
 
-// Try to connect to DB on startup and fail fast if it doesn't work
-getDbPool()
-  .then(() => console.log('Database connected'))
-  .catch((err) => {
-    console.error('Database connection failed on startup:', err?.message || err);
-    // Exit so developer sees the failure immediately instead of getting runtime errors later
-    process.exit(1);
-  });
-
-const port = process.env.PORT || 7000;
-app.listen(port, () => console.log(`API listening on ${port}`));
+// Bodies express.json() refuses get the same 400 (or 413) as the ones the routes refuse
+app.use((err: any, _req: Request, res: Response, next: NextFunction) => {
+  if (err?.type === 'entity.parse.failed') {
+    return res.status(400).json(validationError([{ field: 'body', message: 'Request body is not valid JSON' }]));
+  }
+  if (err?.type === 'entity.too.large') {
+    return res.status(413).json(validationError([{ field: 'body', message: 'Request body is too large' }]));
+  }
+  return next(err);
+});
+
+// Started directly rather than imported (by the HTTP tests, which use their own storage and port)
+if (require.main === module) {
+  // Pick the storage backend (see shared/database.ts) and, for SQL, connect on startup and fail fast
+  // if it doesn't work. Without a database configured, development runs on in-memory storage.
+  Promise.resolve()
+    .then(() => getRepository().ping())
+    .then(() => console.log(`Storage ready (${storageKind()})`))
+    .catch((err) => {
+      console.error('Storage failed on startup:', err?.message || err);
+      // Exit so developer sees the failure immediately instead of getting runtime errors later
+      process.exit(1);
+    });
+
+  const port = process.env.PORT || 7000;
+  const server = app.listen(port, () => console.log(`API listening on ${port}`));
+
+  // Online multiplayer: WebSocket endpoint on the same server (matchmaking and authoritative simulation)
+  attachMultiplayer(server, { path: '/ws' });
+}
 
 // This file is the main entry point that registers all functions
 export default app;
@@ -0,0 +1,191 @@
+import express, { Request, Response } from 'express';
+const router = express.Router();
+
+import {
+  getAccount, getAccountByEmail, claimAccount, createAccount, mergePlayers, createSignInLink, useSignInLink, Account
+} from '../shared/database';
+import { getAuth, startSession, endSession, hashPassword, verifyPassword, hashToken, newToken } from '../shared/auth';
+import { sendMail } from '../shared/mailer';
+import { createRateLimiter, RateLimiter } from '../shared/rateLimit';
+import { validate, optional, text, parsed, playerName } from '../shared/validation';
+
+const SIGN_IN_LINK_TTL_MS = 15 * 60 * 1000;
+// Asking for a link needs no sign-in and mails someone: a few per address while a link lasts, and
+// a few more per client address in an hour
+const linksPerEmail = createRateLimiter(3, SIGN_IN_LINK_TTL_MS);
+const linksPerIp = createRateLimiter(10, 60 * 60 * 1000);
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+function normalizeEmail(email: unknown): string | null {
+  if (typeof email !== 'string') return null;
+  const trimmed = email.trim().toLowerCase();
+  return trimmed.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed) ? trimmed : null;
+}
+
+function newPassword(value: unknown): string | null {
+  return typeof value === 'string' && value.length >= MIN_PASSWORD_LENGTH && value.length <= MAX_PASSWORD_LENGTH ? value : null;
+}
+
+const emailAddress = () => parsed(normalizeEmail, 'must be a valid email address');
+
+const registerBody = {
+  email: emailAddress(),
+  password: parsed(newPassword, `must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`),
+  playerName: optional(playerName(), null)
+};
+const loginBody = { email: emailAddress(), password: text({ max: MAX_PASSWORD_LENGTH }) };
+const linkBody = { email: emailAddress() };
+const verifyBody = { token: text({ max: 200 }) };
+
+// Where sign-in links point. Never taken from the request: its Origin header is whatever the caller
+// says, and a link to the caller's own site would hand them the token.
+function appBaseUrl(): string {
+  const base = process.env.APP_BASE_URL;
+  if (!base) throw new Error('APP_BASE_URL is not set: sign-in links need the address of the game');
+  return base.replace(/\/+$/, '');
+}
+
+function defaultName(email: string): string {
+  return email.split('@')[0].slice(0, 50) || 'Player';
+}
+
+// What the signed-in player sees about their own account
+function toMe(account: Account) {
+  return { playerId: account.playerId, playerName: account.playerName, email: account.email, guest: !account.email };
+}
+
+// The request's guest player, if it has one: signing up or in claims it (and its history)
+function guestPlayerId(res: Response): string | null {
+  const auth = getAuth(res);
+  return auth && auth.guest ? auth.playerId : null;
+}
+
+// Answer 429 once `key` has used up `limiter`'s window, with when to try again
+function rateLimited(res: Response, limiter: RateLimiter, key: string): boolean {
+  if (limiter.allow(key)) return false;
+  res.setHeader('Retry-After', String(Math.ceil(limiter.retryAfterMs(key) / 1000)));
+  res.status(429).json({ error: 'Too many sign-in links asked for, try again later' });
+  return true;
+}
+
+// Sign in to an existing account, bringing the guest player's history along
+async function signIn(req: Request, res: Response, account: Account) {
+  const guest = guestPlayerId(res);
+  if (guest && guest !== String(account.playerId).toLowerCase()) {
+    await mergePlayers(guest, account.playerId);
+  }
+  await startSession(req, res, account.playerId, false);
+  return res.json(toMe(account));
+}
+
+function handleAccountError(res: Response, err: any) {
+  if (err?.number === 50011) return res.status(409).json({ error: 'Email is already registered' });
+  if (err?.number === 50010) return res.status(409).json({ error: 'Player already has an account' });
+  console.error(err);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+router.get('/me', async (_req, res) => {
+  try {
+    const auth = getAuth(res);
+    const account = auth && await getAccount(auth.playerId);
+    if (!account) return res.status(401).json({ error: 'Not signed in' });
+    return res.json(toMe(account));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign up with a password. A guest player becomes the account, so its history carries over.
+router.post('/register', async (req, res) => {
+  try {
+    const body = validate(res, registerBody, req.body);
+    if (!body) return;
+    const { email, password } = body;
+    const passwordHash = await hashPassword(password);
+    const guest = guestPlayerId(res);
+    const name = body.playerName || defaultName(email);
+    const account = guest
+      ? await claimAccount(guest, email, passwordHash)
+      : await createAccount(name, email, passwordHash);
+    await startSession(req, res, account.playerId, false);
+    return res.json(toMe(account));
+  } catch (err) {
+    return handleAccountError(res, err);
+  }
+});
+
+router.post('/login', async (req, res) => {
+  try {
+    const body = validate(res, loginBody, req.body);
+    if (!body) return;
+    const { email, password } = body;
+    const account = await getAccountByEmail(email);
+    if (!account || !(await verifyPassword(password, account.passwordHash))) {
+      return res.status(401).json({ error: 'Wrong email or password' });
+    }
+    return await signIn(req, res, account);
+  } catch (err) {
+    return handleAccountError(res, err);
+  }
+});
+
+// Email a one-time sign-in link. Works for new emails too (following the link creates the account),
+// and answers the same either way so it can't be used to find out who has an account.
+router.post('/link', async (req, res) => {
+  try {
+    const body = validate(res, linkBody, req.body);
+    if (!body) return;
+    const { email } = body;
+    if (rateLimited(res, linksPerIp, req.ip || 'unknown') || rateLimited(res, linksPerEmail, email)) return;
+    const base = appBaseUrl();
+    const token = newToken();
+    await createSignInLink(hashToken(token), email, guestPlayerId(res), new Date(Date.now() + SIGN_IN_LINK_TTL_MS));
+    await sendMail({
+      to: email,
+      subject: 'Sign in to Ace2Ace',
+      text: `Follow this link within 15 minutes to sign in:\n\n${base}/?signin=${encodeURIComponent(token)}\n\nIf you didn't ask for it, ignore this email.`
+    });
+    return res.json({ sent: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/link/verify', async (req, res) => {
+  try {
+    const body = validate(res, verifyBody, req.body);
+    if (!body) return;
+    const link = await useSignInLink(hashToken(body.token));
+    if (!link) return res.status(401).json({ error: 'This sign-in link is invalid or has expired' });
+
+    const account = await getAccountByEmail(link.email);
+    if (account) return await signIn(req, res, account);
+    // First sign-in for this email: the guest following the link becomes the account. Only the
+    // follower's own session counts, never the guest that asked for the link, who may not own the email.
+    const guest = guestPlayerId(res);
+    const guestAccount = guest ? await getAccount(guest) : null;
+    const created = guestAccount && !guestAccount.email
+      ? await claimAccount(guestAccount.playerId, link.email, null)
+      : await createAccount(defaultName(link.email), link.email, null);
+    await startSession(req, res, created.playerId, false);
+    return res.json(toMe(created));
+  } catch (err) {
+    return handleAccountError(res, err);
+  }
+});
+
+router.post('/logout', async (req, res) => {
+  try {
+    await endSession(req, res);
+    return res.json({ signedOut: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
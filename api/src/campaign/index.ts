@@ -0,0 +1,37 @@
+import express from 'express';
+const router = express.Router();
+
+import { getPlayer, getCampaignProgress } from '../shared/database';
+import { loadGame } from '../multiplayer/game';
+import { validate, id } from '../shared/validation';
+
+const playerParams = { playerId: id() };
+
+// Career mode (see shared/campaign.ts): every tournament with its bracket, and where the player
+// stands in it (open or not, the round to play next, titles won), then their latest campaign rounds.
+// Rounds are played through POST /matches/start with a campaignTier, and advance when the match is
+// posted.
+router.get('/:playerId', async (req, res) => {
+  const params = validate(res, playerParams, req.params);
+  if (!params) return;
+  const playerId = params.playerId;
+
+  try {
+    const player = await getPlayer(playerId);
+    if (!player) return res.status(404).json({ error: 'Player not found' });
+    const game = await loadGame();
+    const { progress, matches } = await getCampaignProgress(playerId);
+    const states = game.campaignState(progress);
+    const tiers = game.CAMPAIGN_TIERS.map((tier, i) => ({
+      ...tier,
+      ...states[i],
+      firstTitleAt: progress.find(row => row.tierId === tier.id)?.firstTitleAt || null
+    }));
+    return res.json({ tiers, recent: matches });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
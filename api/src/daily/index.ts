@@ -0,0 +1,48 @@
+import express from 'express';
+const router = express.Router();
+
+import { getDailyLeaderboard } from '../shared/database';
+import { loadDailyChallenge } from '../shared/daily';
+import { getAuth } from '../shared/auth';
+import { parseLeaderboardQuery } from '../shared/leaderboard';
+import { loadGame } from '../multiplayer/game';
+import { validate, badRequest, optional, text, isValidationError } from '../shared/validation';
+
+const dayQuery = { day: optional(text({ max: 10 }), null) };
+
+// Today's challenge (days are UTC dates): its seed, match modifier, Copilot personality, difficulty
+// and format, and when the next one starts. It is played through POST /matches/start with `daily`
+// set to the day; the player's first attempt of the day is the ranked one.
+router.get('/', async (_req, res) => {
+  try {
+    const game = await loadGame();
+    const challenge = await loadDailyChallenge(game);
+    return res.json({ ...challenge, endsAt: game.challengeEndsAt(challenge.day).toISOString() });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A day's ranked attempts (?day=YYYY-MM-DD, today by default), paged like the other leaderboards:
+// wins first, then the widest point margin, then the fastest
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const filter = validate(res, dayQuery, req.query);
+    if (!filter) return;
+    const query = parseLeaderboardQuery(req.query, 10);
+    if (isValidationError(query)) return res.status(400).json(query);
+    if (!query.playerId) query.playerId = getAuth(res)?.playerId || null;
+    const game = await loadGame();
+    const day = filter.day || game.challengeDay();
+    if (!game.isChallengeDay(day)) return badRequest(res, 'day', 'day must be a date as YYYY-MM-DD');
+    if (day > game.challengeDay()) return res.status(404).json({ error: 'That challenge has not started yet' });
+    const page = await getDailyLeaderboard(day, query);
+    return res.json({ day, offset: query.offset, limit: query.limit, ...page });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+const router = express.Router();
+
+import { loadGame } from '../multiplayer/game';
+import { loadDifficultyPresets } from '../shared/difficulties';
+
+// Every difficulty preset the game can start, with the settings it plays and its hash: the game
+// picks up presets tuned on the server, and the custom difficulty editor tells when its settings
+// match a ranked one
+router.get('/', async (req, res) => {
+  try {
+    const presets = await loadDifficultyPresets(await loadGame());
+    return res.json({ presets: Object.values(presets) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
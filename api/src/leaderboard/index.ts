@@ -1,14 +1,31 @@
-import express from 'express';
+import express, { Request, Response } from 'express';
 const router = express.Router();
 
-import { getLeaderboard, getBestMatchTimers } from '../shared/database';
+import { getLeaderboard, getBestMatchTimers, getRatingLeaderboard } from '../shared/database';
+import { getAuth } from '../shared/auth';
+import { parseLeaderboardQuery, LeaderboardQuery } from '../shared/leaderboard';
+import { validate, optional, text, isValidationError } from '../shared/validation';
+
+const difficultyQuery = { difficulty: optional(text({ max: 50 }), null) };
+
+// ?period=day|week|month|all&limit=&offset= pick the page; the requesting player (?playerId=, or the
+// signed-in one) also gets their own rank and `around` neighbours on each side
+function leaderboardQuery(req: Request, res: Response, defaultLimit: number): LeaderboardQuery | null {
+  const query = parseLeaderboardQuery(req.query, defaultLimit);
+  if (isValidationError(query)) {
+    res.status(400).json(query);
+    return null;
+  }
+  if (!query.playerId) query.playerId = getAuth(res)?.playerId || null;
+  return query;
+}
 
 router.get('/', async (req, res) => {
   try {
-    const limitParam = req.query.limit as string;
-    const limit = limitParam ? parseInt(limitParam, 10) : 10;
-    const leaderboard = await getLeaderboard(limit);
-    return res.json(leaderboard);
+    const query = leaderboardQuery(req, res, 10);
+    if (!query) return;
+    const page = await getLeaderboard(query);
+    return res.json({ period: query.period, offset: query.offset, limit: query.limit, ...page });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: 'Internal server error' });
@@ -17,10 +34,27 @@ router.get('/', async (req, res) => {
 
 router.get('/timers', async (req, res) => {
   try {
-    const difficulty = (req.query.difficulty as string) || null;
-    const limitParam = req.query.limit as string;
-    const limit = limitParam ? parseInt(limitParam, 10) : 5;
-    const leaderboard = await getBestMatchTimers(difficulty, limit);
+    const filter = validate(res, difficultyQuery, req.query);
+    if (!filter) return;
+    const query = leaderboardQuery(req, res, 5);
+    if (!query) return;
+    const page = await getBestMatchTimers(filter.difficulty, query);
+    return res.json({ period: query.period, offset: query.offset, limit: query.limit, ...page });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Highest skill ratings in one pool: ?difficulty=beginner|advanced|expert|adaptive (see shared/rating.ts).
+// Ratings are current ones, so only the limit applies.
+router.get('/rating', async (req, res) => {
+  try {
+    const filter = validate(res, difficultyQuery, req.query);
+    if (!filter) return;
+    const query = leaderboardQuery(req, res, 10);
+    if (!query) return;
+    const leaderboard = await getRatingLeaderboard(filter.difficulty || 'beginner', query.limit);
     return res.json(leaderboard);
   } catch (err) {
     console.error(err);
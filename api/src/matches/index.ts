@@ -1,18 +1,294 @@
 import express from 'express';
+import { randomUUID } from 'crypto';
 const router = express.Router();
 
-import { recordMatch } from '../shared/database';
+import {
+  recordMatch, recordMatchRatings, createMatchSession, claimMatchSession, getMatchSession, saveReplay, listReplays,
+  getCampaignProgress, recordCampaignMatch, claimDailyAttempt, completeDailyAttempt, PointLogEntry
+} from '../shared/database';
+import { signMatchToken, verifyMatchToken, MatchClaims } from '../shared/matchToken';
+import {
+  checkMatchSubmission, checkUnrankedSubmission, matchTokenExpired, rejectSubmission, setsWinner, MatchSubmission, MATCH_TOKEN_TTL_MS
+} from '../shared/anticheat';
+import { loadGame, GameModules } from '../multiplayer/game';
+import { loadDifficultyPresets, resolveDifficulty } from '../shared/difficulties';
+import { loadDailyChallenge } from '../shared/daily';
+import { CUSTOM_DIFFICULTY } from '../shared/rating';
+import { requirePlayer } from '../shared/auth';
+import { idempotent } from '../shared/idempotency';
+import { validate, badRequest, optional, id, text, number, integer, oneOf, object, parsed } from '../shared/validation';
 
-router.post('/', async (req, res) => {
+const MODES = ['copilot', 'pvp'] as const;
+// Far more points (or strokes in a rally) than any match has
+const MAX_POINTS = 10000;
+
+const startBody = {
+  playerId: id(),
+  difficulty: text({ max: 50 }),
+  format: optional(text({ max: 20 }), 'quick'),
+  mode: optional(oneOf(MODES), 'copilot' as const),
+  opponentId: optional(id(), null),
+  personality: optional(text({ max: 20 }), null),
+  settings: optional(object(), null),
+  campaignTier: optional(text({ max: 50 }), null),
+  daily: optional(text({ max: 10 }), null)
+};
+
+// Start of a local match: a signed token the result has to be submitted with (see shared/anticheat.ts).
+// Local versus matches keep the Copilot difficulty picked in the game (it sets the paddle speeds).
+// Copilot matches name the Copilot's personality (front/src/game/ai.js), the default one if none.
+// A 'custom' difficulty sends its settings; the match is recorded under the ranked preset they
+// match, if any (shared/difficulties.ts), and the response says which.
+// A career match names its tournament (campaignTier) and plays at the 'campaign' difficulty: the
+// server picks the round the player is due to play, with its settings, format and Copilot.
+// The daily challenge names its day (today's, in UTC): the challenge's seed and match modifier come
+// back with the token, it plays the challenge's difficulty, format and Copilot, and the player's first
+// attempt of the day is the ranked one (`daily.ranked`). It is recorded as a custom match, so it
+// only ranks on the daily leaderboard.
+router.post('/start', async (req, res) => {
+  try {
+    const body = validate(res, startBody, req.body);
+    if (!body) return;
+    const { playerId, difficulty, mode, opponentId, campaignTier, daily: dailyDay } = body;
+    let { format, personality, settings } = body;
+    if (mode === 'pvp' && !opponentId) return badRequest(res, 'opponentId', 'opponentId is required for pvp matches');
+    if (!requirePlayer(res, playerId)) return;
+    const game = await loadGame();
+
+    let campaign: MatchClaims['campaign'] | null = null;
+    if (campaignTier) {
+      const tier = game.campaignTier(campaignTier);
+      if (!tier) return badRequest(res, 'campaignTier', `Unknown campaign tier: ${campaignTier}`);
+      if (mode !== 'copilot') return badRequest(res, 'mode', 'Campaign matches are against the Copilot');
+      if (difficulty !== game.CAMPAIGN_DIFFICULTY) {
+        return badRequest(res, 'difficulty', `Campaign matches are played at the ${game.CAMPAIGN_DIFFICULTY} difficulty`);
+      }
+      const { progress } = await getCampaignProgress(playerId);
+      const state = game.campaignState(progress).find(entry => entry.id === tier.id);
+      if (!state.unlocked) return res.status(403).json({ error: 'Win the previous tournament first' });
+      campaign = { tier: tier.id, round: state.nextRound };
+      settings = game.roundSettings(tier, state.nextRound);
+      format = tier.format;
+      personality = tier.rounds[state.nextRound].personality;
+    } else if (difficulty === game.CAMPAIGN_DIFFICULTY) {
+      return badRequest(res, 'campaignTier', 'campaignTier is required for campaign matches');
+    }
+
+    let daily: MatchClaims['daily'] | null = null;
+    if (dailyDay) {
+      if (campaign) return badRequest(res, 'daily', 'A campaign round can\'t be the daily challenge');
+      if (mode !== 'copilot') return badRequest(res, 'mode', 'The daily challenge is played against the Copilot');
+      if (!game.isChallengeDay(dailyDay)) return badRequest(res, 'daily', 'daily must be a date as YYYY-MM-DD');
+      if (dailyDay !== game.challengeDay()) return res.status(409).json({ error: `${dailyDay} is not today's challenge` });
+      const challenge = await loadDailyChallenge(game, dailyDay);
+      if (difficulty !== challenge.difficulty) {
+        return badRequest(res, 'difficulty', `The daily challenge is played at the ${challenge.difficulty} difficulty`);
+      }
+      daily = { day: challenge.day, seed: challenge.seed, modifier: challenge.modifier, ranked: false };
+      settings = null;
+      format = challenge.format;
+      personality = challenge.personality;
+    }
+
+    const presets = await loadDifficultyPresets(game);
+    const resolved = resolveDifficulty(game, presets, campaign ? CUSTOM_DIFFICULTY : difficulty, settings);
+    if (typeof resolved === 'string') {
+      return badRequest(res, difficulty === CUSTOM_DIFFICULTY ? 'settings' : 'difficulty', resolved);
+    }
+    if (daily) resolved.difficulty = CUSTOM_DIFFICULTY;
+    if (!game.MATCH_FORMATS[format]) {
+      return badRequest(res, 'format', `Unknown format: ${format}`);
+    }
+    if (personality && !game.AI_PERSONALITIES[personality]) {
+      return badRequest(res, 'personality', `Unknown personality: ${personality}`);
+    }
+
+    const claims: MatchClaims = {
+      sessionId: randomUUID(),
+      playerId,
+      difficulty: resolved.difficulty,
+      ...(resolved.difficulty !== difficulty ? { playedAs: difficulty } : {}),
+      settings: resolved.settings,
+      format,
+      mode,
+      opponentId: mode === 'pvp' ? opponentId : null,
+      ...(mode === 'copilot' ? { personality: personality || game.DEFAULT_PERSONALITY } : {}),
+      ...(campaign ? { campaign } : {}),
+      ...(daily ? { daily } : {}),
+      issuedAt: Date.now()
+    };
+    await createMatchSession(claims.sessionId, playerId, claims.difficulty, format, mode);
+    if (daily) daily.ranked = await claimDailyAttempt(daily.day, playerId, claims.sessionId);
+    return res.json({
+      matchToken: signMatchToken(claims), sessionId: claims.sessionId, issuedAt: claims.issuedAt, difficulty: claims.difficulty,
+      ...(campaign ? { campaign } : {}),
+      ...(daily ? { daily } : {})
+    });
+  } catch (err) {
+    if (err?.number === 50002) {
+      return badRequest(res, 'playerId', err.message);
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Far more points than the longest format needs
+const MAX_LOGGED_POINTS = 2000;
+const SIDES = ['player', 'copilot'];
+
+// The engine's point log with only the fields it writes, or null if it isn't one
+function parsePointLog(value: unknown): PointLogEntry[] | null {
+  if (!Array.isArray(value) || value.length > MAX_LOGGED_POINTS) return null;
+  const log: PointLogEntry[] = [];
+  for (const point of value) {
+    if (!point || typeof point !== 'object') return null;
+    const { timeMs, winner, server, strokes, reason = null } = point;
+    if (!Number.isInteger(timeMs) || timeMs < 0 || !Number.isInteger(strokes) || strokes < 0) return null;
+    if (!SIDES.includes(winner) || !SIDES.includes(server)) return null;
+    if (reason !== null && (typeof reason !== 'string' || reason.length > 50)) return null;
+    log.push({ timeMs, winner, server, strokes, reason });
+  }
+  return log;
+}
+
+const matchBody = {
+  playerId: id(),
+  difficulty: optional(text({ max: 50 }), null),
+  durationMs: number({ min: 0, max: MATCH_TOKEN_TTL_MS }),
+  setScores: optional(text({ max: 100 }), null),
+  mode: optional(oneOf(MODES), 'copilot' as const),
+  opponentId: optional(id(), null),
+  matchToken: optional(text({ max: 2000 }), null),
+  replay: optional(object(), null),
+  winner: optional(oneOf(['player', 'opponent'] as const), null),
+  playerPoints: optional(integer({ min: 0, max: MAX_POINTS }), null),
+  opponentPoints: optional(integer({ min: 0, max: MAX_POINTS }), null),
+  longestRally: optional(integer({ min: 0, max: MAX_POINTS }), null),
+  pointLog: optional(parsed(parsePointLog, 'must be a list of { timeMs, winner, server, strokes, reason } points'), null),
+  adaptiveLevel: optional(number({ min: 0, max: 1 }), null)
+};
+
+// Move the player on in the tournament of a career match: the tournament's new state, whether this
+// won it, or null if the round had already been played (another match started at the same round)
+async function recordCampaignRound(game: GameModules, claims: MatchClaims, matchId: string, won: boolean) {
+  const tier = game.campaignTier(claims.campaign.tier);
+  const progress = await recordCampaignMatch(claims.playerId, tier.id, claims.campaign.round, tier.rounds.length, matchId, won);
+  if (!progress) return null;
+  return { ...progress, round: claims.campaign.round, won, title: won && claims.campaign.round === tier.rounds.length - 1 };
+}
+
+// Put a daily challenge result on the day's leaderboard if it was the player's ranked attempt (the
+// submission checks made sure it has its points): the day and whether it was ranked
+async function recordDailyAttempt(claims: MatchClaims, matchId: string, durationMs: number, won: boolean, points: { player: number; opponent: number }) {
+  const ranked = claims.daily.ranked && await completeDailyAttempt(claims.daily.day, claims.playerId, claims.sessionId, {
+    matchId, won, playerPoints: points.player, opponentPoints: points.opponent, durationMs
+  });
+  return { day: claims.daily.day, ranked };
+}
+
+// Record a result that has no live match token: a match started while offline (no token), or one
+// that waited in the outbox for longer than a token lasts. It goes on the player's own record but
+// ranks nowhere: a Copilot match is kept under the custom difficulty, which is never rated or on a
+// leaderboard, and it counts no score, career round, daily attempt or replay. An expired token still
+// records one match.
+async function recordUnrankedMatch(res: express.Response, game: GameModules, claims: MatchClaims | null, submission: MatchSubmission) {
+  const { playerId, mode, opponentId, durationMs, setScores, points, longestRally, pointLog } = submission;
+  const reason = checkUnrankedSubmission(game, claims, submission);
+  if (reason) return rejectSubmission(res, 'match', playerId, reason, submission);
+  const session = claims ? await getMatchSession(claims.sessionId) : null;
+  if (claims && (!session || session.submitted)) {
+    return rejectSubmission(res, 'match', playerId, 'Match token was already used', submission);
+  }
+
+  // The winner is whoever the set scores finish the match for (checkOutcome held a claimed one to them)
+  const outcome = { winner: setsWinner(game, setScores, claims?.format ?? null), points, longestRally, pointLog };
+  const sessionId = claims ? claims.sessionId : null;
+  const match = session?.match || (mode === 'pvp'
+    ? await recordMatch(playerId, 'pvp', durationMs, setScores, opponentId, 'pvp', outcome, false, sessionId)
+    : await recordMatch(playerId, CUSTOM_DIFFICULTY, durationMs, setScores, null, 'copilot', outcome, false, sessionId));
+  if (claims) await claimMatchSession(claims.sessionId, 'match');
+  return res.json({ ...match, ratings: [], unranked: true });
+}
+
+router.post('/', idempotent('match'), async (req, res) => {
   try {
-    const { playerId, difficulty, durationMs } = req.body || {};
-    if (!playerId || !difficulty || typeof durationMs !== 'number') {
-      return res.status(400).json({ error: 'playerId, difficulty, and durationMs are required' });
+    const body = validate(res, matchBody, req.body);
+    if (!body) return;
+    const {
+      playerId, difficulty, durationMs, setScores, mode, opponentId, matchToken, replay,
+      winner, playerPoints, opponentPoints, longestRally, pointLog, adaptiveLevel
+    } = body;
+    if (mode === 'pvp') {
+      // Local versus: both player IDs, no Copilot difficulty
+      if (!opponentId) return badRequest(res, 'opponentId', 'opponentId is required for pvp matches');
+      if (opponentId === playerId) return badRequest(res, 'opponentId', 'opponentId must differ from playerId');
+    } else if (!difficulty) {
+      return badRequest(res, 'difficulty', 'difficulty is required');
+    } else if (difficulty === 'adaptive' && adaptiveLevel == null) {
+      // The level the Copilot played at rates the match and goes on the record
+      return badRequest(res, 'adaptiveLevel', 'adaptiveLevel is required for adaptive matches');
+    }
+    const hasPoints = playerPoints != null || opponentPoints != null;
+    if (hasPoints && (playerPoints == null || opponentPoints == null)) {
+      return badRequest(res, playerPoints == null ? 'playerPoints' : 'opponentPoints', 'playerPoints and opponentPoints go together');
+    }
+    if (!requirePlayer(res, playerId)) return;
+    const game = await loadGame();
+    const points = hasPoints ? { player: playerPoints, opponent: opponentPoints } : null;
+    const submission = {
+      playerId, difficulty, mode, opponentId, durationMs, setScores, points, winner, longestRally, pointLog, adaptiveLevel, replay
+    };
+
+    // Anti-cheat: a genuine token, used once, and a result that is possible for that match. The token
+    // is only used up once everything below is recorded, so a result that fails halfway can be sent again.
+    const claims = matchToken ? verifyMatchToken(matchToken) : null;
+    if (matchToken && !claims) {
+      return rejectSubmission(res, 'match', playerId, 'Invalid match token', req.body);
+    }
+    if (!claims || matchTokenExpired(claims)) return await recordUnrankedMatch(res, game, claims, submission);
+    const session = await getMatchSession(claims.sessionId);
+    if (!session || session.submitted) {
+      return rejectSubmission(res, 'match', playerId, 'Match token was already used', req.body);
+    }
+    const reason = checkMatchSubmission(game, claims, submission);
+    if (reason) {
+      return rejectSubmission(res, 'match', playerId, reason, req.body);
     }
 
-    const match = await recordMatch(playerId, difficulty, durationMs);
-    return res.json(match);
+    const outcome = {
+      winner: setsWinner(game, setScores, claims.format),
+      points,
+      longestRally,
+      pointLog,
+      personality: mode === 'pvp' ? null : claims.personality || game.DEFAULT_PERSONALITY,
+      adaptiveLevel: mode !== 'pvp' && claims.difficulty === 'adaptive' ? adaptiveLevel : null,
+      settingsHash: claims.settings ? game.difficultyHash(claims.settings) : null
+    };
+    // Copilot matches go on the record under the preset the token names and also count as a score,
+    // unless it was posted to /scores with this token already; the score leaderboard stays
+    // Copilot-only and leaves custom runs out. The match claims the token's session as it is recorded;
+    // if an earlier try of this result got that far, its match is finished instead. Every step after
+    // it does nothing the second time.
+    const ranked = claims.difficulty !== CUSTOM_DIFFICULTY;
+    const match = session.match || (mode === 'pvp'
+      ? await recordMatch(playerId, 'pvp', durationMs, setScores, opponentId, 'pvp', outcome, false, claims.sessionId)
+      : await recordMatch(playerId, claims.difficulty, durationMs, setScores, null, 'copilot', outcome, ranked && !!points, claims.sessionId));
+    // Only a result the replay re-simulated moves a rating: the winner is then the simulation's
+    const ratings = mode === 'copilot' && replay ? await recordMatchRatings(match) : [];
+    const campaign = claims.campaign ? await recordCampaignRound(game, claims, match.matchId, outcome.winner === 'player') : undefined;
+    const daily = claims.daily ? await recordDailyAttempt(claims, match.matchId, durationMs, outcome.winner === 'player', points) : undefined;
+    // The replay checked out: keep it next to the match
+    const saved = replay
+      ? (session.match && (await listReplays(match.matchId, null, 1))[0])
+        || await saveReplay(match.matchId, playerId, JSON.stringify(replay), replay.ticks, durationMs, setScores)
+      : null;
+    await claimMatchSession(claims.sessionId, 'match');
+    return res.json({ ...match, ratings, campaign, daily, ...(saved ? { replayId: saved.replayId } : {}) });
   } catch (err) {
+    if (err?.number === 50012) {
+      return rejectSubmission(res, 'match', req.body.playerId, err.message, req.body);
+    }
     console.error(err);
     return res.status(500).json({ error: 'Internal server error' });
   }
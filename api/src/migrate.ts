@@ -0,0 +1,58 @@
+import path from 'path';
+import dotenv from 'dotenv';
+// Load env from api/.env even if process.cwd() is repository root
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+import * as sql from 'mssql';
+import { migrate, getAppliedVersions, loadMigrations } from './shared/migrations';
+
+// Schema migrations from the command line (after `npm run build`):
+//   npm run migrate                 apply every pending migration
+//   npm run migrate -- up [N]       apply migrations up to version N
+//   npm run migrate -- down [N]     roll back to version N (default: undo the latest one; 0 undoes all)
+//   npm run migrate -- status       list the migrations and whether each is applied
+const USAGE = 'Usage: npm run migrate -- [up [version] | down [version] | status]';
+
+function parseVersion(value: string | undefined): number | null {
+  if (value === undefined) return null;
+  if (!/^\d+$/.test(value)) throw new Error(`Not a schema version: ${value}\n${USAGE}`);
+  return parseInt(value, 10);
+}
+
+async function main(args: string[]): Promise<void> {
+  const [command = 'up', version] = args;
+  if (!['up', 'down', 'status'].includes(command)) throw new Error(USAGE);
+  const connectionString = process.env.AZURE_SQL_CONNECTIONSTRING;
+  if (!connectionString) throw new Error('AZURE_SQL_CONNECTIONSTRING environment variable is not set');
+
+  const migrations = loadMigrations();
+  const pool = new sql.ConnectionPool(connectionString);
+  await pool.connect();
+  try {
+    const applied = await getAppliedVersions(pool);
+    if (command === 'status') {
+      for (const migration of migrations) {
+        const row = applied.find(v => v.version === migration.version);
+        console.log(`${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(24)} ${row ? `applied ${row.appliedAt.toISOString()}` : 'pending'}`);
+      }
+      return;
+    }
+    let target = parseVersion(version);
+    if (command === 'down' && target === null) {
+      const current = applied.length ? applied[applied.length - 1].version : 0;
+      target = Math.max(0, current - 1);
+    }
+    if (command === 'up' && target !== null && applied.some(v => v.version > target)) {
+      throw new Error(`The database is past version ${target}; use "down ${target}" to roll back`);
+    }
+    const done = await migrate(pool, { target, migrations });
+    if (done.length === 0) console.log('Schema is up to date');
+  } finally {
+    await pool.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+import { MigrationFile } from '../shared/migrations';
+
+// Players, their score history and matches. Databases created before migrations already have these
+// tables, possibly without the later Matches columns, so every step checks before it creates.
+const migration: MigrationFile = {
+  name: 'initial schema',
+  up: [
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='Players' AND xtype='U')
+      BEGIN
+        CREATE TABLE Players (
+          PlayerId UNIQUEIDENTIFIER PRIMARY KEY,
+          PlayerName NVARCHAR(100) NOT NULL,
+          CurrentScore INT DEFAULT 0,
+          BestScore INT DEFAULT 0,
+          GamesPlayed INT DEFAULT 0,
+          CreatedAt DATETIME2 DEFAULT GETDATE(),
+          LastSeenAt DATETIME2 DEFAULT GETDATE()
+        )
+      END
+    `,
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='GameScores' AND xtype='U')
+      BEGIN
+        CREATE TABLE GameScores (
+          ScoreId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          PlayerId UNIQUEIDENTIFIER NOT NULL,
+          Score INT NOT NULL,
+          GameDate DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (PlayerId) REFERENCES Players(PlayerId)
+        )
+      END
+    `,
+    // Mode is 'copilot', 'pvp' or 'online', OpponentId the second player; SetScores e.g. "6-4 3-6 7-6(5)"
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='Matches' AND xtype='U')
+      BEGIN
+        CREATE TABLE Matches (
+          MatchId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          PlayerId UNIQUEIDENTIFIER NOT NULL,
+          Difficulty NVARCHAR(50) NOT NULL,
+          DurationMs INT NOT NULL,
+          SetScores NVARCHAR(100) NULL,
+          Mode NVARCHAR(20) NOT NULL DEFAULT 'copilot',
+          OpponentId UNIQUEIDENTIFIER NULL,
+          CreatedAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (PlayerId) REFERENCES Players(PlayerId),
+          FOREIGN KEY (OpponentId) REFERENCES Players(PlayerId)
+        )
+      END
+    `,
+    `
+      IF COL_LENGTH('Matches', 'SetScores') IS NULL
+      BEGIN
+        ALTER TABLE Matches ADD SetScores NVARCHAR(100) NULL
+      END
+    `,
+    `
+      IF COL_LENGTH('Matches', 'Mode') IS NULL
+      BEGIN
+        ALTER TABLE Matches ADD Mode NVARCHAR(20) NOT NULL DEFAULT 'copilot'
+      END
+    `,
+    `
+      IF COL_LENGTH('Matches', 'OpponentId') IS NULL
+      BEGIN
+        ALTER TABLE Matches ADD OpponentId UNIQUEIDENTIFIER NULL FOREIGN KEY REFERENCES Players(PlayerId)
+      END
+    `
+  ],
+  down: [
+    `DROP TABLE IF EXISTS Matches`,
+    `DROP TABLE IF EXISTS GameScores`,
+    `DROP TABLE IF EXISTS Players`
+  ]
+};
+
+export default migration;
@@ -0,0 +1,29 @@
+import { MigrationFile } from '../shared/migrations';
+
+// A match's recorded inputs (front/src/game/replay.js), at most one per match
+const migration: MigrationFile = {
+  name: 'replays',
+  up: [
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='Replays' AND xtype='U')
+      BEGIN
+        CREATE TABLE Replays (
+          ReplayId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          MatchId UNIQUEIDENTIFIER NOT NULL UNIQUE,
+          PlayerId UNIQUEIDENTIFIER NOT NULL,
+          Ticks INT NOT NULL,
+          DurationMs INT NOT NULL,
+          Data NVARCHAR(MAX) NOT NULL,
+          CreatedAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (MatchId) REFERENCES Matches(MatchId),
+          FOREIGN KEY (PlayerId) REFERENCES Players(PlayerId)
+        )
+      END
+    `
+  ],
+  down: [
+    `DROP TABLE IF EXISTS Replays`
+  ]
+};
+
+export default migration;
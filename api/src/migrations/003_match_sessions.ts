@@ -0,0 +1,43 @@
+import { MigrationFile } from '../shared/migrations';
+
+// Anti-cheat: one MatchSessions row per match token (each submits one match and one score), and the
+// results the checks refused, kept for review
+const migration: MigrationFile = {
+  name: 'match sessions',
+  up: [
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='MatchSessions' AND xtype='U')
+      BEGIN
+        CREATE TABLE MatchSessions (
+          SessionId UNIQUEIDENTIFIER PRIMARY KEY,
+          PlayerId UNIQUEIDENTIFIER NOT NULL,
+          Difficulty NVARCHAR(50) NOT NULL,
+          Format NVARCHAR(20) NOT NULL,
+          Mode NVARCHAR(20) NOT NULL,
+          IssuedAt DATETIME2 DEFAULT GETDATE(),
+          MatchSubmittedAt DATETIME2 NULL,
+          ScoreSubmittedAt DATETIME2 NULL
+        )
+      END
+    `,
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='FlaggedSubmissions' AND xtype='U')
+      BEGIN
+        CREATE TABLE FlaggedSubmissions (
+          FlagId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          PlayerId NVARCHAR(36) NULL,
+          Kind NVARCHAR(20) NOT NULL,
+          Reason NVARCHAR(400) NOT NULL,
+          Payload NVARCHAR(MAX) NULL,
+          CreatedAt DATETIME2 DEFAULT GETDATE()
+        )
+      END
+    `
+  ],
+  down: [
+    `DROP TABLE IF EXISTS FlaggedSubmissions`,
+    `DROP TABLE IF EXISTS MatchSessions`
+  ]
+};
+
+export default migration;
@@ -0,0 +1,56 @@
+import { MigrationFile } from '../shared/migrations';
+
+// Accounts: a player becomes an account once it has an email (and a password, unless it only signs in
+// with emailed links); players without one are guests. Sign-in sessions and emailed links only keep
+// their token's hash.
+const migration: MigrationFile = {
+  name: 'accounts',
+  up: [
+    `
+      IF COL_LENGTH('Players', 'Email') IS NULL
+      BEGIN
+        ALTER TABLE Players ADD Email NVARCHAR(254) NULL, PasswordHash NVARCHAR(200) NULL
+      END
+    `,
+    `
+      IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name='UX_Players_Email')
+      BEGIN
+        CREATE UNIQUE INDEX UX_Players_Email ON Players(Email) WHERE Email IS NOT NULL
+      END
+    `,
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='AuthSessions' AND xtype='U')
+      BEGIN
+        CREATE TABLE AuthSessions (
+          TokenHash CHAR(64) PRIMARY KEY,
+          PlayerId UNIQUEIDENTIFIER NOT NULL,
+          IsGuest BIT NOT NULL,
+          CreatedAt DATETIME2 DEFAULT GETDATE(),
+          ExpiresAt DATETIME2 NOT NULL,
+          FOREIGN KEY (PlayerId) REFERENCES Players(PlayerId)
+        )
+      END
+    `,
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='SignInLinks' AND xtype='U')
+      BEGIN
+        CREATE TABLE SignInLinks (
+          TokenHash CHAR(64) PRIMARY KEY,
+          Email NVARCHAR(254) NOT NULL,
+          GuestPlayerId UNIQUEIDENTIFIER NULL,
+          CreatedAt DATETIME2 DEFAULT GETDATE(),
+          ExpiresAt DATETIME2 NOT NULL,
+          UsedAt DATETIME2 NULL
+        )
+      END
+    `
+  ],
+  down: [
+    `DROP TABLE IF EXISTS SignInLinks`,
+    `DROP TABLE IF EXISTS AuthSessions`,
+    `DROP INDEX IF EXISTS UX_Players_Email ON Players`,
+    `ALTER TABLE Players DROP COLUMN IF EXISTS Email, PasswordHash`
+  ]
+};
+
+export default migration;
@@ -0,0 +1,19 @@
+import { MigrationFile } from '../shared/migrations';
+
+// Points won by each side of a match (PlayerPoints is PlayerId's), for player statistics
+const migration: MigrationFile = {
+  name: 'match points',
+  up: [
+    `
+      IF COL_LENGTH('Matches', 'PlayerPoints') IS NULL
+      BEGIN
+        ALTER TABLE Matches ADD PlayerPoints INT NULL, OpponentPoints INT NULL
+      END
+    `
+  ],
+  down: [
+    `ALTER TABLE Matches DROP COLUMN IF EXISTS PlayerPoints, OpponentPoints`
+  ]
+};
+
+export default migration;
@@ -0,0 +1,36 @@
+import * as sql from 'mssql';
+import { MigrationFile } from '../shared/migrations';
+import { matchOutcome } from '../shared/stats';
+
+// The rest of a match's outcome: Winner is 'player' (PlayerId) or 'opponent' (OpponentId or the
+// Copilot), PointLog the JSON list of points (see front/src/game/engine.js)
+const migration: MigrationFile = {
+  name: 'match outcome',
+  up: [
+    `
+      IF COL_LENGTH('Matches', 'Winner') IS NULL
+      BEGIN
+        ALTER TABLE Matches ADD Winner NVARCHAR(10) NULL, PointsPlayed INT NULL, LongestRally INT NULL, PointLog NVARCHAR(MAX) NULL
+      END
+    `,
+    // Matches recorded before that: the winner follows from the set scores
+    async (transaction) => {
+      const undecided = await new sql.Request(transaction).query(`
+        SELECT MatchId, SetScores FROM Matches WHERE Winner IS NULL AND SetScores IS NOT NULL
+      `);
+      for (const row of undecided.recordset) {
+        const outcome = matchOutcome(row.SetScores);
+        if (!outcome) continue;
+        await new sql.Request(transaction)
+          .input('matchId', sql.UniqueIdentifier, row.MatchId)
+          .input('winner', sql.NVarChar(10), outcome === 'win' ? 'player' : 'opponent')
+          .query(`UPDATE Matches SET Winner = @winner WHERE MatchId = @matchId`);
+      }
+    }
+  ],
+  down: [
+    `ALTER TABLE Matches DROP COLUMN IF EXISTS Winner, PointsPlayed, LongestRally, PointLog`
+  ]
+};
+
+export default migration;
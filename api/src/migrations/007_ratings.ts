@@ -0,0 +1,49 @@
+import { MigrationFile } from '../shared/migrations';
+
+// Skill ratings (see shared/rating.ts): each player's current rating per pool (the match
+// Difficulty), and every change with the match that caused it
+const migration: MigrationFile = {
+  name: 'ratings',
+  up: [
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='PlayerRatings' AND xtype='U')
+      BEGIN
+        CREATE TABLE PlayerRatings (
+          PlayerId UNIQUEIDENTIFIER NOT NULL,
+          Difficulty NVARCHAR(50) NOT NULL,
+          Rating INT NOT NULL,
+          MatchesRated INT NOT NULL DEFAULT 0,
+          UpdatedAt DATETIME2 DEFAULT GETDATE(),
+          PRIMARY KEY (PlayerId, Difficulty),
+          FOREIGN KEY (PlayerId) REFERENCES Players(PlayerId)
+        );
+        CREATE INDEX IX_PlayerRatings_Difficulty_Rating ON PlayerRatings(Difficulty, Rating DESC);
+      END
+    `,
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='RatingHistory' AND xtype='U')
+      BEGIN
+        CREATE TABLE RatingHistory (
+          RatingHistoryId BIGINT IDENTITY(1,1) PRIMARY KEY,
+          PlayerId UNIQUEIDENTIFIER NOT NULL,
+          MatchId UNIQUEIDENTIFIER NOT NULL,
+          Difficulty NVARCHAR(50) NOT NULL,
+          RatingBefore INT NOT NULL,
+          RatingAfter INT NOT NULL,
+          OpponentRating INT NOT NULL,
+          Won BIT NOT NULL,
+          CreatedAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (PlayerId) REFERENCES Players(PlayerId),
+          FOREIGN KEY (MatchId) REFERENCES Matches(MatchId)
+        );
+        CREATE UNIQUE INDEX UX_RatingHistory_Match_Player ON RatingHistory(MatchId, PlayerId);
+      END
+    `
+  ],
+  down: [
+    `DROP TABLE IF EXISTS RatingHistory`,
+    `DROP TABLE IF EXISTS PlayerRatings`
+  ]
+};
+
+export default migration;
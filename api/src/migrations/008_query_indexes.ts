@@ -0,0 +1,32 @@
+import { MigrationFile } from '../shared/migrations';
+
+// Indexes for the queries the API runs, so they stop scanning whole tables as they grow
+const INDEXES: [name: string, table: string, definition: string][] = [
+  // Score history and stats per player, newest first
+  ['IX_GameScores_PlayerId_GameDate', 'GameScores', '(PlayerId, GameDate) INCLUDE (Score)'],
+  // Daily, weekly and monthly score leaderboards
+  ['IX_GameScores_GameDate', 'GameScores', '(GameDate) INCLUDE (PlayerId, Score)'],
+  // Timers leaderboard: fastest wins per difficulty
+  ['IX_Matches_Difficulty_DurationMs', 'Matches', '(Difficulty, DurationMs) INCLUDE (PlayerId, Mode, Winner, CreatedAt)'],
+  // A player's matches, on either side
+  ['IX_Matches_PlayerId_CreatedAt', 'Matches', '(PlayerId, CreatedAt)'],
+  ['IX_Matches_OpponentId', 'Matches', '(OpponentId) WHERE OpponentId IS NOT NULL'],
+  // All-time score leaderboard
+  ['IX_Players_BestScore', 'Players', '(BestScore DESC, GamesPlayed)'],
+  ['IX_Replays_PlayerId_CreatedAt', 'Replays', '(PlayerId, CreatedAt)'],
+  ['IX_AuthSessions_PlayerId', 'AuthSessions', '(PlayerId)'],
+  ['IX_RatingHistory_PlayerId_CreatedAt', 'RatingHistory', '(PlayerId, CreatedAt)']
+];
+
+const migration: MigrationFile = {
+  name: 'query indexes',
+  up: INDEXES.map(([name, table, definition]) => `
+    IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name='${name}')
+    BEGIN
+      CREATE INDEX ${name} ON ${table}${definition}
+    END
+  `),
+  down: INDEXES.map(([name, table]) => `DROP INDEX IF EXISTS ${name} ON ${table}`).reverse()
+};
+
+export default migration;
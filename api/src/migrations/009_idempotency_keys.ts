@@ -0,0 +1,35 @@
+import { MigrationFile } from '../shared/migrations';
+
+// Offline clients retry their results with an Idempotency-Key header: the first request with a key
+// claims it, and its response is kept so a retry gets the same answer instead of running again
+// (see shared/idempotency.ts). Keys are per player and route, and are forgotten after a day.
+const migration: MigrationFile = {
+  name: 'idempotency keys',
+  up: [
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='IdempotencyKeys' AND xtype='U')
+      BEGIN
+        CREATE TABLE IdempotencyKeys (
+          PlayerId UNIQUEIDENTIFIER NOT NULL,
+          Scope NVARCHAR(50) NOT NULL,
+          IdempotencyKey NVARCHAR(100) NOT NULL,
+          StatusCode INT NULL,
+          ResponseBody NVARCHAR(MAX) NULL,
+          CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+          CONSTRAINT PK_IdempotencyKeys PRIMARY KEY (PlayerId, Scope, IdempotencyKey)
+        )
+      END
+    `,
+    `
+      IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name='IX_IdempotencyKeys_CreatedAt')
+      BEGIN
+        CREATE INDEX IX_IdempotencyKeys_CreatedAt ON IdempotencyKeys(CreatedAt)
+      END
+    `
+  ],
+  down: [
+    `DROP TABLE IF EXISTS IdempotencyKeys`
+  ]
+};
+
+export default migration;
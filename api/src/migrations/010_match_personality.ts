@@ -0,0 +1,21 @@
+import { MigrationFile } from '../shared/migrations';
+
+// The Copilot personality a match was played against (front/src/game/ai.js), so each one has its
+// own record. Matches recorded before personalities were added played the default 'allCourt'.
+const migration: MigrationFile = {
+  name: 'match personality',
+  up: [
+    `
+      IF COL_LENGTH('Matches', 'Personality') IS NULL
+      BEGIN
+        ALTER TABLE Matches ADD Personality NVARCHAR(20) NULL
+      END
+    `,
+    `UPDATE Matches SET Personality = 'allCourt' WHERE Mode = 'copilot' AND Personality IS NULL`
+  ],
+  down: [
+    `ALTER TABLE Matches DROP COLUMN IF EXISTS Personality`
+  ]
+};
+
+export default migration;
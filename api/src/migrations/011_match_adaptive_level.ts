@@ -0,0 +1,20 @@
+import { MigrationFile } from '../shared/migrations';
+
+// The level an adaptive Copilot played at (front/src/game/adaptive.js): 0 plays like beginner,
+// 1 like expert. NULL for every other difficulty.
+const migration: MigrationFile = {
+  name: 'match adaptive level',
+  up: [
+    `
+      IF COL_LENGTH('Matches', 'AdaptiveLevel') IS NULL
+      BEGIN
+        ALTER TABLE Matches ADD AdaptiveLevel FLOAT NULL
+      END
+    `
+  ],
+  down: [
+    `ALTER TABLE Matches DROP COLUMN IF EXISTS AdaptiveLevel`
+  ]
+};
+
+export default migration;
@@ -0,0 +1,33 @@
+import { MigrationFile } from '../shared/migrations';
+
+// Difficulty presets tuned on the server (see shared/difficulties.ts): a row overrides the game's
+// built-in preset of the same ID, or adds a new one. Matches keep the hash of the settings they were
+// played at, so a run can be traced back to the exact preset or custom settings.
+const migration: MigrationFile = {
+  name: 'difficulty presets',
+  up: [
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='DifficultyPresets' AND xtype='U')
+      BEGIN
+        CREATE TABLE DifficultyPresets (
+          DifficultyId NVARCHAR(50) NOT NULL PRIMARY KEY,
+          Settings NVARCHAR(MAX) NOT NULL,
+          Ranked BIT NOT NULL DEFAULT 1,
+          UpdatedAt DATETIME2 NOT NULL DEFAULT GETDATE()
+        )
+      END
+    `,
+    `
+      IF COL_LENGTH('Matches', 'SettingsHash') IS NULL
+      BEGIN
+        ALTER TABLE Matches ADD SettingsHash NVARCHAR(16) NULL
+      END
+    `
+  ],
+  down: [
+    `ALTER TABLE Matches DROP COLUMN IF EXISTS SettingsHash`,
+    `DROP TABLE IF EXISTS DifficultyPresets`
+  ]
+};
+
+export default migration;
@@ -0,0 +1,47 @@
+import { MigrationFile } from '../shared/migrations';
+
+// Career mode (see shared/campaign.ts): each player's place in every tournament they have entered,
+// and the campaign rounds they played with the match each one was
+const migration: MigrationFile = {
+  name: 'campaign',
+  up: [
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='CampaignProgress' AND xtype='U')
+      BEGIN
+        CREATE TABLE CampaignProgress (
+          PlayerId UNIQUEIDENTIFIER NOT NULL,
+          TierId NVARCHAR(50) NOT NULL,
+          NextRound INT NOT NULL DEFAULT 0,
+          Titles INT NOT NULL DEFAULT 0,
+          FirstTitleAt DATETIME2 NULL,
+          UpdatedAt DATETIME2 DEFAULT GETDATE(),
+          PRIMARY KEY (PlayerId, TierId),
+          FOREIGN KEY (PlayerId) REFERENCES Players(PlayerId)
+        )
+      END
+    `,
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='CampaignMatches' AND xtype='U')
+      BEGIN
+        CREATE TABLE CampaignMatches (
+          CampaignMatchId BIGINT IDENTITY(1,1) PRIMARY KEY,
+          PlayerId UNIQUEIDENTIFIER NOT NULL,
+          TierId NVARCHAR(50) NOT NULL,
+          Round INT NOT NULL,
+          MatchId UNIQUEIDENTIFIER NOT NULL,
+          Won BIT NOT NULL,
+          PlayedAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (PlayerId) REFERENCES Players(PlayerId),
+          FOREIGN KEY (MatchId) REFERENCES Matches(MatchId)
+        );
+        CREATE INDEX IX_CampaignMatches_Player ON CampaignMatches(PlayerId, PlayedAt DESC);
+      END
+    `
+  ],
+  down: [
+    `DROP TABLE IF EXISTS CampaignMatches`,
+    `DROP TABLE IF EXISTS CampaignProgress`
+  ]
+};
+
+export default migration;
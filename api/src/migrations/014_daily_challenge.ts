@@ -0,0 +1,51 @@
+import { MigrationFile } from '../shared/migrations';
+
+// The daily challenge (see daily/index.ts): each day's challenge as it was first served, and each
+// player's ranked attempt at it, with the result once the match is posted
+const migration: MigrationFile = {
+  name: 'daily_challenge',
+  up: [
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='DailyChallenges' AND xtype='U')
+      BEGIN
+        CREATE TABLE DailyChallenges (
+          Day DATE PRIMARY KEY,
+          Seed BIGINT NOT NULL,
+          Modifier NVARCHAR(50) NOT NULL,
+          Personality NVARCHAR(20) NOT NULL,
+          Difficulty NVARCHAR(50) NOT NULL,
+          Format NVARCHAR(20) NOT NULL,
+          CreatedAt DATETIME2 DEFAULT GETDATE()
+        )
+      END
+    `,
+    `
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='DailyAttempts' AND xtype='U')
+      BEGIN
+        CREATE TABLE DailyAttempts (
+          Day DATE NOT NULL,
+          PlayerId UNIQUEIDENTIFIER NOT NULL,
+          SessionId UNIQUEIDENTIFIER NOT NULL,
+          MatchId UNIQUEIDENTIFIER NULL,
+          Won BIT NULL,
+          PlayerPoints INT NULL,
+          OpponentPoints INT NULL,
+          DurationMs INT NULL,
+          StartedAt DATETIME2 DEFAULT GETDATE(),
+          CompletedAt DATETIME2 NULL,
+          PRIMARY KEY (Day, PlayerId),
+          FOREIGN KEY (Day) REFERENCES DailyChallenges(Day),
+          FOREIGN KEY (PlayerId) REFERENCES Players(PlayerId),
+          FOREIGN KEY (MatchId) REFERENCES Matches(MatchId)
+        );
+        CREATE INDEX IX_DailyAttempts_Player ON DailyAttempts(PlayerId, Day DESC);
+      END
+    `
+  ],
+  down: [
+    `DROP TABLE IF EXISTS DailyAttempts`,
+    `DROP TABLE IF EXISTS DailyChallenges`
+  ]
+};
+
+export default migration;
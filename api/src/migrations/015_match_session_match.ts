@@ -0,0 +1,23 @@
+import { MigrationFile } from '../shared/migrations';
+
+// The match a match session recorded. POST /matches claims the session in the same transaction as
+// the match insert, so a result whose later steps (ratings, campaign, replay...) failed can be sent
+// again and finished; MatchSubmittedAt is only set once they all went through.
+const migration: MigrationFile = {
+  name: 'match session match',
+  up: [
+    `
+      IF COL_LENGTH('MatchSessions', 'MatchId') IS NULL
+      BEGIN
+        ALTER TABLE MatchSessions ADD MatchId UNIQUEIDENTIFIER NULL
+          CONSTRAINT FK_MatchSessions_Matches FOREIGN KEY REFERENCES Matches(MatchId)
+      END
+    `
+  ],
+  down: [
+    `ALTER TABLE MatchSessions DROP CONSTRAINT IF EXISTS FK_MatchSessions_Matches`,
+    `ALTER TABLE MatchSessions DROP COLUMN IF EXISTS MatchId`
+  ]
+};
+
+export default migration;
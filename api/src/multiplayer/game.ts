@@ -0,0 +1,121 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// The simulation is the front end's headless engine (front/src/game), copied to dist/game at
+// build time by scripts/copy-engine.js. It is written as ES modules, hence the dynamic imports.
+const GAME_DIR = path.resolve(__dirname, '../game');
+
+export type Side = 'player' | 'copilot';
+
+export interface GameModules {
+  GameEngine: any;
+  MATCH_FORMATS: Record<string, MatchFormat>;
+  DIFFICULTY_SETTINGS: Record<string, unknown>;
+  AI_PERSONALITIES: Record<string, unknown>;
+  DEFAULT_PERSONALITY: string;
+  CUSTOM_DIFFICULTY: string;
+  validateDifficulty: (settings: unknown) => string | null;
+  canonicalDifficulty: (settings: any) => Record<string, unknown>;
+  difficultyHash: (settings: any) => string;
+  decodeDifficulty: (code: string) => Record<string, unknown> | null;
+  CAMPAIGN_DIFFICULTY: string;
+  CAMPAIGN_TIERS: CampaignTier[];
+  campaignTier: (id: string) => CampaignTier | null;
+  campaignState: (progress: { tierId: string; nextRound: number; titles: number }[]) => CampaignTierState[];
+  roundSettings: (tier: CampaignTier, round: number) => Record<string, unknown>;
+  MATCH_MODIFIERS: Record<string, { name: string; description: string }>;
+  isModifier: (id: unknown) => boolean;
+  challengeDay: (date?: Date | number) => string;
+  challengeEndsAt: (day: string) => Date;
+  isChallengeDay: (day: unknown) => boolean;
+  dailyChallenge: (day: string, seed: number) => DailyChallengeDefinition;
+  TICK_MS: number;
+  serializeState: (engine: any) => any;
+  ReplayRecorder: any;
+  ReplayPlayer: any;
+  validateReplay: (replay: any, difficultySettings?: Record<string, unknown>) => string | null;
+  minMatchDurationMs: (format: string, settings: any, opponent?: string) => number;
+  maxPointsIn: (ms: number) => number;
+}
+
+// How a match is scored (front/src/game/scoring.js)
+export interface MatchFormat {
+  bestOf: number;
+  gamesPerSet: number;
+  noAd: boolean;
+  tieBreak: boolean;
+}
+
+// A career tournament (front/src/game/campaign.js)
+export interface CampaignTier {
+  id: string;
+  name: string;
+  trophy: string;
+  preset: string;
+  format: string;
+  rounds: { id: string; name: string; opponent: string; personality: string; level: number }[];
+}
+
+export interface CampaignTierState {
+  id: string;
+  unlocked: boolean;
+  nextRound: number;
+  titles: number;
+}
+
+// A day's challenge (front/src/game/daily.js)
+export interface DailyChallengeDefinition {
+  day: string;
+  seed: number;
+  modifier: string;
+  personality: string;
+  difficulty: string;
+  format: string;
+}
+
+let modules: Promise<GameModules> | null = null;
+
+function importGame(file: string): Promise<any> {
+  return import(pathToFileURL(path.join(GAME_DIR, file)).href);
+}
+
+export function loadGame(): Promise<GameModules> {
+  if (!modules) {
+    modules = Promise.all(['engine.js', 'scoring.js', 'difficulty.js', 'loop.js', 'netstate.js', 'replay.js', 'limits.js', 'ai.js', 'customDifficulty.js', 'campaign.js', 'modifiers.js', 'daily.js'].map(importGame))
+      .then(([engine, scoring, difficulty, loop, netstate, replay, limits, ai, custom, campaign, modifiers, daily]) => ({
+        GameEngine: engine.GameEngine,
+        MATCH_FORMATS: scoring.MATCH_FORMATS,
+        DIFFICULTY_SETTINGS: difficulty.DIFFICULTY_SETTINGS,
+        AI_PERSONALITIES: ai.AI_PERSONALITIES,
+        DEFAULT_PERSONALITY: ai.DEFAULT_PERSONALITY,
+        CUSTOM_DIFFICULTY: custom.CUSTOM_DIFFICULTY,
+        validateDifficulty: custom.validateDifficulty,
+        canonicalDifficulty: custom.canonicalDifficulty,
+        difficultyHash: custom.difficultyHash,
+        decodeDifficulty: custom.decodeDifficulty,
+        CAMPAIGN_DIFFICULTY: campaign.CAMPAIGN_DIFFICULTY,
+        CAMPAIGN_TIERS: campaign.CAMPAIGN_TIERS,
+        campaignTier: campaign.campaignTier,
+        campaignState: campaign.campaignState,
+        roundSettings: campaign.roundSettings,
+        MATCH_MODIFIERS: modifiers.MATCH_MODIFIERS,
+        isModifier: modifiers.isModifier,
+        challengeDay: daily.challengeDay,
+        challengeEndsAt: daily.challengeEndsAt,
+        isChallengeDay: daily.isChallengeDay,
+        dailyChallenge: daily.dailyChallenge,
+        TICK_MS: loop.TICK_MS,
+        serializeState: netstate.serializeState,
+        ReplayRecorder: replay.ReplayRecorder,
+        ReplayPlayer: replay.ReplayPlayer,
+        validateReplay: replay.validateReplay,
+        minMatchDurationMs: limits.minMatchDurationMs,
+        maxPointsIn: limits.maxPointsIn
+      }))
+      .catch((err) => {
+        modules = null;
+        throw err;
+      });
+  }
+  return modules;
+}
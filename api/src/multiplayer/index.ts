@@ -0,0 +1,190 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
+import WebSocket, { WebSocketServer } from 'ws';
+
+import { loadGame, GameModules, Side } from './game';
+import { loadDifficultyPresets, presetSettings, DifficultyPreset } from '../shared/difficulties';
+import { Room, Participant, MatchResult, sanitizeInput } from './room';
+import { recordMatch, recordMatchRatings, saveReplay } from '../shared/database';
+import { sessionFromCookie } from '../shared/auth';
+
+export type { MatchResult } from './room';
+
+export interface MultiplayerOptions {
+  path?: string;                                        // WebSocket endpoint, default '/ws'
+  tickMs?: number;                                      // Simulation tick, default the engine's TICK_MS
+  recordResult?: (result: MatchResult) => Promise<void>; // Where finished matches go, default the database
+  authenticate?: (req: http.IncomingMessage) => Promise<string | null>; // Who is connecting, default the session cookie's player
+}
+
+// The player whose session cookie came with the WebSocket upgrade, if any
+export async function sessionPlayer(req: http.IncomingMessage): Promise<string | null> {
+  const auth = await sessionFromCookie(req.headers.cookie);
+  return auth ? auth.playerId : null;
+}
+
+// Finished online match: one Matches row with both participants, the outcome and each player's points as their score,
+// then both players' ratings and its replay
+export async function recordOnlineMatch(result: MatchResult): Promise<void> {
+  const { player, copilot } = result.players;
+  const outcome = {
+    winner: result.winner === 'player' ? 'player' as const : 'opponent' as const,
+    points: { player: result.points.player, opponent: result.points.copilot },
+    longestRally: result.longestRally,
+    pointLog: result.pointLog
+  };
+  const match = await recordMatch(player.playerId, result.difficulty, result.durationMs, result.setScores, copilot.playerId, 'online', outcome, true);
+  await recordMatchRatings(match);
+  await saveReplay(match.matchId, player.playerId, JSON.stringify(result.replay), result.replay.ticks, result.durationMs, result.setScores);
+}
+
+// Matchmaking and rooms for online play. Connecting needs a session (see shared/auth.ts): the
+// upgrade is refused without one, and the connection plays as the session's player.
+// Protocol (JSON messages):
+//   client -> server: { type: 'join', playerName, difficulty?, format? }
+//                     { type: 'input', seq, input }   one per client tick, in screen directions of the server court
+//                     { type: 'leave' }
+//   server -> client: { type: 'waiting' } | { type: 'matched', roomId, side, opponent, difficulty, format }
+//                     { type: 'state', state, events, ack } every tick | { type: 'opponentLeft' } | { type: 'error', error }
+export class MultiplayerHub {
+  readonly wss: WebSocketServer;
+  readonly rooms = new Map<string, Room>();
+  private waiting = new Map<string, Participant>();     // One waiting player per difficulty/format
+  private roomsBySocket = new Map<WebSocket, Room>();
+  private playerIds = new WeakMap<http.IncomingMessage, string>(); // Upgrade request -> its session's player
+  private recordResult: (result: MatchResult) => Promise<void>;
+  private tickMs?: number;
+
+  constructor(server: http.Server, options: MultiplayerOptions = {}) {
+    this.recordResult = options.recordResult || recordOnlineMatch;
+    this.tickMs = options.tickMs;
+    const authenticate = options.authenticate || sessionPlayer;
+    this.wss = new WebSocketServer({
+      server,
+      path: options.path || '/ws',
+      verifyClient: ({ req }, done) => {
+        authenticate(req).then(
+          (playerId) => {
+            if (!playerId) return done(false, 401, 'Not signed in');
+            this.playerIds.set(req, playerId);
+            done(true);
+          },
+          (err) => {
+            console.error('Multiplayer authentication failed:', err);
+            done(false, 500, 'Internal server error');
+          });
+      }
+    });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, this.playerIds.get(req)));
+  }
+
+  private handleConnection(socket: WebSocket, playerId: string) {
+    socket.on('message', async (data) => {
+      let message: any;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return this.sendError(socket, 'Invalid message');
+      }
+      try {
+        await this.handleMessage(socket, playerId, message || {});
+      } catch (err) {
+        console.error('Multiplayer message failed:', err);
+        this.sendError(socket, 'Internal server error');
+      }
+    });
+    socket.on('close', () => this.disconnect(socket));
+  }
+
+  private async handleMessage(socket: WebSocket, playerId: string, message: any) {
+    switch (message.type) {
+      case 'join': {
+        const game = await loadGame();
+        return this.join(socket, playerId, message, game, await loadDifficultyPresets(game));
+      }
+      case 'input': {
+        const room = this.roomsBySocket.get(socket);
+        const side = room && room.sideOf(socket);
+        if (side) room.queueInput(side, message.seq, sanitizeInput(message.input));
+        return;
+      }
+      case 'leave':
+        return this.disconnect(socket);
+      default:
+        return this.sendError(socket, `Unknown message type: ${message.type}`);
+    }
+  }
+
+  // Online matches are played at one of the presets (custom settings stay local). The player is the
+  // connection's: a playerId in the message is ignored.
+  private join(socket: WebSocket, playerId: string, message: any, game: GameModules, presets: Record<string, DifficultyPreset>) {
+    const { playerName, difficulty = 'beginner', format = 'quick' } = message;
+    if (!presets[difficulty]) return this.sendError(socket, `Unknown difficulty: ${difficulty}`);
+    // Only the Copilot adapts (front/src/game/adaptive.js): two humans pick a fixed pace
+    if (difficulty === 'adaptive') return this.sendError(socket, 'Adaptive difficulty is for Copilot matches');
+    if (!game.MATCH_FORMATS[format]) return this.sendError(socket, `Unknown format: ${format}`);
+    if (this.roomsBySocket.has(socket)) return this.sendError(socket, 'Already in a match');
+
+    const participant: Participant = {
+      socket,
+      playerId,
+      playerName: typeof playerName === 'string' && playerName.trim() ? playerName.trim().slice(0, 50) : 'Player'
+    };
+    const key = `${difficulty}:${format}`;
+    const opponent = this.waiting.get(key);
+    // Nobody to play yet (or the same player in a second tab): wait for the next one
+    if (!opponent || opponent.socket === socket || opponent.playerId === playerId) {
+      this.removeWaiting(socket);
+      this.waiting.set(key, participant);
+      socket.send(JSON.stringify({ type: 'waiting' }));
+      return;
+    }
+
+    this.waiting.delete(key);
+    this.removeWaiting(socket);
+    const room: Room = new Room(randomUUID(), game, opponent, participant, difficulty, presetSettings(presets), format, this.tickMs || game.TICK_MS,
+      (result) => this.finish(room, result));
+    this.rooms.set(room.id, room);
+    this.roomsBySocket.set(opponent.socket, room);
+    this.roomsBySocket.set(socket, room);
+    room.start();
+  }
+
+  private finish(room: Room, result: MatchResult | null) {
+    this.rooms.delete(room.id);
+    for (const side of ['player', 'copilot'] as Side[]) this.roomsBySocket.delete(room.players[side].socket);
+    if (result) {
+      this.recordResult(result).catch(err => console.error('Failed to record online match:', err));
+    }
+  }
+
+  private disconnect(socket: WebSocket) {
+    this.removeWaiting(socket);
+    const room = this.roomsBySocket.get(socket);
+    const side = room && room.sideOf(socket);
+    if (side) room.leave(side);
+  }
+
+  private removeWaiting(socket: WebSocket) {
+    for (const [key, participant] of this.waiting) {
+      if (participant.socket === socket) this.waiting.delete(key);
+    }
+  }
+
+  private sendError(socket: WebSocket, error: string) {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'error', error }));
+  }
+
+  close() {
+    for (const room of this.rooms.values()) room.stop();
+    this.rooms.clear();
+    this.roomsBySocket.clear();
+    this.waiting.clear();
+    for (const client of this.wss.clients) client.terminate();
+    this.wss.close();
+  }
+}
+
+export function attachMultiplayer(server: http.Server, options: MultiplayerOptions = {}): MultiplayerHub {
+  return new MultiplayerHub(server, options);
+}
@@ -0,0 +1,176 @@
+import WebSocket from 'ws';
+import { GameModules, Side } from './game';
+
+export interface Participant {
+  socket: WebSocket;
+  playerId: string;
+  playerName: string;
+}
+
+export interface PaddleInput {
+  left: boolean;
+  right: boolean;
+  up: boolean;
+  down: boolean;
+  moveX: number;            // Gamepad stick, -1..1
+  moveY: number;
+  serve: boolean;
+  aim: number;
+  shot: string | null;      // Shot type (see front/src/game/shots.js); unknown ones are ignored by the engine
+  target: { x: number; y: number } | null;
+}
+
+export interface MatchResult {
+  roomId: string;
+  difficulty: string;
+  format: string;
+  winner: Side;
+  durationMs: number;
+  setScores: string;        // From the bottom player's perspective
+  players: Record<Side, Participant>;
+  points: Record<Side, number>;
+  longestRally: number;
+  pointLog: any[];          // The engine's per-point log (winner and server are sides)
+  replay: any;              // Every tick's inputs (front/src/game/replay.js), stored with the match
+}
+
+// Inputs a client may run ahead of the server before the oldest ones are dropped
+const MAX_QUEUED_INPUTS = 30;
+
+function clampUnit(value: unknown): number {
+  return typeof value === 'number' && Number.isFinite(value) ? Math.max(-1, Math.min(1, value)) : 0;
+}
+
+// Untrusted client input -> engine input
+export function sanitizeInput(raw: any): PaddleInput {
+  const input = raw || {};
+  const target = input.target;
+  const validTarget = target && Number.isFinite(target.x) && Number.isFinite(target.y);
+  return {
+    left: !!input.left,
+    right: !!input.right,
+    up: !!input.up,
+    down: !!input.down,
+    moveX: clampUnit(input.moveX),
+    moveY: clampUnit(input.moveY),
+    serve: !!input.serve,
+    aim: clampUnit(input.aim),
+    shot: typeof input.shot === 'string' && input.shot.length <= 16 ? input.shot : null,
+    target: validTarget ? { x: target.x, y: target.y } : null
+  };
+}
+
+function send(socket: WebSocket, message: unknown) {
+  if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
+// One online match: the authoritative simulation for two connected players.
+// The first player plays the bottom side ('player'), the second the top ('copilot').
+// Each client input is applied on exactly one tick, in order, and acknowledged by its
+// sequence number so clients can replay the inputs the server has not seen yet.
+export class Room {
+  readonly engine: any;
+  readonly players: Record<Side, Participant>;
+  private queues: Record<Side, { seq: number; input: PaddleInput }[]> = { player: [], copilot: [] };
+  private acks: Record<Side, number> = { player: 0, copilot: 0 };
+  private timer: NodeJS.Timeout | null = null;
+  private recorder: any = null;
+  finished = false;
+
+  constructor(
+    readonly id: string,
+    private game: GameModules,
+    bottom: Participant,
+    top: Participant,
+    readonly difficulty: string,
+    difficultySettings: Record<string, Record<string, unknown>>,
+    readonly format: string,
+    private tickMs: number,
+    private onFinish: (result: MatchResult | null) => void
+  ) {
+    this.players = { player: bottom, copilot: top };
+    this.engine = new game.GameEngine({ difficulty, format, opponent: 'human', difficultySettings });
+    this.engine.names = { player: bottom.playerName, copilot: top.playerName };
+  }
+
+  start() {
+    for (const side of ['player', 'copilot'] as Side[]) {
+      const opponent = this.players[side === 'player' ? 'copilot' : 'player'];
+      send(this.players[side].socket, {
+        type: 'matched',
+        roomId: this.id,
+        side,
+        opponent: { playerId: opponent.playerId, playerName: opponent.playerName },
+        difficulty: this.difficulty,
+        format: this.format
+      });
+    }
+    this.recorder = new this.game.ReplayRecorder(this.engine);
+    this.engine.start();
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+  }
+
+  sideOf(socket: WebSocket): Side | null {
+    if (this.players.player.socket === socket) return 'player';
+    if (this.players.copilot.socket === socket) return 'copilot';
+    return null;
+  }
+
+  queueInput(side: Side, seq: number, input: PaddleInput) {
+    const queue = this.queues[side];
+    if (!Number.isInteger(seq) || seq <= this.acks[side] || (queue.length && seq <= queue[queue.length - 1].seq)) return;
+    queue.push({ seq, input });
+    if (queue.length > MAX_QUEUED_INPUTS) queue.shift();
+  }
+
+  // Advance the match one tick and send every client the new state
+  tick() {
+    if (this.finished) return;
+    const input: Partial<Record<Side, PaddleInput>> = {};
+    for (const side of ['player', 'copilot'] as Side[]) {
+      const next = this.queues[side].shift();
+      if (!next) continue;
+      input[side] = next.input;
+      this.acks[side] = next.seq;
+    }
+
+    this.recorder.record(input);
+    const events = this.engine.step(input);
+    const state = this.game.serializeState(this.engine);
+    for (const side of ['player', 'copilot'] as Side[]) {
+      send(this.players[side].socket, { type: 'state', state, events, ack: this.acks[side] });
+    }
+
+    const end = events.find((event: any) => event.type === 'matchEnd');
+    if (end) {
+      this.stop();
+      this.onFinish({
+        roomId: this.id,
+        difficulty: this.difficulty,
+        format: this.format,
+        winner: end.winner,
+        durationMs: end.durationMs,
+        setScores: end.setScores,
+        players: this.players,
+        points: { player: end.playerScore, copilot: end.copilotScore },
+        longestRally: end.longestRally,
+        pointLog: end.pointLog,
+        replay: this.recorder.finish(end)
+      });
+    }
+  }
+
+  // A player disconnected or left: the match is abandoned and not recorded
+  leave(side: Side) {
+    if (this.finished) return;
+    this.stop();
+    send(this.players[side === 'player' ? 'copilot' : 'player'].socket, { type: 'opponentLeft' });
+    this.onFinish(null);
+  }
+
+  stop() {
+    this.finished = true;
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
@@ -1,11 +1,19 @@
 import express from 'express'
+import { randomUUID } from 'crypto'
 const router = express.Router()
 
-import { getPlayer, upsertPlayer } from '../shared/database'
+import { getPlayer, upsertPlayer, getAccount, renamePlayer, getPlayerStatsSource, getPlayerRatings } from '../shared/database'
+import { computePlayerStats } from '../shared/stats'
+import { getAuth, startSession } from '../shared/auth'
+import { validate, id, playerName } from '../shared/validation'
+
+const playerParams = { playerId: id() }
+const playerBody = { playerId: id(), playerName: playerName() }
 
 router.get('/:playerId', async (req, res) => {
-  const playerId = req.params.playerId
-  if (!playerId) return res.status(400).json({ error: 'Player ID is required' })
+  const params = validate(res, playerParams, req.params)
+  if (!params) return
+  const playerId = params.playerId
 
   try {
     const player = await getPlayer(playerId)
@@ -17,12 +25,62 @@ router.get('/:playerId', async (req, res) => {
   }
 })
 
+// Win/loss record, streaks, match times, points and recent activity (see shared/stats.ts)
+router.get('/:playerId/stats', async (req, res) => {
+  const params = validate(res, playerParams, req.params)
+  if (!params) return
+  const playerId = params.playerId
+
+  try {
+    const player = await getPlayer(playerId)
+    if (!player) return res.status(404).json({ error: 'Player not found' })
+    const { matches, scores } = await getPlayerStatsSource(playerId)
+    return res.json(computePlayerStats(player, matches, scores))
+  } catch (err) {
+    console.error(err)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Skill rating per pool and the latest rating changes (see shared/rating.ts)
+router.get('/:playerId/ratings', async (req, res) => {
+  const params = validate(res, playerParams, req.params)
+  if (!params) return
+  const playerId = params.playerId
+
+  try {
+    const player = await getPlayer(playerId)
+    if (!player) return res.status(404).json({ error: 'Player not found' })
+    return res.json(await getPlayerRatings(playerId))
+  } catch (err) {
+    console.error(err)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
 router.post('/', async (req, res) => {
-  const body = req.body as any
-  if (!body.playerId || !body.playerName) return res.status(400).json({ error: 'playerId and playerName are required' })
+  const body = validate(res, playerBody, req.body)
+  if (!body) return
 
   try {
-    const player = await upsertPlayer(body.playerId, body.playerName)
+    const auth = getAuth(res)
+    const requested = String(body.playerId).toLowerCase()
+    // An account's player can only be changed by signing in as it
+    const account = await getAccount(body.playerId)
+    if (account && account.email) {
+      if (!auth || auth.playerId !== requested) return res.status(401).json({ error: 'Sign in to use this player' })
+      return res.json(await renamePlayer(body.playerId, body.playerName))
+    }
+
+    // A guest player that already exists belongs to whoever holds its session: playerIds are public
+    // (leaderboards show them), so asking for one without a session starts a new player instead
+    const player = await upsertPlayer(account && !auth ? randomUUID() : body.playerId, body.playerName)
+    const created = !account || String(player.playerId).toLowerCase() !== requested
+    // Guest players get a session for this device when they are created; a second local player
+    // (versus mode) is registered without replacing the device's session
+    if (created && (!auth || (auth.guest && auth.playerId === requested))) {
+      await startSession(req, res, player.playerId, true)
+    }
     return res.json(player)
   } catch (err) {
     console.error(err)
@@ -0,0 +1,56 @@
+import path from 'path';
+import dotenv from 'dotenv';
+// Load env from api/.env even if process.cwd() is repository root
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+import { getRepository, listDifficultyPresets, saveDifficultyPreset, deleteDifficultyPreset } from './shared/database';
+import { loadGame } from './multiplayer/game';
+import { CUSTOM_DIFFICULTY } from './shared/rating';
+
+// Difficulty presets on the server (see shared/difficulties.ts), from the command line (after `npm run build`):
+//   npm run presets -- list                                   the stored presets
+//   npm run presets -- set <id> <code | JSON> [--unranked]    add or tune a preset: a share code from the
+//                                                             custom difficulty editor, or the settings as JSON
+//   npm run presets -- reset <id>                             back to the built-in preset (or gone, for an added one)
+const USAGE = 'Usage: npm run presets -- [list | set <id> <code | JSON> [--unranked] | reset <id>]';
+
+async function main(args: string[]): Promise<void> {
+  const flags = args.filter(arg => arg.startsWith('--'));
+  const [command = 'list', id, value] = args.filter(arg => !arg.startsWith('--'));
+  if (command === 'list') {
+    const rows = await listDifficultyPresets();
+    if (rows.length === 0) console.log('No stored presets: the built-in ones apply');
+    for (const row of rows) {
+      console.log(`${row.difficultyId.padEnd(20)} ${row.ranked ? 'ranked  ' : 'unranked'} ${row.updatedAt.toISOString()} ${row.settings}`);
+    }
+    return;
+  }
+  if (!id || id.length > 50 || id === CUSTOM_DIFFICULTY) throw new Error(USAGE);
+  if (command === 'reset') {
+    console.log(await deleteDifficultyPreset(id) ? `Removed ${id}` : `No stored preset ${id}`);
+    return;
+  }
+  if (command !== 'set' || !value || flags.some(flag => flag !== '--unranked')) throw new Error(USAGE);
+
+  const game = await loadGame();
+  let settings: unknown = game.decodeDifficulty(value);
+  if (!settings) {
+    try {
+      settings = JSON.parse(value);
+    } catch {
+      throw new Error(`Not a share code or JSON settings: ${value}`);
+    }
+  }
+  const error = game.validateDifficulty(settings);
+  if (error) throw new Error(`Invalid settings: ${error}`);
+  const ranked = !flags.includes('--unranked');
+  await saveDifficultyPreset(id, JSON.stringify(game.canonicalDifficulty(settings)), ranked);
+  console.log(`Saved ${id} (${ranked ? 'ranked' : 'unranked'}, hash ${game.difficultyHash(settings)})`);
+}
+
+main(process.argv.slice(2))
+  .then(() => getRepository().close())
+  .catch(err => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
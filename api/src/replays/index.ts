@@ -0,0 +1,103 @@
+import express from 'express';
+const router = express.Router();
+
+import { saveReplay, getReplay, getMatch, listReplays } from '../shared/database';
+import { loadGame } from '../multiplayer/game';
+import { loadDifficultyPresets, presetSettings } from '../shared/difficulties';
+import { simulateReplay } from '../shared/anticheat';
+import { requirePlayer } from '../shared/auth';
+import { validate, badRequest, optional, id, digits, object } from '../shared/validation';
+
+// SQL errors thrown by saveReplay -> HTTP status
+const SAVE_ERRORS: Record<number, number> = {
+  50002: 400, // Invalid matchId or playerId
+  50004: 404, // Match not found
+  50005: 403, // Not a player of the match
+  50006: 409, // Match already has a replay
+  50007: 400  // Replay result differs from the match
+};
+
+const MAX_LISTED = 50;
+
+const replayBody = { matchId: id(), playerId: id(), replay: object() };
+const listQuery = { matchId: optional(id(), null), playerId: optional(id(), null), limit: optional(digits({ min: 1, max: MAX_LISTED }), 10) };
+
+router.post('/', async (req, res) => {
+  try {
+    const body = validate(res, replayBody, req.body);
+    if (!body) return;
+    const { matchId, playerId, replay } = body;
+    if (!requirePlayer(res, playerId)) return;
+    // Whose match it is, and how long it lasted, before playing anything: that bounds the simulation
+    const match = await getMatch(matchId);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    if (![match.playerId, match.opponentId].some(side => side?.toLowerCase() === playerId.toLowerCase())) {
+      return res.status(403).json({ error: 'Only a player of the match can upload its replay' });
+    }
+    if ((await listReplays(match.matchId, null, 1)).length > 0) {
+      return res.status(409).json({ error: 'This match already has a replay' });
+    }
+
+    // Same checks the replay viewer makes before playing a file
+    const game = await loadGame();
+    const presets = presetSettings(await loadDifficultyPresets(game));
+    const error = game.validateReplay(replay, presets);
+    if (error) {
+      return badRequest(res, 'replay', error);
+    }
+    if (Math.floor(replay.ticks * game.TICK_MS) !== match.durationMs) {
+      return badRequest(res, 'replay', 'Replay is not as long as the match');
+    }
+
+    // The stored match must be the one the replay plays out
+    const end = simulateReplay(game, replay, presets);
+    if (!end) {
+      return badRequest(res, 'replay', 'Replay does not finish the match');
+    }
+    const saved = await saveReplay(matchId, playerId, JSON.stringify(replay), replay.ticks, end.durationMs, end.setScores || null);
+    return res.json(saved);
+  } catch (err) {
+    const status = SAVE_ERRORS[err?.number];
+    if (status === 400) {
+      return badRequest(res, err.number === 50002 ? 'matchId' : 'replay', err.message);
+    }
+    if (status) {
+      return res.status(status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stored replays without their data: ?matchId=, ?playerId= (either side of the match), ?limit=
+router.get('/', async (req, res) => {
+  try {
+    const query = validate(res, listQuery, req.query);
+    if (!query) return;
+    const replays = await listReplays(query.matchId, query.playerId, query.limit);
+    return res.json(replays);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/:replayId', async (req, res) => {
+  try {
+    const params = validate(res, { replayId: id() }, req.params);
+    if (!params) return;
+    const stored = await getReplay(params.replayId);
+    if (!stored) {
+      return res.status(404).json({ error: 'Replay not found' });
+    }
+    const { data, ...summary } = stored;
+    return res.json({ ...summary, replay: JSON.parse(data) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
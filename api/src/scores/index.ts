@@ -1,12 +1,42 @@
 import express from 'express'
 const router = express.Router()
 
-import { updatePlayerScore, getPlayerScoreHistory } from '../shared/database'
+import { updatePlayerScore, getPlayerScoreHistory, claimMatchSession } from '../shared/database'
+import { verifyMatchToken } from '../shared/matchToken'
+import { checkScoreSubmission, rejectSubmission } from '../shared/anticheat'
+import { loadGame } from '../multiplayer/game'
+import { CUSTOM_DIFFICULTY } from '../shared/rating'
+import { requirePlayer } from '../shared/auth'
+import { idempotent } from '../shared/idempotency'
+import { validate, badRequest, optional, id, text, integer } from '../shared/validation'
 
-router.post('/', async (req, res) => {
+// Far more points than any match format has
+const MAX_SCORE = 10000
+
+const scoreBody = {
+  playerId: id(),
+  score: integer({ min: 0, max: MAX_SCORE }),
+  matchToken: optional(text({ max: 2000 }), null)
+}
+
+router.post('/', idempotent('score'), async (req, res) => {
   try {
-    const body = req.body as any
-    if (!body.playerId || typeof body.score !== 'number') return res.status(400).json({ error: 'playerId and score are required' })
+    const body = validate(res, scoreBody, req.body)
+    if (!body) return
+    if (!requirePlayer(res, body.playerId)) return
+    if (!body.matchToken) return badRequest(res, 'matchToken', 'matchToken is required (POST /matches/start when the match begins)')
+
+    // Anti-cheat: the score of a match this player started, submitted once, and possible in the time played
+    const claims = verifyMatchToken(body.matchToken)
+    if (!claims) return rejectSubmission(res, 'score', body.playerId, 'Invalid match token', body)
+    // The score leaderboard is for the ranked presets
+    if (claims.difficulty === CUSTOM_DIFFICULTY) return badRequest(res, 'matchToken', 'Matches at a custom difficulty are not ranked')
+    // Checked before the session is claimed, so a refused score doesn't use up the token
+    const reason = checkScoreSubmission(await loadGame(), claims, body.playerId, body.score)
+    if (reason) return rejectSubmission(res, 'score', body.playerId, reason, body)
+    if (!(await claimMatchSession(claims.sessionId, 'score'))) {
+      return rejectSubmission(res, 'score', body.playerId, 'Match token was already used', body)
+    }
 
     const updatedPlayer = await updatePlayerScore(body.playerId, body.score)
     return res.json(updatedPlayer)
@@ -19,8 +49,9 @@ router.post('/', async (req, res) => {
 // If you need score history
 router.get('/:playerId/history', async (req, res) => {
   try {
-    const playerId = req.params.playerId
-    const history = await getPlayerScoreHistory(playerId)
+    const params = validate(res, { playerId: id() }, req.params)
+    if (!params) return
+    const history = await getPlayerScoreHistory(params.playerId)
     return res.json(history)
   } catch (err) {
     console.error(err)
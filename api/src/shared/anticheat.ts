@@ -0,0 +1,209 @@
+import { Response } from 'express';
+import { GameModules, MatchFormat } from '../multiplayer/game';
+import { MatchClaims } from './matchToken';
+import { flagSubmission, MatchWinner, PointLogEntry } from './database';
+
+// How long a match token stays valid: a best-of-5 with a few pauses fits comfortably
+export const MATCH_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Slack between the client's simulated match time and the server's clock
+export const CLOCK_TOLERANCE_MS = 2000;
+
+export interface MatchSubmission {
+  playerId: string;
+  difficulty: string;
+  mode: 'copilot' | 'pvp';
+  opponentId: string | null;
+  durationMs: number;
+  setScores: string | null;
+  points?: { player: number; opponent: number } | null;
+  winner?: MatchWinner | null;
+  longestRally?: number | null;
+  pointLog?: PointLogEntry[] | null;
+  adaptiveLevel?: number | null;
+  replay?: any;
+}
+
+// Whether a set's games ("6-4", "7-6(5)") are a set played to its end in the format
+function setFinished(mine: number, theirs: number, format: MatchFormat): boolean {
+  const [most, least] = mine > theirs ? [mine, theirs] : [theirs, mine];
+  const target = format.gamesPerSet;
+  if (most === target) return least <= target - 2;
+  // Past the target by two clear games, or one game more with a tie-break at target-all
+  if (format.tieBreak) return most === target + 1 && least >= target - 1;
+  return most > target && least === most - 2;
+}
+
+// Who won by set scores that finish a match in one of the formats, or null if they don't: every
+// set is played out and the winner's last set takes them to the sets the format needs
+function finishedWinner(setScores: string | null, formats: MatchFormat[]): MatchWinner | null {
+  const sets = [...(setScores || '').matchAll(/(\d+)-(\d+)/g)].map(([, mine, theirs]) => [Number(mine), Number(theirs)]);
+  if (!sets.length) return null;
+  const [lastMine, lastTheirs] = sets[sets.length - 1];
+  const winner: MatchWinner = lastMine > lastTheirs ? 'player' : 'opponent';
+  const won = sets.filter(([mine, theirs]) => (mine > theirs) === (winner === 'player')).length;
+  const finishes = formats.some(format => {
+    const setsToWin = Math.floor(format.bestOf / 2) + 1;
+    return won === setsToWin && sets.length - won < setsToWin && sets.every(([mine, theirs]) => setFinished(mine, theirs, format));
+  });
+  return finishes ? winner : null;
+}
+
+// The winner by set scores that finish the match in `format` (in any format without one), or null
+export function setsWinner(game: GameModules, setScores: string | null, format: string | null): MatchWinner | null {
+  return finishedWinner(setScores, format ? [game.MATCH_FORMATS[format]] : Object.values(game.MATCH_FORMATS));
+}
+
+// Why the parts of a submitted outcome disagree with each other, or null. A winner is only taken
+// from set scores that finish the match in its format (a re-simulated replay has produced them).
+function checkOutcome(submission: MatchSubmission, formats: MatchFormat[]): string | null {
+  const { points, winner, pointLog, longestRally } = submission;
+  if (winner) {
+    const finished = finishedWinner(submission.setScores, formats);
+    if (!finished) return `Set scores ${submission.setScores || '(none)'} do not finish the match, so they name no winner`;
+    if (finished !== winner) return `Winner ${winner} does not match the set scores ${submission.setScores}`;
+  }
+  if (!pointLog) return null;
+  if (!points) return 'A point log needs the points of both sides';
+  const won = pointLog.filter(point => point.winner === 'player').length;
+  if (won !== points.player || pointLog.length - won !== points.opponent) {
+    return 'Point log does not add up to the submitted points';
+  }
+  if (pointLog.some((point, i) => point.timeMs > submission.durationMs || (i > 0 && point.timeMs < pointLog[i - 1].timeMs))) {
+    return 'Point log times are out of order or past the end of the match';
+  }
+  if (longestRally != null && longestRally !== Math.max(0, ...pointLog.map(point => point.strokes))) {
+    return 'Longest rally does not match the point log';
+  }
+  return null;
+}
+
+// A token past its lifetime no longer ranks a result (see checkUnrankedSubmission)
+export function matchTokenExpired(claims: MatchClaims, now: number = Date.now()): boolean {
+  return now - claims.issuedAt > MATCH_TOKEN_TTL_MS;
+}
+
+// The token is this player's and still valid
+function checkClaims(claims: MatchClaims, playerId: string, now: number): string | null {
+  if (claims.playerId !== playerId) return 'Match token was issued to another player';
+  if (matchTokenExpired(claims, now)) return 'Match token has expired';
+  return null;
+}
+
+// Play a replay to its end; the matchEnd event, or null if the inputs run out first. A replay with
+// its difficulty's settings plays at those (the caller checks they are the ones it expects), one
+// without them at its difficulty's in `difficultySettings` (the presets as the API plays them).
+export function simulateReplay(game: GameModules, replay: any, difficultySettings: Record<string, unknown>): any | null {
+  const player = new game.ReplayPlayer(replay, difficultySettings);
+  while (!player.finished) {
+    const end = player.step().find((event: any) => event.type === 'matchEnd');
+    if (end) return end;
+  }
+  return null;
+}
+
+// Why a submitted match result can't be genuine, or null if it passes every check:
+// the token matches the submission, the time is possible for the format and difficulty and fits
+// in the time since the match started, and the replay re-simulates to the same result. A Copilot
+// match always needs its replay: only the re-simulation says who won, how fast and, against the
+// adaptive Copilot, at what level, not the client.
+// A daily challenge replay is played on the challenge's seed and match modifier.
+export function checkMatchSubmission(game: GameModules, claims: MatchClaims, submission: MatchSubmission, now: number = Date.now()): string | null {
+  const claimsError = checkClaims(claims, submission.playerId, now);
+  if (claimsError) return claimsError;
+  if (submission.mode !== claims.mode) return `Match token was issued for a ${claims.mode} match`;
+  if (claims.mode === 'pvp' && submission.opponentId !== claims.opponentId) return 'Match token was issued for another opponent';
+  // The client names the difficulty its engine played; the token may record it under another one
+  const playedAs = claims.playedAs || claims.difficulty;
+  if (claims.mode === 'copilot' && submission.difficulty !== playedAs) return `Match token was issued for ${playedAs} difficulty`;
+
+  const opponent = claims.mode === 'pvp' ? 'human' : 'copilot';
+  const settings = claims.settings || game.DIFFICULTY_SETTINGS[claims.difficulty];
+  const fastest = game.minMatchDurationMs(claims.format, settings, opponent);
+  if (submission.durationMs < fastest) {
+    return `Match time ${submission.durationMs}ms is faster than the fastest possible ${fastest}ms`;
+  }
+  const elapsed = now - claims.issuedAt;
+  if (submission.durationMs > elapsed + CLOCK_TOLERANCE_MS) {
+    return `Match time ${submission.durationMs}ms is longer than the ${elapsed}ms since the match started`;
+  }
+
+  const outcomeError = checkOutcome(submission, [game.MATCH_FORMATS[claims.format]]);
+  if (outcomeError) return outcomeError;
+
+  // Points are at least a score delay apart, like the match time
+  const { points } = submission;
+  if (points && game.maxPointsIn(submission.durationMs) < points.player + points.opponent) {
+    return `${points.player + points.opponent} points can't be played in ${submission.durationMs}ms`;
+  }
+
+  if (claims.mode === 'copilot' && submission.replay == null) return 'A Copilot match result needs its replay';
+  if (claims.daily && !points) return 'A daily challenge result needs its points';
+  if (submission.replay == null) return null;
+  const replay = submission.replay;
+  const replayError = game.validateReplay(replay, claims.settings ? null : game.DIFFICULTY_SETTINGS);
+  if (replayError) return `Invalid replay: ${replayError}`;
+  // Replays from before settings were saved can only play the built-in preset the token names
+  const replaySettings = replay.settings ?? (claims.settings ? null : settings);
+  if (replay.difficulty !== playedAs || replay.format !== claims.format || replay.opponent !== opponent
+    || !replaySettings || game.difficultyHash(replaySettings) !== game.difficultyHash(settings)) {
+    return 'Replay settings differ from the started match';
+  }
+  if (claims.mode === 'copilot'
+    && (replay.personality || game.DEFAULT_PERSONALITY) !== (claims.personality || game.DEFAULT_PERSONALITY)) {
+    return 'Replay was played against another Copilot personality';
+  }
+  if ((replay.modifier || null) !== (claims.daily?.modifier || null)) return 'Replay was played with another match modifier';
+  // The replay's starting rng state is the client's too: a daily match draws from the seed itself
+  if (claims.daily && (replay.seed !== claims.daily.seed || replay.rng !== claims.daily.seed)) {
+    return 'Replay was not played on the daily challenge\'s seed';
+  }
+  const end = simulateReplay(game, replay, { [replay.difficulty]: settings });
+  if (!end || end.durationMs !== submission.durationMs || (end.setScores || null) !== (submission.setScores || null)
+    || (points && (end.playerScore !== points.player || end.copilotScore !== points.opponent))
+    || (submission.winner && (end.winner === 'player') !== (submission.winner === 'player'))
+    || (submission.longestRally != null && end.longestRally !== submission.longestRally)
+    || (submission.pointLog && JSON.stringify(end.pointLog) !== JSON.stringify(submission.pointLog))
+    || (submission.adaptiveLevel ?? null) !== (end.adaptiveLevel ?? null)) {
+    return 'Replay does not reproduce the submitted result';
+  }
+  return null;
+}
+
+// Why a result without a live token can't be genuine, or null. Nothing says when such a match
+// started, so only its own parts are checked: they agree, the points fit in the match time, and an
+// expired token (the result waited in the outbox too long) was this player's, for this kind of match.
+export function checkUnrankedSubmission(game: GameModules, claims: MatchClaims | null, submission: MatchSubmission): string | null {
+  if (claims && claims.playerId !== submission.playerId) return 'Match token was issued to another player';
+  if (claims && submission.mode !== claims.mode) return `Match token was issued for a ${claims.mode} match`;
+  const formats = claims ? [game.MATCH_FORMATS[claims.format]] : Object.values(game.MATCH_FORMATS);
+  const outcomeError = checkOutcome(submission, formats);
+  if (outcomeError) return outcomeError;
+  const { points } = submission;
+  if (points && game.maxPointsIn(submission.durationMs) < points.player + points.opponent) {
+    return `${points.player + points.opponent} points can't be played in ${submission.durationMs}ms`;
+  }
+  return null;
+}
+
+// Why a submitted score (points won in a match against the Copilot) can't be genuine, or null
+export function checkScoreSubmission(game: GameModules, claims: MatchClaims, playerId: string, score: number, now: number = Date.now()): string | null {
+  const claimsError = checkClaims(claims, playerId, now);
+  if (claimsError) return claimsError;
+  if (claims.mode !== 'copilot') return `Match token was issued for a ${claims.mode} match`;
+  if (!Number.isInteger(score) || score < 0) return `Score ${score} is not a whole number of points`;
+  const most = game.maxPointsIn(now - claims.issuedAt + CLOCK_TOLERANCE_MS);
+  if (score > most) return `Score ${score} is more points than the ${most} that fit in the time since the match started`;
+  return null;
+}
+
+// Refuse a submission that failed the checks: log it and keep it for review instead of storing it
+export async function rejectSubmission(res: Response, kind: 'match' | 'score', playerId: string, reason: string, body: unknown) {
+  console.warn(`Rejected ${kind} submission from ${playerId}: ${reason}`);
+  try {
+    await flagSubmission(playerId, kind, reason, JSON.stringify(body));
+  } catch {
+    // flagSubmission logged it; the submission is refused either way
+  }
+  return res.status(422).json({ error: reason, flagged: true });
+}
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import { Request, Response, NextFunction } from 'express';
+import { createAuthSession, getAuthSession, deleteAuthSession } from './database';
+
+// Sign-in sessions. The browser holds a random token in an HTTP-only cookie; the database only keeps
+// its SHA-256 hash. Every player gets one: guests (anonymous players) when they register on
+// POST /players, accounts when they sign in (see auth/index.ts). Write routes check that the
+// playerId they are given is the session's; the multiplayer WebSocket plays as the session's player.
+export const SESSION_COOKIE = 'ace2ace_session';
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+export interface AuthContext {
+  playerId: string;
+  guest: boolean;
+  tokenHash: string;
+}
+
+export function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function newToken(): string {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Passwords: "scrypt$<salt>$<key>", both base64url
+export function hashPassword(password: string): Promise<string> {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt.toString('base64url')}$${key.toString('base64url')}`);
+    });
+  });
+}
+
+export function verifyPassword(password: string, stored: string | null): Promise<boolean> {
+  const [scheme, salt, key] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return Promise.resolve(false);
+  const expected = Buffer.from(key, 'base64url');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(salt, 'base64url'), expected.length, (err, actual) => {
+      if (err) return reject(err);
+      resolve(crypto.timingSafeEqual(actual, expected));
+    });
+  });
+}
+
+export function parseCookies(header: string | undefined): Record<string, string> {
+  const cookies: Record<string, string> = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+// Set-Cookie value for the session token (an empty token with maxAgeMs 0 clears it)
+export function sessionCookie(token: string, maxAgeMs: number, secure: boolean): string {
+  const parts = [`${SESSION_COOKIE}=${encodeURIComponent(token)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${Math.floor(maxAgeMs / 1000)}`];
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+function isSecure(req: Request): boolean {
+  return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
+// The live session a Cookie header names, if any
+export async function sessionFromCookie(header: string | undefined): Promise<AuthContext | null> {
+  const token = parseCookies(header)[SESSION_COOKIE];
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const session = await getAuthSession(tokenHash);
+  return session ? { playerId: String(session.playerId).toLowerCase(), guest: session.guest, tokenHash } : null;
+}
+
+// Middleware: res.locals.auth is the request's session, if its cookie names a live one
+export async function authenticate(req: Request, res: Response, next: NextFunction) {
+  try {
+    const auth = await sessionFromCookie(req.headers.cookie);
+    if (auth) res.locals.auth = auth;
+    return next();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+export function getAuth(res: Response): AuthContext | null {
+  return res.locals.auth || null;
+}
+
+// Start a session for `playerId` in place of the request's current one
+export async function startSession(req: Request, res: Response, playerId: string, guest: boolean): Promise<AuthContext> {
+  const previous = getAuth(res);
+  if (previous) await deleteAuthSession(previous.tokenHash);
+  const token = newToken();
+  const auth: AuthContext = { playerId: String(playerId).toLowerCase(), guest, tokenHash: hashToken(token) };
+  await createAuthSession(auth.tokenHash, auth.playerId, guest, new Date(Date.now() + SESSION_TTL_MS));
+  res.setHeader('Set-Cookie', sessionCookie(token, SESSION_TTL_MS, isSecure(req)));
+  res.locals.auth = auth;
+  return auth;
+}
+
+export async function endSession(req: Request, res: Response): Promise<void> {
+  const auth = getAuth(res);
+  if (auth) await deleteAuthSession(auth.tokenHash);
+  res.setHeader('Set-Cookie', sessionCookie('', 0, isSecure(req)));
+  res.locals.auth = null;
+}
+
+// True if the request is signed in as `playerId`; otherwise answers 401/403 and returns false
+export function requirePlayer(res: Response, playerId: unknown): boolean {
+  const auth = getAuth(res);
+  if (!auth) {
+    res.status(401).json({ error: 'Not signed in' });
+    return false;
+  }
+  if (typeof playerId !== 'string' || auth.playerId !== playerId.toLowerCase()) {
+    res.status(403).json({ error: 'Signed in as another player' });
+    return false;
+  }
+  return true;
+}
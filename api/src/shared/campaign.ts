@@ -0,0 +1,15 @@
+// Career mode (the tournaments are the game's, front/src/game/campaign.js): where a finished round
+// leaves a player in its tournament. Both storage backends apply it when they record the round, so
+// it doesn't import the database module.
+export interface TierProgress {
+  nextRound: number;
+  titles: number;
+}
+
+// Progress after playing `round` of a tournament of `rounds` rounds: a win moves on to the next round,
+// a loss goes back to the first, and winning the final adds a title and starts the bracket over
+export function advanceCampaign(progress: TierProgress, round: number, rounds: number, won: boolean): TierProgress {
+  if (!won) return { nextRound: 0, titles: progress.titles };
+  if (round >= rounds - 1) return { nextRound: 0, titles: progress.titles + 1 };
+  return { nextRound: round + 1, titles: progress.titles };
+}
@@ -0,0 +1,10 @@
+import { randomInt } from 'crypto';
+import { GameModules } from '../multiplayer/game';
+import { saveDailyChallenge, DailyChallenge } from './database';
+
+// The daily challenge (the challenges are the game's, front/src/game/daily.js): the challenge of a
+// day as the API plays it. The first request of the day draws its seed at random and stores it, so
+// nobody can work out a day's challenge before it starts, and every later request gets the stored one.
+export function loadDailyChallenge(game: GameModules, day: string = game.challengeDay()): Promise<DailyChallenge> {
+  return saveDailyChallenge(game.dailyChallenge(day, randomInt(0x100000000)));
+}
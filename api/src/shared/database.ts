@@ -1,86 +1,7 @@
-import * as sql from 'mssql';
-
-let pool: sql.ConnectionPool | null = null;
-
-export async function getDbPool(): Promise<sql.ConnectionPool> {
-  if (pool && pool.connected) {
-    return pool;
-  }
-
-  const connectionString = process.env.AZURE_SQL_CONNECTIONSTRING;
-  if (!connectionString) {
-    throw new Error('AZURE_SQL_CONNECTIONSTRING environment variable is not set');
-  }
-
-  try {
-    pool = new sql.ConnectionPool(connectionString);
-    await pool.connect();
-    
-    // Initialize database schema if needed
-    await initializeSchema(pool);
-    
-    return pool;
-  } catch (error) {
-    console.error('Database connection failed:', error);
-    throw error;
-  }
-}
-
-async function initializeSchema(pool: sql.ConnectionPool): Promise<void> {
-  try {
-    const request = pool.request();
-    
-    // Create Players table if it doesn't exist
-    await request.query(`
-      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='Players' AND xtype='U')
-      BEGIN
-        CREATE TABLE Players (
-          PlayerId UNIQUEIDENTIFIER PRIMARY KEY,
-          PlayerName NVARCHAR(100) NOT NULL,
-          CurrentScore INT DEFAULT 0,
-          BestScore INT DEFAULT 0,
-          GamesPlayed INT DEFAULT 0,
-          CreatedAt DATETIME2 DEFAULT GETDATE(),
-          LastSeenAt DATETIME2 DEFAULT GETDATE()
-        )
-      END
-    `);
-
-    // Create GameScores table for score history
-    await request.query(`
-      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='GameScores' AND xtype='U')
-      BEGIN
-        CREATE TABLE GameScores (
-          ScoreId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
-          PlayerId UNIQUEIDENTIFIER NOT NULL,
-          Score INT NOT NULL,
-          GameDate DATETIME2 DEFAULT GETDATE(),
-          FOREIGN KEY (PlayerId) REFERENCES Players(PlayerId)
-        )
-      END
-    `);
-
-    // Create Matches table for match duration and difficulty
-    await request.query(`
-      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='Matches' AND xtype='U')
-      BEGIN
-        CREATE TABLE Matches (
-          MatchId UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
-          PlayerId UNIQUEIDENTIFIER NOT NULL,
-          Difficulty NVARCHAR(50) NOT NULL,
-          DurationMs INT NOT NULL,
-          CreatedAt DATETIME2 DEFAULT GETDATE(),
-          FOREIGN KEY (PlayerId) REFERENCES Players(PlayerId)
-        )
-      END
-    `);
-
-    console.log('Database schema initialized successfully');
-  } catch (error) {
-    console.error('Failed to initialize database schema:', error);
-    throw error;
-  }
-}
+import type { RatingChange } from './rating';
+import type { LeaderboardQuery } from './leaderboard';
+import { sqlRepository } from './storage/sqlServer';
+import { MemoryRepository } from './storage/memory';
 
 export interface Player {
   playerId: string;
@@ -92,6 +13,35 @@ export interface Player {
   lastSeenAt?: Date;
 }
 
+// A signed-in (or guest) player's sign-in details; never sent to other players
+export interface Account {
+  playerId: string;
+  playerName: string;
+  email: string | null;
+  passwordHash: string | null;
+}
+
+export interface AuthSession {
+  playerId: string;
+  guest: boolean;
+  expiresAt: Date;
+}
+
+// A request already made with an Idempotency-Key: its response, or null fields while it is running
+export interface IdempotentResponse {
+  statusCode: number | null;
+  body: string | null;
+}
+
+// A difficulty preset set on the server (see shared/difficulties.ts): its settings as JSON, and
+// whether runs at it are ranked
+export interface DifficultyPresetRow {
+  difficultyId: string;
+  settings: string;
+  ranked: boolean;
+  updatedAt: Date;
+}
+
 export interface GameScore {
   scoreId: string;
   playerId: string;
@@ -104,300 +54,339 @@ export interface Match {
   playerId: string;
   difficulty: string;
   durationMs: number;
+  setScores?: string | null;
+  mode: MatchMode;
+  opponentId?: string | null;
+  playerPoints?: number | null;
+  opponentPoints?: number | null;
+  winner?: MatchWinner | null;
+  pointsPlayed?: number | null;
+  longestRally?: number | null;
+  personality?: string | null;   // The Copilot's personality (Copilot matches)
+  adaptiveLevel?: number | null; // The level an adaptive Copilot played at, 0..1
+  settingsHash?: string | null;  // Hash of the difficulty settings played (front/src/game/customDifficulty.js)
+  createdAt: Date;
+}
+
+// Which side of a Matches row won: PlayerId's, or the opponent's (OpponentId or the Copilot)
+export type MatchWinner = 'player' | 'opponent';
+
+// Points won by each side of a match
+export interface MatchPoints {
+  player: number;
+  opponent: number;
+}
+
+// One point of a match, as the engine logs it ('player' is PlayerId's side, 'copilot' the other)
+export interface PointLogEntry {
+  timeMs: number;
+  winner: 'player' | 'copilot';
+  server: 'player' | 'copilot';
+  strokes: number;
+  reason: string | null;
+}
+
+// Everything known about how a match went, besides its time and set scores
+export interface MatchOutcome {
+  winner?: MatchWinner | null;
+  points?: MatchPoints | null;
+  longestRally?: number | null;
+  pointLog?: PointLogEntry[] | null;
+  personality?: string | null;   // Who the Copilot played as (front/src/game/ai.js)
+  adaptiveLevel?: number | null; // Level of an adaptive Copilot (front/src/game/adaptive.js)
+  settingsHash?: string | null;
+}
+
+// One of a player's matches, seen from their side (see shared/stats.ts)
+export interface PlayerMatchRow {
+  mode: MatchMode;
+  difficulty: string;
+  personality: string | null;
+  durationMs: number;
+  setScores: string | null;   // The player's games first
+  winner: MatchWinner | null; // 'player' is this player
+  playerPoints: number | null;
+  opponentPoints: number | null;
+  createdAt: Date;
+}
+
+// Where a match session's result stands: the match it recorded, if any, and whether everything that
+// goes with it (ratings, campaign, replay...) was recorded too, which uses up its token
+export interface MatchSessionState {
+  match: Match | null;
+  submitted: boolean;
+}
+
+// A stored replay without its data, for listings
+export interface ReplaySummary {
+  replayId: string;
+  matchId: string;
+  playerId: string;
+  ticks: number;
+  durationMs: number;
+  createdAt: Date;
+}
+
+export interface Replay extends ReplaySummary {
+  data: string;             // The replay file as JSON
+}
+
+// 'pvp' is local versus on one device, 'online' a networked match run by the multiplayer server
+export type MatchMode = 'copilot' | 'pvp' | 'online';
+
+// A rating leaderboard entry, or one of a player's own ratings
+export interface PlayerRating {
+  playerId: string;
+  playerName: string | null;
+  difficulty: string;
+  rating: number;
+  matchesRated: number;
+  updatedAt: Date | null;
+}
+
+// One rating change from a player's history
+export interface RatingHistoryEntry {
+  matchId: string;
+  difficulty: string;
+  ratingBefore: number;
+  ratingAfter: number;
+  opponentRating: number;
+  won: boolean;
   createdAt: Date;
 }
 
+// Where a player stands in one career tournament (see shared/campaign.ts)
+export interface CampaignProgress {
+  tierId: string;
+  nextRound: number;        // Index of the round to play next
+  titles: number;           // Times the player won the tournament
+  firstTitleAt: Date | null;
+  updatedAt: Date;
+}
+
+// A campaign round a player played
+export interface CampaignMatch {
+  tierId: string;
+  round: number;
+  matchId: string;
+  won: boolean;
+  playedAt: Date;
+}
+
+// A day's challenge as the API first served it (see daily/index.ts)
+export interface DailyChallenge {
+  day: string;              // UTC date, YYYY-MM-DD
+  seed: number;
+  modifier: string;         // Match modifier (front/src/game/modifiers.js)
+  personality: string;
+  difficulty: string;
+  format: string;
+  createdAt: Date;
+}
+
+// The result of a player's ranked daily challenge attempt
+export interface DailyResult {
+  matchId: string;
+  won: boolean;
+  playerPoints: number;
+  opponentPoints: number;
+  durationMs: number;
+}
+
+// A player's finished attempt on a day's leaderboard
+export interface DailyEntry extends DailyResult {
+  rank: number;
+  playerId: string;
+  playerName: string | null;
+  completedAt: Date;
+}
+
 // New: Best timer per player interface
 export interface BestTimer {
+  rank: number;
   playerId: string;
   playerName: string | null;
   bestDurationMs: number;
   achievedAt: Date | null;
 }
 
-export async function upsertPlayer(playerId: string, playerName: string): Promise<Player> {
-  const pool = await getDbPool();
-  const request = pool.request();
-
-  try {
-    const result = await request
-      .input('playerId', sql.VarChar(36), playerId)
-      .input('playerName', sql.NVarChar(100), playerName)
-      .query(`
-        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
-        DECLARE @existingName NVARCHAR(100) = (
-          SELECT PlayerName FROM Players WHERE PlayerId = @pid
-        );
-
-        -- If the provided ID exists but the name is different, create a NEW player with a NEW ID
-        IF @existingName IS NOT NULL AND @existingName <> @playerName
-        BEGIN
-          DECLARE @newPid UNIQUEIDENTIFIER = NEWID();
-          INSERT INTO Players (PlayerId, PlayerName, CreatedAt, LastSeenAt)
-          VALUES (@newPid, @playerName, GETDATE(), GETDATE());
-
-          SELECT PlayerId, PlayerName, CurrentScore, BestScore, GamesPlayed, CreatedAt, LastSeenAt
-          FROM Players 
-          WHERE PlayerId = @newPid;
-        END
-        ELSE
-        BEGIN
-          -- Standard upsert by PlayerId
-          IF @pid IS NULL SET @pid = NEWID();
-          MERGE Players AS target
-          USING (SELECT @pid AS PlayerId, @playerName AS PlayerName) AS source
-          ON target.PlayerId = source.PlayerId
-          WHEN MATCHED THEN
-            UPDATE SET 
-              PlayerName = source.PlayerName,
-              LastSeenAt = GETDATE()
-          WHEN NOT MATCHED THEN
-            INSERT (PlayerId, PlayerName, CreatedAt, LastSeenAt)
-            VALUES (source.PlayerId, source.PlayerName, GETDATE(), GETDATE());
-
-          SELECT PlayerId, PlayerName, CurrentScore, BestScore, GamesPlayed, CreatedAt, LastSeenAt
-          FROM Players 
-          WHERE PlayerId = @pid;
-        END
-      `);
-
-    const player = result.recordset[0];
-    return {
-      playerId: player.PlayerId,
-      playerName: player.PlayerName,
-      currentScore: player.CurrentScore || 0,
-      bestScore: player.BestScore || 0,
-      gamesPlayed: player.GamesPlayed || 0,
-      createdAt: player.CreatedAt,
-      lastSeenAt: player.LastSeenAt
-    };
-  } catch (error) {
-    console.error('Failed to upsert player:', error);
-    throw error;
-  }
+// A player's best score over a leaderboard period, and the games they played in it
+export interface ScoreEntry {
+  rank: number;
+  playerId: string;
+  playerName: string | null;
+  bestScore: number;
+  gamesPlayed: number;
 }
 
-export async function getPlayer(playerId: string): Promise<Player | null> {
-  const pool = await getDbPool();
-  const request = pool.request();
-
-  try {
-    const result = await request
-      .input('playerId', sql.VarChar(36), playerId)
-      .query(`
-        SELECT PlayerId, PlayerName, CurrentScore, BestScore, GamesPlayed, CreatedAt, LastSeenAt
-        FROM Players 
-        WHERE PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId)
-      `);
-
-    if (result.recordset.length === 0) {
-      return null;
-    }
-
-    const player = result.recordset[0];
-    return {
-      playerId: player.PlayerId,
-      playerName: player.PlayerName,
-      currentScore: player.CurrentScore || 0,
-      bestScore: player.BestScore || 0,
-      gamesPlayed: player.GamesPlayed || 0,
-      createdAt: player.CreatedAt,
-      lastSeenAt: player.LastSeenAt
-    };
-  } catch (error) {
-    console.error('Failed to get player:', error);
-    throw error;
-  }
+// One page of a ranked leaderboard, and where the requesting player stands in it
+export interface LeaderboardPage<T> {
+  total: number;          // Players ranked over the period
+  entries: T[];           // Ranks offset+1 .. offset+limit
+  me: T | null;           // The requesting player's entry, if they are ranked
+  around: T[];            // The requesting player and their neighbours
 }
 
-export async function updatePlayerScore(playerId: string, score: number): Promise<Player> {
-  const pool = await getDbPool();
-  const request = pool.request();
-
-  try {
-    await request
-      .input('playerId', sql.VarChar(36), playerId)
-      .input('score', sql.Int, score)
-      .query(`
-        BEGIN TRAN;
-        
-        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
-        IF @pid IS NULL 
-        BEGIN
-          ROLLBACK TRAN;
-          THROW 50001, 'Invalid playerId', 1;
-        END
-
-        -- Ensure player exists to avoid FK violation
-        IF NOT EXISTS (SELECT 1 FROM Players WHERE PlayerId = @pid)
-        BEGIN
-          INSERT INTO Players (PlayerId, PlayerName, CreatedAt, LastSeenAt)
-          VALUES (@pid, N'Player', GETDATE(), GETDATE());
-        END
-
-        -- Update aggregate stats
-        UPDATE Players 
-        SET 
-          CurrentScore = @score,
-          BestScore = CASE WHEN @score > BestScore THEN @score ELSE BestScore END,
-          GamesPlayed = GamesPlayed + 1,
-          LastSeenAt = GETDATE()
-        WHERE PlayerId = @pid;
-
-        -- Insert score history row
-        INSERT INTO GameScores (PlayerId, Score)
-        VALUES (@pid, @score);
-
-        COMMIT TRAN;
-      `);
-
-    const player = await getPlayer(playerId);
-    if (!player) {
-      throw new Error('Player not found after score update');
-    }
 
-    return player;
-  } catch (error) {
-    // Best-effort rollback if transaction still open
-    try { await pool.request().query('IF @@TRANCOUNT > 0 ROLLBACK TRAN;'); } catch {}
-    console.error('Failed to update player score:', error);
-    throw error;
-  }
+// Everything the API stores, behind one interface so the backend can be swapped: Azure SQL
+// (storage/sqlServer.ts) in deployments, or an in-memory store (storage/memory.ts) for local
+// development and tests. Both fail the same way: errors carry the SQL error `number` the routers
+// check (50002 invalid id, 50004-50007 replay refused, 50010/50011 account conflicts, 50012 match
+// session already used).
+export interface Repository {
+  // Check the store can be used (connecting to it first if needed)
+  ping(): Promise<void>;
+  close(): Promise<void>;
+
+  upsertPlayer(playerId: string, playerName: string): Promise<Player>;
+  getPlayer(playerId: string): Promise<Player | null>;
+  updatePlayerScore(playerId: string, score: number): Promise<Player>;
+  getPlayerScoreHistory(playerId: string, limit?: number): Promise<GameScore[]>;
+  // All of the player's matches (oldest first, from their point of view) and score history. Matches
+  // they were the opponent in only count when the server ran them (online): anyone can post a local
+  // versus result naming any opponent.
+  getPlayerStatsSource(playerId: string): Promise<{ matches: PlayerMatchRow[]; scores: GameScore[] }>;
+  // Best scores: all time from the players' best, otherwise the best game each player scored in the period
+  getLeaderboard(query: LeaderboardQuery): Promise<LeaderboardPage<ScoreEntry>>;
+  // Record a finished match with its outcome, atomically. With recordScores, each human side also gets
+  // its points added to its score history. PvP and online matches pass the second player's id as opponentId.
+  // A match with a sessionId is that match session's, claimed in the same transaction: 50012 if the
+  // session already has a match (or doesn't exist), and its score is only recorded if the session's
+  // score wasn't posted yet.
+  recordMatch(playerId: string, difficulty: string, durationMs: number, setScores?: string | null, opponentId?: string | null, mode?: MatchMode, outcome?: MatchOutcome, recordScores?: boolean, sessionId?: string | null): Promise<Match>;
+  getMatch(matchId: string): Promise<Match | null>;
+  // Each player's fastest win against Copilot (at one difficulty, or any ranked one when null)
+  getBestMatchTimers(difficulty: string | null, query: LeaderboardQuery): Promise<LeaderboardPage<BestTimer>>;
+
+  // Move the ratings of a recorded match's sides and log each change; a second call changes nothing
+  recordMatchRatings(match: Match): Promise<RatingChange[]>;
+  getRatingLeaderboard(difficulty: string, limit?: number): Promise<PlayerRating[]>;
+  getPlayerRatings(playerId: string, historyLimit?: number): Promise<{ ratings: PlayerRating[]; history: RatingHistoryEntry[] }>;
+
+  getCampaignProgress(playerId: string, matchLimit?: number): Promise<{ progress: CampaignProgress[]; matches: CampaignMatch[] }>;
+  // Record a campaign round played as `matchId` and move the player on in the tournament (of `rounds`
+  // rounds); null, with nothing recorded, if `round` isn't the one the player was due to play
+  recordCampaignMatch(playerId: string, tierId: string, round: number, rounds: number, matchId: string, won: boolean): Promise<CampaignProgress | null>;
+
+  // The stored challenge of `challenge.day`, storing this one first if there is none yet
+  saveDailyChallenge(challenge: Omit<DailyChallenge, 'createdAt'>): Promise<DailyChallenge>;
+  // Take the player's one ranked attempt at the day's challenge for a match session; false if
+  // they already had it (the match is then played unranked)
+  claimDailyAttempt(day: string, playerId: string, sessionId: string): Promise<boolean>;
+  // Record how the ranked attempt went; false if the session isn't the player's ranked one or it
+  // already has a result
+  completeDailyAttempt(day: string, playerId: string, sessionId: string, result: DailyResult): Promise<boolean>;
+  // The day's finished attempts: wins first, then by point margin, then fastest
+  getDailyLeaderboard(day: string, query: LeaderboardQuery): Promise<LeaderboardPage<DailyEntry>>;
+
+  saveReplay(matchId: string, playerId: string, data: string, ticks: number, durationMs: number, setScores: string | null): Promise<ReplaySummary>;
+  getReplay(replayId: string): Promise<Replay | null>;
+  // Newest first; a player's are those of their matches, as in getPlayerStatsSource
+  listReplays(matchId: string | null, playerId: string | null, limit?: number): Promise<ReplaySummary[]>;
+
+  createMatchSession(sessionId: string, playerId: string, difficulty: string, format: string, mode: string): Promise<void>;
+  claimMatchSession(sessionId: string, use: 'match' | 'score'): Promise<boolean>;
+  getMatchSession(sessionId: string): Promise<MatchSessionState | null>;
+  flagSubmission(playerId: string | null, kind: string, reason: string, payload: string): Promise<void>;
+
+  listDifficultyPresets(): Promise<DifficultyPresetRow[]>;
+  saveDifficultyPreset(difficultyId: string, settings: string, ranked: boolean): Promise<void>;
+  // False if there was no such preset
+  deleteDifficultyPreset(difficultyId: string): Promise<boolean>;
+
+  getAccount(playerId: string): Promise<Account | null>;
+  getAccountByEmail(email: string): Promise<Account | null>;
+  claimAccount(playerId: string, email: string, passwordHash: string | null): Promise<Account>;
+  createAccount(playerName: string, email: string, passwordHash: string | null): Promise<Account>;
+  renamePlayer(playerId: string, playerName: string): Promise<Player | null>;
+  mergePlayers(fromPlayerId: string, toPlayerId: string): Promise<void>;
+  createAuthSession(tokenHash: string, playerId: string, guest: boolean, expiresAt: Date): Promise<void>;
+  getAuthSession(tokenHash: string): Promise<AuthSession | null>;
+  deleteAuthSession(tokenHash: string): Promise<void>;
+  createSignInLink(tokenHash: string, email: string, guestPlayerId: string | null, expiresAt: Date): Promise<void>;
+  useSignInLink(tokenHash: string): Promise<{ email: string; guestPlayerId: string | null } | null>;
+
+  // Claim an Idempotency-Key for a player's request to one route: null if it is new (and now taken),
+  // otherwise what is known of the earlier request. Keys older than a day are forgotten.
+  claimIdempotencyKey(playerId: string, scope: string, key: string): Promise<IdempotentResponse | null>;
+  completeIdempotencyKey(playerId: string, scope: string, key: string, statusCode: number, body: string): Promise<void>;
+  // Give the key up (the request failed in a way worth retrying)
+  releaseIdempotencyKey(playerId: string, scope: string, key: string): Promise<void>;
 }
 
-export async function getPlayerScoreHistory(playerId: string, limit: number = 10): Promise<GameScore[]> {
-  const pool = await getDbPool();
-  const request = pool.request();
-
-  try {
-    const result = await request
-      .input('playerId', sql.VarChar(36), playerId)
-      .input('limit', sql.Int, limit)
-      .query(`
-        SELECT TOP (@limit) ScoreId, PlayerId, Score, GameDate
-        FROM GameScores 
-        WHERE PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId)
-        ORDER BY GameDate DESC
-      `);
-
-    return result.recordset.map(record => ({
-      scoreId: record.ScoreId,
-      playerId: record.PlayerId,
-      score: record.Score,
-      gameDate: record.GameDate
-    }));
-  } catch (error) {
-    console.error('Failed to get player score history:', error);
-    throw error;
+export type StorageKind = 'sql' | 'memory';
+
+// STORAGE=sql|memory picks the backend. Without it: SQL when AZURE_SQL_CONNECTIONSTRING is set,
+// otherwise memory, except in production, where a missing database is a configuration error.
+export function storageKind(env: NodeJS.ProcessEnv = process.env): StorageKind {
+  const kind = env.STORAGE;
+  if (kind === 'sql' || kind === 'memory') return kind;
+  if (kind) throw new Error(`STORAGE must be sql or memory, not ${kind}`);
+  if (env.AZURE_SQL_CONNECTIONSTRING) return 'sql';
+  if (env.NODE_ENV === 'production') {
+    throw new Error('AZURE_SQL_CONNECTIONSTRING environment variable is not set (set STORAGE=memory to run without a database)');
   }
+  return 'memory';
 }
 
-export async function getLeaderboard(limit: number = 10): Promise<Player[]> {
-  const pool = await getDbPool();
-  const request = pool.request();
-
-  try {
-    const result = await request
-      .input('limit', sql.Int, limit)
-      .query(`
-        SELECT TOP (@limit) PlayerId, PlayerName, CurrentScore, BestScore, GamesPlayed, CreatedAt, LastSeenAt
-        FROM Players 
-        WHERE BestScore > 0
-        ORDER BY BestScore DESC, GamesPlayed ASC
-      `);
-
-    return result.recordset.map(player => ({
-      playerId: player.PlayerId,
-      playerName: player.PlayerName,
-      currentScore: player.CurrentScore || 0,
-      bestScore: player.BestScore || 0,
-      gamesPlayed: player.GamesPlayed || 0,
-      createdAt: player.CreatedAt,
-      lastSeenAt: player.LastSeenAt
-    }));
-  } catch (error) {
-    console.error('Failed to get leaderboard:', error);
-    throw error;
-  }
-}
+let repository: Repository | null = null;
 
-export async function recordMatch(playerId: string, difficulty: string, durationMs: number): Promise<Match> {
-  const pool = await getDbPool();
-  const request = pool.request();
-
-  try {
-    const result = await request
-      .input('playerId', sql.VarChar(36), playerId)
-      .input('difficulty', sql.NVarChar(50), difficulty)
-      .input('durationMs', sql.Int, durationMs)
-      .query(`
-        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
-        IF @pid IS NULL 
-        BEGIN
-          THROW 50002, 'Invalid playerId', 1;
-        END
-
-        -- Ensure player exists
-        IF NOT EXISTS (SELECT 1 FROM Players WHERE PlayerId = @pid)
-        BEGIN
-          INSERT INTO Players (PlayerId, PlayerName, CreatedAt, LastSeenAt)
-          VALUES (@pid, N'Player', GETDATE(), GETDATE());
-        END
-
-        INSERT INTO Matches (PlayerId, Difficulty, DurationMs)
-        OUTPUT inserted.MatchId, inserted.PlayerId, inserted.Difficulty, inserted.DurationMs, inserted.CreatedAt
-        VALUES (@pid, @difficulty, @durationMs);
-      `);
-
-    const rec = result.recordset[0];
-    return {
-      matchId: rec.MatchId,
-      playerId: rec.PlayerId,
-      difficulty: rec.Difficulty,
-      durationMs: rec.DurationMs,
-      createdAt: rec.CreatedAt
-    };
-  } catch (error) {
-    console.error('Failed to record match:', error);
-    throw error;
+export function getRepository(): Repository {
+  if (!repository) {
+    const kind = storageKind();
+    if (kind === 'memory') {
+      console.warn('No database configured: using in-memory storage, which is lost when the API stops');
+    }
+    repository = kind === 'sql' ? sqlRepository : new MemoryRepository();
   }
+  return repository;
 }
 
-// New: return the best (minimum) DurationMs per player for a given difficulty
-export async function getBestMatchTimers(difficulty: string | null, limit: number = 5): Promise<BestTimer[]> {
-  const pool = await getDbPool();
-  const request = pool.request();
-
-  try {
-    // Accept null/undefined difficulty to mean "any difficulty"
-    if (difficulty == null) {
-      request.input('difficulty', sql.NVarChar(50), null);
-    } else {
-      request.input('difficulty', sql.NVarChar(50), difficulty);
-    }
-    request.input('limit', sql.Int, limit);
-
-    const result = await request.query(`
-      SELECT TOP (@limit)
-        m.PlayerId,
-        p.PlayerName,
-        MIN(m.DurationMs) AS BestDurationMs,
-        MIN(m.CreatedAt) AS AchievedAt
-      FROM Matches m
-      LEFT JOIN Players p ON p.PlayerId = m.PlayerId
-      WHERE (@difficulty IS NULL OR m.Difficulty = @difficulty)
-      GROUP BY m.PlayerId, p.PlayerName
-      ORDER BY BestDurationMs ASC
-    `);
-
-    return result.recordset.map(r => ({
-      playerId: r.PlayerId,
-      playerName: r.PlayerName || null,
-      bestDurationMs: r.BestDurationMs,
-      achievedAt: r.AchievedAt || null
-    }));
-  } catch (error) {
-    console.error('Failed to get best match timers:', error);
-    throw error;
-  }
+// Use another store from now on (tests)
+export function setRepository(next: Repository): void {
+  repository = next;
 }
+
+// The functions the routers call, forwarded to the configured store
+export const upsertPlayer: Repository['upsertPlayer'] = (...args) => getRepository().upsertPlayer(...args);
+export const getPlayer: Repository['getPlayer'] = (...args) => getRepository().getPlayer(...args);
+export const updatePlayerScore: Repository['updatePlayerScore'] = (...args) => getRepository().updatePlayerScore(...args);
+export const getPlayerScoreHistory: Repository['getPlayerScoreHistory'] = (...args) => getRepository().getPlayerScoreHistory(...args);
+export const getPlayerStatsSource: Repository['getPlayerStatsSource'] = (...args) => getRepository().getPlayerStatsSource(...args);
+export const getLeaderboard: Repository['getLeaderboard'] = (...args) => getRepository().getLeaderboard(...args);
+export const recordMatch: Repository['recordMatch'] = (...args) => getRepository().recordMatch(...args);
+export const getMatch: Repository['getMatch'] = (...args) => getRepository().getMatch(...args);
+export const getBestMatchTimers: Repository['getBestMatchTimers'] = (...args) => getRepository().getBestMatchTimers(...args);
+export const recordMatchRatings: Repository['recordMatchRatings'] = (...args) => getRepository().recordMatchRatings(...args);
+export const getRatingLeaderboard: Repository['getRatingLeaderboard'] = (...args) => getRepository().getRatingLeaderboard(...args);
+export const getPlayerRatings: Repository['getPlayerRatings'] = (...args) => getRepository().getPlayerRatings(...args);
+export const getCampaignProgress: Repository['getCampaignProgress'] = (...args) => getRepository().getCampaignProgress(...args);
+export const recordCampaignMatch: Repository['recordCampaignMatch'] = (...args) => getRepository().recordCampaignMatch(...args);
+export const saveDailyChallenge: Repository['saveDailyChallenge'] = (...args) => getRepository().saveDailyChallenge(...args);
+export const claimDailyAttempt: Repository['claimDailyAttempt'] = (...args) => getRepository().claimDailyAttempt(...args);
+export const completeDailyAttempt: Repository['completeDailyAttempt'] = (...args) => getRepository().completeDailyAttempt(...args);
+export const getDailyLeaderboard: Repository['getDailyLeaderboard'] = (...args) => getRepository().getDailyLeaderboard(...args);
+export const saveReplay: Repository['saveReplay'] = (...args) => getRepository().saveReplay(...args);
+export const getReplay: Repository['getReplay'] = (...args) => getRepository().getReplay(...args);
+export const listReplays: Repository['listReplays'] = (...args) => getRepository().listReplays(...args);
+export const createMatchSession: Repository['createMatchSession'] = (...args) => getRepository().createMatchSession(...args);
+export const claimMatchSession: Repository['claimMatchSession'] = (...args) => getRepository().claimMatchSession(...args);
+export const getMatchSession: Repository['getMatchSession'] = (...args) => getRepository().getMatchSession(...args);
+export const flagSubmission: Repository['flagSubmission'] = (...args) => getRepository().flagSubmission(...args);
+export const listDifficultyPresets: Repository['listDifficultyPresets'] = (...args) => getRepository().listDifficultyPresets(...args);
+export const saveDifficultyPreset: Repository['saveDifficultyPreset'] = (...args) => getRepository().saveDifficultyPreset(...args);
+export const deleteDifficultyPreset: Repository['deleteDifficultyPreset'] = (...args) => getRepository().deleteDifficultyPreset(...args);
+export const getAccount: Repository['getAccount'] = (...args) => getRepository().getAccount(...args);
+export const getAccountByEmail: Repository['getAccountByEmail'] = (...args) => getRepository().getAccountByEmail(...args);
+export const claimAccount: Repository['claimAccount'] = (...args) => getRepository().claimAccount(...args);
+export const createAccount: Repository['createAccount'] = (...args) => getRepository().createAccount(...args);
+export const renamePlayer: Repository['renamePlayer'] = (...args) => getRepository().renamePlayer(...args);
+export const mergePlayers: Repository['mergePlayers'] = (...args) => getRepository().mergePlayers(...args);
+export const createAuthSession: Repository['createAuthSession'] = (...args) => getRepository().createAuthSession(...args);
+export const getAuthSession: Repository['getAuthSession'] = (...args) => getRepository().getAuthSession(...args);
+export const deleteAuthSession: Repository['deleteAuthSession'] = (...args) => getRepository().deleteAuthSession(...args);
+export const createSignInLink: Repository['createSignInLink'] = (...args) => getRepository().createSignInLink(...args);
+export const useSignInLink: Repository['useSignInLink'] = (...args) => getRepository().useSignInLink(...args);
+export const claimIdempotencyKey: Repository['claimIdempotencyKey'] = (...args) => getRepository().claimIdempotencyKey(...args);
+export const completeIdempotencyKey: Repository['completeIdempotencyKey'] = (...args) => getRepository().completeIdempotencyKey(...args);
+export const releaseIdempotencyKey: Repository['releaseIdempotencyKey'] = (...args) => getRepository().releaseIdempotencyKey(...args);
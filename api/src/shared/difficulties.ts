@@ -0,0 +1,67 @@
+import { GameModules } from '../multiplayer/game';
+import { listDifficultyPresets } from './database';
+import { CUSTOM_DIFFICULTY } from './rating';
+
+// Difficulty presets as the API serves them (GET /difficulties) and plays them: the game's built-in
+// ones (front/src/game/difficulty.js), overridden or added to by DifficultyPresets rows, so a preset
+// can be tuned without redeploying the front end (npm run presets). A run at custom settings that
+// hash to a ranked preset's counts as that preset; any other custom run is recorded as 'custom'.
+export interface DifficultyPreset {
+  id: string;
+  ranked: boolean;
+  hash: string;
+  settings: Record<string, unknown>;
+}
+
+// The difficulty a match is recorded and ranked under, and the settings it is played at
+export interface ResolvedDifficulty {
+  difficulty: string;
+  settings: Record<string, unknown>;
+}
+
+// Every preset by ID, built-in ones first. A stored row that doesn't hold valid settings is skipped.
+export async function loadDifficultyPresets(game: GameModules): Promise<Record<string, DifficultyPreset>> {
+  const presets: Record<string, DifficultyPreset> = {};
+  const add = (id: string, settings: unknown, ranked: boolean) => {
+    const canonical = game.canonicalDifficulty(settings);
+    presets[id] = { id, ranked, hash: game.difficultyHash(canonical), settings: canonical };
+  };
+  for (const [id, settings] of Object.entries(game.DIFFICULTY_SETTINGS)) add(id, settings, true);
+  for (const row of await listDifficultyPresets()) {
+    let settings: unknown;
+    try {
+      settings = JSON.parse(row.settings);
+    } catch {
+      settings = null;
+    }
+    const error = row.difficultyId === CUSTOM_DIFFICULTY ? 'custom is not a preset' : game.validateDifficulty(settings);
+    if (error) {
+      console.warn(`Ignoring difficulty preset ${row.difficultyId}: ${error}`);
+      continue;
+    }
+    add(row.difficultyId, settings, row.ranked);
+  }
+  return presets;
+}
+
+// ID -> settings, the way the engine takes its presets
+export function presetSettings(presets: Record<string, DifficultyPreset>): Record<string, Record<string, unknown>> {
+  return Object.fromEntries(Object.values(presets).map(preset => [preset.id, preset.settings]));
+}
+
+// What a match started at `difficulty` (with `settings` for a custom one) plays and is recorded as,
+// or why it can't be played
+export function resolveDifficulty(game: GameModules, presets: Record<string, DifficultyPreset>, difficulty: string, settings: unknown): ResolvedDifficulty | string {
+  if (difficulty !== CUSTOM_DIFFICULTY) {
+    const preset = presets[difficulty];
+    if (!preset) return `Unknown difficulty: ${difficulty}`;
+    return { difficulty: preset.ranked ? preset.id : CUSTOM_DIFFICULTY, settings: preset.settings };
+  }
+  if (settings == null) return 'settings are required for a custom difficulty';
+  const error = game.validateDifficulty(settings);
+  if (error) return error;
+  const canonical = game.canonicalDifficulty(settings);
+  const hash = game.difficultyHash(canonical);
+  const preset = Object.values(presets).find(p => p.ranked && p.hash === hash);
+  return { difficulty: preset ? preset.id : CUSTOM_DIFFICULTY, settings: canonical };
+}
@@ -0,0 +1,51 @@
+import { Request, Response, NextFunction } from 'express';
+import { claimIdempotencyKey, completeIdempotencyKey, releaseIdempotencyKey } from './database';
+import { getAuth } from './auth';
+import { badRequest } from './validation';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// Middleware for a POST that offline clients retry (front/src/services/outbox.js). The first request
+// with an Idempotency-Key claims it and its answer is kept; a retry with the same key gets that
+// answer again, marked with Idempotent-Replayed, instead of running the route twice. Requests
+// without the header, or not signed in (the route answers 401), run as usual. Server errors are not
+// kept, so the client can retry them.
+export function idempotent(scope: string) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) return next();
+    if (!KEY_PATTERN.test(key)) {
+      return badRequest(res, IDEMPOTENCY_HEADER, `${IDEMPOTENCY_HEADER} must be 1 to 100 letters, digits, - or _`);
+    }
+    const auth = getAuth(res);
+    if (!auth) return next();
+
+    try {
+      const previous = await claimIdempotencyKey(auth.playerId, scope, key);
+      if (previous) {
+        if (previous.statusCode === null) {
+          return res.status(409).json({ error: `A request with this ${IDEMPOTENCY_HEADER} is still being processed` });
+        }
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(previous.statusCode).type('application/json').send(previous.body);
+      }
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    // Keep the answer before sending it, so a retry never finds the key still pending
+    const json = res.json.bind(res);
+    res.json = (body?: unknown) => {
+      const statusCode = res.statusCode;
+      const settled = statusCode < 500
+        ? completeIdempotencyKey(auth.playerId, scope, key, statusCode, JSON.stringify(body))
+        : releaseIdempotencyKey(auth.playerId, scope, key);
+      settled.catch(err => console.error(err)).then(() => json(body));
+      return res;
+    };
+    return next();
+  };
+}
@@ -0,0 +1,41 @@
+import { check, optional, oneOf, digits, id, isValidationError, ValidationError } from './validation';
+
+// Query parameters shared by the leaderboard routes: the time window to rank, which page of it to
+// return, and whose rank to show along with the few players either side of them.
+export const LEADERBOARD_PERIODS = ['day', 'week', 'month', 'all'] as const;
+export type LeaderboardPeriod = typeof LEADERBOARD_PERIODS[number];
+
+export const MAX_LIMIT = 50;
+export const MAX_OFFSET = 10000;
+export const MAX_AROUND = 10;
+
+export interface LeaderboardQuery {
+  period: LeaderboardPeriod;
+  since: Date | null;        // Start of the period, null for all time
+  limit: number;
+  offset: number;
+  around: number;            // Neighbours shown on each side of the player's own rank
+  playerId: string | null;   // Whose rank to show
+}
+
+// Start of the period containing `now`, in UTC: today, this week (from Monday) or this month
+export function periodStart(period: LeaderboardPeriod, now: Date = new Date()): Date | null {
+  if (period === 'all') return null;
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  if (period === 'month') start.setUTCDate(1);
+  return start;
+}
+
+export function parseLeaderboardQuery(query: Record<string, unknown>, defaultLimit: number, now: Date = new Date()): LeaderboardQuery | ValidationError {
+  const result = check({
+    period: optional(oneOf(LEADERBOARD_PERIODS), 'all' as LeaderboardPeriod),
+    limit: optional(digits({ min: 1, max: MAX_LIMIT }), defaultLimit),
+    offset: optional(digits({ min: 0, max: MAX_OFFSET }), 0),
+    around: optional(digits({ min: 0, max: MAX_AROUND }), 2),
+    playerId: optional(id(), null)
+  }, query);
+  if (isValidationError(result)) return result;
+  const { period, limit, offset, around, playerId } = result;
+  return { period, since: periodStart(period, now), limit, offset, around, playerId };
+}
@@ -0,0 +1,24 @@
+import fs from 'fs';
+import path from 'path';
+
+// Local stand-in for an email service: each message is written to MAIL_OUTBOX_DIR (default api/.mail)
+// as a text file and logged, so sign-in links can be followed in development without sending mail.
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+}
+
+export function getOutboxDir(): string {
+  return process.env.MAIL_OUTBOX_DIR || path.resolve(__dirname, '../../.mail');
+}
+
+// Path of the written message
+export async function sendMail(message: MailMessage, outboxDir: string = getOutboxDir()): Promise<string> {
+  await fs.promises.mkdir(outboxDir, { recursive: true });
+  const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+  const file = path.join(outboxDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeTo}.txt`);
+  await fs.promises.writeFile(file, `To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`, 'utf8');
+  console.log(`Mail to ${message.to} ("${message.subject}") written to ${file}`);
+  return file;
+}
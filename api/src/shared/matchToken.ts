@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+// Match sessions: POST /matches/start hands out a token signed with MATCH_TOKEN_SECRET, and the
+// result of that match (POST /matches, POST /scores) must come back with it. The claims can't be
+// altered without the secret, so the server knows who started which match, at what difficulty and when.
+export interface MatchClaims {
+  sessionId: string;
+  playerId: string;
+  difficulty: string;       // The preset it's recorded and ranked under: 'custom' unless the settings are a ranked preset's
+  playedAs?: string;        // The difficulty the client's engine plays, when it isn't `difficulty`
+  settings?: Record<string, unknown>; // The difficulty settings played; tokens from before custom difficulties played the preset
+  format: string;
+  mode: 'copilot' | 'pvp';
+  opponentId: string | null;
+  personality?: string;     // The Copilot's (copilot mode); tokens from before personalities played the default
+  campaign?: { tier: string; round: number }; // The career round it is (see shared/campaign.ts)
+  daily?: { day: string; seed: number; modifier: string; ranked: boolean }; // The daily challenge it plays (see shared/daily.ts)
+  issuedAt: number;         // ms since epoch
+}
+
+let generatedSecret: string | null = null;
+
+function getSecret(): string {
+  const secret = process.env.MATCH_TOKEN_SECRET;
+  if (secret) return secret;
+  if (!generatedSecret) {
+    // Fine for development; tokens stop verifying when the process restarts
+    console.warn('MATCH_TOKEN_SECRET is not set: using a random secret for this process');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+function sign(payload: string, secret: string): string {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// "<base64url claims>.<base64url HMAC-SHA256>"
+export function signMatchToken(claims: MatchClaims, secret: string = getSecret()): string {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// The token's claims, or null if it is malformed or wasn't signed with `secret`
+export function verifyMatchToken(token: unknown, secret: string = getSecret()): MatchClaims | null {
+  if (typeof token !== 'string' || token.length > 2000) return null;
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length) return null;
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims || typeof claims.sessionId !== 'string' || typeof claims.playerId !== 'string' || !Number.isFinite(claims.issuedAt)) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import * as sql from 'mssql';
+
+// Versioned schema migrations. Each file in src/migrations is named NNN_description.ts and
+// default-exports { name, up, down }: the steps that apply the change and the ones that undo it.
+// The SchemaVersions table lists the versions applied to a database. A step is a SQL batch, or a
+// function for data changes that need code; a migration's steps and its SchemaVersions row are
+// written in one transaction.
+export type MigrationStep = string | ((transaction: sql.Transaction) => Promise<void>);
+
+export interface MigrationFile {
+  name: string;
+  up: MigrationStep[];
+  down: MigrationStep[];
+}
+
+export interface Migration extends MigrationFile {
+  version: number;
+}
+
+export interface PlannedMigration {
+  migration: Migration;
+  direction: 'up' | 'down';
+}
+
+export interface AppliedVersion {
+  version: number;
+  name: string;
+  appliedAt: Date;
+}
+
+export const MIGRATIONS_DIR = path.resolve(__dirname, '../migrations');
+
+const FILE_PATTERN = /^(\d{3})_[a-z0-9_]+\.js$/;
+
+// The compiled migrations in `dir`, in version order. Versions must run 1, 2, 3… without gaps.
+export function loadMigrations(dir: string = MIGRATIONS_DIR): Migration[] {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const loaded = require(path.join(dir, file));
+      const definition: MigrationFile = loaded.default || loaded;
+      return { ...definition, version: parseInt(file.slice(0, 3), 10) };
+    })
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, i) => {
+    if (migration.version !== i + 1) throw new Error(`Migration ${i + 1} is missing (found ${migration.version})`);
+    if (!Array.isArray(migration.up) || !Array.isArray(migration.down)) {
+      throw new Error(`Migration ${migration.version} must list its up and down steps`);
+    }
+  });
+  return migrations;
+}
+
+// What it takes to bring a database from its `applied` versions to `target` (default: the latest):
+// roll back what is above it, newest first, then apply what is missing, oldest first. With upOnly,
+// versions above the target are left alone (used when the API starts).
+export function planMigrations(available: Migration[], applied: number[], target: number | null = null, upOnly: boolean = false): PlannedMigration[] {
+  const latest = available.length ? available[available.length - 1].version : 0;
+  const to = target ?? latest;
+  if (!Number.isInteger(to) || to < 0 || to > latest) throw new Error(`Unknown schema version ${target}`);
+  const byVersion = new Map(available.map(migration => [migration.version, migration]));
+  const plan: PlannedMigration[] = [];
+  if (!upOnly) {
+    for (const version of applied.filter(v => v > to).sort((a, b) => b - a)) {
+      const migration = byVersion.get(version);
+      if (!migration) throw new Error(`Schema version ${version} is applied but its migration is missing; it can't be rolled back`);
+      plan.push({ migration, direction: 'down' });
+    }
+  }
+  for (const migration of available) {
+    if (migration.version <= to && !applied.includes(migration.version)) plan.push({ migration, direction: 'up' });
+  }
+  return plan;
+}
+
+async function ensureVersionTable(pool: sql.ConnectionPool): Promise<void> {
+  await pool.request().query(`
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='SchemaVersions' AND xtype='U')
+    BEGIN
+      CREATE TABLE SchemaVersions (
+        Version INT PRIMARY KEY,
+        Name NVARCHAR(200) NOT NULL,
+        AppliedAt DATETIME2 DEFAULT GETDATE()
+      )
+    END
+  `);
+}
+
+export async function getAppliedVersions(pool: sql.ConnectionPool): Promise<AppliedVersion[]> {
+  await ensureVersionTable(pool);
+  const result = await pool.request().query(`SELECT Version, Name, AppliedAt FROM SchemaVersions ORDER BY Version`);
+  return result.recordset.map(r => ({ version: r.Version, name: r.Name, appliedAt: r.AppliedAt }));
+}
+
+// Run one migration in one direction. An application lock keeps two API instances starting together
+// from both applying it; whoever comes second finds it done and skips it.
+async function runMigration(pool: sql.ConnectionPool, { migration, direction }: PlannedMigration): Promise<boolean> {
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+  try {
+    const state = await new sql.Request(transaction)
+      .input('version', sql.Int, migration.version)
+      .query(`
+        EXEC sp_getapplock @Resource = 'SchemaVersions', @LockMode = 'Exclusive', @LockOwner = 'Transaction';
+        SELECT COUNT(*) AS Applied FROM SchemaVersions WHERE Version = @version;
+      `);
+    if ((state.recordset[0].Applied > 0) === (direction === 'up')) {
+      await transaction.commit();
+      return false;
+    }
+    for (const step of direction === 'up' ? migration.up : migration.down) {
+      if (typeof step === 'string') await new sql.Request(transaction).query(step);
+      else await step(transaction);
+    }
+    await new sql.Request(transaction)
+      .input('version', sql.Int, migration.version)
+      .input('name', sql.NVarChar(200), migration.name)
+      .query(direction === 'up'
+        ? `INSERT INTO SchemaVersions (Version, Name) VALUES (@version, @name)`
+        : `DELETE FROM SchemaVersions WHERE Version = @version`);
+    await transaction.commit();
+    return true;
+  } catch (error) {
+    try { await transaction.rollback(); } catch {}
+    throw error;
+  }
+}
+
+// Bring the database to `target` (default: the latest version); returns what was run
+export async function migrate(
+  pool: sql.ConnectionPool,
+  { target = null, upOnly = false, migrations = loadMigrations() }: { target?: number | null; upOnly?: boolean; migrations?: Migration[] } = {}
+): Promise<PlannedMigration[]> {
+  const applied = (await getAppliedVersions(pool)).map(v => v.version);
+  const plan = planMigrations(migrations, applied, target, upOnly);
+  const done: PlannedMigration[] = [];
+  for (const step of plan) {
+    let ran: boolean;
+    try {
+      ran = await runMigration(pool, step);
+    } catch (error) {
+      console.error(`Migration ${step.migration.version} (${step.migration.name}) ${step.direction} failed:`, error);
+      throw error;
+    }
+    if (!ran) continue;
+    done.push(step);
+    console.log(`Migration ${step.migration.version} (${step.migration.name}) ${step.direction === 'up' ? 'applied' : 'rolled back'}`);
+  }
+  return done;
+}
@@ -0,0 +1,37 @@
+// Counts requests per key (an email address, a client IP...) in fixed windows, in this process's
+// memory: enough to stop one caller hammering a route, not a shared quota across API instances.
+export interface RateLimiter {
+  // Count one request for `key`; false once the key has used up its window
+  allow(key: string, now?: number): boolean;
+  // Milliseconds until `key` may try again (0 if it may now)
+  retryAfterMs(key: string, now?: number): number;
+}
+
+// Past this many keys, windows that have ended are swept out
+const SWEEP_SIZE = 10000;
+
+export function createRateLimiter(limit: number, windowMs: number): RateLimiter {
+  const windows = new Map<string, { startedAt: number; count: number }>();
+
+  function current(key: string, now: number) {
+    const window = windows.get(key);
+    return window && now - window.startedAt < windowMs ? window : null;
+  }
+
+  return {
+    allow(key, now = Date.now()) {
+      if (windows.size > SWEEP_SIZE) {
+        for (const [k, window] of windows) if (now - window.startedAt >= windowMs) windows.delete(k);
+      }
+      const window = current(key, now) || { startedAt: now, count: 0 };
+      windows.set(key, window);
+      if (window.count >= limit) return false;
+      window.count++;
+      return true;
+    },
+    retryAfterMs(key, now = Date.now()) {
+      const window = current(key, now);
+      return window && window.count >= limit ? window.startedAt + windowMs - now : 0;
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import type { MatchMode, MatchWinner } from './database';
+
+// Elo skill ratings. A player has one rating per pool, the pool being the match's Difficulty
+// ('beginner', 'advanced', 'expert' or 'adaptive'): Copilot and online matches at a difficulty move
+// the same rating. Each difficulty's Copilot has a fixed rating that never changes, except the
+// adaptive one, rated at the level it played the match at; online opponents are rated against each
+// other. A Copilot match is only rated once the API has re-simulated its replay (matches/index.ts).
+// Local versus matches aren't rated: only the player who posts one is signed in, so the other side
+// never agreed to the result.
+export const INITIAL_RATING = 1200;
+
+export const COPILOT_RATINGS: Record<string, number> = {
+  beginner: 1000,
+  advanced: 1400,
+  expert: 1800
+};
+
+// Adaptive Copilot: its level runs from beginner (0) to expert (1)
+export function adaptiveCopilotRating(level: number): number {
+  const clamped = Math.min(1, Math.max(0, level));
+  return Math.round(COPILOT_RATINGS.beginner + (COPILOT_RATINGS.expert - COPILOT_RATINGS.beginner) * clamped);
+}
+
+// Difficulty of the matches played at settings that aren't a ranked preset (see
+// shared/difficulties.ts): kept in the players' own records, never rated or on the leaderboards
+export const CUSTOM_DIFFICULTY = 'custom';
+
+// Ratings move faster over a player's first matches in a pool, so they find their level quickly
+export const PROVISIONAL_MATCHES = 10;
+const PROVISIONAL_K = 40;
+const K = 20;
+
+export interface PoolRating {
+  rating: number;
+  matchesRated: number;
+}
+
+export interface RatingChange {
+  side: 'player' | 'opponent';   // Which side of the Matches row
+  before: number;
+  after: number;
+  opponentRating: number;
+  won: boolean;
+}
+
+// Chance of beating an opponent, 0..1
+export function expectedScore(rating: number, opponentRating: number): number {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+export function updateRating(current: PoolRating, opponentRating: number, won: boolean): number {
+  const k = current.matchesRated < PROVISIONAL_MATCHES ? PROVISIONAL_K : K;
+  return Math.round(current.rating + k * ((won ? 1 : 0) - expectedScore(current.rating, opponentRating)));
+}
+
+// The rating changes a finished match brings: one for the player, and one for an online opponent.
+// `ratings` are the sides' current ratings in the match's pool (null: not rated yet). Local versus
+// matches, matches without a winner, or against a Copilot of unknown difficulty or level, change nothing.
+export function rateMatch(
+  match: { mode: MatchMode; difficulty: string; winner: MatchWinner | null; adaptiveLevel?: number | null },
+  ratings: { player: PoolRating | null; opponent: PoolRating | null }
+): RatingChange[] {
+  if (!match.winner || match.mode === 'pvp') return [];
+  const player = ratings.player || { rating: INITIAL_RATING, matchesRated: 0 };
+  const playerWon = match.winner === 'player';
+  if (match.mode === 'copilot') {
+    const copilot = match.difficulty === 'adaptive'
+      ? (match.adaptiveLevel != null ? adaptiveCopilotRating(match.adaptiveLevel) : null)
+      : COPILOT_RATINGS[match.difficulty];
+    if (copilot == null) return [];
+    return [{ side: 'player', before: player.rating, after: updateRating(player, copilot, playerWon), opponentRating: copilot, won: playerWon }];
+  }
+  const opponent = ratings.opponent || { rating: INITIAL_RATING, matchesRated: 0 };
+  return [
+    { side: 'player', before: player.rating, after: updateRating(player, opponent.rating, playerWon), opponentRating: opponent.rating, won: playerWon },
+    { side: 'opponent', before: opponent.rating, after: updateRating(opponent, player.rating, !playerWon), opponentRating: player.rating, won: !playerWon }
+  ];
+}
@@ -0,0 +1,141 @@
+import type { Player, PlayerMatchRow, GameScore, MatchMode } from './database';
+
+// Player statistics (GET /players/:playerId/stats), computed from the player's Matches rows and
+// GameScores history. Matches are seen from the player's side, whichever side of the row they were on.
+export interface MatchRecord {
+  played: number;
+  wins: number;
+  losses: number;
+}
+
+export interface ActivityDay {
+  day: string;      // YYYY-MM-DD (UTC)
+  matches: number;
+  wins: number;
+  games: number;    // Scores submitted that day
+}
+
+export interface PlayerStats {
+  playerId: string;
+  playerName: string;
+  record: MatchRecord;
+  byDifficulty: Record<string, MatchRecord>;    // Matches against the Copilot
+  byPersonality: Record<string, MatchRecord>;   // The same, by the Copilot's personality
+  byMode: Record<MatchMode, MatchRecord>;
+  streaks: { current: number; longest: number }; // Wins in a row: the latest run and the longest one
+  duration: { averageMs: number | null; bestMs: number | null }; // bestMs: the fastest win
+  points: { won: number; lost: number; matches: number };        // Over the matches that recorded points
+  scores: { games: number; best: number; average: number | null };
+  activity: ActivityDay[];                       // The last ACTIVITY_DAYS days, oldest first
+}
+
+export const ACTIVITY_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "6-4 3-6 7-6(5)" -> "4-6 6-3 6-7(5)"
+export function flipSetScores(setScores: string): string {
+  return setScores.replace(/(\d+)-(\d+)/g, '$2-$1');
+}
+
+// 'win' or 'loss' from the set scores (first number is the player's), null if no one won more sets
+export function matchOutcome(setScores: string | null): 'win' | 'loss' | null {
+  let won = 0;
+  let lost = 0;
+  for (const [, mine, theirs] of (setScores || '').matchAll(/(\d+)-(\d+)/g)) {
+    if (Number(mine) > Number(theirs)) won++;
+    else if (Number(theirs) > Number(mine)) lost++;
+  }
+  if (won === lost) return null;
+  return won > lost ? 'win' : 'loss';
+}
+
+function emptyRecord(): MatchRecord {
+  return { played: 0, wins: 0, losses: 0 };
+}
+
+function count(record: MatchRecord, outcome: 'win' | 'loss' | null) {
+  record.played++;
+  if (outcome === 'win') record.wins++;
+  if (outcome === 'loss') record.losses++;
+}
+
+function dayOf(date: Date | string | number): string {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+export function computePlayerStats(player: Player, matches: PlayerMatchRow[], scores: GameScore[], now: Date = new Date()): PlayerStats {
+  const record = emptyRecord();
+  const byDifficulty: Record<string, MatchRecord> = {};
+  const byPersonality: Record<string, MatchRecord> = {};
+  const byMode: Record<MatchMode, MatchRecord> = { copilot: emptyRecord(), pvp: emptyRecord(), online: emptyRecord() };
+  const streaks = { current: 0, longest: 0 };
+  const points = { won: 0, lost: 0, matches: 0 };
+  let totalMs = 0;
+  let bestMs: number | null = null;
+
+  const activity: ActivityDay[] = [];
+  const activityByDay = new Map<string, ActivityDay>();
+  for (let i = ACTIVITY_DAYS - 1; i >= 0; i--) {
+    const entry = { day: dayOf(now.getTime() - i * DAY_MS), matches: 0, wins: 0, games: 0 };
+    activity.push(entry);
+    activityByDay.set(entry.day, entry);
+  }
+
+  // Oldest first, so the streak left at the end is the current one
+  const ordered = [...matches].sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+  for (const match of ordered) {
+    const outcome = match.winner ? (match.winner === 'player' ? 'win' : 'loss') : matchOutcome(match.setScores);
+    count(record, outcome);
+    if (byMode[match.mode]) count(byMode[match.mode], outcome);
+    if (match.mode === 'copilot') {
+      count(byDifficulty[match.difficulty] ||= emptyRecord(), outcome);
+      if (match.personality) count(byPersonality[match.personality] ||= emptyRecord(), outcome);
+    }
+
+    // An undecided (unscored) match doesn't break a streak
+    if (outcome === 'win') {
+      streaks.current++;
+      streaks.longest = Math.max(streaks.longest, streaks.current);
+      if (bestMs === null || match.durationMs < bestMs) bestMs = match.durationMs;
+    } else if (outcome === 'loss') {
+      streaks.current = 0;
+    }
+    totalMs += match.durationMs;
+
+    if (match.playerPoints != null && match.opponentPoints != null) {
+      points.won += match.playerPoints;
+      points.lost += match.opponentPoints;
+      points.matches++;
+    }
+
+    const day = activityByDay.get(dayOf(match.createdAt));
+    if (day) {
+      day.matches++;
+      if (outcome === 'win') day.wins++;
+    }
+  }
+
+  let best = 0;
+  let total = 0;
+  for (const score of scores) {
+    best = Math.max(best, score.score);
+    total += score.score;
+    const day = activityByDay.get(dayOf(score.gameDate));
+    if (day) day.games++;
+  }
+
+  return {
+    playerId: player.playerId,
+    playerName: player.playerName,
+    record,
+    byDifficulty,
+    byPersonality,
+    byMode,
+    streaks,
+    duration: { averageMs: ordered.length ? Math.round(totalMs / ordered.length) : null, bestMs },
+    points,
+    scores: { games: scores.length, best, average: scores.length ? Math.round((total / scores.length) * 10) / 10 : null },
+    activity
+  };
+}
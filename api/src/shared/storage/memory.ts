@@ -0,0 +1,695 @@
+import { randomUUID } from 'crypto';
+import { flipSetScores } from '../stats';
+import { rateMatch, RatingChange, CUSTOM_DIFFICULTY } from '../rating';
+import { advanceCampaign } from '../campaign';
+import type { LeaderboardQuery } from '../leaderboard';
+import type {
+  Repository, Player, Account, AuthSession, GameScore, Match, MatchMode, MatchOutcome, MatchSessionState, PlayerMatchRow,
+  ReplaySummary, Replay, PlayerRating, RatingHistoryEntry, BestTimer, ScoreEntry, LeaderboardPage, IdempotentResponse,
+  DifficultyPresetRow, CampaignProgress, CampaignMatch, DailyChallenge, DailyResult, DailyEntry
+} from '../database';
+
+// In-memory storage (see shared/database.ts) for local development and tests: the same behaviour
+// as the SQL one, kept in maps and lost when the process stops. Every method runs synchronously
+// inside, so each one is atomic like its SQL transaction.
+
+interface PlayerRow extends Required<Player> {
+  email: string | null;
+  passwordHash: string | null;
+}
+
+interface MatchRow extends Match {
+  pointLog: string | null;
+}
+
+interface MatchSessionRow {
+  playerId: string;
+  difficulty: string;
+  format: string;
+  mode: string;
+  matchId: string | null;
+  matchSubmittedAt: Date | null;
+  scoreSubmittedAt: Date | null;
+}
+
+interface RatingRow {
+  playerId: string;
+  difficulty: string;
+  rating: number;
+  matchesRated: number;
+  updatedAt: Date;
+}
+
+interface RatingHistoryRow extends RatingHistoryEntry {
+  playerId: string;
+}
+
+interface CampaignProgressRow extends CampaignProgress {
+  playerId: string;
+}
+
+interface CampaignMatchRow extends CampaignMatch {
+  playerId: string;
+}
+
+interface DailyAttemptRow {
+  day: string;
+  playerId: string;
+  sessionId: string;
+  result: DailyResult | null;
+  startedAt: Date;
+  completedAt: Date | null;
+}
+
+interface SignInLinkRow {
+  email: string;
+  guestPlayerId: string | null;
+  expiresAt: Date;
+  usedAt: Date | null;
+}
+
+interface IdempotencyKeyRow extends IdempotentResponse {
+  createdAt: Date;
+}
+
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The id in the store's form, or null if it isn't one (what TRY_CONVERT(UNIQUEIDENTIFIER) does in SQL)
+function toId(value: string | null | undefined): string | null {
+  return typeof value === 'string' && GUID_PATTERN.test(value) ? value.toLowerCase() : null;
+}
+
+function idempotencyId(playerId: string | null, scope: string, key: string): string {
+  return JSON.stringify([playerId, scope, key]);
+}
+
+// Errors numbered like the SQL backend's THROWs, which the routers map to HTTP statuses
+function storageError(number: number, message: string): Error {
+  return Object.assign(new Error(message), { number });
+}
+
+function toPlayer(row: PlayerRow): Player {
+  return {
+    playerId: row.playerId,
+    playerName: row.playerName,
+    currentScore: row.currentScore,
+    bestScore: row.bestScore,
+    gamesPlayed: row.gamesPlayed,
+    createdAt: row.createdAt,
+    lastSeenAt: row.lastSeenAt
+  };
+}
+
+function toAccount(row: PlayerRow): Account {
+  return { playerId: row.playerId, playerName: row.playerName, email: row.email, passwordHash: row.passwordHash };
+}
+
+function toMatch({ pointLog, ...match }: MatchRow): Match {
+  return match;
+}
+
+function toCampaignProgress({ playerId, ...progress }: CampaignProgressRow): CampaignProgress {
+  return { ...progress };
+}
+
+function toReplaySummary({ data, ...summary }: Replay): ReplaySummary {
+  return summary;
+}
+
+// The page, the requesting player's entry and their neighbours, from the whole ranking (ranks from 1)
+function toPage<T extends { rank: number; playerId: string }>(ranked: T[], query: LeaderboardQuery): LeaderboardPage<T> {
+  const playerId = toId(query.playerId);
+  const me = (playerId && ranked.find(entry => entry.playerId === playerId)) || null;
+  return {
+    total: ranked.length,
+    entries: ranked.filter(entry => entry.rank > query.offset && entry.rank <= query.offset + query.limit),
+    me,
+    around: me ? ranked.filter(entry => Math.abs(entry.rank - me.rank) <= query.around) : []
+  };
+}
+
+export class MemoryRepository implements Repository {
+  private players = new Map<string, PlayerRow>();
+  private scores: GameScore[] = [];
+  private matches: MatchRow[] = [];
+  private replays: Replay[] = [];
+  private matchSessions = new Map<string, MatchSessionRow>();
+  private flagged: { playerId: string | null; kind: string; reason: string; payload: string; flaggedAt: Date }[] = [];
+  private ratings: RatingRow[] = [];
+  private ratingHistory: RatingHistoryRow[] = [];
+  private campaignProgress: CampaignProgressRow[] = [];
+  private campaignMatches: CampaignMatchRow[] = [];
+  private dailyChallenges = new Map<string, DailyChallenge>();
+  private dailyAttempts: DailyAttemptRow[] = [];
+  private authSessions = new Map<string, AuthSession>();
+  private signInLinks = new Map<string, SignInLinkRow>();
+  private idempotencyKeys = new Map<string, IdempotencyKeyRow>();
+  private difficultyPresets = new Map<string, DifficultyPresetRow>();
+
+  async ping(): Promise<void> {}
+
+  async close(): Promise<void> {}
+
+  private addPlayer(playerId: string, playerName: string, email: string | null = null, passwordHash: string | null = null): PlayerRow {
+    const now = new Date();
+    const row: PlayerRow = {
+      playerId, playerName, currentScore: 0, bestScore: 0, gamesPlayed: 0, createdAt: now, lastSeenAt: now, email, passwordHash
+    };
+    this.players.set(playerId, row);
+    return row;
+  }
+
+  // Same bookkeeping as updatePlayerScore
+  private addScore(player: PlayerRow, score: number): void {
+    player.currentScore = score;
+    player.bestScore = Math.max(player.bestScore, score);
+    player.gamesPlayed += 1;
+    player.lastSeenAt = new Date();
+    this.scores.push({ scoreId: randomUUID(), playerId: player.playerId, score, gameDate: new Date() });
+  }
+
+  private accountWithEmail(email: string): PlayerRow | null {
+    for (const player of this.players.values()) {
+      if (player.email !== null && player.email.toLowerCase() === email.toLowerCase()) return player;
+    }
+    return null;
+  }
+
+  async upsertPlayer(playerId: string, playerName: string): Promise<Player> {
+    const pid = toId(playerId);
+    const existing = pid ? this.players.get(pid) : undefined;
+    // A known id with another name starts a new player with a new id
+    if (existing && existing.playerName !== playerName) return toPlayer(this.addPlayer(randomUUID(), playerName));
+    if (existing) {
+      existing.lastSeenAt = new Date();
+      return toPlayer(existing);
+    }
+    return toPlayer(this.addPlayer(pid || randomUUID(), playerName));
+  }
+
+  async getPlayer(playerId: string): Promise<Player | null> {
+    const player = this.players.get(toId(playerId));
+    return player ? toPlayer(player) : null;
+  }
+
+  async updatePlayerScore(playerId: string, score: number): Promise<Player> {
+    const pid = toId(playerId);
+    if (!pid) throw storageError(50001, 'Invalid playerId');
+    this.addScore(this.players.get(pid) || this.addPlayer(pid, 'Player'), score);
+    return this.getPlayer(pid);
+  }
+
+  async getPlayerScoreHistory(playerId: string, limit: number = 10): Promise<GameScore[]> {
+    const pid = toId(playerId);
+    return this.scores.filter(s => s.playerId === pid).reverse().slice(0, limit).map(s => ({ ...s }));
+  }
+
+  async getPlayerStatsSource(playerId: string): Promise<{ matches: PlayerMatchRow[]; scores: GameScore[] }> {
+    const pid = toId(playerId);
+    return {
+      matches: this.matches
+        .filter(m => pid && (m.playerId === pid || (m.opponentId === pid && m.mode === 'online')))
+        .map(m => {
+          const asOpponent = m.playerId !== pid;
+          return {
+            mode: m.mode,
+            difficulty: m.difficulty,
+            personality: m.personality ?? null,
+            durationMs: m.durationMs,
+            setScores: m.setScores ? (asOpponent ? flipSetScores(m.setScores) : m.setScores) : null,
+            winner: m.winner ? ((m.winner === 'player') !== asOpponent ? 'player' : 'opponent') : null,
+            playerPoints: (asOpponent ? m.opponentPoints : m.playerPoints) ?? null,
+            opponentPoints: (asOpponent ? m.playerPoints : m.opponentPoints) ?? null,
+            createdAt: m.createdAt
+          };
+        }),
+      scores: this.scores.filter(s => s.playerId === pid).map(s => ({ ...s }))
+    };
+  }
+
+  async getLeaderboard(query: LeaderboardQuery): Promise<LeaderboardPage<ScoreEntry>> {
+    const board = new Map<string, { bestScore: number; gamesPlayed: number }>();
+    if (query.since === null) {
+      for (const player of this.players.values()) {
+        if (player.bestScore > 0) board.set(player.playerId, { bestScore: player.bestScore, gamesPlayed: player.gamesPlayed });
+      }
+    } else {
+      for (const score of this.scores) {
+        if (score.gameDate < query.since) continue;
+        const entry = board.get(score.playerId) || { bestScore: score.score, gamesPlayed: 0 };
+        board.set(score.playerId, { bestScore: Math.max(entry.bestScore, score.score), gamesPlayed: entry.gamesPlayed + 1 });
+      }
+    }
+    const ranked = [...board.entries()]
+      .filter(([playerId, entry]) => entry.bestScore > 0 && this.players.has(playerId))
+      .sort(([aId, a], [bId, b]) => b.bestScore - a.bestScore || a.gamesPlayed - b.gamesPlayed || aId.localeCompare(bId))
+      .map(([playerId, entry], i) => ({
+        rank: i + 1,
+        playerId,
+        playerName: this.players.get(playerId).playerName || null,
+        bestScore: entry.bestScore,
+        gamesPlayed: entry.gamesPlayed
+      }));
+    return toPage(ranked, query);
+  }
+
+  async recordMatch(playerId: string, difficulty: string, durationMs: number, setScores: string | null = null, opponentId: string | null = null, mode: MatchMode = opponentId ? 'pvp' : 'copilot', outcome: MatchOutcome = {}, recordScores: boolean = false, sessionId: string | null = null): Promise<Match> {
+    const pid = toId(playerId);
+    if (!pid) throw storageError(50002, 'Invalid playerId');
+    const oid = toId(opponentId);
+    if (opponentId != null && !oid) throw storageError(50003, 'Invalid opponentId');
+    const session = sessionId === null ? null : this.matchSessions.get(toId(sessionId));
+    if (sessionId !== null && (!session || session.matchId || session.matchSubmittedAt)) {
+      throw storageError(50012, 'Match token was already used');
+    }
+    const points = outcome.points || null;
+    const pointLog = outcome.pointLog || null;
+
+    const player = this.players.get(pid) || this.addPlayer(pid, 'Player');
+    const opponent = oid ? this.players.get(oid) || this.addPlayer(oid, 'Player 2') : null;
+    const match: MatchRow = {
+      matchId: randomUUID(),
+      playerId: pid,
+      difficulty,
+      durationMs,
+      setScores: setScores || null,
+      mode,
+      opponentId: oid,
+      playerPoints: points ? points.player : null,
+      opponentPoints: points ? points.opponent : null,
+      winner: outcome.winner || null,
+      pointsPlayed: pointLog ? pointLog.length : points ? points.player + points.opponent : null,
+      longestRally: outcome.longestRally ?? null,
+      personality: outcome.personality ?? null,
+      adaptiveLevel: outcome.adaptiveLevel ?? null,
+      settingsHash: outcome.settingsHash ?? null,
+      pointLog: pointLog ? JSON.stringify(pointLog) : null,
+      createdAt: new Date()
+    };
+    this.matches.push(match);
+    if (session) {
+      session.matchId = match.matchId;
+      // The score counts once per session, whether it came here or through POST /scores
+      if (session.scoreSubmittedAt) recordScores = false;
+      else if (recordScores && points) session.scoreSubmittedAt = new Date();
+    }
+    if (recordScores && points) {
+      this.addScore(player, points.player);
+      if (opponent) this.addScore(opponent, points.opponent);
+    }
+    return toMatch(match);
+  }
+
+  async getMatch(matchId: string): Promise<Match | null> {
+    const id = toId(matchId);
+    const match = this.matches.find(m => m.matchId === id);
+    return match ? toMatch(match) : null;
+  }
+
+  async getBestMatchTimers(difficulty: string | null, query: LeaderboardQuery): Promise<LeaderboardPage<BestTimer>> {
+    const best = new Map<string, MatchRow>();
+    for (const match of this.matches) {
+      if (match.mode !== 'copilot' || match.winner !== 'player' || match.difficulty === CUSTOM_DIFFICULTY) continue;
+      if (difficulty !== null && match.difficulty !== difficulty) continue;
+      if (query.since !== null && match.createdAt < query.since) continue;
+      const current = best.get(match.playerId);
+      if (!current || match.durationMs < current.durationMs) best.set(match.playerId, match);
+    }
+    const ranked = [...best.values()]
+      .sort((a, b) => a.durationMs - b.durationMs || a.createdAt.getTime() - b.createdAt.getTime() || a.playerId.localeCompare(b.playerId))
+      .map((match, i) => ({
+        rank: i + 1,
+        playerId: match.playerId,
+        playerName: this.players.get(match.playerId)?.playerName || null,
+        bestDurationMs: match.durationMs,
+        achievedAt: match.createdAt
+      }));
+    return toPage(ranked, query);
+  }
+
+  async recordMatchRatings(match: Match): Promise<RatingChange[]> {
+    const matchId = toId(match.matchId);
+    if (this.ratingHistory.some(h => h.matchId === matchId)) return [];
+    const sideIds = { player: toId(match.playerId), opponent: toId(match.opponentId) };
+    const rowOf = (id: string | null) => id ? this.ratings.find(r => r.playerId === id && r.difficulty === match.difficulty) : undefined;
+    const ratingOf = (id: string | null) => {
+      const row = rowOf(id);
+      return row ? { rating: row.rating, matchesRated: row.matchesRated } : null;
+    };
+    const changes = rateMatch(
+      { mode: match.mode, difficulty: match.difficulty, winner: match.winner || null, adaptiveLevel: match.adaptiveLevel ?? null },
+      { player: ratingOf(sideIds.player), opponent: ratingOf(sideIds.opponent) }
+    );
+
+    for (const change of changes) {
+      const playerId = sideIds[change.side];
+      const row = rowOf(playerId);
+      if (row) {
+        row.rating = change.after;
+        row.matchesRated += 1;
+        row.updatedAt = new Date();
+      } else {
+        this.ratings.push({ playerId, difficulty: match.difficulty, rating: change.after, matchesRated: 1, updatedAt: new Date() });
+      }
+      this.ratingHistory.push({
+        playerId,
+        matchId,
+        difficulty: match.difficulty,
+        ratingBefore: change.before,
+        ratingAfter: change.after,
+        opponentRating: change.opponentRating,
+        won: change.won,
+        createdAt: new Date()
+      });
+    }
+    return changes;
+  }
+
+  private toPlayerRating(row: RatingRow): PlayerRating {
+    return {
+      playerId: row.playerId,
+      playerName: this.players.get(row.playerId)?.playerName || null,
+      difficulty: row.difficulty,
+      rating: row.rating,
+      matchesRated: row.matchesRated,
+      updatedAt: row.updatedAt
+    };
+  }
+
+  async getRatingLeaderboard(difficulty: string, limit: number = 10): Promise<PlayerRating[]> {
+    return this.ratings
+      .filter(r => r.difficulty === difficulty)
+      .sort((a, b) => b.rating - a.rating || b.matchesRated - a.matchesRated)
+      .slice(0, limit)
+      .map(r => this.toPlayerRating(r));
+  }
+
+  async getPlayerRatings(playerId: string, historyLimit: number = 20): Promise<{ ratings: PlayerRating[]; history: RatingHistoryEntry[] }> {
+    const pid = toId(playerId);
+    return {
+      ratings: this.ratings
+        .filter(r => r.playerId === pid)
+        .sort((a, b) => a.difficulty.localeCompare(b.difficulty))
+        .map(r => this.toPlayerRating(r)),
+      history: this.ratingHistory
+        .filter(h => h.playerId === pid)
+        .reverse()
+        .slice(0, historyLimit)
+        .map(({ playerId, ...entry }) => entry)
+    };
+  }
+
+  async getCampaignProgress(playerId: string, matchLimit: number = 20): Promise<{ progress: CampaignProgress[]; matches: CampaignMatch[] }> {
+    const pid = toId(playerId);
+    return {
+      progress: this.campaignProgress
+        .filter(p => p.playerId === pid)
+        .map(toCampaignProgress),
+      matches: this.campaignMatches
+        .filter(m => m.playerId === pid)
+        .reverse()
+        .slice(0, matchLimit)
+        .map(({ playerId, ...match }) => match)
+    };
+  }
+
+  async recordCampaignMatch(playerId: string, tierId: string, round: number, rounds: number, matchId: string, won: boolean): Promise<CampaignProgress | null> {
+    const pid = toId(playerId);
+    const mid = toId(matchId);
+    if (!pid || !mid) throw storageError(50002, 'Invalid playerId or matchId');
+    let row = this.campaignProgress.find(p => p.playerId === pid && p.tierId === tierId);
+    if ((row ? row.nextRound : 0) !== round) return null;
+    if (!row) {
+      row = { playerId: pid, tierId, nextRound: 0, titles: 0, firstTitleAt: null, updatedAt: new Date() };
+      this.campaignProgress.push(row);
+    }
+    const next = advanceCampaign(row, round, rounds, won);
+    if (next.titles > row.titles && !row.firstTitleAt) row.firstTitleAt = new Date();
+    row.nextRound = next.nextRound;
+    row.titles = next.titles;
+    row.updatedAt = new Date();
+    this.campaignMatches.push({ playerId: pid, tierId, round, matchId: mid, won, playedAt: new Date() });
+    return toCampaignProgress(row);
+  }
+
+  async saveDailyChallenge(challenge: Omit<DailyChallenge, 'createdAt'>): Promise<DailyChallenge> {
+    if (!this.dailyChallenges.has(challenge.day)) this.dailyChallenges.set(challenge.day, { ...challenge, createdAt: new Date() });
+    return { ...this.dailyChallenges.get(challenge.day) };
+  }
+
+  async claimDailyAttempt(day: string, playerId: string, sessionId: string): Promise<boolean> {
+    const pid = toId(playerId);
+    const sid = toId(sessionId);
+    if (!pid || !sid) throw storageError(50002, 'Invalid playerId');
+    if (this.dailyAttempts.some(a => a.day === day && a.playerId === pid)) return false;
+    this.dailyAttempts.push({ day, playerId: pid, sessionId: sid, result: null, startedAt: new Date(), completedAt: null });
+    return true;
+  }
+
+  async completeDailyAttempt(day: string, playerId: string, sessionId: string, result: DailyResult): Promise<boolean> {
+    const attempt = this.dailyAttempts.find(a => a.day === day && a.playerId === toId(playerId) && a.sessionId === toId(sessionId));
+    if (!attempt || attempt.result) return false;
+    attempt.result = { ...result, matchId: toId(result.matchId) };
+    attempt.completedAt = new Date();
+    return true;
+  }
+
+  async getDailyLeaderboard(day: string, query: LeaderboardQuery): Promise<LeaderboardPage<DailyEntry>> {
+    const margin = ({ result }: DailyAttemptRow) => result.playerPoints - result.opponentPoints;
+    const ranked = this.dailyAttempts
+      .filter(a => a.day === day && a.result)
+      .sort((a, b) => Number(b.result.won) - Number(a.result.won) || margin(b) - margin(a)
+        || a.result.durationMs - b.result.durationMs || a.completedAt.getTime() - b.completedAt.getTime())
+      .map((attempt, i) => ({
+        rank: i + 1,
+        playerId: attempt.playerId,
+        playerName: this.players.get(attempt.playerId)?.playerName || null,
+        ...attempt.result,
+        completedAt: attempt.completedAt
+      }));
+    return toPage(ranked, query);
+  }
+
+  async saveReplay(matchId: string, playerId: string, data: string, ticks: number, durationMs: number, setScores: string | null): Promise<ReplaySummary> {
+    const mid = toId(matchId);
+    const pid = toId(playerId);
+    if (!mid || !pid) throw storageError(50002, 'Invalid matchId or playerId');
+    const match = this.matches.find(m => m.matchId === mid);
+    if (!match) throw storageError(50004, 'Match not found');
+    if (match.playerId !== pid && match.opponentId !== pid) throw storageError(50005, 'Only a player of the match can upload its replay');
+    if (this.replays.some(r => r.matchId === mid)) throw storageError(50006, 'This match already has a replay');
+    if (match.durationMs !== durationMs || (match.setScores || '') !== (setScores || '')) {
+      throw storageError(50007, 'Replay result does not match the recorded match');
+    }
+
+    const replay: Replay = { replayId: randomUUID(), matchId: mid, playerId: pid, ticks, durationMs, data, createdAt: new Date() };
+    this.replays.push(replay);
+    return toReplaySummary(replay);
+  }
+
+  async getReplay(replayId: string): Promise<Replay | null> {
+    const id = toId(replayId);
+    const replay = this.replays.find(r => r.replayId === id);
+    return replay ? { ...replay } : null;
+  }
+
+  async listReplays(matchId: string | null, playerId: string | null, limit: number = 10): Promise<ReplaySummary[]> {
+    const mid = toId(matchId);
+    const pid = toId(playerId);
+    return this.replays
+      .filter(r => {
+        const match = this.matches.find(m => m.matchId === r.matchId);
+        return (matchId === null || r.matchId === mid)
+          && (playerId === null || (pid !== null && (match.playerId === pid || (match.opponentId === pid && match.mode === 'online'))));
+      })
+      .reverse()
+      .slice(0, limit)
+      .map(toReplaySummary);
+  }
+
+  async createMatchSession(sessionId: string, playerId: string, difficulty: string, format: string, mode: string): Promise<void> {
+    const pid = toId(playerId);
+    const sid = toId(sessionId);
+    if (!pid || !sid) throw storageError(50002, 'Invalid playerId');
+    this.matchSessions.set(sid, {
+      playerId: pid, difficulty, format, mode, matchId: null, matchSubmittedAt: null, scoreSubmittedAt: null
+    });
+  }
+
+  async getMatchSession(sessionId: string): Promise<MatchSessionState | null> {
+    const session = this.matchSessions.get(toId(sessionId));
+    if (!session) return null;
+    const match = session.matchId ? this.matches.find(m => m.matchId === session.matchId) : null;
+    return { match: match ? toMatch(match) : null, submitted: !!session.matchSubmittedAt };
+  }
+
+  async claimMatchSession(sessionId: string, use: 'match' | 'score'): Promise<boolean> {
+    const session = this.matchSessions.get(toId(sessionId));
+    const column = use === 'match' ? 'matchSubmittedAt' : 'scoreSubmittedAt';
+    if (!session || session[column]) return false;
+    session[column] = new Date();
+    return true;
+  }
+
+  async flagSubmission(playerId: string | null, kind: string, reason: string, payload: string): Promise<void> {
+    this.flagged.push({ playerId: playerId ? String(playerId).slice(0, 36) : null, kind, reason: reason.slice(0, 400), payload, flaggedAt: new Date() });
+  }
+
+  async listDifficultyPresets(): Promise<DifficultyPresetRow[]> {
+    return [...this.difficultyPresets.values()]
+      .sort((a, b) => a.difficultyId.localeCompare(b.difficultyId))
+      .map(row => ({ ...row }));
+  }
+
+  async saveDifficultyPreset(difficultyId: string, settings: string, ranked: boolean): Promise<void> {
+    this.difficultyPresets.set(difficultyId, { difficultyId, settings, ranked, updatedAt: new Date() });
+  }
+
+  async deleteDifficultyPreset(difficultyId: string): Promise<boolean> {
+    return this.difficultyPresets.delete(difficultyId);
+  }
+
+  async getAccount(playerId: string): Promise<Account | null> {
+    const player = this.players.get(toId(playerId));
+    return player ? toAccount(player) : null;
+  }
+
+  async getAccountByEmail(email: string): Promise<Account | null> {
+    const player = this.accountWithEmail(email);
+    return player ? toAccount(player) : null;
+  }
+
+  async claimAccount(playerId: string, email: string, passwordHash: string | null): Promise<Account> {
+    const player = this.players.get(toId(playerId));
+    if (!player) throw storageError(50002, 'Invalid playerId');
+    if (player.email !== null) throw storageError(50010, 'Player already has an account');
+    if (this.accountWithEmail(email)) throw storageError(50011, 'Email is already registered');
+    player.email = email;
+    player.passwordHash = passwordHash;
+    player.lastSeenAt = new Date();
+    // The guest's sessions end: the account is only reached by signing in to it
+    for (const [tokenHash, session] of this.authSessions) {
+      if (session.playerId === player.playerId) this.authSessions.delete(tokenHash);
+    }
+    return toAccount(player);
+  }
+
+  async createAccount(playerName: string, email: string, passwordHash: string | null): Promise<Account> {
+    if (this.accountWithEmail(email)) throw storageError(50011, 'Email is already registered');
+    return toAccount(this.addPlayer(randomUUID(), playerName, email, passwordHash));
+  }
+
+  async renamePlayer(playerId: string, playerName: string): Promise<Player | null> {
+    const player = this.players.get(toId(playerId));
+    if (!player) return null;
+    player.playerName = playerName;
+    player.lastSeenAt = new Date();
+    return toPlayer(player);
+  }
+
+  async mergePlayers(fromPlayerId: string, toPlayerId: string): Promise<void> {
+    const fromId = toId(fromPlayerId);
+    const from = this.players.get(fromId);
+    const to = this.players.get(toId(toPlayerId));
+    if (!from || !to || from === to) throw storageError(50002, 'Invalid playerId');
+    if (from.email !== null) throw storageError(50010, 'Player already has an account');
+
+    // Matches between the guest and the account would have the account playing itself: they go,
+    // with their replays and rating changes (career rounds and daily attempts are never between players)
+    const between = new Set(this.matches
+      .filter(m => (m.playerId === fromId && m.opponentId === to.playerId) || (m.playerId === to.playerId && m.opponentId === fromId))
+      .map(m => m.matchId));
+    this.matches = this.matches.filter(m => !between.has(m.matchId));
+    this.replays = this.replays.filter(r => !between.has(r.matchId));
+    this.ratingHistory = this.ratingHistory.filter(h => !between.has(h.matchId));
+    for (const session of this.matchSessions.values()) {
+      if (session.matchId && between.has(session.matchId)) session.matchId = null;
+    }
+
+    const moved = (id: string | null) => id === fromId ? to.playerId : id;
+    for (const score of this.scores) score.playerId = moved(score.playerId);
+    for (const match of this.matches) {
+      match.playerId = moved(match.playerId);
+      match.opponentId = moved(match.opponentId);
+    }
+    for (const replay of this.replays) replay.playerId = moved(replay.playerId);
+    for (const session of this.matchSessions.values()) session.playerId = moved(session.playerId);
+    for (const [tokenHash, session] of this.authSessions) {
+      if (session.playerId === fromId) this.authSessions.delete(tokenHash);
+    }
+    // Ratings: the account keeps its own where it has one, and takes the guest's where it hasn't
+    for (const entry of this.ratingHistory) entry.playerId = moved(entry.playerId);
+    const accountPools = new Set(this.ratings.filter(r => r.playerId === to.playerId).map(r => r.difficulty));
+    this.ratings = this.ratings.filter(r => r.playerId !== fromId || !accountPools.has(r.difficulty));
+    for (const rating of this.ratings) rating.playerId = moved(rating.playerId);
+    // Campaign progress the same way, tournament by tournament
+    for (const match of this.campaignMatches) match.playerId = moved(match.playerId);
+    const accountTiers = new Set(this.campaignProgress.filter(p => p.playerId === to.playerId).map(p => p.tierId));
+    this.campaignProgress = this.campaignProgress.filter(p => p.playerId !== fromId || !accountTiers.has(p.tierId));
+    for (const progress of this.campaignProgress) progress.playerId = moved(progress.playerId);
+    // Daily attempts the same way, day by day
+    const accountDays = new Set(this.dailyAttempts.filter(a => a.playerId === to.playerId).map(a => a.day));
+    this.dailyAttempts = this.dailyAttempts.filter(a => a.playerId !== fromId || !accountDays.has(a.day));
+    for (const attempt of this.dailyAttempts) attempt.playerId = moved(attempt.playerId);
+
+    to.bestScore = Math.max(to.bestScore, from.bestScore);
+    to.gamesPlayed += from.gamesPlayed;
+    to.lastSeenAt = new Date();
+    this.players.delete(fromId);
+  }
+
+  async createAuthSession(tokenHash: string, playerId: string, guest: boolean, expiresAt: Date): Promise<void> {
+    const pid = toId(playerId);
+    if (!pid) throw storageError(50002, 'Invalid playerId');
+    this.authSessions.set(tokenHash, { playerId: pid, guest, expiresAt });
+  }
+
+  async getAuthSession(tokenHash: string): Promise<AuthSession | null> {
+    const session = this.authSessions.get(tokenHash);
+    return session && session.expiresAt > new Date() ? { ...session } : null;
+  }
+
+  async deleteAuthSession(tokenHash: string): Promise<void> {
+    const now = new Date();
+    for (const [hash, session] of this.authSessions) {
+      if (hash === tokenHash || session.expiresAt <= now) this.authSessions.delete(hash);
+    }
+  }
+
+  async createSignInLink(tokenHash: string, email: string, guestPlayerId: string | null, expiresAt: Date): Promise<void> {
+    this.signInLinks.set(tokenHash, { email, guestPlayerId: toId(guestPlayerId), expiresAt, usedAt: null });
+  }
+
+  async useSignInLink(tokenHash: string): Promise<{ email: string; guestPlayerId: string | null } | null> {
+    const link = this.signInLinks.get(tokenHash);
+    if (!link || link.usedAt || link.expiresAt <= new Date()) return null;
+    link.usedAt = new Date();
+    return { email: link.email, guestPlayerId: link.guestPlayerId };
+  }
+
+  async claimIdempotencyKey(playerId: string, scope: string, key: string): Promise<IdempotentResponse | null> {
+    const pid = toId(playerId);
+    if (!pid) throw storageError(50002, 'Invalid playerId');
+    const expired = Date.now() - IDEMPOTENCY_KEY_TTL_MS;
+    for (const [id, row] of this.idempotencyKeys) {
+      if (row.createdAt.getTime() < expired) this.idempotencyKeys.delete(id);
+    }
+    const existing = this.idempotencyKeys.get(idempotencyId(pid, scope, key));
+    if (existing) return { statusCode: existing.statusCode, body: existing.body };
+    this.idempotencyKeys.set(idempotencyId(pid, scope, key), { statusCode: null, body: null, createdAt: new Date() });
+    return null;
+  }
+
+  async completeIdempotencyKey(playerId: string, scope: string, key: string, statusCode: number, body: string): Promise<void> {
+    const row = this.idempotencyKeys.get(idempotencyId(toId(playerId), scope, key));
+    if (!row) return;
+    row.statusCode = statusCode;
+    row.body = body;
+  }
+
+  async releaseIdempotencyKey(playerId: string, scope: string, key: string): Promise<void> {
+    this.idempotencyKeys.delete(idempotencyId(toId(playerId), scope, key));
+  }
+}
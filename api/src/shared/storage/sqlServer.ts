@@ -0,0 +1,1656 @@
+import * as sql from 'mssql';
+import { flipSetScores } from '../stats';
+import { migrate } from '../migrations';
+import { rateMatch, RatingChange, CUSTOM_DIFFICULTY } from '../rating';
+import { advanceCampaign } from '../campaign';
+import type { LeaderboardQuery } from '../leaderboard';
+import type {
+  Repository, Player, Account, AuthSession, GameScore, Match, MatchMode, MatchOutcome, MatchSessionState, PlayerMatchRow,
+  ReplaySummary, Replay, PlayerRating, RatingHistoryEntry, BestTimer, ScoreEntry, LeaderboardPage, IdempotentResponse,
+  DifficultyPresetRow, CampaignProgress, CampaignMatch, DailyChallenge, DailyResult, DailyEntry
+} from '../database';
+
+// Azure SQL storage (see shared/database.ts). The schema comes from the migrations in src/migrations.
+let pool: sql.ConnectionPool | null = null;
+
+export async function getDbPool(): Promise<sql.ConnectionPool> {
+  if (pool && pool.connected) {
+    return pool;
+  }
+
+  const connectionString = process.env.AZURE_SQL_CONNECTIONSTRING;
+  if (!connectionString) {
+    throw new Error('AZURE_SQL_CONNECTIONSTRING environment variable is not set');
+  }
+
+  try {
+    pool = new sql.ConnectionPool(connectionString);
+    await pool.connect();
+    
+    // Apply schema migrations the database doesn't have yet (see shared/migrations.ts); never rolls
+    // back. With DB_AUTO_MIGRATE=false, run them with `npm run migrate` instead.
+    if (process.env.DB_AUTO_MIGRATE !== 'false') await migrate(pool, { upOnly: true });
+    
+    return pool;
+  } catch (error) {
+    console.error('Database connection failed:', error);
+    throw error;
+  }
+}
+
+async function upsertPlayer(playerId: string, playerName: string): Promise<Player> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('playerName', sql.NVarChar(100), playerName)
+      .query(`
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        DECLARE @existingName NVARCHAR(100) = (
+          SELECT PlayerName FROM Players WHERE PlayerId = @pid
+        );
+
+        -- If the provided ID exists but the name is different, create a NEW player with a NEW ID
+        IF @existingName IS NOT NULL AND @existingName <> @playerName
+        BEGIN
+          DECLARE @newPid UNIQUEIDENTIFIER = NEWID();
+          INSERT INTO Players (PlayerId, PlayerName, CreatedAt, LastSeenAt)
+          VALUES (@newPid, @playerName, GETDATE(), GETDATE());
+
+          SELECT PlayerId, PlayerName, CurrentScore, BestScore, GamesPlayed, CreatedAt, LastSeenAt
+          FROM Players 
+          WHERE PlayerId = @newPid;
+        END
+        ELSE
+        BEGIN
+          -- Standard upsert by PlayerId
+          IF @pid IS NULL SET @pid = NEWID();
+          MERGE Players AS target
+          USING (SELECT @pid AS PlayerId, @playerName AS PlayerName) AS source
+          ON target.PlayerId = source.PlayerId
+          WHEN MATCHED THEN
+            UPDATE SET 
+              PlayerName = source.PlayerName,
+              LastSeenAt = GETDATE()
+          WHEN NOT MATCHED THEN
+            INSERT (PlayerId, PlayerName, CreatedAt, LastSeenAt)
+            VALUES (source.PlayerId, source.PlayerName, GETDATE(), GETDATE());
+
+          SELECT PlayerId, PlayerName, CurrentScore, BestScore, GamesPlayed, CreatedAt, LastSeenAt
+          FROM Players 
+          WHERE PlayerId = @pid;
+        END
+      `);
+
+    const player = result.recordset[0];
+    return {
+      playerId: player.PlayerId,
+      playerName: player.PlayerName,
+      currentScore: player.CurrentScore || 0,
+      bestScore: player.BestScore || 0,
+      gamesPlayed: player.GamesPlayed || 0,
+      createdAt: player.CreatedAt,
+      lastSeenAt: player.LastSeenAt
+    };
+  } catch (error) {
+    console.error('Failed to upsert player:', error);
+    throw error;
+  }
+}
+
+async function getPlayer(playerId: string): Promise<Player | null> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .query(`
+        SELECT PlayerId, PlayerName, CurrentScore, BestScore, GamesPlayed, CreatedAt, LastSeenAt
+        FROM Players 
+        WHERE PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId)
+      `);
+
+    if (result.recordset.length === 0) {
+      return null;
+    }
+
+    const player = result.recordset[0];
+    return {
+      playerId: player.PlayerId,
+      playerName: player.PlayerName,
+      currentScore: player.CurrentScore || 0,
+      bestScore: player.BestScore || 0,
+      gamesPlayed: player.GamesPlayed || 0,
+      createdAt: player.CreatedAt,
+      lastSeenAt: player.LastSeenAt
+    };
+  } catch (error) {
+    console.error('Failed to get player:', error);
+    throw error;
+  }
+}
+
+async function updatePlayerScore(playerId: string, score: number): Promise<Player> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('score', sql.Int, score)
+      .query(`
+        BEGIN TRAN;
+        
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        IF @pid IS NULL 
+        BEGIN
+          ROLLBACK TRAN;
+          THROW 50001, 'Invalid playerId', 1;
+        END
+
+        -- Ensure player exists to avoid FK violation
+        IF NOT EXISTS (SELECT 1 FROM Players WHERE PlayerId = @pid)
+        BEGIN
+          INSERT INTO Players (PlayerId, PlayerName, CreatedAt, LastSeenAt)
+          VALUES (@pid, N'Player', GETDATE(), GETDATE());
+        END
+
+        -- Update aggregate stats
+        UPDATE Players 
+        SET 
+          CurrentScore = @score,
+          BestScore = CASE WHEN @score > BestScore THEN @score ELSE BestScore END,
+          GamesPlayed = GamesPlayed + 1,
+          LastSeenAt = GETDATE()
+        WHERE PlayerId = @pid;
+
+        -- Insert score history row
+        INSERT INTO GameScores (PlayerId, Score)
+        VALUES (@pid, @score);
+
+        COMMIT TRAN;
+      `);
+
+    const player = await getPlayer(playerId);
+    if (!player) {
+      throw new Error('Player not found after score update');
+    }
+
+    return player;
+  } catch (error) {
+    // Best-effort rollback if transaction still open
+    try { await pool.request().query('IF @@TRANCOUNT > 0 ROLLBACK TRAN;'); } catch {}
+    console.error('Failed to update player score:', error);
+    throw error;
+  }
+}
+
+async function getPlayerScoreHistory(playerId: string, limit: number = 10): Promise<GameScore[]> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('limit', sql.Int, limit)
+      .query(`
+        SELECT TOP (@limit) ScoreId, PlayerId, Score, GameDate
+        FROM GameScores 
+        WHERE PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId)
+        ORDER BY GameDate DESC
+      `);
+
+    return result.recordset.map(record => ({
+      scoreId: record.ScoreId,
+      playerId: record.PlayerId,
+      score: record.Score,
+      gameDate: record.GameDate
+    }));
+  } catch (error) {
+    console.error('Failed to get player score history:', error);
+    throw error;
+  }
+}
+
+// Everything player statistics are computed from: all of the player's matches (either side, oldest
+// first, from their point of view) and their score history
+async function getPlayerStatsSource(playerId: string): Promise<{ matches: PlayerMatchRow[]; scores: GameScore[] }> {
+  const pool = await getDbPool();
+
+  try {
+    const matches = await pool.request()
+      .input('playerId', sql.VarChar(36), playerId)
+      .query(`
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        SELECT Mode, Difficulty, Personality, DurationMs, SetScores, Winner, PlayerPoints, OpponentPoints, CreatedAt,
+          CASE WHEN PlayerId = @pid THEN 0 ELSE 1 END AS AsOpponent
+        FROM Matches
+        WHERE PlayerId = @pid OR (OpponentId = @pid AND Mode = 'online')
+        ORDER BY CreatedAt ASC
+      `);
+    const scores = await pool.request()
+      .input('playerId', sql.VarChar(36), playerId)
+      .query(`
+        SELECT ScoreId, PlayerId, Score, GameDate
+        FROM GameScores
+        WHERE PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId)
+        ORDER BY GameDate ASC
+      `);
+
+    return {
+      matches: matches.recordset.map(r => {
+        const asOpponent = r.AsOpponent === 1;
+        return {
+          mode: r.Mode,
+          difficulty: r.Difficulty,
+          personality: r.Personality || null,
+          durationMs: r.DurationMs,
+          setScores: r.SetScores ? (asOpponent ? flipSetScores(r.SetScores) : r.SetScores) : null,
+          winner: r.Winner ? ((r.Winner === 'player') !== asOpponent ? 'player' : 'opponent') : null,
+          playerPoints: (asOpponent ? r.OpponentPoints : r.PlayerPoints) ?? null,
+          opponentPoints: (asOpponent ? r.PlayerPoints : r.OpponentPoints) ?? null,
+          createdAt: r.CreatedAt
+        };
+      }),
+      scores: scores.recordset.map(record => ({
+        scoreId: record.ScoreId,
+        playerId: record.PlayerId,
+        score: record.Score,
+        gameDate: record.GameDate
+      }))
+    };
+  } catch (error) {
+    console.error('Failed to get player stats:', error);
+    throw error;
+  }
+}
+
+// The leaderboard queries: the total, the page and the rows around the requesting player's rank of
+// `board` (one row per player, with a PlayerId) ranked from 1 in `order`. A CTE is not stored, so each
+// of the four statements computes the board and ranks all of it again before keeping its rows; the
+// cost is those repeated reads, in place of writing the whole ranking to a table once per request.
+function rankedPageSql(board: string, order: string): string {
+  const ranked = `WITH board AS (${board}), ranked AS (SELECT ROW_NUMBER() OVER (ORDER BY ${order}) AS Rank, * FROM board)`;
+  return `
+    ${ranked} SELECT COUNT(*) AS Total FROM board;
+    ${ranked} SELECT * FROM ranked ORDER BY Rank OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY;
+    DECLARE @myRank INT;
+    ${ranked} SELECT @myRank = Rank FROM ranked WHERE PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+    DECLARE @aroundFrom INT = IIF(@myRank > @around, @myRank - @around - 1, 0);
+    ${ranked} SELECT * FROM ranked WHERE @myRank IS NOT NULL ORDER BY Rank
+      OFFSET @aroundFrom ROWS FETCH NEXT ISNULL(@myRank + @around - @aroundFrom, 1) ROWS ONLY;
+    SELECT @myRank AS MyRank;
+  `;
+}
+
+function withPageInputs(request: sql.Request, query: LeaderboardQuery): sql.Request {
+  return request
+    .input('since', sql.DateTime2, query.since)
+    .input('limit', sql.Int, query.limit)
+    .input('offset', sql.Int, query.offset)
+    .input('around', sql.Int, query.around)
+    .input('playerId', sql.VarChar(36), query.playerId);
+}
+
+function toPage<T extends { rank: number }>(result: sql.IResult<any>, map: (row: any) => T): LeaderboardPage<T> {
+  const [total, entries, around, myRank] = result.recordsets as sql.IRecordSet<any>[];
+  const aroundEntries = around.map(map);
+  return {
+    total: total[0].Total,
+    entries: entries.map(map),
+    me: aroundEntries.find(entry => entry.rank === myRank[0].MyRank) || null,
+    around: aroundEntries
+  };
+}
+
+// Best scores: all time from the players' best, otherwise the best game each player scored in the period
+async function getLeaderboard(query: LeaderboardQuery): Promise<LeaderboardPage<ScoreEntry>> {
+  const pool = await getDbPool();
+  const request = withPageInputs(pool.request(), query);
+
+  try {
+    const result = await request.query(rankedPageSql(`
+      SELECT PlayerId, PlayerName, BestScore, GamesPlayed
+      FROM Players
+      WHERE @since IS NULL AND BestScore > 0
+      UNION ALL
+      SELECT s.PlayerId, p.PlayerName, s.BestScore, s.GamesPlayed
+      FROM (
+        SELECT PlayerId, MAX(Score) AS BestScore, COUNT(*) AS GamesPlayed
+        FROM GameScores
+        WHERE @since IS NOT NULL AND GameDate >= @since
+        GROUP BY PlayerId
+        HAVING MAX(Score) > 0
+      ) s
+      JOIN Players p ON p.PlayerId = s.PlayerId
+    `, 'BestScore DESC, GamesPlayed ASC, PlayerId'));
+
+    return toPage(result, r => ({
+      rank: r.Rank,
+      playerId: r.PlayerId,
+      playerName: r.PlayerName || null,
+      bestScore: r.BestScore,
+      gamesPlayed: r.GamesPlayed
+    }));
+  } catch (error) {
+    console.error('Failed to get leaderboard:', error);
+    throw error;
+  }
+}
+
+function toMatch(rec: any): Match {
+  return {
+    matchId: rec.MatchId,
+    playerId: rec.PlayerId,
+    difficulty: rec.Difficulty,
+    durationMs: rec.DurationMs,
+    setScores: rec.SetScores || null,
+    mode: rec.Mode,
+    opponentId: rec.OpponentId || null,
+    playerPoints: rec.PlayerPoints ?? null,
+    opponentPoints: rec.OpponentPoints ?? null,
+    winner: rec.Winner || null,
+    pointsPlayed: rec.PointsPlayed ?? null,
+    longestRally: rec.LongestRally ?? null,
+    personality: rec.Personality || null,
+    adaptiveLevel: rec.AdaptiveLevel ?? null,
+    settingsHash: rec.SettingsHash || null,
+    createdAt: rec.CreatedAt
+  };
+}
+
+// PvP and online matches pass the second player's id as opponentId
+// Record a finished match with its outcome, in one transaction. With recordScores, each human side
+// also gets its points added to its score history (what POST /scores does on its own). With a
+// sessionId, the same transaction claims the match session for it (50012 if it already has a match).
+async function recordMatch(playerId: string, difficulty: string, durationMs: number, setScores: string | null = null, opponentId: string | null = null, mode: MatchMode = opponentId ? 'pvp' : 'copilot', outcome: MatchOutcome = {}, recordScores: boolean = false, sessionId: string | null = null): Promise<Match> {
+  const pool = await getDbPool();
+  const request = pool.request();
+  const points = outcome.points || null;
+  const pointLog = outcome.pointLog || null;
+
+  try {
+    const result = await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('difficulty', sql.NVarChar(50), difficulty)
+      .input('durationMs', sql.Int, durationMs)
+      .input('setScores', sql.NVarChar(100), setScores)
+      .input('opponentId', sql.VarChar(36), opponentId)
+      .input('mode', sql.NVarChar(20), mode)
+      .input('winner', sql.NVarChar(10), outcome.winner || null)
+      .input('playerPoints', sql.Int, points ? points.player : null)
+      .input('opponentPoints', sql.Int, points ? points.opponent : null)
+      .input('pointsPlayed', sql.Int, pointLog ? pointLog.length : points ? points.player + points.opponent : null)
+      .input('longestRally', sql.Int, outcome.longestRally ?? null)
+      .input('personality', sql.NVarChar(20), outcome.personality ?? null)
+      .input('adaptiveLevel', sql.Float, outcome.adaptiveLevel ?? null)
+      .input('settingsHash', sql.NVarChar(16), outcome.settingsHash ?? null)
+      .input('pointLog', sql.NVarChar(sql.MAX), pointLog ? JSON.stringify(pointLog) : null)
+      .input('recordScores', sql.Bit, recordScores && !!points)
+      .input('sessionId', sql.VarChar(36), sessionId)
+      .query(`
+        BEGIN TRAN;
+
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        IF @pid IS NULL 
+        BEGIN
+          ROLLBACK TRAN;
+          THROW 50002, 'Invalid playerId', 1;
+        END
+        DECLARE @oid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @opponentId);
+        IF @opponentId IS NOT NULL AND @oid IS NULL
+        BEGIN
+          ROLLBACK TRAN;
+          THROW 50003, 'Invalid opponentId', 1;
+        END
+        DECLARE @sid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @sessionId);
+        IF @sessionId IS NOT NULL AND NOT EXISTS (
+          SELECT 1 FROM MatchSessions WITH (UPDLOCK, HOLDLOCK)
+          WHERE SessionId = @sid AND MatchId IS NULL AND MatchSubmittedAt IS NULL
+        )
+        BEGIN
+          ROLLBACK TRAN;
+          THROW 50012, 'Match token was already used', 1;
+        END
+
+        -- Ensure players exist
+        IF NOT EXISTS (SELECT 1 FROM Players WHERE PlayerId = @pid)
+        BEGIN
+          INSERT INTO Players (PlayerId, PlayerName, CreatedAt, LastSeenAt)
+          VALUES (@pid, N'Player', GETDATE(), GETDATE());
+        END
+        IF @oid IS NOT NULL AND NOT EXISTS (SELECT 1 FROM Players WHERE PlayerId = @oid)
+        BEGIN
+          INSERT INTO Players (PlayerId, PlayerName, CreatedAt, LastSeenAt)
+          VALUES (@oid, N'Player 2', GETDATE(), GETDATE());
+        END
+
+        DECLARE @inserted TABLE (
+          MatchId UNIQUEIDENTIFIER, PlayerId UNIQUEIDENTIFIER, Difficulty NVARCHAR(50), DurationMs INT, SetScores NVARCHAR(100),
+          Mode NVARCHAR(20), OpponentId UNIQUEIDENTIFIER, PlayerPoints INT, OpponentPoints INT, Winner NVARCHAR(10),
+          PointsPlayed INT, LongestRally INT, Personality NVARCHAR(20), AdaptiveLevel FLOAT,
+          SettingsHash NVARCHAR(16), CreatedAt DATETIME2
+        );
+        INSERT INTO Matches (PlayerId, Difficulty, DurationMs, SetScores, Mode, OpponentId, PlayerPoints, OpponentPoints,
+          Winner, PointsPlayed, LongestRally, PointLog, Personality, AdaptiveLevel, SettingsHash)
+        OUTPUT inserted.MatchId, inserted.PlayerId, inserted.Difficulty, inserted.DurationMs, inserted.SetScores, inserted.Mode, inserted.OpponentId,
+          inserted.PlayerPoints, inserted.OpponentPoints, inserted.Winner, inserted.PointsPlayed, inserted.LongestRally, inserted.Personality,
+          inserted.AdaptiveLevel, inserted.SettingsHash, inserted.CreatedAt
+        INTO @inserted
+        VALUES (@pid, @difficulty, @durationMs, @setScores, @mode, @oid, @playerPoints, @opponentPoints,
+          @winner, @pointsPlayed, @longestRally, @pointLog, @personality, @adaptiveLevel, @settingsHash);
+
+        IF @sid IS NOT NULL
+        BEGIN
+          UPDATE MatchSessions SET MatchId = (SELECT MatchId FROM @inserted) WHERE SessionId = @sid;
+          -- The score counts once per session, whether it came here or through POST /scores
+          IF @recordScores = 1
+          BEGIN
+            UPDATE MatchSessions SET ScoreSubmittedAt = GETDATE() WHERE SessionId = @sid AND ScoreSubmittedAt IS NULL;
+            IF @@ROWCOUNT = 0 SET @recordScores = 0;
+          END
+        END
+
+        -- Same bookkeeping as updatePlayerScore, for each human side
+        IF @recordScores = 1
+        BEGIN
+          UPDATE Players
+          SET
+            CurrentScore = @playerPoints,
+            BestScore = CASE WHEN @playerPoints > BestScore THEN @playerPoints ELSE BestScore END,
+            GamesPlayed = GamesPlayed + 1,
+            LastSeenAt = GETDATE()
+          WHERE PlayerId = @pid;
+          INSERT INTO GameScores (PlayerId, Score) VALUES (@pid, @playerPoints);
+
+          IF @oid IS NOT NULL
+          BEGIN
+            UPDATE Players
+            SET
+              CurrentScore = @opponentPoints,
+              BestScore = CASE WHEN @opponentPoints > BestScore THEN @opponentPoints ELSE BestScore END,
+              GamesPlayed = GamesPlayed + 1,
+              LastSeenAt = GETDATE()
+            WHERE PlayerId = @oid;
+            INSERT INTO GameScores (PlayerId, Score) VALUES (@oid, @opponentPoints);
+          END
+        END
+
+        COMMIT TRAN;
+
+        SELECT * FROM @inserted;
+      `);
+
+    return toMatch(result.recordset[0]);
+  } catch (error) {
+    try { await pool.request().query('IF @@TRANCOUNT > 0 ROLLBACK TRAN;'); } catch {}
+    console.error('Failed to record match:', error);
+    throw error;
+  }
+}
+
+async function getMatch(matchId: string): Promise<Match | null> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('matchId', sql.VarChar(36), matchId)
+      .query(`
+        SELECT MatchId, PlayerId, Difficulty, DurationMs, SetScores, Mode, OpponentId, PlayerPoints, OpponentPoints,
+          Winner, PointsPlayed, LongestRally, Personality, AdaptiveLevel, SettingsHash, CreatedAt
+        FROM Matches
+        WHERE MatchId = TRY_CONVERT(UNIQUEIDENTIFIER, @matchId)
+      `);
+    return result.recordset.length === 0 ? null : toMatch(result.recordset[0]);
+  } catch (error) {
+    console.error('Failed to get match:', error);
+    throw error;
+  }
+}
+
+// New: return the best (minimum) DurationMs per player for a given difficulty (won matches against Copilot only)
+async function getBestMatchTimers(difficulty: string | null, query: LeaderboardQuery): Promise<LeaderboardPage<BestTimer>> {
+  const pool = await getDbPool();
+  const request = withPageInputs(pool.request(), query);
+
+  try {
+    // Accept null/undefined difficulty to mean "any ranked difficulty"
+    request.input('difficulty', sql.NVarChar(50), difficulty ?? null);
+    request.input('custom', sql.NVarChar(50), CUSTOM_DIFFICULTY);
+
+    const result = await request.query(rankedPageSql(`
+      SELECT b.PlayerId, p.PlayerName, b.DurationMs AS BestDurationMs, b.CreatedAt AS AchievedAt
+      FROM (
+        SELECT m.PlayerId, m.DurationMs, m.CreatedAt,
+          ROW_NUMBER() OVER (PARTITION BY m.PlayerId ORDER BY m.DurationMs, m.CreatedAt) AS Nth
+        FROM Matches m
+        WHERE m.Mode = 'copilot'
+          AND m.Winner = 'player'
+          AND m.Difficulty <> @custom
+          AND (@difficulty IS NULL OR m.Difficulty = @difficulty)
+          AND (@since IS NULL OR m.CreatedAt >= @since)
+      ) b
+      LEFT JOIN Players p ON p.PlayerId = b.PlayerId
+      WHERE b.Nth = 1
+    `, 'BestDurationMs, AchievedAt, PlayerId'));
+
+    return toPage(result, r => ({
+      rank: r.Rank,
+      playerId: r.PlayerId,
+      playerName: r.PlayerName || null,
+      bestDurationMs: r.BestDurationMs,
+      achievedAt: r.AchievedAt || null
+    }));
+  } catch (error) {
+    console.error('Failed to get best match timers:', error);
+    throw error;
+  }
+}
+
+// Move the ratings of a recorded match's sides (see shared/rating.ts) and log each change in
+// RatingHistory. Ratings are read and written in one transaction, so matches finishing together
+// don't overwrite each other's changes; rating a match a second time changes nothing.
+async function recordMatchRatings(match: Match): Promise<RatingChange[]> {
+  const pool = await getDbPool();
+  const transaction = new sql.Transaction(pool);
+  const sideIds = { player: String(match.playerId).toLowerCase(), opponent: match.opponentId ? String(match.opponentId).toLowerCase() : null };
+
+  try {
+    await transaction.begin(sql.ISOLATION_LEVEL.SERIALIZABLE);
+    const current = await new sql.Request(transaction)
+      .input('matchId', sql.UniqueIdentifier, match.matchId)
+      .input('playerId', sql.UniqueIdentifier, sideIds.player)
+      .input('opponentId', sql.UniqueIdentifier, sideIds.opponent)
+      .input('difficulty', sql.NVarChar(50), match.difficulty)
+      .query(`
+        SELECT COUNT(*) AS Changes FROM RatingHistory WHERE MatchId = @matchId;
+        SELECT PlayerId, Rating, MatchesRated
+        FROM PlayerRatings WITH (UPDLOCK)
+        WHERE Difficulty = @difficulty AND (PlayerId = @playerId OR PlayerId = @opponentId);
+      `);
+    const [history, rows] = current.recordsets as sql.IRecordSet<any>[];
+    if (history[0].Changes > 0) {
+      await transaction.commit();
+      return [];
+    }
+    const ratingOf = (id: string | null) => {
+      const row = id && rows.find(r => String(r.PlayerId).toLowerCase() === id);
+      return row ? { rating: row.Rating, matchesRated: row.MatchesRated } : null;
+    };
+    const changes = rateMatch(
+      { mode: match.mode, difficulty: match.difficulty, winner: match.winner || null, adaptiveLevel: match.adaptiveLevel ?? null },
+      { player: ratingOf(sideIds.player), opponent: ratingOf(sideIds.opponent) }
+    );
+
+    for (const change of changes) {
+      await new sql.Request(transaction)
+        .input('matchId', sql.UniqueIdentifier, match.matchId)
+        .input('playerId', sql.UniqueIdentifier, sideIds[change.side])
+        .input('difficulty', sql.NVarChar(50), match.difficulty)
+        .input('before', sql.Int, change.before)
+        .input('after', sql.Int, change.after)
+        .input('opponentRating', sql.Int, change.opponentRating)
+        .input('won', sql.Bit, change.won)
+        .query(`
+          UPDATE PlayerRatings
+          SET Rating = @after, MatchesRated = MatchesRated + 1, UpdatedAt = GETDATE()
+          WHERE PlayerId = @playerId AND Difficulty = @difficulty;
+          IF @@ROWCOUNT = 0
+          BEGIN
+            INSERT INTO PlayerRatings (PlayerId, Difficulty, Rating, MatchesRated)
+            VALUES (@playerId, @difficulty, @after, 1);
+          END
+
+          INSERT INTO RatingHistory (PlayerId, MatchId, Difficulty, RatingBefore, RatingAfter, OpponentRating, Won)
+          VALUES (@playerId, @matchId, @difficulty, @before, @after, @opponentRating, @won);
+        `);
+    }
+    await transaction.commit();
+    return changes;
+  } catch (error) {
+    try { await transaction.rollback(); } catch {}
+    console.error('Failed to record match ratings:', error);
+    throw error;
+  }
+}
+
+// Highest ratings in one pool (a difficulty)
+async function getRatingLeaderboard(difficulty: string, limit: number = 10): Promise<PlayerRating[]> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('difficulty', sql.NVarChar(50), difficulty)
+      .input('limit', sql.Int, limit)
+      .query(`
+        SELECT TOP (@limit) r.PlayerId, p.PlayerName, r.Difficulty, r.Rating, r.MatchesRated, r.UpdatedAt
+        FROM PlayerRatings r
+        LEFT JOIN Players p ON p.PlayerId = r.PlayerId
+        WHERE r.Difficulty = @difficulty
+        ORDER BY r.Rating DESC, r.MatchesRated DESC
+      `);
+
+    return result.recordset.map(toPlayerRating);
+  } catch (error) {
+    console.error('Failed to get rating leaderboard:', error);
+    throw error;
+  }
+}
+
+function toPlayerRating(r: any): PlayerRating {
+  return {
+    playerId: r.PlayerId,
+    playerName: r.PlayerName || null,
+    difficulty: r.Difficulty,
+    rating: r.Rating,
+    matchesRated: r.MatchesRated,
+    updatedAt: r.UpdatedAt || null
+  };
+}
+
+// A player's rating in every pool they have played, and their latest rating changes (newest first)
+async function getPlayerRatings(playerId: string, historyLimit: number = 20): Promise<{ ratings: PlayerRating[]; history: RatingHistoryEntry[] }> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('limit', sql.Int, historyLimit)
+      .query(`
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+
+        SELECT r.PlayerId, p.PlayerName, r.Difficulty, r.Rating, r.MatchesRated, r.UpdatedAt
+        FROM PlayerRatings r
+        LEFT JOIN Players p ON p.PlayerId = r.PlayerId
+        WHERE r.PlayerId = @pid
+        ORDER BY r.Difficulty;
+
+        SELECT TOP (@limit) MatchId, Difficulty, RatingBefore, RatingAfter, OpponentRating, Won, CreatedAt
+        FROM RatingHistory
+        WHERE PlayerId = @pid
+        ORDER BY CreatedAt DESC, RatingHistoryId DESC;
+      `);
+
+    const [ratings, history] = result.recordsets as sql.IRecordSet<any>[];
+    return {
+      ratings: ratings.map(toPlayerRating),
+      history: history.map(h => ({
+        matchId: h.MatchId,
+        difficulty: h.Difficulty,
+        ratingBefore: h.RatingBefore,
+        ratingAfter: h.RatingAfter,
+        opponentRating: h.OpponentRating,
+        won: !!h.Won,
+        createdAt: h.CreatedAt
+      }))
+    };
+  } catch (error) {
+    console.error('Failed to get player ratings:', error);
+    throw error;
+  }
+}
+
+function toReplaySummary(r: any): ReplaySummary {
+  return {
+    replayId: r.ReplayId,
+    matchId: r.MatchId,
+    playerId: r.PlayerId,
+    ticks: r.Ticks,
+    durationMs: r.DurationMs,
+    createdAt: r.CreatedAt
+  };
+}
+
+// Store a match's replay. Only one of the match's players may upload it, once, and its result
+// (from re-simulating it) must be the recorded match's, so a replay can't vouch for someone else's time.
+async function saveReplay(matchId: string, playerId: string, data: string, ticks: number, durationMs: number, setScores: string | null): Promise<ReplaySummary> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('matchId', sql.VarChar(36), matchId)
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('data', sql.NVarChar(sql.MAX), data)
+      .input('ticks', sql.Int, ticks)
+      .input('durationMs', sql.Int, durationMs)
+      .input('setScores', sql.NVarChar(100), setScores)
+      .query(`
+        DECLARE @mid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @matchId);
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        IF @mid IS NULL OR @pid IS NULL
+        BEGIN
+          THROW 50002, 'Invalid matchId or playerId', 1;
+        END
+        IF NOT EXISTS (SELECT 1 FROM Matches WHERE MatchId = @mid)
+        BEGIN
+          THROW 50004, 'Match not found', 1;
+        END
+        IF NOT EXISTS (SELECT 1 FROM Matches WHERE MatchId = @mid AND (PlayerId = @pid OR OpponentId = @pid))
+        BEGIN
+          THROW 50005, 'Only a player of the match can upload its replay', 1;
+        END
+        IF EXISTS (SELECT 1 FROM Replays WHERE MatchId = @mid)
+        BEGIN
+          THROW 50006, 'This match already has a replay', 1;
+        END
+        IF NOT EXISTS (SELECT 1 FROM Matches WHERE MatchId = @mid AND DurationMs = @durationMs AND ISNULL(SetScores, '') = ISNULL(@setScores, ''))
+        BEGIN
+          THROW 50007, 'Replay result does not match the recorded match', 1;
+        END
+
+        INSERT INTO Replays (MatchId, PlayerId, Ticks, DurationMs, Data)
+        OUTPUT inserted.ReplayId, inserted.MatchId, inserted.PlayerId, inserted.Ticks, inserted.DurationMs, inserted.CreatedAt
+        VALUES (@mid, @pid, @ticks, @durationMs, @data);
+      `);
+
+    return toReplaySummary(result.recordset[0]);
+  } catch (error) {
+    console.error('Failed to save replay:', error);
+    throw error;
+  }
+}
+
+async function getReplay(replayId: string): Promise<Replay | null> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('replayId', sql.VarChar(36), replayId)
+      .query(`
+        SELECT ReplayId, MatchId, PlayerId, Ticks, DurationMs, Data, CreatedAt
+        FROM Replays
+        WHERE ReplayId = TRY_CONVERT(UNIQUEIDENTIFIER, @replayId)
+      `);
+
+    if (result.recordset.length === 0) {
+      return null;
+    }
+    const r = result.recordset[0];
+    return { ...toReplaySummary(r), data: r.Data };
+  } catch (error) {
+    console.error('Failed to get replay:', error);
+    throw error;
+  }
+}
+
+// Newest replays first, optionally for one match or one player (who played either side)
+async function listReplays(matchId: string | null, playerId: string | null, limit: number = 10): Promise<ReplaySummary[]> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('matchId', sql.VarChar(36), matchId)
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('limit', sql.Int, limit)
+      .query(`
+        SELECT TOP (@limit) r.ReplayId, r.MatchId, r.PlayerId, r.Ticks, r.DurationMs, r.CreatedAt
+        FROM Replays r
+        JOIN Matches m ON m.MatchId = r.MatchId
+        WHERE (@matchId IS NULL OR r.MatchId = TRY_CONVERT(UNIQUEIDENTIFIER, @matchId))
+          AND (@playerId IS NULL OR m.PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId)
+            OR (m.OpponentId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId) AND m.Mode = 'online'))
+        ORDER BY r.CreatedAt DESC
+      `);
+
+    return result.recordset.map(toReplaySummary);
+  } catch (error) {
+    console.error('Failed to list replays:', error);
+    throw error;
+  }
+}
+
+// New match session for a match token (see matchToken.ts)
+async function createMatchSession(sessionId: string, playerId: string, difficulty: string, format: string, mode: string): Promise<void> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    await request
+      .input('sessionId', sql.VarChar(36), sessionId)
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('difficulty', sql.NVarChar(50), difficulty)
+      .input('format', sql.NVarChar(20), format)
+      .input('mode', sql.NVarChar(20), mode)
+      .query(`
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        IF @pid IS NULL
+        BEGIN
+          THROW 50002, 'Invalid playerId', 1;
+        END
+        INSERT INTO MatchSessions (SessionId, PlayerId, Difficulty, Format, Mode)
+        VALUES (TRY_CONVERT(UNIQUEIDENTIFIER, @sessionId), @pid, @difficulty, @format, @mode);
+      `);
+  } catch (error) {
+    console.error('Failed to create match session:', error);
+    throw error;
+  }
+}
+
+// Use a session's token for its match result or its score. False if it was already used for
+// that (or the session doesn't exist), so a token can't be replayed.
+async function claimMatchSession(sessionId: string, use: 'match' | 'score'): Promise<boolean> {
+  const pool = await getDbPool();
+  const request = pool.request();
+  const column = use === 'match' ? 'MatchSubmittedAt' : 'ScoreSubmittedAt';
+
+  try {
+    const result = await request
+      .input('sessionId', sql.VarChar(36), sessionId)
+      .query(`
+        UPDATE MatchSessions SET ${column} = GETDATE()
+        WHERE SessionId = TRY_CONVERT(UNIQUEIDENTIFIER, @sessionId) AND ${column} IS NULL
+      `);
+    return result.rowsAffected[0] === 1;
+  } catch (error) {
+    console.error('Failed to claim match session:', error);
+    throw error;
+  }
+}
+
+// The match a session recorded (see recordMatch) and whether its result was submitted in full
+async function getMatchSession(sessionId: string): Promise<MatchSessionState | null> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('sessionId', sql.VarChar(36), sessionId)
+      .query(`
+        SELECT s.MatchSubmittedAt, m.MatchId, m.PlayerId, m.Difficulty, m.DurationMs, m.SetScores, m.Mode, m.OpponentId,
+          m.PlayerPoints, m.OpponentPoints, m.Winner, m.PointsPlayed, m.LongestRally, m.Personality, m.AdaptiveLevel,
+          m.SettingsHash, m.CreatedAt
+        FROM MatchSessions s
+        LEFT JOIN Matches m ON m.MatchId = s.MatchId
+        WHERE s.SessionId = TRY_CONVERT(UNIQUEIDENTIFIER, @sessionId)
+      `);
+    if (result.recordset.length === 0) return null;
+    const row = result.recordset[0];
+    return { match: row.MatchId ? toMatch(row) : null, submitted: !!row.MatchSubmittedAt };
+  } catch (error) {
+    console.error('Failed to get match session:', error);
+    throw error;
+  }
+}
+
+// Keep a refused submission (and why) for review
+async function flagSubmission(playerId: string | null, kind: string, reason: string, payload: string): Promise<void> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    await request
+      .input('playerId', sql.NVarChar(36), playerId ? String(playerId).slice(0, 36) : null)
+      .input('kind', sql.NVarChar(20), kind)
+      .input('reason', sql.NVarChar(400), reason.slice(0, 400))
+      .input('payload', sql.NVarChar(sql.MAX), payload)
+      .query(`
+        INSERT INTO FlaggedSubmissions (PlayerId, Kind, Reason, Payload)
+        VALUES (@playerId, @kind, @reason, @payload);
+      `);
+  } catch (error) {
+    console.error('Failed to flag submission:', error);
+    throw error;
+  }
+}
+
+async function listDifficultyPresets(): Promise<DifficultyPresetRow[]> {
+  const pool = await getDbPool();
+  try {
+    const result = await pool.request().query(`
+      SELECT DifficultyId, Settings, Ranked, UpdatedAt FROM DifficultyPresets ORDER BY DifficultyId
+    `);
+    return result.recordset.map(r => ({ difficultyId: r.DifficultyId, settings: r.Settings, ranked: !!r.Ranked, updatedAt: r.UpdatedAt }));
+  } catch (error) {
+    console.error('Failed to list difficulty presets:', error);
+    throw error;
+  }
+}
+
+async function saveDifficultyPreset(difficultyId: string, settings: string, ranked: boolean): Promise<void> {
+  const pool = await getDbPool();
+  try {
+    await pool.request()
+      .input('difficultyId', sql.NVarChar(50), difficultyId)
+      .input('settings', sql.NVarChar(sql.MAX), settings)
+      .input('ranked', sql.Bit, ranked)
+      .query(`
+        MERGE DifficultyPresets WITH (HOLDLOCK) AS target
+        USING (SELECT @difficultyId AS DifficultyId) AS source
+        ON target.DifficultyId = source.DifficultyId
+        WHEN MATCHED THEN UPDATE SET Settings = @settings, Ranked = @ranked, UpdatedAt = GETDATE()
+        WHEN NOT MATCHED THEN INSERT (DifficultyId, Settings, Ranked) VALUES (@difficultyId, @settings, @ranked);
+      `);
+  } catch (error) {
+    console.error('Failed to save difficulty preset:', error);
+    throw error;
+  }
+}
+
+async function deleteDifficultyPreset(difficultyId: string): Promise<boolean> {
+  const pool = await getDbPool();
+  try {
+    const result = await pool.request()
+      .input('difficultyId', sql.NVarChar(50), difficultyId)
+      .query(`DELETE FROM DifficultyPresets WHERE DifficultyId = @difficultyId`);
+    return result.rowsAffected[0] > 0;
+  } catch (error) {
+    console.error('Failed to delete difficulty preset:', error);
+    throw error;
+  }
+}
+
+function toAccount(row: any): Account {
+  return {
+    playerId: row.PlayerId,
+    playerName: row.PlayerName,
+    email: row.Email || null,
+    passwordHash: row.PasswordHash || null
+  };
+}
+
+// Sign-in details of a player (whether or not it has an account yet)
+async function getAccount(playerId: string): Promise<Account | null> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .query(`
+        SELECT PlayerId, PlayerName, Email, PasswordHash
+        FROM Players
+        WHERE PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId)
+      `);
+    return result.recordset.length ? toAccount(result.recordset[0]) : null;
+  } catch (error) {
+    console.error('Failed to get account:', error);
+    throw error;
+  }
+}
+
+async function getAccountByEmail(email: string): Promise<Account | null> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('email', sql.NVarChar(254), email)
+      .query(`
+        SELECT PlayerId, PlayerName, Email, PasswordHash
+        FROM Players
+        WHERE Email = @email
+      `);
+    return result.recordset.length ? toAccount(result.recordset[0]) : null;
+  } catch (error) {
+    console.error('Failed to get account by email:', error);
+    throw error;
+  }
+}
+
+// Turn a guest player into an account, keeping its history and ending the guest's sessions. Throws
+// 50010 if it already is one and 50011 if the email belongs to another account.
+async function claimAccount(playerId: string, email: string, passwordHash: string | null): Promise<Account> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('email', sql.NVarChar(254), email)
+      .input('passwordHash', sql.NVarChar(200), passwordHash)
+      .query(`
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        IF NOT EXISTS (SELECT 1 FROM Players WHERE PlayerId = @pid)
+        BEGIN
+          THROW 50002, 'Invalid playerId', 1;
+        END
+        IF EXISTS (SELECT 1 FROM Players WHERE PlayerId = @pid AND Email IS NOT NULL)
+        BEGIN
+          THROW 50010, 'Player already has an account', 1;
+        END
+        IF EXISTS (SELECT 1 FROM Players WHERE Email = @email)
+        BEGIN
+          THROW 50011, 'Email is already registered', 1;
+        END
+
+        UPDATE Players SET Email = @email, PasswordHash = @passwordHash, LastSeenAt = GETDATE()
+        WHERE PlayerId = @pid;
+        DELETE FROM AuthSessions WHERE PlayerId = @pid;
+
+        SELECT PlayerId, PlayerName, Email, PasswordHash FROM Players WHERE PlayerId = @pid;
+      `);
+    return toAccount(result.recordset[0]);
+  } catch (error) {
+    console.error('Failed to claim account:', error);
+    throw error;
+  }
+}
+
+// A new player that is an account from the start (signing up without a guest player to claim)
+async function createAccount(playerName: string, email: string, passwordHash: string | null): Promise<Account> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('playerName', sql.NVarChar(100), playerName)
+      .input('email', sql.NVarChar(254), email)
+      .input('passwordHash', sql.NVarChar(200), passwordHash)
+      .query(`
+        IF EXISTS (SELECT 1 FROM Players WHERE Email = @email)
+        BEGIN
+          THROW 50011, 'Email is already registered', 1;
+        END
+        DECLARE @pid UNIQUEIDENTIFIER = NEWID();
+        INSERT INTO Players (PlayerId, PlayerName, Email, PasswordHash, CreatedAt, LastSeenAt)
+        VALUES (@pid, @playerName, @email, @passwordHash, GETDATE(), GETDATE());
+
+        SELECT PlayerId, PlayerName, Email, PasswordHash FROM Players WHERE PlayerId = @pid;
+      `);
+    return toAccount(result.recordset[0]);
+  } catch (error) {
+    console.error('Failed to create account:', error);
+    throw error;
+  }
+}
+
+// Rename a player in place (upsertPlayer starts a new player when the name changes, which an
+// account must not do)
+async function renamePlayer(playerId: string, playerName: string): Promise<Player | null> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('playerName', sql.NVarChar(100), playerName)
+      .query(`
+        UPDATE Players SET PlayerName = @playerName, LastSeenAt = GETDATE()
+        WHERE PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+      `);
+    return await getPlayer(playerId);
+  } catch (error) {
+    console.error('Failed to rename player:', error);
+    throw error;
+  }
+}
+
+function toCampaignProgress(p: any): CampaignProgress {
+  return {
+    tierId: p.TierId,
+    nextRound: p.NextRound,
+    titles: p.Titles,
+    firstTitleAt: p.FirstTitleAt || null,
+    updatedAt: p.UpdatedAt
+  };
+}
+
+// A player's place in every tournament they have entered, and their latest campaign rounds (newest first)
+async function getCampaignProgress(playerId: string, matchLimit: number = 20): Promise<{ progress: CampaignProgress[]; matches: CampaignMatch[] }> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('limit', sql.Int, matchLimit)
+      .query(`
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+
+        SELECT TierId, NextRound, Titles, FirstTitleAt, UpdatedAt
+        FROM CampaignProgress
+        WHERE PlayerId = @pid;
+
+        SELECT TOP (@limit) TierId, Round, MatchId, Won, PlayedAt
+        FROM CampaignMatches
+        WHERE PlayerId = @pid
+        ORDER BY PlayedAt DESC, CampaignMatchId DESC;
+      `);
+
+    const [progress, matches] = result.recordsets as sql.IRecordSet<any>[];
+    return {
+      progress: progress.map(toCampaignProgress),
+      matches: matches.map(m => ({ tierId: m.TierId, round: m.Round, matchId: m.MatchId, won: !!m.Won, playedAt: m.PlayedAt }))
+    };
+  } catch (error) {
+    console.error('Failed to get campaign progress:', error);
+    throw error;
+  }
+}
+
+// Record a campaign round and move the player on (see shared/campaign.ts). The progress row is read
+// and written in one transaction, so the same round submitted twice at once only counts once.
+async function recordCampaignMatch(playerId: string, tierId: string, round: number, rounds: number, matchId: string, won: boolean): Promise<CampaignProgress | null> {
+  const pool = await getDbPool();
+  const transaction = new sql.Transaction(pool);
+
+  try {
+    await transaction.begin(sql.ISOLATION_LEVEL.SERIALIZABLE);
+    const current = await new sql.Request(transaction)
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('tierId', sql.NVarChar(50), tierId)
+      .query(`
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        IF @pid IS NULL
+        BEGIN
+          THROW 50002, 'Invalid playerId', 1;
+        END
+        SELECT NextRound, Titles
+        FROM CampaignProgress WITH (UPDLOCK)
+        WHERE PlayerId = @pid AND TierId = @tierId;
+      `);
+    const row = current.recordset[0];
+    const progress = { nextRound: row ? row.NextRound : 0, titles: row ? row.Titles : 0 };
+    if (progress.nextRound !== round) {
+      await transaction.commit();
+      return null;
+    }
+    const next = advanceCampaign(progress, round, rounds, won);
+    const result = await new sql.Request(transaction)
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('tierId', sql.NVarChar(50), tierId)
+      .input('round', sql.Int, round)
+      .input('matchId', sql.UniqueIdentifier, matchId)
+      .input('won', sql.Bit, won)
+      .input('nextRound', sql.Int, next.nextRound)
+      .input('titles', sql.Int, next.titles)
+      .query(`
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        UPDATE CampaignProgress
+        SET NextRound = @nextRound, Titles = @titles, UpdatedAt = GETDATE(),
+          FirstTitleAt = CASE WHEN FirstTitleAt IS NULL AND @titles > Titles THEN GETDATE() ELSE FirstTitleAt END
+        WHERE PlayerId = @pid AND TierId = @tierId;
+        IF @@ROWCOUNT = 0
+        BEGIN
+          INSERT INTO CampaignProgress (PlayerId, TierId, NextRound, Titles, FirstTitleAt)
+          VALUES (@pid, @tierId, @nextRound, @titles, CASE WHEN @titles > 0 THEN GETDATE() ELSE NULL END);
+        END
+
+        INSERT INTO CampaignMatches (PlayerId, TierId, Round, MatchId, Won)
+        VALUES (@pid, @tierId, @round, @matchId, @won);
+
+        SELECT TierId, NextRound, Titles, FirstTitleAt, UpdatedAt
+        FROM CampaignProgress
+        WHERE PlayerId = @pid AND TierId = @tierId;
+      `);
+    await transaction.commit();
+    return toCampaignProgress(result.recordset[0]);
+  } catch (error) {
+    try { await transaction.rollback(); } catch {}
+    console.error('Failed to record campaign match:', error);
+    throw error;
+  }
+}
+
+function toDailyChallenge(c: any): DailyChallenge {
+  return {
+    day: c.Day,
+    seed: Number(c.Seed),
+    modifier: c.Modifier,
+    personality: c.Personality,
+    difficulty: c.Difficulty,
+    format: c.Format,
+    createdAt: c.CreatedAt
+  };
+}
+
+// Store the day's challenge unless it already is (the first one stored wins, even when two requests
+// race), and return the stored one
+async function saveDailyChallenge(challenge: Omit<DailyChallenge, 'createdAt'>): Promise<DailyChallenge> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('day', sql.VarChar(10), challenge.day)
+      .input('seed', sql.BigInt, challenge.seed)
+      .input('modifier', sql.NVarChar(50), challenge.modifier)
+      .input('personality', sql.NVarChar(20), challenge.personality)
+      .input('difficulty', sql.NVarChar(50), challenge.difficulty)
+      .input('format', sql.NVarChar(20), challenge.format)
+      .query(`
+        DECLARE @date DATE = CONVERT(DATE, @day, 23);
+        BEGIN TRY
+          INSERT INTO DailyChallenges (Day, Seed, Modifier, Personality, Difficulty, Format)
+          SELECT @date, @seed, @modifier, @personality, @difficulty, @format
+          WHERE NOT EXISTS (SELECT 1 FROM DailyChallenges WHERE Day = @date);
+        END TRY
+        BEGIN CATCH
+          IF ERROR_NUMBER() <> 2627 THROW;
+        END CATCH
+
+        SELECT CONVERT(CHAR(10), Day, 23) AS Day, Seed, Modifier, Personality, Difficulty, Format, CreatedAt
+        FROM DailyChallenges
+        WHERE Day = @date;
+      `);
+    return toDailyChallenge(result.recordset[0]);
+  } catch (error) {
+    console.error('Failed to save daily challenge:', error);
+    throw error;
+  }
+}
+
+// The primary key (Day, PlayerId) keeps it to one ranked attempt a day, even when two start at once
+async function claimDailyAttempt(day: string, playerId: string, sessionId: string): Promise<boolean> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('day', sql.VarChar(10), day)
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('sessionId', sql.VarChar(36), sessionId)
+      .query(`
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        DECLARE @sid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @sessionId);
+        IF @pid IS NULL OR @sid IS NULL
+        BEGIN
+          THROW 50002, 'Invalid playerId', 1;
+        END
+        DECLARE @date DATE = CONVERT(DATE, @day, 23);
+        DECLARE @claimed INT = 0;
+        BEGIN TRY
+          INSERT INTO DailyAttempts (Day, PlayerId, SessionId)
+          SELECT @date, @pid, @sid
+          WHERE NOT EXISTS (SELECT 1 FROM DailyAttempts WHERE Day = @date AND PlayerId = @pid);
+          SET @claimed = @@ROWCOUNT;
+        END TRY
+        BEGIN CATCH
+          IF ERROR_NUMBER() <> 2627 THROW;
+        END CATCH
+        SELECT @claimed AS Claimed;
+      `);
+    return result.recordset[0].Claimed === 1;
+  } catch (error) {
+    console.error('Failed to claim daily attempt:', error);
+    throw error;
+  }
+}
+
+async function completeDailyAttempt(day: string, playerId: string, sessionId: string, result: DailyResult): Promise<boolean> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const updated = await request
+      .input('day', sql.VarChar(10), day)
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('sessionId', sql.VarChar(36), sessionId)
+      .input('matchId', sql.UniqueIdentifier, result.matchId)
+      .input('won', sql.Bit, result.won)
+      .input('playerPoints', sql.Int, result.playerPoints)
+      .input('opponentPoints', sql.Int, result.opponentPoints)
+      .input('durationMs', sql.Int, result.durationMs)
+      .query(`
+        UPDATE DailyAttempts
+        SET MatchId = @matchId, Won = @won, PlayerPoints = @playerPoints, OpponentPoints = @opponentPoints,
+          DurationMs = @durationMs, CompletedAt = GETDATE()
+        WHERE Day = TRY_CONVERT(DATE, @day, 23)
+          AND PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId)
+          AND SessionId = TRY_CONVERT(UNIQUEIDENTIFIER, @sessionId)
+          AND CompletedAt IS NULL
+      `);
+    return updated.rowsAffected[0] === 1;
+  } catch (error) {
+    console.error('Failed to complete daily attempt:', error);
+    throw error;
+  }
+}
+
+async function getDailyLeaderboard(day: string, query: LeaderboardQuery): Promise<LeaderboardPage<DailyEntry>> {
+  const pool = await getDbPool();
+  const request = withPageInputs(pool.request(), query);
+
+  try {
+    const result = await request
+      .input('day', sql.VarChar(10), day)
+      .query(rankedPageSql(`
+        SELECT a.PlayerId, p.PlayerName, a.MatchId, a.Won, a.PlayerPoints, a.OpponentPoints, a.DurationMs, a.CompletedAt
+        FROM DailyAttempts a
+        LEFT JOIN Players p ON p.PlayerId = a.PlayerId
+        WHERE a.Day = TRY_CONVERT(DATE, @day, 23) AND a.CompletedAt IS NOT NULL
+      `, 'Won DESC, PlayerPoints - OpponentPoints DESC, DurationMs, CompletedAt, PlayerId'));
+
+    return toPage(result, r => ({
+      rank: r.Rank,
+      playerId: r.PlayerId,
+      playerName: r.PlayerName || null,
+      matchId: r.MatchId,
+      won: !!r.Won,
+      playerPoints: r.PlayerPoints,
+      opponentPoints: r.OpponentPoints,
+      durationMs: r.DurationMs,
+      completedAt: r.CompletedAt
+    }));
+  } catch (error) {
+    console.error('Failed to get daily leaderboard:', error);
+    throw error;
+  }
+}
+
+// Move a guest player's whole history (scores, matches, replays) onto an account and delete the
+// guest. Throws 50010 if `fromPlayerId` is itself an account.
+async function mergePlayers(fromPlayerId: string, toPlayerId: string): Promise<void> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    await request
+      .input('fromId', sql.VarChar(36), fromPlayerId)
+      .input('toId', sql.VarChar(36), toPlayerId)
+      .query(`
+        BEGIN TRAN;
+
+        DECLARE @from UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @fromId);
+        DECLARE @to UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @toId);
+        IF @from IS NULL OR @to IS NULL OR @from = @to
+          OR NOT EXISTS (SELECT 1 FROM Players WHERE PlayerId = @from)
+          OR NOT EXISTS (SELECT 1 FROM Players WHERE PlayerId = @to)
+        BEGIN
+          ROLLBACK TRAN;
+          THROW 50002, 'Invalid playerId', 1;
+        END
+        IF EXISTS (SELECT 1 FROM Players WHERE PlayerId = @from AND Email IS NOT NULL)
+        BEGIN
+          ROLLBACK TRAN;
+          THROW 50010, 'Player already has an account', 1;
+        END
+
+        -- Matches between the guest and the account would have the account playing itself: they go,
+        -- with their replays and rating changes (career rounds and daily attempts are never between players)
+        DECLARE @between TABLE (MatchId UNIQUEIDENTIFIER PRIMARY KEY);
+        INSERT INTO @between (MatchId)
+        SELECT MatchId FROM Matches
+        WHERE (PlayerId = @from AND OpponentId = @to) OR (PlayerId = @to AND OpponentId = @from);
+        DELETE FROM Replays WHERE MatchId IN (SELECT MatchId FROM @between);
+        DELETE FROM RatingHistory WHERE MatchId IN (SELECT MatchId FROM @between);
+        UPDATE MatchSessions SET MatchId = NULL WHERE MatchId IN (SELECT MatchId FROM @between);
+        DELETE FROM Matches WHERE MatchId IN (SELECT MatchId FROM @between);
+
+        UPDATE GameScores SET PlayerId = @to WHERE PlayerId = @from;
+        UPDATE Matches SET PlayerId = @to WHERE PlayerId = @from;
+        UPDATE Matches SET OpponentId = @to WHERE OpponentId = @from;
+        UPDATE Replays SET PlayerId = @to WHERE PlayerId = @from;
+        UPDATE MatchSessions SET PlayerId = @to WHERE PlayerId = @from;
+        DELETE FROM AuthSessions WHERE PlayerId = @from;
+        -- Ratings: the account keeps its own where it has one, and takes the guest's where it hasn't
+        UPDATE RatingHistory SET PlayerId = @to WHERE PlayerId = @from;
+        UPDATE PlayerRatings SET PlayerId = @to
+        WHERE PlayerId = @from AND Difficulty NOT IN (SELECT Difficulty FROM PlayerRatings WHERE PlayerId = @to);
+        DELETE FROM PlayerRatings WHERE PlayerId = @from;
+        -- Campaign progress the same way, tournament by tournament
+        UPDATE CampaignMatches SET PlayerId = @to WHERE PlayerId = @from;
+        UPDATE CampaignProgress SET PlayerId = @to
+        WHERE PlayerId = @from AND TierId NOT IN (SELECT TierId FROM CampaignProgress WHERE PlayerId = @to);
+        DELETE FROM CampaignProgress WHERE PlayerId = @from;
+        -- Daily attempts the same way, day by day
+        UPDATE DailyAttempts SET PlayerId = @to
+        WHERE PlayerId = @from AND Day NOT IN (SELECT Day FROM DailyAttempts WHERE PlayerId = @to);
+        DELETE FROM DailyAttempts WHERE PlayerId = @from;
+
+        UPDATE t SET
+          BestScore = CASE WHEN f.BestScore > t.BestScore THEN f.BestScore ELSE t.BestScore END,
+          GamesPlayed = t.GamesPlayed + f.GamesPlayed,
+          LastSeenAt = GETDATE()
+        FROM Players t CROSS JOIN (SELECT BestScore, GamesPlayed FROM Players WHERE PlayerId = @from) f
+        WHERE t.PlayerId = @to;
+
+        DELETE FROM Players WHERE PlayerId = @from;
+
+        COMMIT TRAN;
+      `);
+  } catch (error) {
+    try { await pool.request().query('IF @@TRANCOUNT > 0 ROLLBACK TRAN;'); } catch {}
+    console.error('Failed to merge players:', error);
+    throw error;
+  }
+}
+
+async function createAuthSession(tokenHash: string, playerId: string, guest: boolean, expiresAt: Date): Promise<void> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    await request
+      .input('tokenHash', sql.Char(64), tokenHash)
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('guest', sql.Bit, guest)
+      .input('expiresAt', sql.DateTime2, expiresAt)
+      .query(`
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        IF @pid IS NULL
+        BEGIN
+          THROW 50002, 'Invalid playerId', 1;
+        END
+        INSERT INTO AuthSessions (TokenHash, PlayerId, IsGuest, ExpiresAt)
+        VALUES (@tokenHash, @pid, @guest, @expiresAt);
+      `);
+  } catch (error) {
+    console.error('Failed to create auth session:', error);
+    throw error;
+  }
+}
+
+// The unexpired session with this token hash, or null
+async function getAuthSession(tokenHash: string): Promise<AuthSession | null> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('tokenHash', sql.Char(64), tokenHash)
+      .query(`
+        SELECT PlayerId, IsGuest, ExpiresAt
+        FROM AuthSessions
+        WHERE TokenHash = @tokenHash AND ExpiresAt > GETDATE()
+      `);
+    if (result.recordset.length === 0) return null;
+    const row = result.recordset[0];
+    return { playerId: row.PlayerId, guest: !!row.IsGuest, expiresAt: row.ExpiresAt };
+  } catch (error) {
+    console.error('Failed to get auth session:', error);
+    throw error;
+  }
+}
+
+async function deleteAuthSession(tokenHash: string): Promise<void> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    await request
+      .input('tokenHash', sql.Char(64), tokenHash)
+      .query(`DELETE FROM AuthSessions WHERE TokenHash = @tokenHash OR ExpiresAt <= GETDATE()`);
+  } catch (error) {
+    console.error('Failed to delete auth session:', error);
+    throw error;
+  }
+}
+
+async function createSignInLink(tokenHash: string, email: string, guestPlayerId: string | null, expiresAt: Date): Promise<void> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    await request
+      .input('tokenHash', sql.Char(64), tokenHash)
+      .input('email', sql.NVarChar(254), email)
+      .input('guestPlayerId', sql.VarChar(36), guestPlayerId)
+      .input('expiresAt', sql.DateTime2, expiresAt)
+      .query(`
+        INSERT INTO SignInLinks (TokenHash, Email, GuestPlayerId, ExpiresAt)
+        VALUES (@tokenHash, @email, TRY_CONVERT(UNIQUEIDENTIFIER, @guestPlayerId), @expiresAt);
+      `);
+  } catch (error) {
+    console.error('Failed to create sign-in link:', error);
+    throw error;
+  }
+}
+
+// Use a sign-in link: its email and guest player, or null if it is unknown, expired or used
+async function useSignInLink(tokenHash: string): Promise<{ email: string; guestPlayerId: string | null } | null> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('tokenHash', sql.Char(64), tokenHash)
+      .query(`
+        UPDATE SignInLinks SET UsedAt = GETDATE()
+        OUTPUT inserted.Email, inserted.GuestPlayerId
+        WHERE TokenHash = @tokenHash AND UsedAt IS NULL AND ExpiresAt > GETDATE();
+      `);
+    if (result.recordset.length === 0) return null;
+    const row = result.recordset[0];
+    return { email: row.Email, guestPlayerId: row.GuestPlayerId || null };
+  } catch (error) {
+    console.error('Failed to use sign-in link:', error);
+    throw error;
+  }
+}
+
+async function claimIdempotencyKey(playerId: string, scope: string, key: string): Promise<IdempotentResponse | null> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    const result = await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('scope', sql.NVarChar(50), scope)
+      .input('key', sql.NVarChar(100), key)
+      .query(`
+        DECLARE @pid UNIQUEIDENTIFIER = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId);
+        IF @pid IS NULL
+        BEGIN
+          THROW 50002, 'Invalid playerId', 1;
+        END
+        DELETE FROM IdempotencyKeys WHERE CreatedAt < DATEADD(day, -1, GETDATE());
+
+        BEGIN TRY
+          INSERT INTO IdempotencyKeys (PlayerId, Scope, IdempotencyKey) VALUES (@pid, @scope, @key);
+          SELECT CAST(1 AS BIT) AS Claimed, NULL AS StatusCode, NULL AS ResponseBody;
+        END TRY
+        BEGIN CATCH
+          -- Primary key violation: the key was claimed before
+          IF ERROR_NUMBER() <> 2627 THROW;
+          SELECT CAST(0 AS BIT) AS Claimed, StatusCode, ResponseBody
+          FROM IdempotencyKeys
+          WHERE PlayerId = @pid AND Scope = @scope AND IdempotencyKey = @key;
+        END CATCH
+      `);
+    const row = result.recordset[0];
+    return row.Claimed ? null : { statusCode: row.StatusCode ?? null, body: row.ResponseBody ?? null };
+  } catch (error) {
+    console.error('Failed to claim idempotency key:', error);
+    throw error;
+  }
+}
+
+async function completeIdempotencyKey(playerId: string, scope: string, key: string, statusCode: number, body: string): Promise<void> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('scope', sql.NVarChar(50), scope)
+      .input('key', sql.NVarChar(100), key)
+      .input('statusCode', sql.Int, statusCode)
+      .input('body', sql.NVarChar(sql.MAX), body)
+      .query(`
+        UPDATE IdempotencyKeys SET StatusCode = @statusCode, ResponseBody = @body
+        WHERE PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId) AND Scope = @scope AND IdempotencyKey = @key
+      `);
+  } catch (error) {
+    console.error('Failed to complete idempotency key:', error);
+    throw error;
+  }
+}
+
+async function releaseIdempotencyKey(playerId: string, scope: string, key: string): Promise<void> {
+  const pool = await getDbPool();
+  const request = pool.request();
+
+  try {
+    await request
+      .input('playerId', sql.VarChar(36), playerId)
+      .input('scope', sql.NVarChar(50), scope)
+      .input('key', sql.NVarChar(100), key)
+      .query(`
+        DELETE FROM IdempotencyKeys
+        WHERE PlayerId = TRY_CONVERT(UNIQUEIDENTIFIER, @playerId) AND Scope = @scope AND IdempotencyKey = @key
+      `);
+  } catch (error) {
+    console.error('Failed to release idempotency key:', error);
+    throw error;
+  }
+}
+
+// Connect (applying pending migrations) and check the database answers
+async function ping(): Promise<void> {
+  const pool = await getDbPool();
+  await pool.request().query('SELECT 1 AS ok');
+}
+
+async function close(): Promise<void> {
+  if (!pool) return;
+  const closing = pool;
+  pool = null;
+  await closing.close();
+}
+
+export const sqlRepository: Repository = {
+  ping,
+  close,
+  upsertPlayer,
+  getPlayer,
+  updatePlayerScore,
+  getPlayerScoreHistory,
+  getPlayerStatsSource,
+  getLeaderboard,
+  recordMatch,
+  getMatch,
+  getBestMatchTimers,
+  recordMatchRatings,
+  getRatingLeaderboard,
+  getPlayerRatings,
+  getCampaignProgress,
+  recordCampaignMatch,
+  saveDailyChallenge,
+  claimDailyAttempt,
+  completeDailyAttempt,
+  getDailyLeaderboard,
+  saveReplay,
+  getReplay,
+  listReplays,
+  createMatchSession,
+  claimMatchSession,
+  getMatchSession,
+  flagSubmission,
+  listDifficultyPresets,
+  saveDifficultyPreset,
+  deleteDifficultyPreset,
+  getAccount,
+  getAccountByEmail,
+  claimAccount,
+  createAccount,
+  renamePlayer,
+  mergePlayers,
+  createAuthSession,
+  getAuthSession,
+  deleteAuthSession,
+  createSignInLink,
+  useSignInLink,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+};
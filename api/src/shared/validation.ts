@@ -0,0 +1,147 @@
+import { Response } from 'express';
+
+// Request validation. A route describes the body, query or params it takes as a schema (a rule per
+// field); `validate` returns the cleaned values, or answers 400 with every field that is wrong:
+//   { error: 'first message', errors: [{ field, message }, ...] }
+// Missing fields (undefined, null or '') get the rule's fallback when it is optional.
+
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+export interface ValidationError {
+  error: string;
+  errors: FieldError[];
+}
+
+type RuleResult<T> = { ok: true; value: T } | { ok: false; message: string };
+
+// One field's rule: its cleaned value, or why it was refused
+export type Rule<T> = (value: unknown, field: string) => RuleResult<T>;
+
+export type Schema = Record<string, Rule<unknown>>;
+
+export type Parsed<S extends Schema> = { [K in keyof S]: S[K] extends Rule<infer T> ? T : never };
+
+const valid = <T>(value: T): RuleResult<T> => ({ ok: true, value });
+const invalid = (message: string): RuleResult<never> => ({ ok: false, message });
+
+function isMissing(value: unknown): boolean {
+  return value === undefined || value === null || value === '';
+}
+
+export function text({ max, trim = false }: { max: number; trim?: boolean }): Rule<string> {
+  return (value, field) => {
+    if (isMissing(value)) return invalid(`${field} is required`);
+    if (typeof value !== 'string') return invalid(`${field} must be text`);
+    const cleaned = trim ? value.trim() : value;
+    if (!cleaned) return invalid(`${field} is required`);
+    if (cleaned.length > max) return invalid(`${field} must be at most ${max} characters`);
+    return valid(cleaned);
+  };
+}
+
+// A JSON number in min..max
+export function number({ min, max }: { min: number; max: number }): Rule<number> {
+  return (value, field) => {
+    if (isMissing(value)) return invalid(`${field} is required`);
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      return invalid(`${field} must be a number from ${min} to ${max}`);
+    }
+    return valid(value);
+  };
+}
+
+// A JSON whole number in min..max
+export function integer({ min, max }: { min: number; max: number }): Rule<number> {
+  return (value, field) => {
+    if (isMissing(value)) return invalid(`${field} is required`);
+    if (!Number.isInteger(value) || (value as number) < min || (value as number) > max) {
+      return invalid(`${field} must be a whole number from ${min} to ${max}`);
+    }
+    return valid(value as number);
+  };
+}
+
+// A whole number in min..max written in a query string or path
+export function digits({ min, max }: { min: number; max: number }): Rule<number> {
+  return (value, field) => {
+    if (isMissing(value)) return invalid(`${field} is required`);
+    const n = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+    if (!(n >= min && n <= max)) return invalid(`${field} must be a whole number from ${min} to ${max}`);
+    return valid(n);
+  };
+}
+
+export function oneOf<T extends string>(values: readonly T[]): Rule<T> {
+  return (value, field) => {
+    if (isMissing(value)) return invalid(`${field} is required`);
+    if (!values.includes(value as T)) return invalid(`${field} must be one of ${values.join(', ')}`);
+    return valid(value as T);
+  };
+}
+
+// A JSON object (not an array), checked no further
+export function object(): Rule<Record<string, any>> {
+  return (value, field) => {
+    if (isMissing(value)) return invalid(`${field} is required`);
+    if (typeof value !== 'object' || Array.isArray(value)) return invalid(`${field} must be an object`);
+    return valid(value as Record<string, any>);
+  };
+}
+
+// A value a parser accepts (returning it cleaned) or refuses (returning null)
+export function parsed<T>(parse: (value: unknown) => T | null, message: string): Rule<T> {
+  return (value, field) => {
+    if (isMissing(value)) return invalid(`${field} is required`);
+    const result = parse(value);
+    return result === null ? invalid(`${field} ${message}`) : valid(result);
+  };
+}
+
+export function optional<T, F>(rule: Rule<T>, fallback: F): Rule<T | F> {
+  return (value, field) => isMissing(value) ? valid(fallback) : rule(value, field);
+}
+
+// Player, match, replay and session ids
+export const id = (): Rule<string> => text({ max: 36 });
+
+// Names are typed in a 12-character box; the API leaves some room beyond that
+export const MAX_PLAYER_NAME = 50;
+export const playerName = (): Rule<string> => text({ max: MAX_PLAYER_NAME, trim: true });
+
+export function isValidationError(result: unknown): result is ValidationError {
+  return !!result && typeof result === 'object' && Array.isArray((result as ValidationError).errors);
+}
+
+export function validationError(errors: FieldError[]): ValidationError {
+  return { error: errors[0].message, errors };
+}
+
+export function check<S extends Schema>(schema: S, input: unknown): Parsed<S> | ValidationError {
+  const source = input && typeof input === 'object' ? input as Record<string, unknown> : {};
+  const values: Record<string, unknown> = {};
+  const errors: FieldError[] = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const result = rule(source[field], field);
+    if (result.ok === true) values[field] = result.value;
+    else errors.push({ field, message: result.message });
+  }
+  return errors.length ? validationError(errors) : values as Parsed<S>;
+}
+
+// 400 for one field that is wrong in a way its rule can't tell (it depends on another field, say)
+export function badRequest(res: Response, field: string, message: string): Response {
+  return res.status(400).json(validationError([{ field, message }]));
+}
+
+// The input's cleaned values, or null once a 400 has been sent
+export function validate<S extends Schema>(res: Response, schema: S, input: unknown): Parsed<S> | null {
+  const result = check(schema, input);
+  if (isValidationError(result)) {
+    res.status(400).json(result);
+    return null;
+  }
+  return result;
+}
@@ -0,0 +1,189 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { signMatchToken, verifyMatchToken } = require('../dist/shared/matchToken');
+const { checkMatchSubmission, checkUnrankedSubmission, checkScoreSubmission, setsWinner, MATCH_TOKEN_TTL_MS } = require('../dist/shared/anticheat');
+const { loadGame } = require('../dist/multiplayer/game');
+
+const SECRET = 'test-secret';
+let game;
+
+before(async () => {
+  game = await loadGame();
+});
+
+function claims(overrides = {}) {
+  return {
+    sessionId: 'session-1',
+    playerId: 'alice-id',
+    difficulty: 'expert',
+    format: 'quick',
+    mode: 'copilot',
+    opponentId: null,
+    issuedAt: 1_000_000,
+    ...overrides
+  };
+}
+
+// Bot match against the Copilot, recorded like the browser does
+function playRecordedMatch(difficulty = 'expert', settings = null) {
+  const difficultySettings = settings ? { ...game.DIFFICULTY_SETTINGS, [difficulty]: settings } : game.DIFFICULTY_SETTINGS;
+  const engine = new game.GameEngine({ seed: 21, difficulty, format: 'quick', difficultySettings });
+  const recorder = new game.ReplayRecorder(engine);
+  engine.start();
+  let end = null;
+  for (let i = 0; i < 400000 && !end; i++) {
+    const ballX = engine.ball.x + engine.ball.width / 2;
+    const paddleX = engine.paddle2.x + engine.paddle2.width / 2;
+    const serve = engine.isAwaitingPlayerServe() && (engine.serve.phase === 'ready' || engine.serve.tossFrame === 33);
+    const input = { player: { left: ballX < paddleX - 5, right: ballX > paddleX + 5, serve } };
+    recorder.record(input);
+    end = engine.step(input).find((event) => event.type === 'matchEnd');
+  }
+  return { end, replay: recorder.finish(end) };
+}
+
+test('match tokens verify only with the secret and unaltered', () => {
+  const token = signMatchToken(claims(), SECRET);
+  assert.deepEqual(verifyMatchToken(token, SECRET), claims());
+  assert.equal(verifyMatchToken(token, 'other-secret'), null);
+
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify(claims({ playerId: 'mallory-id' }))).toString('base64url');
+  assert.equal(verifyMatchToken(`${forged}.${signature}`, SECRET), null);
+  assert.equal(verifyMatchToken(`${payload}.`, SECRET), null);
+  assert.equal(verifyMatchToken('not a token', SECRET), null);
+  assert.equal(verifyMatchToken(42, SECRET), null);
+});
+
+test('impossibly fast match times are refused', () => {
+  const fastest = game.minMatchDurationMs('quick', game.DIFFICULTY_SETTINGS.expert);
+  const submission = { playerId: 'alice-id', difficulty: 'expert', mode: 'copilot', opponentId: null, durationMs: 1, setScores: '4-0' };
+  const now = 1_000_000 + 10 * 60 * 1000;
+  assert.match(checkMatchSubmission(game, claims(), submission, now), /faster than the fastest possible/);
+  // Fast enough: only the replay is missing
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, durationMs: fastest }, now), /needs its replay/);
+});
+
+test('a match can not last longer than the time since its token was issued', () => {
+  const submission = { playerId: 'alice-id', difficulty: 'expert', mode: 'copilot', opponentId: null, durationMs: 5 * 60 * 1000, setScores: '4-2' };
+  assert.match(checkMatchSubmission(game, claims(), submission, 1_000_000 + 60 * 1000), /longer than the/);
+  assert.match(checkMatchSubmission(game, claims(), submission, 1_000_000 + 6 * 60 * 1000), /needs its replay/);
+});
+
+test('the token must be for this player, mode and difficulty, and not expired', () => {
+  const submission = { playerId: 'alice-id', difficulty: 'expert', mode: 'copilot', opponentId: null, durationMs: 120000, setScores: '4-2' };
+  const now = 1_000_000 + 3 * 60 * 1000;
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, playerId: 'bob-id' }, now), /another player/);
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, difficulty: 'beginner' }, now), /expert difficulty/);
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, mode: 'pvp', opponentId: 'bob-id' }, now), /copilot match/);
+  assert.match(checkMatchSubmission(game, claims(), submission, 1_000_000 + MATCH_TOKEN_TTL_MS + 1), /expired/);
+});
+
+test('an attached replay must re-simulate to the submitted result', () => {
+  const { end, replay } = playRecordedMatch();
+  assert.ok(end, 'the bot match finished');
+  const now = 1_000_000 + end.durationMs + 5000;
+  const submission = { playerId: 'alice-id', difficulty: 'expert', mode: 'copilot', opponentId: null, durationMs: end.durationMs, setScores: end.setScores, replay };
+  assert.equal(checkMatchSubmission(game, claims(), submission, now), null);
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, durationMs: end.durationMs - 1000 }, now), /does not reproduce/);
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, setScores: end.setScores === '4-1' ? '4-2' : '4-1' }, now), /does not reproduce/);
+  assert.match(checkMatchSubmission(game, claims({ format: 'oneSet' }), submission, now + 10 * 60 * 1000), /settings differ/);
+  assert.equal(checkMatchSubmission(game, claims({ personality: 'allCourt' }), submission, now), null);
+  assert.match(checkMatchSubmission(game, claims({ personality: 'rookie' }), submission, now), /another Copilot personality/);
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, replay: { ...replay, ticks: 3 } }, now), /Invalid replay/);
+
+  const points = { player: end.playerScore, opponent: end.copilotScore };
+  assert.equal(checkMatchSubmission(game, claims(), { ...submission, points }, now), null);
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, points: { ...points, player: points.player + 1 } }, now), /does not reproduce/);
+});
+
+test('an adaptive replay must reproduce the level the Copilot played at', () => {
+  const { end, replay } = playRecordedMatch('adaptive');
+  const now = 1_000_000 + end.durationMs + 5000;
+  const submission = {
+    playerId: 'alice-id', difficulty: 'adaptive', mode: 'copilot', opponentId: null,
+    durationMs: end.durationMs, setScores: end.setScores, adaptiveLevel: end.adaptiveLevel, replay
+  };
+  assert.equal(checkMatchSubmission(game, claims({ difficulty: 'adaptive' }), submission, now), null);
+  const inflated = Math.min(1, end.adaptiveLevel + 0.2);
+  assert.match(checkMatchSubmission(game, claims({ difficulty: 'adaptive' }), { ...submission, adaptiveLevel: inflated === end.adaptiveLevel ? 0 : inflated }, now), /does not reproduce/);
+  assert.match(checkMatchSubmission(game, claims({ difficulty: 'adaptive' }), { ...submission, adaptiveLevel: null }, now), /does not reproduce/);
+});
+
+test('a custom difficulty replay must play the settings the match was started with', () => {
+  const settings = { ...game.canonicalDifficulty(game.DIFFICULTY_SETTINGS.expert), aiErrorRate: 0.3 };
+  const { end, replay } = playRecordedMatch('custom', settings);
+  const now = 1_000_000 + end.durationMs + 5000;
+  const submission = { playerId: 'alice-id', difficulty: 'custom', mode: 'copilot', opponentId: null, durationMs: end.durationMs, setScores: end.setScores, replay };
+  const custom = claims({ difficulty: 'custom', settings });
+  assert.equal(checkMatchSubmission(game, custom, submission, now), null);
+  assert.match(checkMatchSubmission(game, claims({ difficulty: 'custom', settings: { ...settings, aiErrorRate: 0.5 } }), submission, now), /settings differ/);
+  assert.match(checkMatchSubmission(game, custom, { ...submission, replay: { ...replay, settings: { ...settings, aiSpeed: 1 } } }, now), /settings differ/);
+  assert.match(checkMatchSubmission(game, custom, { ...submission, replay: { ...replay, settings: undefined } }, now), /Invalid replay/);
+
+  // Custom settings that are exactly expert's are recorded as expert, and submitted as the client played them
+  const asExpert = claims({ playedAs: 'custom', settings: game.canonicalDifficulty(game.DIFFICULTY_SETTINGS.expert) });
+  const expertRun = playRecordedMatch('custom', asExpert.settings);
+  const expertSubmission = { ...submission, durationMs: expertRun.end.durationMs, setScores: expertRun.end.setScores, replay: expertRun.replay };
+  const later = 1_000_000 + expertRun.end.durationMs + 5000;
+  assert.equal(checkMatchSubmission(game, asExpert, expertSubmission, later), null);
+  assert.match(checkMatchSubmission(game, asExpert, { ...expertSubmission, difficulty: 'expert' }, later), /issued for custom difficulty/);
+});
+
+test('the winner, point log and longest rally must agree with the rest of the result', () => {
+  const { end, replay } = playRecordedMatch();
+  const now = 1_000_000 + end.durationMs + 5000;
+  const submission = {
+    playerId: 'alice-id', difficulty: 'expert', mode: 'copilot', opponentId: null, durationMs: end.durationMs, setScores: end.setScores,
+    points: { player: end.playerScore, opponent: end.copilotScore },
+    winner: end.winner === 'player' ? 'player' : 'opponent', longestRally: end.longestRally, pointLog: end.pointLog
+  };
+  assert.equal(end.pointsPlayed, end.playerScore + end.copilotScore);
+  assert.equal(checkMatchSubmission(game, claims(), { ...submission, replay }, now), null);
+  assert.match(checkMatchSubmission(game, claims(), submission, now), /needs its replay/, 'the client\'s word alone is not enough');
+
+  const loser = submission.winner === 'player' ? 'opponent' : 'player';
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, winner: loser }, now), /does not match the set scores/);
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, pointLog: end.pointLog.slice(1) }, now), /does not add up/);
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, longestRally: end.longestRally + 1 }, now), /Longest rally/);
+  const reordered = [end.pointLog[1], end.pointLog[0], ...end.pointLog.slice(2)];
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, pointLog: reordered }, now), /out of order/);
+  const relabelled = end.pointLog.map((point, i) => (i === 0 ? { ...point, reason: 'Net' === point.reason ? 'Out' : 'Net' } : point));
+  assert.match(checkMatchSubmission(game, claims(), { ...submission, pointLog: relabelled, replay }, now), /does not reproduce/);
+});
+
+test('a winner needs set scores that finish the match', () => {
+  const submission = { playerId: 'alice-id', difficulty: 'expert', mode: 'pvp', opponentId: 'bob-id', durationMs: 120000, winner: 'player' };
+  assert.equal(checkUnrankedSubmission(game, null, { ...submission, setScores: '6-4 3-6 7-6(5)' }), null);
+  assert.equal(checkUnrankedSubmission(game, null, { ...submission, setScores: '4-2' }), null);
+  assert.match(checkUnrankedSubmission(game, null, { ...submission, setScores: null }), /do not finish the match/);
+  assert.match(checkUnrankedSubmission(game, null, { ...submission, setScores: '3-0' }), /do not finish the match/);
+  assert.match(checkUnrankedSubmission(game, null, { ...submission, setScores: '6-4 6-4 6-4 6-4' }), /do not finish the match/);
+  assert.match(checkUnrankedSubmission(game, null, { ...submission, setScores: '2-6 1-6' }), /does not match/);
+  // A token names the format: a quick match is one short set
+  const pvpClaims = claims({ mode: 'pvp', opponentId: 'bob-id' });
+  assert.match(checkUnrankedSubmission(game, pvpClaims, { ...submission, setScores: '6-4' }), /do not finish the match/);
+
+  assert.equal(setsWinner(game, '7-5 4-6 6-7(3)', 'bestOf3'), 'opponent');
+  assert.equal(setsWinner(game, '8-6', 'oneSet'), null);
+  assert.equal(setsWinner(game, '5-4(2)', 'quick'), 'player');
+  assert.equal(setsWinner(game, '4-2 2-1', null), null);
+});
+
+test('more points than fit in the match time are refused', () => {
+  const submission = { playerId: 'alice-id', difficulty: 'expert', mode: 'copilot', opponentId: null, durationMs: 60000, setScores: '4-0', points: { player: 16, opponent: 0 } };
+  const now = 1_000_000 + 5 * 60 * 1000;
+  assert.match(checkMatchSubmission(game, claims({ difficulty: 'beginner' }), { ...submission, difficulty: 'beginner' }, now), /needs its replay/);
+  assert.match(checkMatchSubmission(game, claims({ difficulty: 'beginner' }), { ...submission, difficulty: 'beginner', points: { player: 30, opponent: 20 } }, now), /can't be played/);
+});
+
+test('scores must be whole points that fit in the time played', () => {
+  const now = 1_000_000 + 60 * 1000;
+  assert.equal(checkScoreSubmission(game, claims(), 'alice-id', 12, now), null);
+  assert.match(checkScoreSubmission(game, claims(), 'alice-id', 1000, now), /more points than/);
+  assert.match(checkScoreSubmission(game, claims(), 'alice-id', -3, now), /whole number/);
+  assert.match(checkScoreSubmission(game, claims(), 'alice-id', 2.5, now), /whole number/);
+  assert.match(checkScoreSubmission(game, claims(), 'bob-id', 3, now), /another player/);
+  assert.match(checkScoreSubmission(game, claims({ mode: 'pvp', opponentId: 'bob-id' }), 'alice-id', 12, now), /pvp match/);
+});
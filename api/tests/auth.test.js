@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { hashPassword, verifyPassword, parseCookies, sessionCookie, requirePlayer, hashToken, newToken, SESSION_COOKIE } = require('../dist/shared/auth');
+const { sendMail } = require('../dist/shared/mailer');
+const { createRateLimiter } = require('../dist/shared/rateLimit');
+
+// Just enough of an Express response for requirePlayer
+function fakeResponse(auth) {
+  return {
+    locals: { auth },
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('passwords verify against their salted hash only', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$[\w-]+\$[\w-]+$/);
+  assert.notEqual(stored, await hashPassword('correct horse'));
+  assert.equal(await verifyPassword('correct horse', stored), true);
+  assert.equal(await verifyPassword('correct horsf', stored), false);
+  assert.equal(await verifyPassword('correct horse', null), false);
+  assert.equal(await verifyPassword('correct horse', 'md5$abc'), false);
+});
+
+test('the session cookie is HTTP-only and parses back', () => {
+  const token = newToken();
+  const cookie = sessionCookie(token, 60 * 1000, true);
+  assert.match(cookie, new RegExp(`^${SESSION_COOKIE}=`));
+  for (const attribute of ['HttpOnly', 'SameSite=Lax', 'Path=/', 'Max-Age=60', 'Secure']) {
+    assert.ok(cookie.includes(attribute), attribute);
+  }
+  assert.ok(!sessionCookie(token, 0, false).includes('Secure'));
+
+  const header = `theme=dark; ${cookie.split(';')[0]}; other=a%20b`;
+  assert.deepEqual(parseCookies(header), { theme: 'dark', [SESSION_COOKIE]: token, other: 'a b' });
+  assert.deepEqual(parseCookies(undefined), {});
+  assert.equal(hashToken(token).length, 64);
+  assert.notEqual(hashToken(token), hashToken(newToken()));
+});
+
+test('requirePlayer lets only the signed-in player through', () => {
+  const playerId = '8c1b7c9e-4f6a-4d3b-9a51-0f2e6d7c8b90';
+  const signedOut = fakeResponse(null);
+  assert.equal(requirePlayer(signedOut, playerId), false);
+  assert.equal(signedOut.statusCode, 401);
+
+  const other = fakeResponse({ playerId: 'f0000000-0000-4000-8000-000000000000', guest: false, tokenHash: 'x' });
+  assert.equal(requirePlayer(other, playerId), false);
+  assert.equal(other.statusCode, 403);
+
+  // The database hands GUIDs back in upper case
+  assert.equal(requirePlayer(fakeResponse({ playerId, guest: true, tokenHash: 'x' }), playerId.toUpperCase()), true);
+  assert.equal(requirePlayer(fakeResponse({ playerId, guest: true, tokenHash: 'x' }), undefined), false);
+});
+
+test('mail goes to the local outbox', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace2ace-mail-'));
+  try {
+    const file = await sendMail({ to: 'alice@example.com', subject: 'Sign in', text: 'https://example.com/?signin=abc' }, dir);
+    assert.equal(path.dirname(file), dir);
+    const content = fs.readFileSync(file, 'utf8');
+    assert.match(content, /^To: alice@example.com\nSubject: Sign in\n\n/);
+    assert.ok(content.includes('?signin=abc'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a rate limiter allows a number of requests per key and window', () => {
+  const limiter = createRateLimiter(2, 60000);
+  assert.equal(limiter.allow('a', 0), true);
+  assert.equal(limiter.allow('a', 1000), true);
+  assert.equal(limiter.allow('a', 2000), false);
+  assert.equal(limiter.retryAfterMs('a', 2000), 58000);
+  assert.equal(limiter.allow('b', 2000), true, 'keys count apart');
+  assert.equal(limiter.allow('a', 60000), true, 'a new window starts');
+  assert.equal(limiter.retryAfterMs('a', 60000), 0);
+});
@@ -0,0 +1,605 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+process.env.MATCH_TOKEN_SECRET = 'http-test-secret';
+process.env.MAIL_OUTBOX_DIR = path.join(require('os').tmpdir(), `ace2ace-mail-${process.pid}`);
+process.env.APP_BASE_URL = 'https://ace2ace.example';
+
+const { setRepository } = require('../dist/shared/database');
+const { MemoryRepository } = require('../dist/shared/storage/memory');
+const { signMatchToken, verifyMatchToken } = require('../dist/shared/matchToken');
+const { MATCH_TOKEN_TTL_MS } = require('../dist/shared/anticheat');
+const { adaptiveCopilotRating } = require('../dist/shared/rating');
+const { loadGame } = require('../dist/multiplayer/game');
+const app = require('../dist/app').default;
+
+// Every route over HTTP, on in-memory storage
+const repository = new MemoryRepository();
+let server;
+let baseUrl;
+let game;
+
+before(async () => {
+  setRepository(repository);
+  game = await loadGame();
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function request(method, path, { body, cookie, raw, headers: extra } = {}) {
+  const headers = { ...extra };
+  if (body !== undefined) headers['content-type'] = 'application/json';
+  if (cookie) headers.cookie = cookie;
+  const res = await fetch(baseUrl + path, { method, headers, body: raw ?? (body === undefined ? undefined : JSON.stringify(body)) });
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch {}
+  return {
+    status: res.status, body: json, text, headers: res.headers,
+    cookie: (res.headers.get('set-cookie') || '').split(';')[0] || null
+  };
+}
+
+// A 400 with the validation error body, naming `field`
+function assertInvalid(res, field) {
+  assert.equal(res.status, 400, res.text);
+  assert.equal(typeof res.body.error, 'string');
+  assert.ok(res.body.errors.some(e => e.field === field), `expected an error for ${field}: ${res.text}`);
+}
+
+// A guest player and their session cookie
+async function guest(name = 'Guest') {
+  const res = await request('POST', '/players', { body: { playerId: randomUUID(), playerName: name } });
+  assert.equal(res.status, 200, res.text);
+  return { playerId: res.body.playerId, cookie: res.cookie };
+}
+
+// A bot plays a Copilot match the way the browser records it, following the ball (or, idle, only
+// serving, which loses): the matchEnd event and the replay
+function botMatch(options, { idle = false } = {}) {
+  const engine = new game.GameEngine(options);
+  const recorder = new game.ReplayRecorder(engine);
+  engine.start();
+  let end = null;
+  for (let i = 0; i < 400000 && !end; i++) {
+    const ballX = engine.ball.x + engine.ball.width / 2;
+    const paddleX = engine.paddle2.x + engine.paddle2.width / 2;
+    const serve = engine.isAwaitingPlayerServe() && (engine.serve.phase === 'ready' || engine.serve.tossFrame === 33);
+    const input = { player: idle ? { serve } : { left: ballX < paddleX - 5, right: ballX > paddleX + 5, serve } };
+    recorder.record(input);
+    end = engine.step(input).find(event => event.type === 'matchEnd');
+  }
+  return { end, replay: recorder.finish(end) };
+}
+
+// The result the browser posts for a quick bot match against the Copilot (see botMatch), and a token
+// for it as if the match started a minute before it ended. Each setup is played once.
+const botMatches = new Map();
+async function botResult(playerId, { difficulty = 'expert', personality, seed = 1 } = {}) {
+  const key = JSON.stringify([difficulty, personality, seed]);
+  if (!botMatches.has(key)) botMatches.set(key, botMatch({ seed, difficulty, format: 'quick', personality }));
+  const { end, replay } = botMatches.get(key);
+  const result = {
+    playerId, difficulty, durationMs: end.durationMs, setScores: end.setScores, winner: end.winner === 'player' ? 'player' : 'opponent',
+    playerPoints: end.playerScore, opponentPoints: end.copilotScore, replay,
+    ...(difficulty === 'adaptive' ? { adaptiveLevel: end.adaptiveLevel } : {})
+  };
+  return { end, result, token: await matchToken(playerId, { agoMs: end.durationMs + 60000, difficulty, personality }) };
+}
+
+// A match token for a match that started `agoMs` ago, as POST /matches/start would issue it
+async function matchToken(playerId, { agoMs = 10 * 60 * 1000, difficulty = 'expert', mode = 'copilot', opponentId = null, personality } = {}) {
+  const claims = { sessionId: randomUUID(), playerId, difficulty, format: 'quick', mode, opponentId, personality, issuedAt: Date.now() - agoMs };
+  await repository.createMatchSession(claims.sessionId, playerId, difficulty, 'quick', mode);
+  return signMatchToken(claims);
+}
+
+test('health checks answer', async () => {
+  assert.equal((await request('GET', '/health')).status, 200);
+  assert.equal((await request('GET', '/health/db')).text, 'DB OK');
+});
+
+test('malformed JSON bodies get a 400 like any invalid body', async () => {
+  assertInvalid(await request('POST', '/players', { raw: '{"playerId":', body: null }), 'body');
+});
+
+test('POST /players registers a guest, and refuses missing or oversized fields', async () => {
+  assertInvalid(await request('POST', '/players', { body: {} }), 'playerId');
+  const long = await request('POST', '/players', { body: { playerId: randomUUID(), playerName: 'x'.repeat(10000) } });
+  assertInvalid(long, 'playerName');
+  assert.deepEqual(long.body.errors.map(e => e.field), ['playerName']);
+  assertInvalid(await request('POST', '/players', { body: { playerId: randomUUID(), playerName: '   ' } }), 'playerName');
+  assertInvalid(await request('POST', '/players', { body: { playerId: 'x'.repeat(37), playerName: 'Al' } }), 'playerId');
+
+  const res = await request('POST', '/players', { body: { playerId: randomUUID(), playerName: '  Alice ' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.playerName, 'Alice');
+  assert.match(res.cookie, /^ace2ace_session=/);
+});
+
+test('GET /players/:id, its stats and ratings', async () => {
+  const { playerId } = await guest('Reader');
+  assert.equal((await request('GET', `/players/${playerId}`)).body.playerName, 'Reader');
+  assert.equal((await request('GET', `/players/${randomUUID()}`)).status, 404);
+  assertInvalid(await request('GET', `/players/${'x'.repeat(40)}`), 'playerId');
+  const stats = await request('GET', `/players/${playerId}/stats`);
+  assert.equal(stats.status, 200);
+  assert.equal(stats.body.record.played, 0);
+  assert.equal((await request('GET', `/players/${randomUUID()}/stats`)).status, 404);
+  assert.deepEqual((await request('GET', `/players/${playerId}/ratings`)).body, { ratings: [], history: [] });
+});
+
+test('POST /scores checks the body, the session and the match token', async () => {
+  const { playerId, cookie } = await guest('Scorer');
+  assertInvalid(await request('POST', '/scores', { body: { playerId }, cookie }), 'score');
+  assertInvalid(await request('POST', '/scores', { body: { playerId, score: -1 }, cookie }), 'score');
+  assertInvalid(await request('POST', '/scores', { body: { playerId, score: 1.5 }, cookie }), 'score');
+  assert.equal((await request('POST', '/scores', { body: { playerId, score: 3 } })).status, 401);
+  assertInvalid(await request('POST', '/scores', { body: { playerId, score: 3 }, cookie }), 'matchToken');
+  assert.equal((await request('POST', '/scores', { body: { playerId, score: 3, matchToken: 'forged' }, cookie })).status, 422);
+
+  const token = await matchToken(playerId);
+  // A refused score leaves the token for the real one; a local versus match has no score
+  assert.equal((await request('POST', '/scores', { body: { playerId, score: 9999, matchToken: token }, cookie })).status, 422);
+  const versus = await matchToken(playerId, { mode: 'pvp', opponentId: (await guest()).playerId });
+  assert.equal((await request('POST', '/scores', { body: { playerId, score: 3, matchToken: versus }, cookie })).status, 422);
+  const res = await request('POST', '/scores', { body: { playerId, score: 3, matchToken: token }, cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.bestScore, 3);
+  assert.equal((await request('POST', '/scores', { body: { playerId, score: 3, matchToken: token }, cookie })).status, 422);
+  assert.deepEqual((await request('GET', `/scores/${playerId}/history`)).body.map(s => s.score), [3]);
+});
+
+test('POST /matches/start hands out a token for a known difficulty and format', async () => {
+  const { playerId, cookie } = await guest('Starter');
+  assertInvalid(await request('POST', '/matches/start', { body: { playerId }, cookie }), 'difficulty');
+  assertInvalid(await request('POST', '/matches/start', { body: { playerId, difficulty: 'expert', mode: 'online' }, cookie }), 'mode');
+  assertInvalid(await request('POST', '/matches/start', { body: { playerId, difficulty: 'expert', mode: 'pvp' }, cookie }), 'opponentId');
+  assertInvalid(await request('POST', '/matches/start', { body: { playerId, difficulty: 'impossible' }, cookie }), 'difficulty');
+  assertInvalid(await request('POST', '/matches/start', { body: { playerId, difficulty: 'expert', format: 'marathon' }, cookie }), 'format');
+  assertInvalid(await request('POST', '/matches/start', { body: { playerId, difficulty: 'expert', personality: 'robot' }, cookie }), 'personality');
+  assert.equal((await request('POST', '/matches/start', { body: { playerId, difficulty: 'expert' } })).status, 401);
+
+  const res = await request('POST', '/matches/start', { body: { playerId, difficulty: 'expert' }, cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(typeof res.body.matchToken, 'string');
+});
+
+test('POST /matches validates the result and records it once', async () => {
+  const { playerId, cookie } = await guest('Winner');
+  const { end, result, token } = await botResult(playerId);
+
+  assertInvalid(await request('POST', '/matches', { body: { ...result, durationMs: 'fast' }, cookie }), 'durationMs');
+  assertInvalid(await request('POST', '/matches', { body: { ...result, difficulty: undefined }, cookie }), 'difficulty');
+  assertInvalid(await request('POST', '/matches', { body: { ...result, setScores: '6-0 '.repeat(30) }, cookie }), 'setScores');
+  assertInvalid(await request('POST', '/matches', { body: { ...result, winner: 'copilot' }, cookie }), 'winner');
+  assertInvalid(await request('POST', '/matches', { body: { ...result, opponentPoints: undefined }, cookie }), 'opponentPoints');
+  assertInvalid(await request('POST', '/matches', { body: { ...result, pointLog: [{ timeMs: -1 }] }, cookie }), 'pointLog');
+  assertInvalid(await request('POST', '/matches', { body: { ...result, mode: 'pvp' }, cookie }), 'opponentId');
+  assertInvalid(await request('POST', '/matches', { body: { ...result, mode: 'pvp', opponentId: playerId }, cookie }), 'opponentId');
+
+  // A Copilot result is only taken with the replay that plays it out
+  assert.equal((await request('POST', '/matches', { body: { ...result, replay: undefined, matchToken: token }, cookie })).status, 422);
+  const res = await request('POST', '/matches', { body: { ...result, matchToken: token }, cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.winner, 'player');
+  assert.equal(res.body.ratings.length, 1);
+  assert.equal((await request('POST', '/matches', { body: { ...result, matchToken: token }, cookie })).status, 422);
+
+  const timers = await request('GET', `/leaderboard/timers?difficulty=expert&playerId=${playerId}`);
+  assert.equal(timers.body.me.bestDurationMs, end.durationMs);
+  const rating = await request('GET', '/leaderboard/rating?difficulty=expert');
+  assert.ok(rating.body.some(entry => entry.playerId === playerId));
+});
+
+test('results without a live match token are recorded once, unranked', async () => {
+  const { playerId, cookie } = await guest('Offline');
+  const result = { playerId, difficulty: 'expert', durationMs: 1000, setScores: '4-0', winner: 'player' };
+
+  // Started offline: no token at all, so no rating, leaderboard time or score
+  const offline = await request('POST', '/matches', { body: result, cookie });
+  assert.equal(offline.status, 200, offline.text);
+  assert.equal(offline.body.unranked, true);
+  assert.equal(offline.body.difficulty, 'custom');
+  assert.deepEqual(offline.body.ratings, []);
+  assert.equal((await request('POST', '/matches', { body: { ...result, winner: 'opponent' }, cookie })).status, 422);
+  // A winner only stands on set scores that finish the match
+  assert.equal((await request('POST', '/matches', { body: { ...result, setScores: '3-0' }, cookie })).status, 422);
+  assert.equal((await request('POST', '/matches', { body: { ...result, setScores: undefined }, cookie })).status, 422);
+
+  // Waited in the outbox past the token's lifetime: unranked, and still only once
+  const token = await matchToken(playerId, { agoMs: MATCH_TOKEN_TTL_MS + 60000 });
+  const expired = await request('POST', '/matches', { body: { ...result, matchToken: token }, cookie });
+  assert.equal(expired.status, 200, expired.text);
+  assert.equal(expired.body.unranked, true);
+  assert.equal((await request('POST', '/matches', { body: { ...result, matchToken: token }, cookie })).status, 422);
+  const someoneElses = await matchToken((await guest()).playerId, { agoMs: MATCH_TOKEN_TTL_MS + 60000 });
+  assert.equal((await request('POST', '/matches', { body: { ...result, matchToken: someoneElses }, cookie })).status, 422);
+
+  const stats = await request('GET', `/players/${playerId}/stats`);
+  assert.equal(stats.body.record.played, 2);
+  const timers = await request('GET', `/leaderboard/timers?difficulty=expert&playerId=${playerId}`);
+  assert.equal(timers.body.me, null);
+});
+
+test('Copilot matches are recorded, and counted, under the personality they were started with', async () => {
+  const { playerId, cookie } = await guest('Rookie slayer');
+  for (const personality of ['rookie', 'rookie', undefined]) {
+    // Seeds the bot wins on
+    const { result, token } = await botResult(playerId, { personality, seed: personality ? 2 : 1 });
+    const res = await request('POST', '/matches', { body: { ...result, matchToken: token }, cookie });
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.personality, personality || 'allCourt');
+  }
+  const stats = await request('GET', `/players/${playerId}/stats`);
+  assert.deepEqual(stats.body.byPersonality, { rookie: { played: 2, wins: 2, losses: 0 }, allCourt: { played: 1, wins: 1, losses: 0 } });
+});
+
+test('adaptive matches need the level the Copilot played at, and are rated and ranked on their own', async () => {
+  const { playerId, cookie } = await guest('Adapter');
+  const { end, result, token } = await botResult(playerId, { difficulty: 'adaptive', seed: 3 });
+  assertInvalid(await request('POST', '/matches', { body: { ...result, adaptiveLevel: 1.5 }, cookie }), 'adaptiveLevel');
+  assertInvalid(await request('POST', '/matches', { body: { ...result, adaptiveLevel: undefined }, cookie }), 'adaptiveLevel');
+
+  const res = await request('POST', '/matches', { body: { ...result, matchToken: token }, cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.adaptiveLevel, end.adaptiveLevel);
+  assert.equal(res.body.ratings[0].opponentRating, adaptiveCopilotRating(end.adaptiveLevel));
+
+  const timers = await request('GET', `/leaderboard/timers?difficulty=adaptive&playerId=${playerId}`);
+  assert.equal(timers.body.me.bestDurationMs, end.durationMs);
+  const rating = await request('GET', '/leaderboard/rating?difficulty=adaptive');
+  assert.ok(rating.body.some(entry => entry.playerId === playerId));
+});
+
+test('GET /difficulties serves the built-in presets, tuned and added to by stored ones', async () => {
+  const builtIn = await request('GET', '/difficulties');
+  assert.equal(builtIn.status, 200);
+  assert.deepEqual(builtIn.body.presets.map(p => p.id), Object.keys(game.DIFFICULTY_SETTINGS));
+  const expert = builtIn.body.presets.find(p => p.id === 'expert');
+  assert.equal(expert.ranked, true);
+  assert.equal(expert.hash, game.difficultyHash(game.DIFFICULTY_SETTINGS.expert));
+
+  const tuned = { ...game.canonicalDifficulty(game.DIFFICULTY_SETTINGS.expert), aiSpeed: 5.5 };
+  await repository.saveDifficultyPreset('expert', JSON.stringify(tuned), true);
+  await repository.saveDifficultyPreset('sandbox', JSON.stringify(game.DIFFICULTY_SETTINGS.beginner), false);
+  await repository.saveDifficultyPreset('broken', '{"aiSpeed":1000}', true);
+  try {
+    const { presets } = (await request('GET', '/difficulties')).body;
+    assert.equal(presets.find(p => p.id === 'expert').settings.aiSpeed, 5.5);
+    assert.equal(presets.find(p => p.id === 'sandbox').ranked, false);
+    assert.ok(!presets.some(p => p.id === 'broken'));
+  } finally {
+    for (const id of ['expert', 'sandbox', 'broken']) await repository.deleteDifficultyPreset(id);
+  }
+});
+
+test('custom difficulties are recorded under the ranked preset they match, or off the leaderboards', async () => {
+  const { playerId, cookie } = await guest('Tinkerer');
+  const start = (body) => request('POST', '/matches/start', { body: { playerId, difficulty: 'custom', ...body }, cookie });
+  assertInvalid(await start({}), 'settings');
+  assertInvalid(await start({ settings: { aiSpeed: 3 } }), 'settings');
+  const asExpert = await start({ settings: { ...game.DIFFICULTY_SETTINGS.expert, label: 'mine' } });
+  assert.equal(asExpert.status, 200, asExpert.text);
+  assert.equal(asExpert.body.difficulty, 'expert');
+
+  const settings = { ...game.canonicalDifficulty(game.DIFFICULTY_SETTINGS.expert), aiErrorRate: 0.01 };
+  const started = await start({ settings });
+  assert.equal(started.body.difficulty, 'custom');
+  const claims = verifyMatchToken(started.body.matchToken);
+  assert.deepEqual(claims.settings, settings);
+  const { end, replay } = botMatch({ seed: 1, difficulty: 'custom', format: 'quick', difficultySettings: { ...game.DIFFICULTY_SETTINGS, custom: settings } });
+  // Started a minute before it ended, so the result fits in the time since
+  const token = signMatchToken({ ...claims, issuedAt: Date.now() - end.durationMs - 60000 });
+
+  const result = {
+    playerId, difficulty: 'custom', durationMs: end.durationMs, setScores: end.setScores,
+    playerPoints: end.playerScore, opponentPoints: end.copilotScore, replay
+  };
+  const res = await request('POST', '/matches', { body: { ...result, matchToken: token }, cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.difficulty, 'custom');
+  assert.equal(res.body.settingsHash, game.difficultyHash(settings));
+  assert.deepEqual(res.body.ratings, []);
+  const timers = await request('GET', `/leaderboard/timers?playerId=${playerId}`);
+  assert.equal(timers.body.me, null);
+  assert.equal((await request('GET', `/players/${playerId}`)).body.bestScore, 0);
+  assertInvalid(await request('POST', '/scores', { body: { playerId, score: 3, matchToken: (await start({ settings })).body.matchToken }, cookie }), 'matchToken');
+});
+
+test('campaign rounds are picked by the server, advance on a win, restart on a loss and open the next tournament', async () => {
+  const { playerId, cookie } = await guest('Contender');
+  const start = (campaignTier, body = {}) => request('POST', '/matches/start', { body: { playerId, difficulty: 'campaign', campaignTier, ...body }, cookie });
+  // Play a round with its replay, and post the result as if the round started a minute before it
+  const play = async (tierId, won) => {
+    const started = await start(tierId);
+    assert.equal(started.status, 200, started.text);
+    const claims = verifyMatchToken(started.body.matchToken);
+    const { end, replay } = botMatch({
+      seed: 1, difficulty: 'campaign', format: claims.format, personality: claims.personality,
+      difficultySettings: { ...game.DIFFICULTY_SETTINGS, campaign: claims.settings }
+    }, { idle: !won });
+    assert.equal(end.winner, won ? 'player' : 'copilot');
+    const token = signMatchToken({ ...claims, issuedAt: Date.now() - end.durationMs - 60000 });
+    const result = {
+      playerId, difficulty: 'campaign', durationMs: end.durationMs, setScores: end.setScores,
+      winner: won ? 'player' : 'opponent', replay, matchToken: token
+    };
+    assert.equal((await request('POST', '/matches', { body: { ...result, replay: undefined }, cookie })).status, 422, 'no replay, no round');
+    assert.equal((await request('POST', '/matches', { body: { ...result, setScores: won ? '4-3' : '3-4' }, cookie })).status, 422);
+    const res = await request('POST', '/matches', { body: result, cookie });
+    assert.equal(res.status, 200, res.text);
+    return { claims, campaign: res.body.campaign };
+  };
+
+  assertInvalid(await request('GET', `/campaign/${'x'.repeat(40)}`), 'playerId');
+  assert.equal((await request('GET', `/campaign/${randomUUID()}`)).status, 404);
+  const fresh = (await request('GET', `/campaign/${playerId}`)).body;
+  assert.deepEqual(fresh.tiers.map(tier => [tier.id, tier.unlocked, tier.nextRound]), [['club', true, 0], ['national', false, 0], ['grandSlam', false, 0]]);
+  assertInvalid(await start('moon'), 'campaignTier');
+  assertInvalid(await start('club', { difficulty: 'expert' }), 'difficulty');
+  assertInvalid(await start('club', { mode: 'pvp', opponentId: randomUUID() }), 'mode');
+  assertInvalid(await start(undefined), 'campaignTier');
+  assert.equal((await start('national')).status, 403);
+
+  const first = await play('club', true);
+  assert.deepEqual(first.claims.campaign, { tier: 'club', round: 0 });
+  assert.equal(first.claims.personality, game.CAMPAIGN_TIERS[0].rounds[0].personality);
+  assert.deepEqual(first.claims.settings, game.roundSettings(game.CAMPAIGN_TIERS[0], 0));
+  assert.deepEqual([first.campaign.nextRound, first.campaign.won, first.campaign.title], [1, true, false]);
+  assert.equal((await play('club', false)).campaign.nextRound, 0, 'a loss goes back to the qualifier');
+  for (let round = 0; round < 3; round++) await play('club', true);
+  const final = await play('club', true);
+  assert.equal(final.claims.campaign.round, 3);
+  assert.deepEqual([final.campaign.title, final.campaign.titles], [true, 1]);
+
+  const won = (await request('GET', `/campaign/${playerId}`)).body;
+  assert.equal(won.tiers[0].titles, 1);
+  assert.equal(typeof won.tiers[0].firstTitleAt, 'string');
+  assert.equal(won.tiers[1].unlocked, true);
+  assert.equal(won.recent.length, 6);
+  const national = await start('national');
+  assert.equal(national.status, 200, national.text);
+  assert.equal(verifyMatchToken(national.body.matchToken).format, game.CAMPAIGN_TIERS[1].format);
+});
+
+test('the daily challenge is the same for everyone, ranked on the first attempt and needs its replay', async () => {
+  const { playerId, cookie } = await guest('Daily');
+  const today = game.challengeDay();
+  const start = (body = {}) => request('POST', '/matches/start', { body: { playerId, difficulty: 'advanced', daily: today, ...body }, cookie });
+
+  const challenge = (await request('GET', '/daily')).body;
+  assert.deepEqual({ ...challenge, createdAt: undefined, endsAt: undefined }, { ...game.dailyChallenge(today, challenge.seed), createdAt: undefined, endsAt: undefined });
+  assert.equal(challenge.endsAt, game.challengeEndsAt(today).toISOString());
+  assertInvalid(await start({ daily: 'tomorrow' }), 'daily');
+  assertInvalid(await start({ difficulty: 'expert' }), 'difficulty');
+  assertInvalid(await start({ mode: 'pvp', opponentId: randomUUID() }), 'mode');
+  assert.equal((await start({ daily: '2020-01-01' })).status, 409);
+
+  const ranked = await start();
+  assert.equal(ranked.status, 200, ranked.text);
+  assert.deepEqual(ranked.body.daily, { day: today, seed: challenge.seed, modifier: challenge.modifier, ranked: true });
+  const claims = verifyMatchToken(ranked.body.matchToken);
+  assert.deepEqual([claims.difficulty, claims.playedAs, claims.personality, claims.format], ['custom', 'advanced', challenge.personality, challenge.format]);
+  const practice = await start();
+  assert.equal(practice.body.daily.ranked, false, 'one ranked attempt a day');
+
+  // The bot plays the challenge like the browser does
+  const engine = new game.GameEngine({
+    seed: challenge.seed, difficulty: 'advanced', format: challenge.format, personality: challenge.personality, modifier: challenge.modifier
+  });
+  engine.reseed();
+  const recorder = new game.ReplayRecorder(engine);
+  engine.start();
+  let end = null;
+  for (let i = 0; i < 400000 && !end; i++) {
+    const ballX = engine.ball.x + engine.ball.width / 2;
+    const paddleX = engine.paddle2.x + engine.paddle2.width / 2;
+    const serve = engine.isAwaitingPlayerServe() && (engine.serve.phase === 'ready' || engine.serve.tossFrame === 33);
+    const input = { player: { left: ballX < paddleX - 5, right: ballX > paddleX + 5, serve } };
+    recorder.record(input);
+    end = engine.step(input).find(event => event.type === 'matchEnd');
+  }
+  const replay = recorder.finish(end);
+  const post = (token, body = {}) => request('POST', '/matches', {
+    body: {
+      playerId, difficulty: 'advanced', durationMs: end.durationMs, setScores: end.setScores,
+      playerPoints: end.playerScore, opponentPoints: end.copilotScore, replay,
+      matchToken: signMatchToken({ ...verifyMatchToken(token), issuedAt: Date.now() - end.durationMs - 60000 }), ...body
+    },
+    cookie
+  });
+  assert.equal((await post(practice.body.matchToken, { replay: undefined })).status, 422);
+  assert.equal((await post((await start()).body.matchToken, { replay: { ...replay, seed: replay.seed + 1 } })).status, 422);
+  assert.equal((await post((await start()).body.matchToken, { replay: { ...replay, rng: replay.rng + 1 } })).status, 422);
+  assert.equal((await post((await start()).body.matchToken, { replay: { ...replay, modifier: undefined } })).status, 422);
+
+  const res = await post(ranked.body.matchToken);
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual([res.body.difficulty, res.body.daily], ['custom', { day: today, ranked: true }]);
+  const again = await post((await start()).body.matchToken);
+  assert.equal(again.status, 200, again.text);
+  assert.deepEqual(again.body.daily, { day: today, ranked: false });
+
+  const leaderboard = (await request('GET', `/daily/leaderboard?playerId=${playerId}`)).body;
+  assert.deepEqual([leaderboard.day, leaderboard.total, leaderboard.me.rank], [today, 1, 1]);
+  assert.deepEqual([leaderboard.me.matchId, leaderboard.me.durationMs, leaderboard.me.won], [res.body.matchId, end.durationMs, end.winner === 'player']);
+  assertInvalid(await request('GET', '/daily/leaderboard?day=yesterday'), 'day');
+  assert.equal((await request('GET', '/daily/leaderboard?day=2999-01-01')).status, 404);
+});
+
+test('a retried POST /matches with the same Idempotency-Key gets the first answer back', async () => {
+  const { playerId, cookie } = await guest('Retrier');
+  const { result, token } = await botResult(playerId);
+  const body = { ...result, matchToken: token };
+  const headers = { 'Idempotency-Key': randomUUID() };
+
+  assertInvalid(await request('POST', '/matches', { body, cookie, headers: { 'Idempotency-Key': 'not a key!' } }), 'Idempotency-Key');
+  const first = await request('POST', '/matches', { body, cookie, headers });
+  assert.equal(first.status, 200, first.text);
+  const retry = await request('POST', '/matches', { body, cookie, headers });
+  assert.equal(retry.status, 200, retry.text);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(retry.body, first.body);
+  assert.equal((await request('GET', `/players/${playerId}/stats`)).body.record.played, 1);
+
+  // Without the key (or with a new one) the used token is refused as before
+  assert.equal((await request('POST', '/matches', { body, cookie, headers: { 'Idempotency-Key': randomUUID() } })).status, 422);
+  // Keys are per player: another player's request with the same key runs on its own
+  const other = await guest('Other');
+  const res = await request('POST', '/matches', { body: { ...body, playerId: other.playerId }, cookie: other.cookie, headers });
+  assert.equal(res.status, 422, res.text);
+});
+
+test('a result that fails after its match is recorded can be sent again, and is finished once', async () => {
+  const { playerId, cookie } = await guest('Unlucky');
+  const { result, token } = await botResult(playerId);
+  const body = { ...result, matchToken: token };
+  const headers = { 'Idempotency-Key': randomUUID() };
+
+  const recordMatchRatings = repository.recordMatchRatings;
+  repository.recordMatchRatings = async () => { throw new Error('database went away'); };
+  try {
+    assert.equal((await request('POST', '/matches', { body, cookie, headers })).status, 500);
+  } finally {
+    repository.recordMatchRatings = recordMatchRatings;
+  }
+  const retry = await request('POST', '/matches', { body, cookie, headers });
+  assert.equal(retry.status, 200, retry.text);
+  assert.equal(retry.body.ratings.length, 1);
+  assert.equal((await request('GET', `/players/${playerId}/stats`)).body.record.played, 1);
+  assert.equal((await request('POST', '/matches', { body, cookie })).status, 422);
+});
+
+test('leaderboard query parameters are validated', async () => {
+  const res = await request('GET', '/leaderboard?period=week&limit=5');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.period, 'week');
+  assert.equal(res.body.limit, 5);
+  assertInvalid(await request('GET', '/leaderboard?period=year'), 'period');
+  assertInvalid(await request('GET', '/leaderboard?limit=0&offset=-1'), 'limit');
+  assert.deepEqual((await request('GET', '/leaderboard?limit=0&offset=-1')).body.errors.map(e => e.field), ['limit', 'offset']);
+  assertInvalid(await request('GET', '/leaderboard/timers?around=99'), 'around');
+  assertInvalid(await request('GET', `/leaderboard/timers?difficulty=${'x'.repeat(51)}`), 'difficulty');
+  assertInvalid(await request('GET', '/leaderboard/rating?limit=100'), 'limit');
+});
+
+test('replay routes validate their input and answer 404 for unknown replays', async () => {
+  const { playerId, cookie } = await guest('Uploader');
+  assertInvalid(await request('POST', '/replays', { body: { playerId }, cookie }), 'matchId');
+  assertInvalid(await request('POST', '/replays', { body: { matchId: randomUUID(), playerId, replay: [] }, cookie }), 'replay');
+  assert.equal((await request('POST', '/replays', { body: { matchId: randomUUID(), playerId, replay: { version: 0 } }, cookie })).status, 404);
+
+  // The match is looked up, and its length checked, before the replay is played
+  const match = await request('POST', '/matches', { body: { playerId, difficulty: 'expert', durationMs: 1000, setScores: '4-0', winner: 'player' }, cookie });
+  assert.equal(match.status, 200, match.text);
+  const upload = (replay, player = { playerId, cookie }) => request('POST', '/replays', {
+    body: { matchId: match.body.matchId, playerId: player.playerId, replay }, cookie: player.cookie
+  });
+  assertInvalid(await upload({ version: 0 }), 'replay');
+  assert.equal((await upload({ version: 0 }, await guest())).status, 403);
+  const recorder = new game.ReplayRecorder(new game.GameEngine({ seed: 1, difficulty: 'expert' }));
+  for (let i = 0; i < 100; i++) recorder.record({});
+  const tooLong = await upload(recorder.finish());
+  assertInvalid(tooLong, 'replay');
+  assert.match(tooLong.body.error, /not as long as the match/);
+  assertInvalid(await request('GET', '/replays?limit=lots'), 'limit');
+  assert.deepEqual((await request('GET', `/replays?playerId=${playerId}`)).body, []);
+  assert.equal((await request('GET', `/replays/${randomUUID()}`)).status, 404);
+});
+
+test('accounts: register, me, logout and login', async () => {
+  const email = `${randomUUID()}@example.com`;
+  assertInvalid(await request('POST', '/auth/register', { body: { email: 'nope', password: 'long enough' } }), 'email');
+  assertInvalid(await request('POST', '/auth/register', { body: { email, password: 'short' } }), 'password');
+  assertInvalid(await request('POST', '/auth/register', { body: { email, password: 'long enough', playerName: 'x'.repeat(51) } }), 'playerName');
+
+  const registered = await request('POST', '/auth/register', { body: { email, password: 'long enough', playerName: 'Ace' } });
+  assert.equal(registered.status, 200, registered.text);
+  assert.equal(registered.body.playerName, 'Ace');
+  assert.equal((await request('POST', '/auth/register', { body: { email, password: 'long enough' } })).status, 409);
+  assert.equal((await request('GET', '/auth/me', { cookie: registered.cookie })).body.email, email);
+  assert.equal((await request('POST', '/auth/logout', { cookie: registered.cookie })).status, 200);
+  assert.equal((await request('GET', '/auth/me', { cookie: registered.cookie })).status, 401);
+
+  assertInvalid(await request('POST', '/auth/login', { body: { email } }), 'password');
+  assert.equal((await request('POST', '/auth/login', { body: { email, password: 'wrong password' } })).status, 401);
+  const login = await request('POST', '/auth/login', { body: { email, password: 'long enough' } });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.playerId, registered.body.playerId);
+
+  assertInvalid(await request('POST', '/auth/link', { body: {} }), 'email');
+  assert.deepEqual((await request('POST', '/auth/link', { body: { email } })).body, { sent: true });
+  // A few links per address while one lasts, then 429 until the window ends
+  for (let i = 0; i < 2; i++) assert.equal((await request('POST', '/auth/link', { body: { email } })).status, 200);
+  const limited = await request('POST', '/auth/link', { body: { email } });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assertInvalid(await request('POST', '/auth/link/verify', { body: {} }), 'token');
+  assert.equal((await request('POST', '/auth/link/verify', { body: { token: 'unknown' } })).status, 401);
+});
+
+// The token of the latest sign-in link mailed to `email`
+function mailedToken(email) {
+  const dir = process.env.MAIL_OUTBOX_DIR;
+  const file = fs.readdirSync(dir).filter(name => name.endsWith(`-${email}.txt`)).sort().pop();
+  const content = fs.readFileSync(path.join(dir, file), 'utf8');
+  assert.ok(content.includes('https://ace2ace.example/?signin='), content);
+  return decodeURIComponent(content.match(/\?signin=(\S+)/)[1]);
+}
+
+test('a sign-in link only claims the guest that follows it, and points at APP_BASE_URL', async () => {
+  const email = `${randomUUID()}@example.com`;
+  const attacker = await guest('Asker');
+  const asked = await request('POST', '/auth/link', { body: { email }, cookie: attacker.cookie, headers: { origin: 'https://evil.example' } });
+  assert.equal(asked.status, 200, asked.text);
+
+  // Followed in a fresh browser: a new account, and the guest that asked stays a guest
+  const followed = await request('POST', '/auth/link/verify', { body: { token: mailedToken(email) } });
+  assert.equal(followed.status, 200, followed.text);
+  assert.notEqual(followed.body.playerId, attacker.playerId);
+  const asker = await request('GET', '/auth/me', { cookie: attacker.cookie });
+  assert.equal(asker.body.playerId, attacker.playerId);
+  assert.equal(asker.body.guest, true);
+
+  // Followed by a guest: that guest becomes the account, signed in afresh
+  const other = `${randomUUID()}@example.com`;
+  const follower = await guest('Follower');
+  await request('POST', '/auth/link', { body: { email: other } });
+  const claimed = await request('POST', '/auth/link/verify', { body: { token: mailedToken(other) }, cookie: follower.cookie });
+  assert.equal(claimed.body.playerId, follower.playerId);
+  assert.equal(claimed.body.guest, false);
+  assert.equal((await request('GET', '/auth/me', { cookie: follower.cookie })).status, 401);
+  assert.equal((await request('GET', '/auth/me', { cookie: claimed.cookie })).body.email, other);
+});
+
+test('registering a guest claims that guest and signs it in afresh', async () => {
+  const player = await guest('Claimer');
+  const registered = await request('POST', '/auth/register', { body: { email: `${randomUUID()}@example.com`, password: 'long enough' }, cookie: player.cookie });
+  assert.equal(registered.body.playerId, player.playerId);
+  assert.equal((await request('GET', '/auth/me', { cookie: player.cookie })).status, 401);
+  assert.equal((await request('GET', '/auth/me', { cookie: registered.cookie })).body.guest, false);
+});
+
+test('POST /players only starts a session for a player it creates', async () => {
+  const victim = await guest('Victim');
+  // An existing guest's id without its session: a new player, not the victim's session
+  const taken = await request('POST', '/players', { body: { playerId: victim.playerId, playerName: 'Victim' } });
+  assert.equal(taken.status, 200, taken.text);
+  assert.notEqual(taken.body.playerId, victim.playerId);
+  assert.equal((await request('GET', '/auth/me', { cookie: taken.cookie })).body.playerId, taken.body.playerId);
+  const token = await matchToken(victim.playerId);
+  const score = await request('POST', '/scores', { body: { playerId: victim.playerId, score: 3, matchToken: token }, cookie: taken.cookie });
+  assert.equal(score.status, 403);
+
+  // A second local player is registered under the device's session, which it doesn't replace
+  const second = await request('POST', '/players', { body: { playerId: victim.playerId, playerName: 'Victim' }, cookie: taken.cookie });
+  assert.equal(second.body.playerId, victim.playerId);
+  assert.equal(second.cookie, null);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseLeaderboardQuery, periodStart, MAX_LIMIT } = require('../dist/shared/leaderboard');
+
+// A Wednesday
+const now = new Date('2026-03-18T15:30:00Z');
+
+test('periods start at the beginning of the UTC day, week (Monday) or month', () => {
+  assert.equal(periodStart('day', now).toISOString(), '2026-03-18T00:00:00.000Z');
+  assert.equal(periodStart('week', now).toISOString(), '2026-03-16T00:00:00.000Z');
+  assert.equal(periodStart('week', new Date('2026-03-22T23:00:00Z')).toISOString(), '2026-03-16T00:00:00.000Z');
+  assert.equal(periodStart('month', now).toISOString(), '2026-03-01T00:00:00.000Z');
+  assert.equal(periodStart('all', now), null);
+});
+
+test('leaderboard queries default to the whole history from the top', () => {
+  assert.deepEqual(parseLeaderboardQuery({}, 5, now), { period: 'all', since: null, limit: 5, offset: 0, around: 2, playerId: null });
+  const query = parseLeaderboardQuery({ period: 'week', limit: '20', offset: '40', around: '0', playerId: 'alice-id' }, 5, now);
+  assert.deepEqual(query, { period: 'week', since: new Date('2026-03-16T00:00:00Z'), limit: 20, offset: 40, around: 0, playerId: 'alice-id' });
+});
+
+test('out of range or malformed paging is refused', () => {
+  assert.match(parseLeaderboardQuery({ period: 'year' }, 5, now).error, /period/);
+  assert.match(parseLeaderboardQuery({ limit: '0' }, 5, now).error, /limit/);
+  assert.match(parseLeaderboardQuery({ limit: String(MAX_LIMIT + 1) }, 5, now).error, /limit/);
+  assert.match(parseLeaderboardQuery({ limit: '10abc' }, 5, now).error, /limit/);
+  assert.match(parseLeaderboardQuery({ offset: '-1' }, 5, now).error, /offset/);
+  assert.match(parseLeaderboardQuery({ around: '99' }, 5, now).error, /around/);
+  assert.match(parseLeaderboardQuery({ limit: ['1', '2'] }, 5, now).error, /limit/);
+});
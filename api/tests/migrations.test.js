@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadMigrations, planMigrations } = require('../dist/shared/migrations');
+
+const fake = (version) => ({ version, name: `m${version}`, up: [`-- up ${version}`], down: [`-- down ${version}`] });
+const steps = (plan) => plan.map(({ migration, direction }) => `${direction} ${migration.version}`);
+
+test('the shipped migrations are numbered from 1 without gaps and can all be undone', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length >= 8);
+  migrations.forEach((migration, i) => {
+    assert.equal(migration.version, i + 1);
+    assert.ok(migration.name);
+    assert.ok(migration.up.length > 0 && migration.down.length > 0, `migration ${migration.version} has up and down steps`);
+  });
+  const indexes = migrations.flatMap(m => m.up).filter(step => typeof step === 'string').join('\n');
+  assert.match(indexes, /CREATE INDEX IX_GameScores_PlayerId_GameDate ON GameScores\(PlayerId, GameDate\)/);
+  assert.match(indexes, /CREATE INDEX IX_Matches_Difficulty_DurationMs ON Matches\(Difficulty, DurationMs\)/);
+});
+
+test('a gap in the migration files is refused', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  try {
+    for (const file of ['001_first.js', '003_third.js']) {
+      fs.writeFileSync(path.join(dir, file), 'module.exports = { name: "x", up: [], down: [] };');
+    }
+    assert.throws(() => loadMigrations(dir), /Migration 2 is missing/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('migrating up applies the missing versions in order', () => {
+  const available = [1, 2, 3, 4].map(fake);
+  assert.deepEqual(steps(planMigrations(available, [])), ['up 1', 'up 2', 'up 3', 'up 4']);
+  assert.deepEqual(steps(planMigrations(available, [1, 2])), ['up 3', 'up 4']);
+  assert.deepEqual(steps(planMigrations(available, [1, 2], 3)), ['up 3']);
+  assert.deepEqual(steps(planMigrations(available, [1, 2, 3, 4])), []);
+});
+
+test('rolling back undoes the newest versions first', () => {
+  const available = [1, 2, 3, 4].map(fake);
+  assert.deepEqual(steps(planMigrations(available, [1, 2, 3, 4], 2)), ['down 4', 'down 3']);
+  assert.deepEqual(steps(planMigrations(available, [1, 2, 3], 0)), ['down 3', 'down 2', 'down 1']);
+  assert.deepEqual(steps(planMigrations(available, [1, 2, 3, 4], 2, true)), [], 'starting the API never rolls back');
+});
+
+test('unknown versions are refused', () => {
+  const available = [1, 2].map(fake);
+  assert.throws(() => planMigrations(available, [], 5), /Unknown schema version 5/);
+  assert.throws(() => planMigrations(available, [1, 2, 3], 2), /version 3 is applied but its migration is missing/);
+  assert.deepEqual(steps(planMigrations(available, [1, 2, 3], null, true)), [], 'a newer database is left alone on start');
+});
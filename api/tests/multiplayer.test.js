@@ -0,0 +1,194 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+
+const { attachMultiplayer, sessionPlayer } = require('../dist/multiplayer');
+const { setRepository } = require('../dist/shared/database');
+const { MemoryRepository } = require('../dist/shared/storage/memory');
+const { SESSION_COOKIE, hashToken, newToken } = require('../dist/shared/auth');
+
+let server;
+let hub;
+let url;
+let recorded;
+
+beforeEach(async () => {
+  recorded = [];
+  server = http.createServer();
+  // Tests name the connecting player in a header instead of signing in
+  hub = attachMultiplayer(server, {
+    path: '/ws',
+    recordResult: async (result) => { recorded.push(result); },
+    authenticate: async (req) => req.headers['x-test-player'] || null
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  url = `ws://localhost:${server.address().port}/ws`;
+});
+
+afterEach(async () => {
+  hub.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Headless client connected as `playerId`: keeps every message so tests can wait for the next one of a type
+async function connect(playerId) {
+  const socket = new WebSocket(url, { headers: { 'x-test-player': playerId } });
+  const client = {
+    socket,
+    messages: [],
+    waiters: [],
+    send: (message) => socket.send(JSON.stringify(message)),
+    next(type, predicate = () => true) {
+      const index = client.messages.findIndex(m => m.type === type && predicate(m));
+      if (index !== -1) return Promise.resolve(client.messages.splice(index, 1)[0]);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${type}`)), 5000);
+        client.waiters.push({ type, predicate, resolve: (m) => { clearTimeout(timer); resolve(m); } });
+      });
+    }
+  };
+  socket.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    const waiter = client.waiters.find(w => w.type === message.type && w.predicate(message));
+    if (waiter) {
+      client.waiters.splice(client.waiters.indexOf(waiter), 1);
+      waiter.resolve(message);
+    } else {
+      client.messages.push(message);
+    }
+  });
+  await new Promise((resolve, reject) => { socket.on('open', resolve); socket.on('error', reject); });
+  return client;
+}
+
+async function matchPair() {
+  const alice = await connect('alice-id');
+  const bob = await connect('bob-id');
+  alice.send({ type: 'join', playerName: 'Alice' });
+  await alice.next('waiting');
+  bob.send({ type: 'join', playerName: 'Bob' });
+  const [aliceMatch, bobMatch] = await Promise.all([alice.next('matched'), bob.next('matched')]);
+  return { alice, bob, aliceMatch, bobMatch, room: hub.rooms.get(aliceMatch.roomId) };
+}
+
+test('two players joining are matched on opposite sides of the same room', async () => {
+  const { aliceMatch, bobMatch } = await matchPair();
+  assert.equal(aliceMatch.roomId, bobMatch.roomId);
+  assert.equal(aliceMatch.side, 'player');
+  assert.equal(bobMatch.side, 'copilot');
+  assert.equal(aliceMatch.opponent.playerName, 'Bob');
+  assert.equal(bobMatch.opponent.playerId, 'alice-id');
+  assert.equal(hub.rooms.size, 1);
+});
+
+test('players waiting for different formats are not matched together', async () => {
+  const alice = await connect('alice-id');
+  const bob = await connect('bob-id');
+  alice.send({ type: 'join', playerName: 'Alice', format: 'quick' });
+  bob.send({ type: 'join', playerName: 'Bob', format: 'bestOf3' });
+  await Promise.all([alice.next('waiting'), bob.next('waiting')]);
+  assert.equal(hub.rooms.size, 0);
+});
+
+test('an invalid join is rejected', async () => {
+  const client = await connect('x');
+  client.send({ type: 'join', format: 'marathon' });
+  assert.match((await client.next('error')).error, /Unknown format/);
+});
+
+test('connecting needs a session, and the playerId a client sends is ignored', async () => {
+  const refused = new WebSocket(url);
+  const response = await new Promise((resolve, reject) => {
+    refused.on('unexpected-response', (_req, res) => resolve(res));
+    refused.on('open', () => reject(new Error('connected without a session')));
+  });
+  assert.equal(response.statusCode, 401);
+
+  // Two sockets of the same player can't play each other, whoever they claim to be
+  const first = await connect('alice-id');
+  const second = await connect('alice-id');
+  first.send({ type: 'join', playerId: 'alice-id', playerName: 'Alice' });
+  await first.next('waiting');
+  second.send({ type: 'join', playerId: 'bob-id', playerName: 'Bob' });
+  await second.next('waiting');
+  assert.equal(hub.rooms.size, 0);
+});
+
+test('by default a connection plays as its session cookie\'s player', async () => {
+  const repository = new MemoryRepository();
+  setRepository(repository);
+  const player = await repository.upsertPlayer('', 'Signed in');
+  const token = newToken();
+  await repository.createAuthSession(hashToken(token), player.playerId, true, new Date(Date.now() + 60000));
+  const request = (cookie) => ({ headers: { cookie } });
+  assert.equal(await sessionPlayer(request(`${SESSION_COOKIE}=${token}`)), player.playerId.toLowerCase());
+  assert.equal(await sessionPlayer(request(`${SESSION_COOKIE}=${newToken()}`)), null);
+  assert.equal(await sessionPlayer(request(undefined)), null);
+});
+
+test('the server applies each input once and acknowledges it', async () => {
+  const { alice, bob, room } = await matchPair();
+  const start = await alice.next('state');
+  const paddleX = start.state.paddle2.x;
+  const topX = start.state.paddle1.x;
+  const speed = room.engine.paddle2.speed;
+
+  alice.send({ type: 'input', seq: 1, input: { left: true } });
+  alice.send({ type: 'input', seq: 2, input: { left: true } });
+  bob.send({ type: 'input', seq: 1, input: { right: true } });
+  const acked = await alice.next('state', m => m.ack === 2);
+  assert.equal(acked.state.paddle2.x, paddleX - 2 * speed);
+  const bobAcked = await bob.next('state', m => m.ack === 1);
+  assert.equal(bobAcked.state.paddle1.x, topX + speed);
+});
+
+test('a serve input tosses the ball for the serving player', async () => {
+  const { alice } = await matchPair();
+  const ready = await alice.next('state', m => m.state.serve.phase === 'ready');
+  assert.equal(ready.state.server, 'player');
+  alice.send({ type: 'input', seq: 1, input: { serve: true } });
+  const toss = await alice.next('state', m => m.state.serve.phase === 'toss');
+  assert.equal(toss.ack, 1);
+});
+
+test('a finished match is recorded with both participants', async () => {
+  const { alice, bob, room } = await matchPair();
+  await alice.next('state');
+  // Quick format (16 straight points): Bob (top) wins 15, then his next shot bounces in and
+  // runs past Alice
+  const engine = room.engine;
+  for (let i = 0; i < 15; i++) engine.awardPoint('copilot');
+  engine.isScoreDelay = false;
+  engine.serve.phase = 'none';
+  engine.rally.hitter = 'copilot';
+  engine.rally.bounces = 1;
+  Object.assign(engine.ball, { y: engine.height + 20, z: 10, speedY: 4, speedZ: 0, gravity: 0 });
+
+  const end = await bob.next('state', m => m.events.some(e => e.type === 'matchEnd'));
+  assert.equal(end.state.winner, 'copilot');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].winner, 'copilot');
+  assert.equal(recorded[0].players.player.playerId, 'alice-id');
+  assert.equal(recorded[0].players.copilot.playerId, 'bob-id');
+  assert.equal(recorded[0].setScores, '0-4');
+  // Replay of every tick, both sides' inputs
+  const replay = recorded[0].replay;
+  assert.equal(replay.ticks, engine.matchTicks);
+  assert.equal(replay.opponent, 'human');
+  assert.deepEqual(replay.names, { player: 'Alice', copilot: 'Bob' });
+  for (const side of ['player', 'copilot']) {
+    assert.equal(replay.inputs[side].reduce((ticks, run) => ticks + run[0], 0), replay.ticks);
+  }
+  assert.equal(hub.rooms.size, 0);
+  alice.socket.close();
+});
+
+test('leaving mid-match tells the opponent and records nothing', async () => {
+  const { alice, bob } = await matchPair();
+  alice.socket.close();
+  await bob.next('opponentLeft');
+  assert.equal(hub.rooms.size, 0);
+  assert.equal(recorded.length, 0);
+});
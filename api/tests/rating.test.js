@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rateMatch, expectedScore, updateRating, adaptiveCopilotRating, COPILOT_RATINGS, INITIAL_RATING, PROVISIONAL_MATCHES } = require('../dist/shared/rating');
+
+test('evenly rated players are expected to win half the time', () => {
+  assert.equal(expectedScore(1500, 1500), 0.5);
+  assert.ok(expectedScore(1800, 1400) > 0.9);
+  assert.ok(Math.abs(expectedScore(1400, 1800) + expectedScore(1800, 1400) - 1) < 1e-9);
+});
+
+test('ratings move less once a player is past their first matches', () => {
+  const fresh = updateRating({ rating: 1200, matchesRated: 0 }, 1200, true);
+  const settled = updateRating({ rating: 1200, matchesRated: PROVISIONAL_MATCHES }, 1200, true);
+  assert.equal(fresh, 1220);
+  assert.equal(settled, 1210);
+  assert.equal(updateRating({ rating: 1200, matchesRated: PROVISIONAL_MATCHES }, 1200, false), 1190);
+});
+
+test('Copilot matches rate the player against the fixed rating of its difficulty', () => {
+  const [change, ...rest] = rateMatch({ mode: 'copilot', difficulty: 'expert', winner: 'player' }, { player: null, opponent: null });
+  assert.equal(rest.length, 0);
+  assert.equal(change.side, 'player');
+  assert.equal(change.before, INITIAL_RATING);
+  assert.equal(change.opponentRating, COPILOT_RATINGS.expert);
+  assert.ok(change.after > change.before + 30, 'beating a much stronger Copilot is worth a lot');
+
+  const loss = rateMatch({ mode: 'copilot', difficulty: 'beginner', winner: 'opponent' }, { player: { rating: 1500, matchesRated: 50 }, opponent: null });
+  assert.ok(loss[0].after < 1500 - 15, 'losing to a weaker Copilot costs a lot');
+  assert.equal(loss[0].won, false);
+});
+
+test('an adaptive Copilot is rated at the level it played the match at', () => {
+  assert.equal(adaptiveCopilotRating(0), COPILOT_RATINGS.beginner);
+  assert.equal(adaptiveCopilotRating(0.5), COPILOT_RATINGS.advanced);
+  assert.equal(adaptiveCopilotRating(1), COPILOT_RATINGS.expert);
+  const [change] = rateMatch({ mode: 'copilot', difficulty: 'adaptive', winner: 'player', adaptiveLevel: 0.25 }, { player: null, opponent: null });
+  assert.equal(change.opponentRating, 1200);
+  assert.deepEqual(rateMatch({ mode: 'copilot', difficulty: 'adaptive', winner: 'player' }, { player: null, opponent: null }), []);
+});
+
+test('online matches move both players, and unfinished or local versus ones nobody', () => {
+  const changes = rateMatch({ mode: 'online', difficulty: 'advanced', winner: 'opponent' }, {
+    player: { rating: 1300, matchesRated: 20 },
+    opponent: { rating: 1300, matchesRated: 20 }
+  });
+  assert.deepEqual(changes.map(c => [c.side, c.after, c.won]), [['player', 1290, false], ['opponent', 1310, true]]);
+  assert.deepEqual(rateMatch({ mode: 'pvp', difficulty: 'pvp', winner: null }, { player: null, opponent: null }), []);
+  // Local versus: the opponent never signed in to agree to the result
+  assert.deepEqual(rateMatch({ mode: 'pvp', difficulty: 'pvp', winner: 'player' }, { player: null, opponent: null }), []);
+  assert.deepEqual(rateMatch({ mode: 'copilot', difficulty: 'custom', winner: 'player' }, { player: null, opponent: null }), []);
+});
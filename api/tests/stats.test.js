@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computePlayerStats, matchOutcome, flipSetScores, ACTIVITY_DAYS } = require('../dist/shared/stats');
+
+const player = { playerId: 'alice-id', playerName: 'Alice' };
+const now = new Date('2026-03-31T12:00:00Z');
+
+function match(day, setScores, overrides = {}) {
+  return {
+    mode: 'copilot',
+    difficulty: 'beginner',
+    personality: 'allCourt',
+    durationMs: 100000,
+    setScores,
+    playerPoints: null,
+    opponentPoints: null,
+    createdAt: new Date(`2026-03-${day}T10:00:00Z`),
+    ...overrides
+  };
+}
+
+test('the winner is whoever took more sets', () => {
+  assert.equal(matchOutcome('6-4 3-6 7-6(5)'), 'win');
+  assert.equal(matchOutcome('2-4'), 'loss');
+  assert.equal(matchOutcome('6-4 3-6'), null);
+  assert.equal(matchOutcome(null), null);
+  assert.equal(flipSetScores('6-4 3-6 7-6(5)'), '4-6 6-3 6-7(5)');
+});
+
+test('records by difficulty, Copilot personality and mode, streaks and match times', () => {
+  const stats = computePlayerStats(player, [
+    match('28', '4-1', { durationMs: 90000, personality: 'rookie' }),
+    match('02', '4-2', { difficulty: 'expert', durationMs: 120000 }),
+    match('05', '1-4'),
+    match('10', '4-3', { mode: 'pvp', difficulty: 'pvp', personality: null, durationMs: 80000 }),
+    match('20', '4-0', { mode: 'online', durationMs: 70000 }),
+    match('25', null)
+  ], [], now);
+
+  assert.deepEqual(stats.record, { played: 6, wins: 4, losses: 1 });
+  assert.deepEqual(stats.byDifficulty, { expert: { played: 1, wins: 1, losses: 0 }, beginner: { played: 3, wins: 1, losses: 1 } });
+  assert.deepEqual(stats.byPersonality, { allCourt: { played: 3, wins: 1, losses: 1 }, rookie: { played: 1, wins: 1, losses: 0 } });
+  assert.deepEqual(stats.byMode.pvp, { played: 1, wins: 1, losses: 0 });
+  assert.deepEqual(stats.byMode.online, { played: 1, wins: 1, losses: 0 });
+  // Loss on the 5th, then wins on the 10th, 20th and 28th: the unscored match on the 25th doesn't count
+  assert.deepEqual(stats.streaks, { current: 3, longest: 3 });
+  assert.equal(stats.duration.bestMs, 70000);
+  assert.equal(stats.duration.averageMs, Math.round((90000 + 120000 + 100000 + 80000 + 70000 + 100000) / 6));
+});
+
+test('a recorded winner decides the match over its set scores', () => {
+  const stats = computePlayerStats(player, [
+    match('20', '2-1', { winner: 'player' }),
+    match('21', '4-1', { winner: 'opponent' }),
+    match('22', '4-2', { winner: null })
+  ], [], now);
+  assert.deepEqual(stats.record, { played: 3, wins: 2, losses: 1 });
+});
+
+test('points only count matches that recorded them', () => {
+  const stats = computePlayerStats(player, [
+    match('28', '4-1', { playerPoints: 18, opponentPoints: 9 }),
+    match('29', '2-4', { playerPoints: 12, opponentPoints: 17 }),
+    match('30', '4-0')
+  ], [], now);
+  assert.deepEqual(stats.points, { won: 30, lost: 26, matches: 2 });
+});
+
+test('activity covers the last days, with scores from the history', () => {
+  const scores = [
+    { score: 12, gameDate: new Date('2026-03-30T09:00:00Z') },
+    { score: 20, gameDate: new Date('2026-03-30T19:00:00Z') },
+    { score: 7, gameDate: new Date('2025-12-01T09:00:00Z') }
+  ];
+  const stats = computePlayerStats(player, [match('31', '4-2'), match('31', '3-4'), match('01', '4-0')], scores, now);
+  assert.equal(stats.activity.length, ACTIVITY_DAYS);
+  assert.equal(stats.activity[0].day, '2026-03-02');
+  assert.deepEqual(stats.activity[ACTIVITY_DAYS - 1], { day: '2026-03-31', matches: 2, wins: 1, games: 0 });
+  assert.deepEqual(stats.activity[ACTIVITY_DAYS - 2], { day: '2026-03-30', matches: 0, wins: 0, games: 2 });
+  assert.deepEqual(stats.scores, { games: 3, best: 20, average: 13 });
+});
+
+test('a player without matches gets empty stats', () => {
+  const stats = computePlayerStats(player, [], [], now);
+  assert.deepEqual(stats.record, { played: 0, wins: 0, losses: 0 });
+  assert.deepEqual(stats.duration, { averageMs: null, bestMs: null });
+  assert.deepEqual(stats.scores, { games: 0, best: 0, average: null });
+  assert.equal(stats.activity.every(day => day.matches === 0 && day.games === 0), true);
+});
@@ -0,0 +1,382 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('crypto');
+
+const { storageKind } = require('../dist/shared/database');
+const { MemoryRepository } = require('../dist/shared/storage/memory');
+const { sqlRepository } = require('../dist/shared/storage/sqlServer');
+const { parseLeaderboardQuery } = require('../dist/shared/leaderboard');
+
+// The SQL backend runs the same contract when TEST_SQL_CONNECTIONSTRING names a scratch database.
+// Each test makes its own players (and a difficulty of its own where it ranks), so existing rows
+// there don't get in the way.
+const TEST_SQL = process.env.TEST_SQL_CONNECTIONSTRING;
+
+const sameId = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+const query = (params = {}) => parseLeaderboardQuery(params, 10);
+const difficultyOfTest = () => `test-${randomUUID().slice(0, 8)}`;
+// A day of its own for each daily challenge test, far from the ones really played
+const dayOfTest = () => `${2200 + Math.floor(Math.random() * 7000)}-06-15`;
+
+async function rejectsWith(promise, number) {
+  await assert.rejects(promise, err => err.number === number);
+}
+
+function repositoryContract(name, repository, options = {}) {
+  describe(`${name} storage`, options, () => {
+    after(() => repository().close());
+
+    test('upserts and reads players, starting a new one when a known id comes with another name', async () => {
+      const repo = repository();
+      const alice = await repo.upsertPlayer('', 'Alice');
+      assert.equal(alice.playerName, 'Alice');
+      assert.equal(alice.bestScore, 0);
+      assert.ok(sameId((await repo.upsertPlayer(alice.playerId, 'Alice')).playerId, alice.playerId));
+      assert.ok(!sameId((await repo.upsertPlayer(alice.playerId, 'Bob')).playerId, alice.playerId));
+      assert.equal((await repo.getPlayer(alice.playerId)).playerName, 'Alice');
+      assert.equal(await repo.getPlayer(randomUUID()), null);
+      assert.equal(await repo.getPlayer('not-an-id'), null);
+    });
+
+    test('keeps scores: best score, games played and newest-first history', async () => {
+      const repo = repository();
+      const { playerId } = await repo.upsertPlayer('', 'Scorer');
+      await repo.updatePlayerScore(playerId, 40);
+      const player = await repo.updatePlayerScore(playerId, 25);
+      assert.equal(player.currentScore, 25);
+      assert.equal(player.bestScore, 40);
+      assert.equal(player.gamesPlayed, 2);
+      const history = await repo.getPlayerScoreHistory(playerId, 1);
+      assert.equal(history.length, 1);
+      assert.equal(history[0].score, 25);
+      await rejectsWith(repo.updatePlayerScore('not-an-id', 10), 50001);
+    });
+
+    test('ranks best scores with the requesting player and their neighbours', async () => {
+      const repo = repository();
+      const top = await repo.upsertPlayer('', 'Top');
+      const second = await repo.upsertPlayer('', 'Second');
+      await repo.updatePlayerScore(top.playerId, 90);
+      await repo.updatePlayerScore(second.playerId, 80);
+      for (const period of ['all', 'day']) {
+        const page = await repo.getLeaderboard(query({ period, playerId: second.playerId, around: '1' }));
+        assert.ok(sameId(page.me.playerId, second.playerId));
+        assert.equal(page.me.bestScore, 80);
+        assert.equal(page.me.playerName, 'Second');
+        assert.ok(page.around.some(entry => entry.rank === page.me.rank));
+        assert.ok(page.around.every((entry, i) => i === 0 || entry.rank === page.around[i - 1].rank + 1));
+        const topPage = await repo.getLeaderboard(query({ period, playerId: top.playerId }));
+        assert.ok(topPage.me.rank < page.me.rank);
+        assert.ok(page.total >= 2);
+      }
+      const first = await repo.getLeaderboard(query({ limit: '1' }));
+      assert.equal(first.entries.length, 1);
+      assert.equal(first.entries[0].rank, 1);
+      assert.equal(first.me, null);
+    });
+
+    test('records a match with its outcome, and Copilot wins on the timers leaderboard', async () => {
+      const repo = repository();
+      const difficulty = difficultyOfTest();
+      const fast = await repo.upsertPlayer('', 'Fast');
+      const slow = await repo.upsertPlayer('', 'Slow');
+      const pointLog = [{ timeMs: 1000, winner: 'player', server: 'player', strokes: 3, reason: null }];
+      const match = await repo.recordMatch(fast.playerId, difficulty, 60000, '6-0', null, 'copilot',
+        { winner: 'player', points: { player: 24, opponent: 0 }, longestRally: 3, pointLog, personality: 'baseliner', adaptiveLevel: 0.62 }, true);
+      assert.equal(match.mode, 'copilot');
+      assert.equal(match.personality, 'baseliner');
+      assert.equal(match.adaptiveLevel, 0.62);
+      assert.equal((await repo.getPlayerStatsSource(fast.playerId)).matches[0].personality, 'baseliner');
+      assert.equal(match.winner, 'player');
+      assert.equal(match.playerPoints, 24);
+      assert.equal(match.pointsPlayed, 1);
+      assert.equal(match.longestRally, 3);
+      assert.equal((await repo.getPlayer(fast.playerId)).bestScore, 24);
+      assert.equal((await repo.recordMatch(fast.playerId, difficulty, 50000, '6-4', null, 'copilot', { winner: 'opponent' })).adaptiveLevel, null);
+      await repo.recordMatch(slow.playerId, difficulty, 90000, '6-1', null, 'copilot', { winner: 'player' });
+
+      const page = await repo.getBestMatchTimers(difficulty, query({ playerId: slow.playerId }));
+      assert.equal(page.total, 2);
+      assert.deepEqual(page.entries.map(entry => entry.bestDurationMs), [60000, 90000]);
+      assert.equal(page.entries[0].playerName, 'Fast');
+      assert.equal(page.me.rank, 2);
+      await rejectsWith(repo.recordMatch('not-an-id', difficulty, 1000), 50002);
+      await rejectsWith(repo.recordMatch(fast.playerId, difficulty, 1000, null, 'not-an-id'), 50003);
+    });
+
+    test('shows an online match from each side in the players\' statistics, a local versus one only from the poster\'s', async () => {
+      const repo = repository();
+      const home = await repo.upsertPlayer('', 'Home');
+      const away = await repo.upsertPlayer('', 'Away');
+      await repo.recordMatch(home.playerId, 'expert', 120000, '6-3', away.playerId, 'online',
+        { winner: 'player', points: { player: 30, opponent: 20 } }, true);
+      await repo.recordMatch(home.playerId, 'pvp', 90000, '6-0', away.playerId, 'pvp', { winner: 'player' });
+      const homeStats = await repo.getPlayerStatsSource(home.playerId);
+      const awayStats = await repo.getPlayerStatsSource(away.playerId);
+      assert.deepEqual(homeStats.matches.map(m => [m.mode, m.setScores, m.winner]), [['online', '6-3', 'player'], ['pvp', '6-0', 'player']]);
+      assert.equal(awayStats.matches.length, 1);
+      assert.equal(awayStats.matches[0].setScores, '3-6');
+      assert.equal(awayStats.matches[0].winner, 'opponent');
+      assert.equal(awayStats.matches[0].playerPoints, 20);
+      assert.equal(awayStats.matches[0].personality, null);
+      assert.deepEqual(awayStats.scores.map(s => s.score), [20]);
+    });
+
+    test('rates a match once and ranks the pool', async () => {
+      const repo = repository();
+      const player = await repo.upsertPlayer('', 'Rated');
+      const match = await repo.recordMatch(player.playerId, 'beginner', 60000, '6-0', null, 'copilot', { winner: 'player' });
+      const [change] = await repo.recordMatchRatings(match);
+      assert.equal(change.before, 1200);
+      assert.ok(change.after > 1200);
+      assert.deepEqual(await repo.recordMatchRatings(match), []);
+      const { ratings, history } = await repo.getPlayerRatings(player.playerId);
+      assert.equal(ratings.length, 1);
+      assert.equal(ratings[0].rating, change.after);
+      assert.equal(ratings[0].matchesRated, 1);
+      assert.equal(history[0].won, true);
+      const board = await repo.getRatingLeaderboard('beginner', 50);
+      assert.ok(board.every((entry, i) => i === 0 || entry.rating <= board[i - 1].rating));
+    });
+
+    test('stores one replay per match, for its players and result only', async () => {
+      const repo = repository();
+      const player = await repo.upsertPlayer('', 'Replayer');
+      const other = await repo.upsertPlayer('', 'Other');
+      const match = await repo.recordMatch(player.playerId, 'advanced', 70000, '6-2', null, 'copilot', { winner: 'player' });
+      await rejectsWith(repo.saveReplay(randomUUID(), player.playerId, '{}', 10, 70000, '6-2'), 50004);
+      await rejectsWith(repo.saveReplay(match.matchId, other.playerId, '{}', 10, 70000, '6-2'), 50005);
+      await rejectsWith(repo.saveReplay(match.matchId, player.playerId, '{}', 10, 71000, '6-2'), 50007);
+      const saved = await repo.saveReplay(match.matchId, player.playerId, '{"v":1}', 10, 70000, '6-2');
+      await rejectsWith(repo.saveReplay(match.matchId, player.playerId, '{}', 10, 70000, '6-2'), 50006);
+      assert.equal((await repo.getReplay(saved.replayId)).data, '{"v":1}');
+      const listed = await repo.listReplays(null, player.playerId);
+      assert.equal(listed.length, 1);
+      assert.ok(sameId(listed[0].matchId, match.matchId));
+    });
+
+    test('claims a match session once for each use', async () => {
+      const repo = repository();
+      const player = await repo.upsertPlayer('', 'Claimer');
+      const sessionId = randomUUID();
+      await repo.createMatchSession(sessionId, player.playerId, 'expert', 'standard', 'copilot');
+      assert.equal(await repo.claimMatchSession(sessionId, 'match'), true);
+      assert.equal(await repo.claimMatchSession(sessionId, 'match'), false);
+      assert.equal(await repo.claimMatchSession(sessionId, 'score'), true);
+      assert.equal(await repo.claimMatchSession(randomUUID(), 'score'), false);
+    });
+
+    test('records one match per match session, counting its score once', async () => {
+      const repo = repository();
+      const player = await repo.upsertPlayer('', 'Session player');
+      const sessionId = randomUUID();
+      await repo.createMatchSession(sessionId, player.playerId, 'expert', 'quick', 'copilot');
+      assert.deepEqual(await repo.getMatchSession(sessionId), { match: null, submitted: false });
+      assert.equal(await repo.getMatchSession(randomUUID()), null);
+
+      const outcome = { winner: 'player', points: { player: 16, opponent: 0 } };
+      const match = await repo.recordMatch(player.playerId, 'expert', 60000, '4-0', null, 'copilot', outcome, true, sessionId);
+      const state = await repo.getMatchSession(sessionId);
+      assert.ok(sameId(state.match.matchId, match.matchId));
+      assert.equal(state.submitted, false);
+      await rejectsWith(repo.recordMatch(player.playerId, 'expert', 60000, '4-0', null, 'copilot', outcome, true, sessionId), 50012);
+      await rejectsWith(repo.recordMatch(player.playerId, 'expert', 60000, '4-0', null, 'copilot', outcome, true, randomUUID()), 50012);
+      assert.equal(await repo.claimMatchSession(sessionId, 'score'), false, 'the match counted the score');
+      assert.equal(await repo.claimMatchSession(sessionId, 'match'), true);
+      assert.equal((await repo.getMatchSession(sessionId)).submitted, true);
+      assert.equal((await repo.getPlayer(player.playerId)).gamesPlayed, 1);
+
+      // A score posted first isn't counted again by the match
+      const scored = randomUUID();
+      await repo.createMatchSession(scored, player.playerId, 'expert', 'quick', 'copilot');
+      assert.equal(await repo.claimMatchSession(scored, 'score'), true);
+      await repo.recordMatch(player.playerId, 'expert', 60000, '4-0', null, 'copilot', outcome, true, scored);
+      assert.equal((await repo.getPlayer(player.playerId)).gamesPlayed, 1);
+    });
+
+    test('claims an idempotency key once and keeps its response', async () => {
+      const repo = repository();
+      const player = await repo.upsertPlayer('', 'Retrier');
+      const key = randomUUID();
+      assert.equal(await repo.claimIdempotencyKey(player.playerId, 'match', key), null);
+      assert.deepEqual(await repo.claimIdempotencyKey(player.playerId, 'match', key), { statusCode: null, body: null });
+      assert.equal(await repo.claimIdempotencyKey(player.playerId, 'score', key), null);
+      await repo.completeIdempotencyKey(player.playerId, 'match', key, 200, '{"ok":true}');
+      assert.deepEqual(await repo.claimIdempotencyKey(player.playerId, 'match', key), { statusCode: 200, body: '{"ok":true}' });
+      await repo.releaseIdempotencyKey(player.playerId, 'score', key);
+      assert.equal(await repo.claimIdempotencyKey(player.playerId, 'score', key), null);
+      await rejectsWith(repo.claimIdempotencyKey('not-an-id', 'match', key), 50002);
+    });
+
+    test('turns a guest into an account and merges another guest into it', async () => {
+      const repo = repository();
+      const email = `${randomUUID()}@example.com`;
+      const guest = await repo.upsertPlayer('', 'Guest');
+      const guestSessions = ['1', '2'].map(c => randomUUID().replace(/-/g, '').padEnd(64, c));
+      for (const tokenHash of guestSessions) {
+        await repo.createAuthSession(tokenHash, guest.playerId, true, new Date(Date.now() + 60000));
+      }
+      const account = await repo.claimAccount(guest.playerId, email, 'hash');
+      assert.equal(account.email, email);
+      for (const tokenHash of guestSessions) assert.equal(await repo.getAuthSession(tokenHash), null, 'the guest\'s sessions end');
+      assert.ok(sameId((await repo.getAccountByEmail(email)).playerId, guest.playerId));
+      await rejectsWith(repo.claimAccount(guest.playerId, `${randomUUID()}@example.com`, null), 50010);
+      await rejectsWith(repo.createAccount('Copy', email, null), 50011);
+
+      const other = await repo.upsertPlayer('', 'Other guest');
+      await repo.updatePlayerScore(other.playerId, 70);
+      await repo.createAuthSession(randomUUID().replace(/-/g, '').padEnd(64, '0'), other.playerId, true, new Date(Date.now() + 60000));
+      // A local versus match between the two would leave the account playing itself, so it goes
+      const versus = await repo.recordMatch(other.playerId, 'pvp', 60000, '4-1', guest.playerId, 'pvp', { winner: 'player' });
+      await repo.saveReplay(versus.matchId, other.playerId, '{}', 10, 60000, '4-1');
+      await repo.recordMatch(other.playerId, 'beginner', 60000, '4-2', null, 'copilot', { winner: 'player' });
+      await repo.mergePlayers(other.playerId, guest.playerId);
+      assert.equal(await repo.getPlayer(other.playerId), null);
+      assert.equal(await repo.getMatch(versus.matchId), null);
+      assert.equal((await repo.listReplays(versus.matchId, null)).length, 0);
+      const { matches } = await repo.getPlayerStatsSource(guest.playerId);
+      assert.deepEqual(matches.map(m => [m.mode, m.setScores]), [['copilot', '4-2']]);
+      const merged = await repo.getPlayer(guest.playerId);
+      assert.equal(merged.bestScore, 70);
+      assert.equal(merged.gamesPlayed, 1);
+      assert.deepEqual((await repo.getPlayerScoreHistory(guest.playerId)).map(s => s.score), [70]);
+      await rejectsWith(repo.mergePlayers(guest.playerId, other.playerId), 50002);
+      assert.equal((await repo.renamePlayer(guest.playerId, 'Renamed')).playerName, 'Renamed');
+    });
+
+    test('expires auth sessions and uses sign-in links once', async () => {
+      const repo = repository();
+      const player = await repo.upsertPlayer('', 'Session');
+      const live = randomUUID().replace(/-/g, '').padEnd(64, 'a');
+      const expired = randomUUID().replace(/-/g, '').padEnd(64, 'b');
+      await repo.createAuthSession(live, player.playerId, false, new Date(Date.now() + 60000));
+      await repo.createAuthSession(expired, player.playerId, false, new Date(Date.now() - 1000));
+      const session = await repo.getAuthSession(live);
+      assert.ok(sameId(session.playerId, player.playerId));
+      assert.equal(session.guest, false);
+      assert.equal(await repo.getAuthSession(expired), null);
+      await repo.deleteAuthSession(live);
+      assert.equal(await repo.getAuthSession(live), null);
+      await rejectsWith(repo.createAuthSession(live, 'not-an-id', false, new Date()), 50002);
+
+      const link = randomUUID().replace(/-/g, '').padEnd(64, 'c');
+      await repo.createSignInLink(link, 'link@example.com', player.playerId, new Date(Date.now() + 60000));
+      const used = await repo.useSignInLink(link);
+      assert.equal(used.email, 'link@example.com');
+      assert.ok(sameId(used.guestPlayerId, player.playerId));
+      assert.equal(await repo.useSignInLink(link), null);
+    });
+
+    test('moves players through a campaign tournament round by round, and merges their progress', async () => {
+      const repo = repository();
+      const player = await repo.upsertPlayer('', 'Contender');
+      const play = async (tierId, round, won, playerId = player.playerId) => {
+        const match = await repo.recordMatch(playerId, 'custom', 90000, won ? '4-0' : '0-4');
+        return repo.recordCampaignMatch(playerId, tierId, round, 3, match.matchId, won);
+      };
+      assert.equal((await play('club', 0, true)).nextRound, 1);
+      assert.equal(await play('club', 0, true), null, 'round 0 was already played');
+      assert.equal((await play('club', 1, false)).nextRound, 0);
+      await play('club', 0, true);
+      await play('club', 1, true);
+      const champion = await play('club', 2, true);
+      assert.deepEqual([champion.nextRound, champion.titles], [0, 1]);
+      assert.ok(champion.firstTitleAt instanceof Date);
+
+      const { progress, matches } = await repo.getCampaignProgress(player.playerId, 3);
+      assert.deepEqual(progress.map(p => [p.tierId, p.nextRound, p.titles]), [['club', 0, 1]]);
+      assert.deepEqual(matches.map(m => [m.round, m.won]), [[2, true], [1, true], [0, true]]);
+      await rejectsWith(repo.recordCampaignMatch('not-an-id', 'club', 0, 3, randomUUID(), true), 50002);
+
+      // The account keeps its own place in a tournament, and takes the guest's in the others
+      const guest = await repo.upsertPlayer('', 'Guest contender');
+      await play('club', 0, true, guest.playerId);
+      await play('national', 0, true, guest.playerId);
+      await repo.claimAccount(player.playerId, `${randomUUID()}@example.com`, null);
+      await repo.mergePlayers(guest.playerId, player.playerId);
+      const merged = await repo.getCampaignProgress(player.playerId);
+      assert.deepEqual(merged.progress.map(p => [p.tierId, p.nextRound, p.titles]).sort(), [['club', 0, 1], ['national', 1, 0]]);
+      assert.equal(merged.matches.length, 7);
+    });
+
+    test('keeps the first daily challenge of a day, one ranked attempt per player, and ranks the results', async () => {
+      const repo = repository();
+      const day = dayOfTest();
+      const challenge = { day, seed: 4000000000, modifier: 'wind', personality: 'baseliner', difficulty: 'advanced', format: 'quick' };
+      const stored = await repo.saveDailyChallenge(challenge);
+      assert.deepEqual({ ...stored, createdAt: undefined }, { ...challenge, createdAt: undefined });
+      assert.equal((await repo.saveDailyChallenge({ ...challenge, modifier: 'fastBall' })).modifier, 'wind', 'the first one stays');
+
+      const play = async (name, result) => {
+        const player = await repo.upsertPlayer('', name);
+        const sessionId = randomUUID();
+        assert.equal(await repo.claimDailyAttempt(day, player.playerId, sessionId), true);
+        if (!result) return { player, sessionId };
+        const match = await repo.recordMatch(player.playerId, 'custom', result.durationMs, null);
+        assert.equal(await repo.completeDailyAttempt(day, player.playerId, sessionId, { matchId: match.matchId, ...result }), true);
+        return { player, sessionId, match };
+      };
+      const winner = await play('Daily winner', { won: true, playerPoints: 16, opponentPoints: 2, durationMs: 200000 });
+      const close = await play('Close call', { won: true, playerPoints: 16, opponentPoints: 14, durationMs: 150000 });
+      const loser = await play('Daily loser', { won: false, playerPoints: 15, opponentPoints: 16, durationMs: 100000 });
+      const quitter = await play('Quitter', null);
+      assert.equal(await repo.claimDailyAttempt(day, winner.player.playerId, randomUUID()), false, 'one ranked attempt a day');
+      const again = { matchId: winner.match.matchId, won: false, playerPoints: 0, opponentPoints: 16, durationMs: 90000 };
+      assert.equal(await repo.completeDailyAttempt(day, winner.player.playerId, winner.sessionId, again), false, 'the result is kept');
+      assert.equal(await repo.completeDailyAttempt(day, quitter.player.playerId, randomUUID(), again), false, 'not the ranked session');
+      await rejectsWith(repo.claimDailyAttempt(day, 'not-an-id', randomUUID()), 50002);
+
+      const page = await repo.getDailyLeaderboard(day, query({ playerId: close.player.playerId, around: '1' }));
+      assert.equal(page.total, 3, 'unfinished attempts are not ranked');
+      assert.deepEqual(page.entries.map(e => e.playerName), ['Daily winner', 'Close call', 'Daily loser']);
+      assert.deepEqual([page.me.rank, page.me.won, page.me.playerPoints, page.me.opponentPoints, page.me.durationMs], [2, true, 16, 14, 150000]);
+      assert.ok(sameId(page.me.matchId, close.match.matchId));
+      assert.ok(page.me.completedAt instanceof Date);
+      assert.equal(page.around.length, 3);
+
+      // The account keeps its own attempt of a day, and takes the guest's of the others
+      const otherDay = dayOfTest();
+      await repo.saveDailyChallenge({ ...challenge, day: otherDay });
+      const guestSession = randomUUID();
+      const guest = await repo.upsertPlayer('', 'Daily guest');
+      await repo.claimDailyAttempt(day, guest.playerId, randomUUID());
+      await repo.claimDailyAttempt(otherDay, guest.playerId, guestSession);
+      await repo.claimAccount(loser.player.playerId, `${randomUUID()}@example.com`, null);
+      await repo.mergePlayers(guest.playerId, loser.player.playerId);
+      assert.equal(await repo.claimDailyAttempt(otherDay, loser.player.playerId, randomUUID()), false);
+      const result = { matchId: loser.match.matchId, won: true, playerPoints: 16, opponentPoints: 0, durationMs: 120000 };
+      assert.equal(await repo.completeDailyAttempt(otherDay, loser.player.playerId, guestSession, result), true);
+      assert.equal((await repo.getDailyLeaderboard(day, query())).entries[2].durationMs, 100000);
+    });
+
+    test('stores difficulty presets, replaces them by id and forgets them', async () => {
+      const repo = repository();
+      const id = difficultyOfTest();
+      await repo.saveDifficultyPreset(id, '{"aiSpeed":3}', true);
+      await repo.saveDifficultyPreset(id, '{"aiSpeed":4}', false);
+      const rows = (await repo.listDifficultyPresets()).filter(row => row.difficultyId === id);
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].settings, '{"aiSpeed":4}');
+      assert.equal(rows[0].ranked, false);
+      assert.ok(rows[0].updatedAt instanceof Date);
+      assert.equal(await repo.deleteDifficultyPreset(id), true);
+      assert.equal(await repo.deleteDifficultyPreset(id), false);
+      assert.ok(!(await repo.listDifficultyPresets()).some(row => row.difficultyId === id));
+    });
+  });
+}
+
+const memory = new MemoryRepository();
+repositoryContract('memory', () => memory);
+
+if (TEST_SQL) process.env.AZURE_SQL_CONNECTIONSTRING = TEST_SQL;
+repositoryContract('Azure SQL', () => sqlRepository, { skip: TEST_SQL ? false : 'set TEST_SQL_CONNECTIONSTRING to run it' });
+
+test('the storage backend follows STORAGE, then whether a database is configured', () => {
+  assert.equal(storageKind({ STORAGE: 'memory', AZURE_SQL_CONNECTIONSTRING: 'Server=x' }), 'memory');
+  assert.equal(storageKind({ STORAGE: 'sql' }), 'sql');
+  assert.equal(storageKind({ AZURE_SQL_CONNECTIONSTRING: 'Server=x' }), 'sql');
+  assert.equal(storageKind({}), 'memory');
+  assert.throws(() => storageKind({ NODE_ENV: 'production' }), /AZURE_SQL_CONNECTIONSTRING/);
+  assert.throws(() => storageKind({ STORAGE: 'sqlite' }), /STORAGE/);
+});
@@ -1,4 +1,29 @@
-import { ensurePlayer, setPlayerName, getPlayer, onPlayerReady, submitScore, ensurePlayerInBackend, submitMatch, getTimersLeaderboard } from './src/services/session';
+import { ensurePlayer, setPlayerName, getPlayer, onPlayerReady, ensurePlayerInBackend, submitMatch, getTimersLeaderboard, getPlayer2, setPlayer2Name, submitPvpMatch, getKeyBindings, saveKeyBindings, getReplay, startMatchSession, getAccount, signIn, signUp, requestSignInLink, completeSignInLink, signOut, getPlayerStats, getRatingLeaderboard, getPlayerRatings, onOutboxChange, getPendingCount, startOutboxSync, getDifficultyPresets, getCustomDifficulty, saveCustomDifficulty, getCampaign, getDailyChallenge, getDailyLeaderboard } from './src/services/session';
+import { OnlineMatch } from './src/services/online';
+import { GameEngine } from './src/game/engine.js';
+import { randomSeed, parseSeed } from './src/game/rng.js';
+import { FixedTimestep, TICK_MS, lerp } from './src/game/loop.js';
+import { ReplayRecorder, ReplayPlayer, REPLAY_SPEEDS } from './src/game/replay.js';
+import { ACTIONS, ACTION_LABELS, SIDE_LABELS, GAMEPAD_ACTIONS, SHOT_ACTIONS, KEY_PRESETS, resolveBindings, actionForKey, findConflicts, normalizeKey, keyLabel, buttonLabel } from './src/input/bindings.js';
+import { GamepadInput } from './src/input/gamepad.js';
+import { flickShot, GESTURE_MS } from './src/input/gestures.js';
+import { SHOT_TYPES } from './src/game/shots.js';
+import { AI_PERSONALITIES } from './src/game/ai.js';
+import { levelName } from './src/game/adaptive.js';
+import { DIFFICULTY_SETTINGS } from './src/game/difficulty.js';
+import { CUSTOM_DIFFICULTY, DIFFICULTY_FIELDS, readField, writeField, validateDifficulty, canonicalDifficulty, matchingPreset, encodeDifficulty, decodeDifficulty } from './src/game/customDifficulty.js';
+import { CAMPAIGN_DIFFICULTY, CAMPAIGN_TIERS, campaignTier, campaignState, roundSettings } from './src/game/campaign.js';
+import { MATCH_MODIFIERS } from './src/game/modifiers.js';
+import { MATCH_FORMATS, formatId, describeFormat } from './src/game/scoring.js';
+import { challengeDay, formatCountdown } from './src/game/daily.js';
+import { drawRecordChart, drawActivityChart } from './src/ui/charts.js';
+
+// Text fields get their keys: no paddle moves or serves while typing a name
+function isTextEntry(target) {
+    if (!target) return false;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+    return target.tagName === 'INPUT' && !['button', 'checkbox', 'radio', 'range', 'submit'].includes(target.type);
+}
 
 // Game state and configuration
 class TennisGame {
@@ -41,74 +66,68 @@ class TennisGame {
         this.gameRunning = false;
         this.gameStarted = false;
         this.isPaused = false;
-        this.playerName = 'Player';
-        this.currentDifficulty = 'beginner';
+        
+        // Deterministic simulation: fixed-timestep clock and a seeded RNG per match.
+        // A `?seed=` URL parameter pins the seed so a rally can be reproduced.
+        this.clock = new FixedTimestep();
+        this.fixedSeed = parseSeed(new URLSearchParams(window.location.search).get('seed'));
+        this.previousState = {};   // Positions at the previous tick, for render interpolation
+        
+        // Headless simulation (ball, paddles, Copilot AI, serve and scoring); this class renders it
+        this.engine = new GameEngine({
+            width: this.width,
+            height: this.height,
+            difficulty: 'beginner',
+            format: 'quick',
+            seed: this.fixedSeed ?? randomSeed()
+        });
+        this.watchEngine(this.engine);
+        this.engine.on('matchEnd', (event) => this.handleMatchEnd(event));
+        
+        // Difficulty presets ({ id, ranked, settings }: the built-in ones until the API's arrive) and
+        // the custom difficulty the player saved, if any (see src/game/customDifficulty.js)
+        this.difficultyPresets = Object.entries(DIFFICULTY_SETTINGS).map(([id, settings]) => ({ id, ranked: true, settings }));
+        const custom = getCustomDifficulty();
+        this.customDifficulty = custom && !validateDifficulty(custom) ? canonicalDifficulty(custom) : null;
+        // Career mode (see src/game/campaign.js): the round being played ({ tier, round, played }),
+        // the player's own settings to go back to, the API's word on the round once it is recorded,
+        // and that recording in flight (the map waits for it)
+        this.campaign = null;
+        this.campaignReturn = null;
+        this.campaignResult = null;
+        this.campaignSubmission = Promise.resolve();
+        // Daily challenge (see src/game/daily.js): the challenge being played, the player's own settings
+        // to go back to, and the API's word on the last attempt ({ day, ranked })
+        this.daily = null;
+        this.dailyReturn = null;
+        this.dailyResult = null;
+        this.applyDifficultyPresets();
+        
+        // Replays (see src/game/replay.js): the live match's recorder, the last finished match,
+        // and the replay being watched: { player, liveEngine, paused, speed }
+        this.recorder = null;
+        this.lastReplay = null;
+        this.replay = null;
+        // Signed-in account ({ playerId, playerName, email }), null while playing as a guest
+        this.account = null;
+        // Anti-cheat token of the local match in progress (resolves to null if the API can't issue one)
+        this.matchSession = Promise.resolve(null);
+        
+        // Opponent: 'copilot' (AI), 'human' (local versus) or 'online' (server-run match, see src/services/online.ts)
+        this.opponentMode = 'copilot';
+        this.online = null;
+        this.onlineMessage = '';    // Matchmaking / connection status shown over the court
         
         // Touch control state
         this.touchActive = false;
         this.lastTouchX = 0;
         this.lastTouchY = 0;
-        
-        // Difficulty configurations
-        this.difficultySettings = {
-            beginner: {
-                ballSpeed: { x: 1, y: 0.8 },        // Much slower for beginners
-                ballMaxSpeed: 2.5,                  // Reduced max speed
-                ballSpeedIncrease: 1.005,           // Very gradual speed increase
-                aiSpeed: 2,
-                aiReaction: 0.5,
-                aiDeadZone: 30,
-                paddleYVariation: 4,
-                // Enhanced AI movement properties for realistic gameplay
-                aiVerticalReaction: 0.3,     // Slower vertical reaction
-                aiVerticalDeadZone: 40,      // Larger dead zone for Y movement
-                aiSmoothingFactor: 0.15,     // Low smoothing for natural movement
-                aiEasingFactor: 0.03,        // Very slow easing for human-like delays
-                aiMaxDistanceFromNet: 120    // Stay 120px+ from net (conservative)
-            },
-            advanced: {
-                ballSpeed: { x: 1.5, y: 1.2 },     // Moderate speed
-                ballMaxSpeed: 3.5,                  // Moderate max speed
-                ballSpeedIncrease: 1.01,            // Gradual speed increase
-                aiSpeed: 3,
-                aiReaction: 0.7,
-                aiDeadZone: 20,
-                paddleYVariation: 6,
-                // Enhanced AI movement properties for realistic gameplay
-                aiVerticalReaction: 0.5,
-                aiVerticalDeadZone: 30,
-                aiSmoothingFactor: 0.25,
-                aiEasingFactor: 0.05,        // Standard easing as requested
-                aiMaxDistanceFromNet: 100    // Stay 100px+ from net
-            },
-            expert: {
-                ballSpeed: { x: 2, y: 1.8 },       // Faster but still manageable
-                ballMaxSpeed: 4.5,                  // Reduced from 8 to 4.5
-                ballSpeedIncrease: 1.02,            // More reasonable increase
-                aiSpeed: 4.5,
-                aiReaction: 0.9,
-                aiDeadZone: 10,
-                paddleYVariation: 8,
-                // Enhanced AI movement properties for realistic gameplay
-                aiVerticalReaction: 0.7,
-                aiVerticalDeadZone: 20,
-                aiSmoothingFactor: 0.35,
-                aiEasingFactor: 0.07,        // Faster easing for expert level
-                aiMaxDistanceFromNet: 80     // More aggressive positioning
-            }
-        };
-        
-        // Score
-        this.copilotScore = 0;
-        this.playerScore = 0;
-        this.winningScore = 5;
-        this.gameEnded = false;
-        this.winner = null;
-        
-        // Point scoring delay system
-        this.isScoreDelay = false;
-        this.scoreDelayDuration = 1500; // 1.5 seconds delay
-        this.lastScorer = null; // 'player' or 'copilot' - determines serve direction
+        this.touchSides = {};                                   // Touch identifier -> side it controls
+        this.touchTargets = { player: null, copilot: null };    // Paddle positions requested by touch, applied on the next tick
+        this.serveInputQueued = { player: false, copilot: false }; // Serve key/tap, applied on the next tick
+        this.touchTracks = {};                                  // Touch identifier -> last { x, y, time }, for flicks
+        this.touchShots = { player: null, copilot: null };      // Shot picked by a touch gesture: { shot, until }
+        this.shotCallout = null;                                // Last special shot, shown briefly: { text, side, ticks }
         
         // Animation properties
         this.animationState = 'none'; // 'victory', 'defeat', 'none'
@@ -138,17 +157,6 @@ class TennisGame {
         this.audioCtx = null;
         this.audioUnlocked = false;
         
-        // Game objects (will be updated based on difficulty)
-        // Top-down view: Copilot at top, Player at bottom
-        this.paddle1 = { x: this.width / 2 - 40, y: 20, width: 80, height: 15, speed: 2 }; // Copilot (top)
-        this.paddle2 = { x: this.width / 2 - 40, y: this.height - 35, width: 80, height: 15, speed: 5 }; // Player (bottom)
-        
-        // AI paddle tracking for natural movement
-        this.aiTarget = {
-            x: this.width / 2 - 40, // Target X position for AI paddle
-            y: 20                   // Target Y position for AI paddle
-        };
-        
         // Player sprite (attached to paddle2)
         this.playerSprite = {
             width: 90,
@@ -167,32 +175,16 @@ class TennisGame {
             x: this.width / 2 - 25,
             y: Math.max(0, 20 - 70 - 6) // Initial guess; will be updated
         };
-        this.ball = { 
-            x: this.width / 2, 
-            y: this.height / 2, 
-            width: 40,
-            height: 40,
-            speedX: 1.5, // Reduced default horizontal speed
-            speedY: 1.5, // Reduced default vertical speed
-            maxSpeed: 4  // Reduced default max speed
-        };
-        
-        // Physics and 3D constants
-        this.netHeight = 30; // Visual net height
-        this.netPosition = this.height / 2; // Net Y position
-        this.groundLevel = 0; // Ground Z level
-        this.maxBallHeight = 150; // Increased for higher arcs
-        
-        // Tennis court boundaries (playable area) - Match visual court boundaries
-        this.courtBounds = {
-            left: 80, // Left sideline - match green court boundary
-            right: this.width - 80, // Right sideline - match green court boundary  
-            top: 50, // Top baseline - match green court boundary
-            bottom: this.height - 50 // Bottom baseline - match green court boundary
-        };
+        this.updateSpritePositions();
         
         // Input handling
         this.keys = {};
+        // Remappable keyboard keys and gamepad buttons for each side (src/input/bindings.js), saved on this device
+        this.bindings = resolveBindings(getKeyBindings());
+        this.gamepads = new GamepadInput();
+        this.padInput = { player: null, copilot: null };    // Latest gamepad reading for each side, read by readInput()
+        this.bindingCapture = null;                         // { side, device: 'key' | 'gamepad', action } while remapping
+        this.controlsOpen = false;
         
         this.startMenuEl = document.getElementById('startMenu');
 		this.playerNameInput = document.getElementById('playerNameInput');
@@ -202,6 +194,25 @@ class TennisGame {
         this.welcomeNameEl = document.getElementById('welcomeName');
         this.welcomeEnterBtn = document.getElementById('welcomeEnterBtn');
         this.welcomeChangeBtn = document.getElementById('welcomeChangeBtn');
+        this.menuOpponentSelect = document.getElementById('menuOpponentSelect');
+        this.player2NameInput = document.getElementById('player2NameInput');
+        this.personalityField = document.getElementById('personalityField');
+        this.menuPersonalitySelect = document.getElementById('menuPersonalitySelect');
+        
+        // Copilot personalities, described in their option's tooltip
+        if (this.menuPersonalitySelect) {
+            for (const [name, personality] of Object.entries(AI_PERSONALITIES)) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = personality.label;
+                option.title = personality.description;
+                this.menuPersonalitySelect.appendChild(option);
+            }
+            this.menuPersonalitySelect.value = this.engine.personality;
+        }
+        
+        // Local versus: prefill the remembered second player on this device
+        if (this.player2NameInput) this.player2NameInput.value = getPlayer2().playerName || '';
         
         // Session bootstrap
         try {
@@ -227,9 +238,60 @@ class TennisGame {
             }
         } catch {}
         
+        // Results played offline wait in the outbox; show how many and send them when possible
+        this.syncIndicator = document.getElementById('syncIndicator');
+        this.updateSyncIndicator(getPendingCount());
+        onOutboxChange(pending => this.updateSyncIndicator(pending));
+        startOutboxSync();
+        
         this.init();
     }
     
+    // The engine uses the player's name in umpire calls ("Game Alice")
+    get playerName() {
+        return this.engine.names.player;
+    }
+    
+    set playerName(name) {
+        this.engine.names.player = name;
+    }
+    
+    // Top side: 'Copilot' against the AI, the second player's name in local versus
+    get player2Name() {
+        return this.engine.names.copilot;
+    }
+    
+    set player2Name(name) {
+        this.engine.names.copilot = name;
+    }
+    
+    get isLocalVersus() {
+        return this.opponentMode === 'human';
+    }
+    
+    get isOnline() {
+        return this.opponentMode === 'online';
+    }
+    
+    // Sounds and callouts for an engine we render: the live match's or a replay's
+    watchEngine(engine) {
+        engine.on('hit', (event) => {
+            // Scrubbing through a replay fast-forwards silently
+            if (this.replay && this.replay.player.seeking) return;
+            this.playBallHitSound();
+            if (!this.replay) this.rumble(event.side);
+            // Name anything but a flat drive over the striker for a moment
+            const shot = SHOT_TYPES[event.shot];
+            this.shotCallout = shot && event.shot !== 'flat' ? { text: shot.label, side: event.side, ticks: 60 } : null;
+        });
+        engine.on('point', () => this.updateScoreDisplay());
+        engine.on('serveReady', () => {
+            // The ball teleported to the server: don't interpolate across the court
+            this.updateSpritePositions();
+            this.snapshotState();
+        });
+    }
+    
     showReturningMenu() {
         if (!this.startMenuEl) return;
         // Switch to returning view
@@ -242,7 +304,7 @@ class TennisGame {
                 e.preventDefault();
                 // Hide menu and start immediately
                 this.hideStartMenu();
-                this.beginCountdown();
+                this.startGame();
             }, { passive: false });
         }
         if (this.welcomeChangeBtn && !this.welcomeChangeBtn._wired) {
@@ -259,6 +321,57 @@ class TennisGame {
                 }
             }, { passive: false });
         }
+        const profileBtn = document.getElementById('welcomeProfileBtn');
+        if (profileBtn && !profileBtn._wired) {
+            profileBtn._wired = true;
+            profileBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showProfile();
+            }, { passive: false });
+        }
+        this.updateMenuRating();
+    }
+    
+    // Start menu: the player's skill rating in the pool they are about to play (the difficulty) and
+    // the three best rated players in it
+    async updateMenuRating() {
+        const valueEl = document.getElementById('menuRatingValue');
+        const listEl = document.getElementById('menuRatingList');
+        if (!this.startMenuEl || !valueEl || !listEl) return;
+        const pool = this.engine.currentDifficulty;
+        if (this.isLocalVersus || pool === CUSTOM_DIFFICULTY) {
+            // Neither local versus nor custom runs are rated (unless a custom run is exactly a ranked
+            // preset, which the server tells)
+            this.menuRatingRequest = (this.menuRatingRequest || 0) + 1;
+            valueEl.textContent = this.isLocalVersus ? 'Local versus: not rated' : 'Custom difficulty: not rated';
+            listEl.innerHTML = '';
+            return;
+        }
+        const label = pool.charAt(0).toUpperCase() + pool.slice(1);
+        // Only the latest request renders, if the opponent changes while one is loading
+        const request = this.menuRatingRequest = (this.menuRatingRequest || 0) + 1;
+        const { playerId } = getPlayer();
+        const [ratings, top] = await Promise.all([
+            playerId ? getPlayerRatings(playerId) : [],
+            getRatingLeaderboard(pool, 3)
+        ]);
+        if (request !== this.menuRatingRequest) return;
+        const own = ratings.find(r => r.difficulty === pool);
+        valueEl.textContent = own
+            ? `${label} rating: ${own.rating} (${own.matchesRated} rated ${own.matchesRated === 1 ? 'match' : 'matches'})`
+            : `${label} rating: play a match to get rated`;
+        listEl.innerHTML = '';
+        top.forEach(r => {
+            const li = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = r.playerName || r.playerId;
+            const meta = document.createElement('span');
+            meta.className = 'meta';
+            meta.textContent = String(r.rating);
+            li.appendChild(name);
+            li.appendChild(meta);
+            listEl.appendChild(li);
+        });
     }
     
     async init() {
@@ -266,7 +379,6 @@ class TennisGame {
         await this.loadAudio();
         this.setupEventListeners();
         // this.askPlayerName(); // Re-enable when needed
-        this.applyDifficultySettings(); // Apply initial difficulty
         this.resetGame();
         this.updateButtonStates();
         
@@ -352,22 +464,28 @@ class TennisGame {
             // Unlock audio context on first user gesture
             this.unlockAudio();
             
-            this.keys[e.key] = true;
+            // Typing a name or remapping controls isn't playing
+            if (isTextEntry(e.target) || this.controlsOpen) return;
+            const key = normalizeKey(e.key);
+            this.keys[key] = true;
             
-            // Prevent default behavior for arrow keys and spacebar
-            if (e.code === 'Space' || e.code === 'ArrowUp' || e.code === 'ArrowDown' || 
-                e.code === 'ArrowLeft' || e.code === 'ArrowRight') {
-                e.preventDefault(); // Prevent page scroll and other default behaviors
-            }
+            const bound = this.keyboardSides()
+                .map(side => ({ side, action: actionForKey(this.bindings, side, key) }))
+                .filter(binding => binding.action);
+            // Bound keys don't scroll the page or press the focused button
+            if (bound.length) e.preventDefault();
+            if (e.repeat) return;
             
-            // Spacebar to start/pause game
-            if (e.code === 'Space') {
-                this.handleGameToggle();
+            const serving = bound.filter(binding => binding.action === 'serve').map(binding => binding.side);
+            if (serving.length) {
+                this.pressServe(serving);
+            } else if (bound.some(binding => binding.action === 'pause')) {
+                this.togglePause();
             }
         });
         
         document.addEventListener('keyup', (e) => {
-            this.keys[e.key] = false;
+            this.keys[normalizeKey(e.key)] = false;
         });
 
         // Touch controls for mobile devices
@@ -391,9 +509,38 @@ class TennisGame {
         
         // Difficulty selector
         document.getElementById('difficultySelect').addEventListener('change', (e) => {
+            if (e.target.value === CUSTOM_DIFFICULTY && !this.customDifficulty) {
+                // Nothing to play yet: make one first
+                e.target.value = this.engine.currentDifficulty;
+                this.openDifficultyEditor?.();
+                return;
+            }
             this.changeDifficulty(e.target.value);
         });
         
+        // Match format selectors: how many sets, how long they are, and what happens at deuce
+        const formatPickers = ['formatSelect', 'setLengthSelect', 'scoringSelect'].map(id => document.getElementById(id));
+        formatPickers.forEach(select => select?.addEventListener('change', () => {
+            const [bestOf, setLength, scoring] = formatPickers.map(picker => picker?.value);
+            this.changeMatchFormat(formatId({ bestOf: Number(bestOf || 1), shortSets: setLength !== 'regular', noAd: scoring !== 'ad' }));
+        }));
+        
+        // Opponent selector: Copilot AI or a second player on this device
+        document.getElementById('opponentSelect')?.addEventListener('change', (e) => {
+            this.changeOpponent(e.target.value);
+        });
+        this.menuOpponentSelect?.addEventListener('change', (e) => {
+            this.changeOpponent(e.target.value);
+        });
+        this.menuPersonalitySelect?.addEventListener('change', (e) => {
+            this.changePersonality(e.target.value);
+        });
+        this.player2NameInput?.addEventListener('input', (e) => {
+            if (!this.isLocalVersus) return;
+            this.player2Name = e.target.value.trim() || 'Player 2';
+            this.updateScoreDisplay();
+        });
+        
         // Buttons
         document.getElementById('startBtn').addEventListener('click', () => {
             this.unlockAudio();
@@ -406,6 +553,8 @@ class TennisGame {
         
         document.getElementById('newGameBtn').addEventListener('click', () => {
             this.resetGame();
+            // In the career, the next match is picked on the map
+            if (this.campaign) this.openCampaign?.();
         });
         
         document.getElementById('playerNameBtn').addEventListener('click', () => {
@@ -456,67 +605,562 @@ class TennisGame {
             });
         }
 
-        // Timers leaderboard UI
-        const timersBtn = document.getElementById('timersLeaderboardBtn');
-        const overlay = document.getElementById('timersLeaderboardOverlay');
-        const closeBtn = document.getElementById('closeTimersBtn');
-        const difficultySelect = document.getElementById('leaderboardDifficulty');
-        const listEl = document.getElementById('timersList');
+        this.setupTimersLeaderboard();
+        this.setupControlsPanel();
+        this.setupDifficultyEditor();
+        this.setupCampaign();
+        this.setupDaily();
+        this.loadDifficultyPresets();
+        this.updateControlHints();
+        this.setupReplays();
+        this.setupAccount();
+        this.setupProfile();
+    }
+    
+    // Controls settings: remap each side's keys (or pick a preset layout) and gamepad buttons
+    setupControlsPanel() {
+        const overlay = document.getElementById('controlsOverlay');
+        if (!overlay) return;
+        const sideSelect = document.getElementById('controlsSideSelect');
+        const presetSelect = document.getElementById('controlsPresetSelect');
+        const keyList = document.getElementById('keyBindingsList');
+        const padList = document.getElementById('padBindingsList');
+        const padStatus = document.getElementById('gamepadStatus');
+        const conflictsEl = document.getElementById('bindingConflicts');
+
+        Object.entries(KEY_PRESETS).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.label;
+            presetSelect.appendChild(option);
+        });
+
+        const bindingRow = (label, value, capturing, onClick) => {
+            const li = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = label;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = capturing ? 'binding-btn capturing' : 'binding-btn';
+            button.textContent = capturing ? 'Press…' : value;
+            button.addEventListener('click', onClick);
+            li.appendChild(name);
+            li.appendChild(button);
+            return li;
+        };
+
+        const startCapture = (device, action) => {
+            this.bindingCapture = { side: sideSelect.value, device, action };
+            render();
+        };
+
+        const render = () => {
+            const side = sideSelect.value;
+            const binding = this.bindings[side];
+            const capture = this.bindingCapture;
+            const isCapturing = (device, action) => !!capture && capture.side === side && capture.device === device && capture.action === action;
+
+            keyList.innerHTML = '';
+            ACTIONS.forEach(action => keyList.appendChild(bindingRow(ACTION_LABELS[action], keyLabel(binding.keys[action]),
+                isCapturing('key', action), () => startCapture('key', action))));
+            padList.innerHTML = '';
+            GAMEPAD_ACTIONS.forEach(action => padList.appendChild(bindingRow(ACTION_LABELS[action], buttonLabel(binding.gamepad[action]),
+                isCapturing('gamepad', action), () => startCapture('gamepad', action))));
+
+            const preset = Object.keys(KEY_PRESETS).find(id => ACTIONS.every(action => KEY_PRESETS[id].keys[action] === binding.keys[action]));
+            presetSelect.value = preset || '';
 
-        function showOverlay() {
+            const pads = this.gamepads.pads();
+            if (!this.gamepads.supported) padStatus.textContent = 'Gamepads are not supported by this browser';
+            else if (pads.length) padStatus.textContent = `Connected: ${pads.map(pad => pad.id).join(', ')}`;
+            else padStatus.textContent = 'No gamepad detected: connect one and press a button';
+
+            const conflicts = findConflicts(this.bindings);
+            conflictsEl.textContent = conflicts.length
+                ? '⚠️ ' + conflicts.map(conflict => `${keyLabel(conflict.key)} is bound to ${conflict.users
+                    .map(use => `${SIDE_LABELS[use.side]} ${ACTION_LABELS[use.action].toLowerCase()}`).join(' and ')}`).join(' • ')
+                : '';
+        };
+        this.renderControlsPanel = render;
+
+        const show = () => {
+            // Don't let the match run on behind the panel
+            if (this.gameRunning && !this.isOnline) this.togglePause();
+            this.controlsOpen = true;
+            this.keys = {};
             overlay.classList.remove('hide');
             overlay.setAttribute('aria-hidden', 'false');
-            // Load default (current difficulty) timers
-            loadTimers(difficultySelect.value || null);
-        }
-        function hideOverlay() {
+            render();
+        };
+        const hide = () => {
+            this.controlsOpen = false;
+            this.bindingCapture = null;
             overlay.classList.add('hide');
             overlay.setAttribute('aria-hidden', 'true');
-            listEl.innerHTML = '';
-        }
+        };
 
-        async function loadTimers(difficulty) {
-            listEl.innerHTML = '<li>Loading…</li>';
-            try {
-                const rows = await getTimersLeaderboard(difficulty || null, 5);
-                if (!rows || rows.length === 0) {
-                    listEl.innerHTML = '<li>No records yet</li>';
-                    return;
+        document.getElementById('controlsBtn')?.addEventListener('click', () => show());
+        document.getElementById('closeControlsBtn')?.addEventListener('click', () => hide());
+        sideSelect.addEventListener('change', () => {
+            this.bindingCapture = null;
+            render();
+        });
+        presetSelect.addEventListener('change', () => {
+            const preset = KEY_PRESETS[presetSelect.value];
+            if (!preset) return;
+            this.bindings[sideSelect.value].keys = { ...preset.keys };
+            this.saveBindings();
+        });
+        document.getElementById('resetBindingsBtn')?.addEventListener('click', () => {
+            this.bindingCapture = null;
+            this.bindings = resolveBindings(null);
+            saveKeyBindings(null);
+            this.updateControlHints();
+            render();
+        });
+        window.addEventListener('gamepadconnected', () => render());
+        window.addEventListener('gamepaddisconnected', () => render());
+
+        // Capture phase: the key being bound must not also reach the game or other overlays
+        window.addEventListener('keydown', (e) => {
+            if (!this.controlsOpen) return;
+            const capture = this.bindingCapture;
+            if (capture && capture.device === 'key') {
+                e.preventDefault();
+                e.stopPropagation();
+                // Escape cancels
+                if (e.key !== 'Escape') this.bindings[capture.side].keys[capture.action] = normalizeKey(e.key);
+                this.bindingCapture = null;
+                this.saveBindings();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                if (capture) {
+                    this.bindingCapture = null;
+                    render();
+                } else {
+                    hide();
                 }
-                listEl.innerHTML = '';
-                rows.forEach(r => {
-                    const li = document.createElement('li');
-                    const name = document.createElement('span');
-                    name.textContent = r.playerName || r.playerId;
-                    const meta = document.createElement('span');
-                    meta.className = 'meta';
-                    // Format ms -> mm:ss.mmm
-                    const ms = Number(r.bestDurationMs) || 0;
-                    const minutes = Math.floor(ms / 60000);
-                    const seconds = Math.floor((ms % 60000) / 1000);
-                    const millis = ms % 1000;
-                    meta.textContent = `${String(minutes).padStart(2,'0')}:${String(seconds).padStart(2,'0')}.${String(millis).padStart(3,'0')}`;
-                    li.appendChild(name);
-                    li.appendChild(meta);
-                    listEl.appendChild(li);
-                });
-            } catch (e) {
-                listEl.innerHTML = '<li>Failed to load leaderboard</li>';
-                console.warn(e);
             }
-        }
+        }, true);
+    }
+    
+    // The engine plays the presets, once saved the custom difficulty, and the career round's Copilot
+    applyDifficultyPresets() {
+        const settings = Object.fromEntries(this.difficultyPresets.map(preset => [preset.id, preset.settings]));
+        if (this.customDifficulty) settings[CUSTOM_DIFFICULTY] = this.customDifficulty;
+        if (this.campaign) settings[CAMPAIGN_DIFFICULTY] = roundSettings(campaignTier(this.campaign.tier), this.campaign.round);
+        this.engine.setDifficultyPresets(settings);
+    }
+    
+    // Presets as the API plays them: tuned ones replace the built-in settings from the next match on
+    // and added ones join the difficulty pickers (the leaderboard one for ranked presets only)
+    async loadDifficultyPresets() {
+        const presets = await getDifficultyPresets();
+        if (!presets) return;
+        this.difficultyPresets = presets;
+        if (!this.gameStarted) this.applyDifficultyPresets();
+        const addOption = (select, id, before = null) => {
+            if (!select || [...select.options].some(option => option.value === id)) return;
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id.charAt(0).toUpperCase() + id.slice(1);
+            select.insertBefore(option, before);
+        };
+        const difficultySelect = document.getElementById('difficultySelect');
+        presets.forEach(preset => {
+            addOption(difficultySelect, preset.id, difficultySelect?.querySelector(`option[value="${CUSTOM_DIFFICULTY}"]`));
+            if (preset.ranked) addOption(document.getElementById('leaderboardDifficulty'), preset.id);
+        });
+    }
+    
+    // Custom difficulty editor: a slider per setting, from a preset or a share code, and whether
+    // the result is ranked (exactly a ranked preset's settings) or not
+    setupDifficultyEditor() {
+        const overlay = document.getElementById('difficultyOverlay');
+        if (!overlay) return;
+        const baseSelect = document.getElementById('difficultyBaseSelect');
+        const fieldsList = document.getElementById('difficultyFieldsList');
+        const rankingEl = document.getElementById('difficultyRanking');
+        const codeInput = document.getElementById('difficultyCodeInput');
+        const statusEl = document.getElementById('difficultyStatus');
+        let draft = null;
+
+        const presetMap = (ranked) => Object.fromEntries(this.difficultyPresets
+            .filter(preset => !ranked || preset.ranked)
+            .map(preset => [preset.id, preset.settings]));
+        const render = () => {
+            sliders.forEach(({ field, input, output }) => {
+                const value = readField(draft, field.path);
+                input.value = String(value);
+                output.textContent = String(value);
+            });
+            const ranked = matchingPreset(draft, presetMap(true));
+            rankingEl.textContent = ranked
+                ? `Ranked: plays exactly like ${ranked}, so it counts as ${ranked} on the leaderboards`
+                : 'Unranked: kept in your own records, off the leaderboards';
+            baseSelect.value = matchingPreset(draft, presetMap(false)) || '';
+            codeInput.value = encodeDifficulty(draft);
+        };
+
+        // Slider values rounded to their step, so 0.1 + 0.2 stays 0.3
+        const decimals = (step) => (String(step).split('.')[1] || '').length;
+        const sliders = DIFFICULTY_FIELDS.map(field => {
+            const li = document.createElement('li');
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.id = `difficulty-${field.path.replace('.', '-')}`;
+            input.min = String(field.min);
+            input.max = String(field.max);
+            input.step = String(field.step);
+            const label = document.createElement('label');
+            label.htmlFor = input.id;
+            label.textContent = field.label;
+            const output = document.createElement('output');
+            output.setAttribute('for', input.id);
+            input.addEventListener('input', () => {
+                writeField(draft, field.path, Number(Number(input.value).toFixed(decimals(field.step))));
+                statusEl.textContent = '';
+                render();
+            });
+            li.appendChild(label);
+            li.appendChild(input);
+            li.appendChild(output);
+            fieldsList.appendChild(li);
+            return { field, input, output };
+        });
+
+        const show = () => {
+            // Don't let the match run on behind the panel
+            if (this.gameRunning && !this.isOnline) this.togglePause();
+            baseSelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+            this.difficultyPresets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.id.charAt(0).toUpperCase() + preset.id.slice(1);
+                baseSelect.appendChild(option);
+            });
+            const current = this.engine.difficultySettings[this.engine.currentDifficulty];
+            draft = canonicalDifficulty(this.customDifficulty || current);
+            statusEl.textContent = '';
+            overlay.classList.remove('hide');
+            overlay.setAttribute('aria-hidden', 'false');
+            render();
+        };
+        const hide = () => {
+            overlay.classList.add('hide');
+            overlay.setAttribute('aria-hidden', 'true');
+        };
+        this.openDifficultyEditor = show;
 
-        timersBtn?.addEventListener('click', () => showOverlay());
-        closeBtn?.addEventListener('click', () => hideOverlay());
-        difficultySelect?.addEventListener('change', (ev) => loadTimers(ev.target.value || null));
+        document.getElementById('difficultyEditorBtn')?.addEventListener('click', () => show());
+        document.getElementById('closeDifficultyBtn')?.addEventListener('click', () => hide());
+        baseSelect.addEventListener('change', () => {
+            const preset = this.difficultyPresets.find(p => p.id === baseSelect.value);
+            if (!preset) return;
+            draft = canonicalDifficulty(preset.settings);
+            statusEl.textContent = '';
+            render();
+        });
+        document.getElementById('copyDifficultyCodeBtn')?.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(codeInput.value);
+                statusEl.textContent = 'Share code copied';
+            } catch {
+                codeInput.select();
+                statusEl.textContent = 'Select the code and copy it';
+            }
+        });
+        const loadCode = () => {
+            const settings = decodeDifficulty(codeInput.value);
+            if (!settings) {
+                statusEl.textContent = 'Not a difficulty share code';
+                return;
+            }
+            draft = settings;
+            statusEl.textContent = 'Share code loaded';
+            render();
+        };
+        document.getElementById('loadDifficultyCodeBtn')?.addEventListener('click', loadCode);
+        codeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') loadCode();
+        });
+        document.getElementById('saveDifficultyBtn')?.addEventListener('click', () => {
+            this.customDifficulty = canonicalDifficulty(draft);
+            saveCustomDifficulty(this.customDifficulty);
+            this.applyDifficultyPresets();
+            hide();
+            const select = document.getElementById('difficultySelect');
+            if (select) select.value = CUSTOM_DIFFICULTY;
+            this.changeDifficulty(CUSTOM_DIFFICULTY);
+        });
 
         // Accessibility: close overlay on ESC
         document.addEventListener('keydown', (ev) => {
-            if (ev.key === 'Escape' && !overlay.classList.contains('hide')) {
-                hideOverlay();
+            if (ev.key === 'Escape' && !overlay.classList.contains('hide')) hide();
+        });
+    }
+    
+    // Career map: every tournament with its trophy and bracket, the rounds already won and the
+    // next one to play. Progress comes from the API; offline, a new career shows.
+    setupCampaign() {
+        const overlay = document.getElementById('campaignOverlay');
+        if (!overlay) return;
+        const tiersList = document.getElementById('campaignTiersList');
+        const statusEl = document.getElementById('campaignStatus');
+
+        const hide = () => {
+            overlay.classList.add('hide');
+            overlay.setAttribute('aria-hidden', 'true');
+        };
+        const render = (tiers) => {
+            tiersList.innerHTML = '';
+            tiers.forEach(tier => {
+                const li = document.createElement('li');
+                li.className = tier.unlocked ? 'campaign-tier' : 'campaign-tier locked';
+                const heading = document.createElement('h3');
+                heading.textContent = tier.unlocked ? tier.name : `🔒 ${tier.name}`;
+                const trophy = document.createElement('small');
+                trophy.textContent = tier.titles ? ` 🏆 ${tier.trophy} ×${tier.titles}` : ` ${tier.trophy}`;
+                heading.appendChild(trophy);
+                const bracket = document.createElement('ol');
+                bracket.className = 'campaign-bracket';
+                tier.rounds.forEach((round, i) => {
+                    const item = document.createElement('li');
+                    if (tier.unlocked && i < tier.nextRound) item.className = 'done';
+                    if (tier.unlocked && i === tier.nextRound) item.className = 'next';
+                    item.textContent = `${round.name}: ${round.opponent}`;
+                    bracket.appendChild(item);
+                });
+                const play = document.createElement('button');
+                play.type = 'button';
+                play.disabled = !tier.unlocked;
+                play.textContent = tier.unlocked ? `▶ Play the ${tier.rounds[tier.nextRound].name.toLowerCase()}` : 'Win the previous tournament first';
+                play.addEventListener('click', () => {
+                    hide();
+                    this.enterCampaignRound(tier.id, tier.nextRound);
+                });
+                li.appendChild(heading);
+                li.appendChild(bracket);
+                li.appendChild(play);
+                tiersList.appendChild(li);
+            });
+        };
+        const show = async () => {
+            // Don't let the match run on behind the map
+            if (this.gameRunning && !this.isOnline) this.togglePause();
+            overlay.classList.remove('hide');
+            overlay.setAttribute('aria-hidden', 'false');
+            tiersList.innerHTML = '';
+            statusEl.textContent = 'Loading…';
+            // The round just played has to be recorded before the map can tell what's next
+            await this.campaignSubmission;
+            const campaign = await getCampaign(getPlayer().playerId);
+            const offline = campaignState();
+            render(campaign ? campaign.tiers : CAMPAIGN_TIERS.map((tier, i) => ({ ...tier, ...offline[i] })));
+            statusEl.textContent = campaign ? '' : 'Your career couldn\'t be loaded: showing a new one';
+        };
+        this.openCampaign = show;
+
+        document.getElementById('campaignBtn')?.addEventListener('click', () => show());
+        document.getElementById('closeCampaignBtn')?.addEventListener('click', () => hide());
+        document.addEventListener('keydown', (ev) => {
+            if (ev.key === 'Escape' && !overlay.classList.contains('hide')) hide();
+        });
+    }
+
+    // Play a round of a career tournament: its Copilot at the round's settings, in the tournament's
+    // format. The player's own difficulty, format and Copilot come back when they leave the career.
+    enterCampaignRound(tierId, round) {
+        const tier = campaignTier(tierId);
+        if (!tier) return;
+        if (this.opponentMode !== 'copilot') this.changeOpponent('copilot');
+        this.leaveDaily();
+        if (!this.campaign) {
+            this.campaignReturn = { difficulty: this.engine.currentDifficulty, format: this.engine.currentFormat, personality: this.engine.personality };
+        }
+        this.leaveReplay();
+        this.campaign = { tier: tierId, round, played: false };
+        this.campaignResult = null;
+        this.applyDifficultyPresets();
+        this.engine.setDifficulty(CAMPAIGN_DIFFICULTY);
+        this.engine.setFormat(tier.format);
+        this.engine.setPersonality(tier.rounds[round].personality);
+        this.player2Name = tier.rounds[round].opponent;
+        this.resetGame();
+        this.startGame();
+    }
+
+    // Back from the career to the player's own settings (the caller starts a new match)
+    leaveCampaign() {
+        if (!this.campaign) return;
+        const { difficulty, format, personality } = this.campaignReturn;
+        this.campaign = null;
+        this.campaignReturn = null;
+        this.campaignResult = null;
+        this.applyDifficultyPresets();
+        this.engine.setDifficulty(difficulty);
+        this.engine.setFormat(format);
+        this.engine.setPersonality(personality);
+        this.player2Name = 'Copilot';
+    }
+
+    // Daily challenge: today's conditions and Copilot, the time left to play it, and the day's
+    // leaderboard. The challenge comes from the API, which draws each day's seed; offline there is none.
+    setupDaily() {
+        const overlay = document.getElementById('dailyOverlay');
+        if (!overlay) return;
+        const infoEl = document.getElementById('dailyInfo');
+        const countdownEl = document.getElementById('dailyCountdown');
+        const listEl = document.getElementById('dailyList');
+        const statusEl = document.getElementById('dailyStatus');
+        const playBtn = document.getElementById('dailyPlayBtn');
+        let challenge = null;
+        let countdown = null;
+
+        const formatTime = (ms) => {
+            const seconds = Math.floor((Number(ms) || 0) / 1000);
+            return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        const formatLabel = (format) => MATCH_FORMATS[format] ? describeFormat(MATCH_FORMATS[format]) : format;
+        const hide = () => {
+            overlay.classList.add('hide');
+            overlay.setAttribute('aria-hidden', 'true');
+            clearInterval(countdown);
+            countdown = null;
+        };
+        const renderInfo = () => {
+            const modifier = MATCH_MODIFIERS[challenge.modifier];
+            const copilot = AI_PERSONALITIES[challenge.personality]?.label || challenge.personality;
+            infoEl.innerHTML = '';
+            const heading = document.createElement('h3');
+            heading.textContent = `${challenge.day}: ${modifier.name}`;
+            const details = document.createElement('p');
+            details.textContent = `${modifier.description}. ${copilot} Copilot, ${challenge.difficulty} difficulty, ${formatLabel(challenge.format)}.`;
+            infoEl.appendChild(heading);
+            infoEl.appendChild(details);
+        };
+        const tick = () => {
+            if (Date.now() >= Date.parse(challenge.endsAt)) {
+                show();
+                return;
+            }
+            countdownEl.textContent = `Next challenge in ${formatCountdown(challenge.endsAt)}`;
+        };
+        const renderLeaderboard = (page) => {
+            listEl.innerHTML = '';
+            if (!page) {
+                listEl.innerHTML = '<li>Failed to load leaderboard</li>';
+                return;
+            }
+            const myId = String(getPlayer().playerId || '').toLowerCase();
+            // The top of the day, then the player's own rank if it is further down
+            const rows = [...page.entries, ...(page.me && !page.entries.some(r => r.rank === page.me.rank) ? [page.me] : [])];
+            if (rows.length === 0) listEl.innerHTML = '<li>No one has finished today\'s challenge yet</li>';
+            rows.forEach(r => {
+                const li = document.createElement('li');
+                li.value = r.rank;
+                if (String(r.playerId).toLowerCase() === myId) li.className = 'mine';
+                const name = document.createElement('span');
+                name.textContent = r.playerName || r.playerId;
+                const meta = document.createElement('span');
+                meta.className = 'meta';
+                meta.textContent = `${r.won ? 'Won' : 'Lost'} ${r.playerPoints}-${r.opponentPoints} in ${formatTime(r.durationMs)}`;
+                li.appendChild(name);
+                li.appendChild(meta);
+                listEl.appendChild(li);
+            });
+            statusEl.textContent = page.me ? `Your rank: ${page.me.rank} of ${page.total}` : '';
+        };
+        const show = async () => {
+            // Don't let the match run on behind the overlay
+            if (this.gameRunning && !this.isOnline) this.togglePause();
+            overlay.classList.remove('hide');
+            overlay.setAttribute('aria-hidden', 'false');
+            listEl.innerHTML = '<li>Loading…</li>';
+            statusEl.textContent = '';
+            clearInterval(countdown);
+            challenge = await getDailyChallenge();
+            if (playBtn) playBtn.disabled = !challenge;
+            if (!challenge) {
+                // The API draws each day's seed, so there is no challenge to play without it
+                infoEl.textContent = 'The daily challenge needs a connection to the server.';
+                countdownEl.textContent = '';
+                listEl.innerHTML = '';
+                return;
             }
+            renderInfo();
+            countdown = setInterval(tick, 1000);
+            tick();
+            renderLeaderboard(await getDailyLeaderboard(challenge.day));
+        };
+        this.openDaily = show;
+
+        playBtn?.addEventListener('click', () => {
+            if (!challenge) return;
+            hide();
+            this.enterDaily(challenge);
+        });
+        document.getElementById('dailyBtn')?.addEventListener('click', () => show());
+        document.getElementById('closeDailyBtn')?.addEventListener('click', () => hide());
+        document.addEventListener('keydown', (ev) => {
+            if (ev.key === 'Escape' && !overlay.classList.contains('hide')) hide();
         });
     }
+
+    // Play the daily challenge: its seed, match modifier, Copilot, difficulty and format. Every match
+    // played in it is the same one; the player's own settings come back when they leave it.
+    enterDaily(challenge) {
+        if (this.opponentMode !== 'copilot') this.changeOpponent('copilot');
+        this.leaveCampaign();
+        if (!this.daily) {
+            this.dailyReturn = { difficulty: this.engine.currentDifficulty, format: this.engine.currentFormat, personality: this.engine.personality };
+        }
+        this.leaveReplay();
+        this.daily = challenge;
+        this.dailyResult = null;
+        this.engine.setDifficulty(challenge.difficulty);
+        this.engine.setFormat(challenge.format);
+        this.engine.setPersonality(challenge.personality);
+        this.engine.setModifier(challenge.modifier);
+        this.resetGame();
+        this.startGame();
+    }
+
+    // Back from the daily challenge to the player's own settings (the caller starts a new match)
+    leaveDaily() {
+        if (!this.daily) return;
+        const { difficulty, format, personality } = this.dailyReturn;
+        this.daily = null;
+        this.dailyReturn = null;
+        this.dailyResult = null;
+        this.engine.setModifier(null);
+        this.engine.setDifficulty(difficulty);
+        this.engine.setFormat(format);
+        this.engine.setPersonality(personality);
+    }
+    
+    saveBindings() {
+        saveKeyBindings(this.bindings);
+        this.updateControlHints();
+        this.renderControlsPanel?.();
+    }
+    
+    // Control hints under the court follow the current key bindings
+    updateControlHints() {
+        const keys = (side) => this.bindings[side].keys;
+        const moves = (side) => ['up', 'left', 'down', 'right'].map(action => keyLabel(keys(side)[action])).join(' ');
+        const serve = keyLabel(keys('player').serve);
+        const shots = (side) => ['topspin', 'slice', 'lob', 'smash'].map(action => keyLabel(keys(side)[action])).join(' ');
+        const desktopHint = document.getElementById('desktopControlsHint');
+        if (desktopHint) {
+            desktopHint.textContent = `Use ${moves('player')} to control your paddle • ${serve} to toss, ${serve} again to serve • ${keyLabel(keys('player').pause)} to pause • Hold ${shots('player')} for topspin, slice, lob, smash • 🎮 Gamepads work too`;
+        }
+        const versusHint = document.getElementById('versusControlsHint');
+        if (versusHint) {
+            const serveKeys = [...new Set(['player', 'copilot'].map(side => keyLabel(keys(side).serve)))].join(' / ');
+            versusHint.textContent = `🎮 2 players: top player uses ${moves('copilot')} and ${shots('copilot')} for shots (or a finger on the top half, or the second gamepad) • ${serveKeys} or a tap serves for whoever is serving`;
+        }
+    }
     
     setupTouchControls() {
         // Track touch state
@@ -524,6 +1168,26 @@ class TennisGame {
         this.lastTouchX = 0;
         this.lastTouchY = 0;
         
+        // Convert a touch to canvas coordinates
+        const toCanvas = (touch) => {
+            const rect = this.canvas.getBoundingClientRect();
+            this.lastTouchX = touch.clientX - rect.left;
+            this.lastTouchY = touch.clientY - rect.top;
+            return {
+                x: (this.lastTouchX / rect.width) * this.width,
+                y: (this.lastTouchY / rect.height) * this.height
+            };
+        };
+        
+        // Each finger keeps the side it started on: in local versus the top half drives the top paddle
+        const releaseTouches = (e) => {
+            for (const touch of e.changedTouches) {
+                delete this.touchSides[touch.identifier];
+                delete this.touchTracks[touch.identifier];
+            }
+            this.touchActive = Object.keys(this.touchSides).length > 0;
+        };
+        
         // Add touch event listeners to canvas
         this.canvas.addEventListener('touchstart', (e) => {
             e.preventDefault();
@@ -533,17 +1197,23 @@ class TennisGame {
             // Unlock on first touch
             this.unlockAudio();
             
-            const touch = e.touches[0];
-            const rect = this.canvas.getBoundingClientRect();
-            
-            // Simple coordinate conversion
-            this.lastTouchX = touch.clientX - rect.left;
-            this.lastTouchY = touch.clientY - rect.top;
-            
             // Start game on touch if not running
             if (!this.gameRunning && !this.isPaused) {
                 this.handleGameToggle();
             }
+            
+            for (const touch of e.changedTouches) {
+                const point = toCanvas(touch);
+                const side = this.isLocalVersus && point.y < this.height / 2 ? 'copilot' : 'player';
+                // A second finger on the same half asks for a lob
+                if (Object.values(this.touchSides).includes(side)) this.pickTouchShot(side, 'lob');
+                this.touchSides[touch.identifier] = side;
+                this.touchTracks[touch.identifier] = { ...point, time: performance.now() };
+                // Toss/strike when it's this side's serve
+                if (this.gameRunning && this.engine.isAwaitingServe(side)) {
+                    this.serveInputQueued[side] = true;
+                }
+            }
         }, { passive: false });
         
         this.canvas.addEventListener('touchmove', (e) => {
@@ -552,57 +1222,41 @@ class TennisGame {
             
             if (!this.touchActive) return;
             
-            const touch = e.touches[0];
-            const rect = this.canvas.getBoundingClientRect();
-            
-            // Get touch position relative to canvas
-            const touchX = touch.clientX - rect.left;
-            const touchY = touch.clientY - rect.top;
-            this.lastTouchX = touchX;
-            
-            // Convert screen coordinates to canvas coordinates
-            const canvasX = (touchX / rect.width) * this.width;
-            const canvasY = (touchY / rect.height) * this.height;
-            
-            // Update player paddle (paddle2) - with both horizontal AND vertical movement
-            if (this.paddle2) {
-                // Center paddle under finger horizontally
-                const newPaddleX = canvasX - (this.paddle2.width / 2);
-                // Center paddle under finger vertically
-                const newPaddleY = canvasY - (this.paddle2.height / 2);
-                
-                // Apply horizontal boundaries
-                const canvasLeft = 0;
-                const canvasRight = this.width - this.paddle2.width;
-                this.paddle2.x = Math.max(canvasLeft, Math.min(canvasRight, newPaddleX));
-                
-                // Apply vertical boundaries - keep paddle in bottom half of court
-                const topBoundary = this.height * 0.4; // Can't go above 40% of court height
-                const bottomBoundary = this.height - this.paddle2.height - 20; // Stay 20px from bottom
-                this.paddle2.y = Math.max(topBoundary, Math.min(bottomBoundary, newPaddleY));
-                
-                // Also update the player sprite position to follow the paddle
-                this.updatePlayerSpritePosition();
+            for (const touch of e.changedTouches) {
+                const side = this.touchSides[touch.identifier];
+                if (!side) continue;
+                // The side's paddle follows the finger on the next simulation tick
+                const point = toCanvas(touch);
+                this.touchTargets[side] = point;
+                // A quick flick toward the net or back picks a shot
+                const now = performance.now();
+                const last = this.touchTracks[touch.identifier];
+                const shot = last && flickShot(point.x - last.x, point.y - last.y, now - last.time, side);
+                if (shot) this.pickTouchShot(side, shot);
+                this.touchTracks[touch.identifier] = { ...point, time: now };
             }
-            
         }, { passive: false });
         
         this.canvas.addEventListener('touchend', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            this.touchActive = false;
+            releaseTouches(e);
         }, { passive: false });
         
         this.canvas.addEventListener('touchcancel', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            this.touchActive = false;
+            releaseTouches(e);
         }, { passive: false });
         
         // Removed body-level scroll prevention so UI buttons and selects still receive clicks/taps on mobile.
         // Previously we had document.body touchstart/touchmove with preventDefault(), which blocks click synthesis.
     }
     
+    pickTouchShot(side, shot) {
+        this.touchShots[side] = { shot, until: performance.now() + GESTURE_MS };
+    }
+    
     askPlayerName() {
         // If menu still visible, focus input instead of prompt
         if (this.startMenuEl && document.body.contains(this.startMenuEl)) {
@@ -618,6 +1272,16 @@ class TennisGame {
                 this.updateScoreDisplay();
             })();
         }
+        if (this.isLocalVersus) {
+            const name2 = prompt('Enter player 2 name:', this.player2Name);
+            if (name2 && name2.trim()) {
+                (async () => {
+                    const p = await setPlayer2Name(name2.trim());
+                    this.player2Name = p.playerName || this.player2Name;
+                    this.updateScoreDisplay();
+                })();
+            }
+        }
     }
 
     // New: confirm start from the start menu overlay
@@ -629,6 +1293,9 @@ class TennisGame {
         if (!name) name = 'Player';
         const p = await setPlayerName(name);
         this.playerName = (p && p.playerName) ? p.playerName : name;
+        if (this.isLocalVersus) {
+            await this.registerPlayer2();
+        }
         this.updateScoreDisplay();
         // Hide overlay
         this.hideStartMenu();
@@ -810,9 +1477,17 @@ class TennisGame {
     handleGameToggle() {
         // Block toggles during countdown
         if (this.isCountingDown) return;
+        // Watching a replay: click, Space and the serve button play/pause it
+        if (this.replay) {
+            this.toggleReplayPause();
+            return;
+        }
         if (!this.gameStarted) {
             // Start with a short countdown first
             this.startGame();
+        } else if (this.gameRunning && this.engine.isAwaitingServe(this.engine.server)) {
+            // Space/click doubles as the serve key for whoever is serving (applied on the next tick)
+            this.serveInputQueued[this.engine.server] = true;
         } else if (this.gameStarted && !this.isPaused) {
             this.togglePause();
         } else if (this.gameStarted && this.isPaused) {
@@ -820,9 +1495,68 @@ class TennisGame {
         }
     }
     
+    // Keyboard serve key for `sides`: serves if one of them is serving, otherwise starts, pauses or resumes
+    pressServe(sides) {
+        const server = this.engine.server;
+        if (this.gameRunning && this.engine.isAwaitingServe(server)) {
+            if (sides.includes(server)) this.serveInputQueued[server] = true;
+            return;
+        }
+        this.handleGameToggle();
+    }
+    
+    // Keyboard sides: the bottom paddle, plus the top one in local versus
+    keyboardSides() {
+        return this.isLocalVersus ? ['player', 'copilot'] : ['player'];
+    }
+    
+    // Gamepads: the first one plays the bottom paddle, the second the top one in local versus.
+    // Buttons act once per press; readInput() takes the stick on every tick.
+    pollGamepads() {
+        const readings = this.gamepads.poll();
+        this.padInput = { player: null, copilot: null };
+        if (this.controlsOpen) {
+            // Remapping a gamepad button: the next press on any pad is the new binding
+            const capture = this.bindingCapture;
+            const reading = capture && capture.device === 'gamepad' && readings.find(r => r.justPressed.includes(true));
+            if (reading) {
+                this.bindings[capture.side].gamepad[capture.action] = reading.justPressed.indexOf(true);
+                this.bindingCapture = null;
+                this.saveBindings();
+            }
+            return;
+        }
+        this.padInput.player = readings[0] || null;
+        if (this.isLocalVersus) this.padInput.copilot = readings[1] || null;
+
+        for (const side of ['player', 'copilot']) {
+            const pad = this.padInput[side];
+            if (!pad) continue;
+            const buttons = this.bindings[side].gamepad;
+            if (pad.justPressed[buttons.pause]) {
+                if (this.gameStarted) this.togglePause();
+                else this.handleGameToggle();
+            } else if (pad.justPressed[buttons.serve]) {
+                // Starts or resumes the match, otherwise tosses and strikes this side's serve
+                if (!this.gameRunning) this.handleGameToggle();
+                else if (this.engine.isAwaitingServe(side)) this.serveInputQueued[side] = true;
+            }
+        }
+    }
+    
+    // Buzz the gamepad of whoever hit the ball
+    rumble(side) {
+        const pad = this.padInput[side];
+        if (pad) this.gamepads.rumble(pad.index);
+    }
+    
     changeDifficulty(difficulty) {
-        this.currentDifficulty = difficulty;
-        this.applyDifficultySettings();
+        // Settings apply to the live match, not a replay being watched
+        this.leaveReplay();
+        this.leaveCampaign();
+        this.leaveDaily();
+        this.engine.setDifficulty(difficulty);
+        if (this.returningMenu && this.returningMenu.style.display === 'block') this.updateMenuRating();
         
         // Reset game if it's running to apply new settings
         if (this.gameStarted) {
@@ -833,243 +1567,618 @@ class TennisGame {
         this.showDifficultyMessage(difficulty);
     }
     
-    applyDifficultySettings() {
-        const settings = this.difficultySettings[this.currentDifficulty];
-        
-        // Update AI paddle speed
-        this.paddle1.speed = settings.aiSpeed;
-        
-        // Update ball properties
-        this.ball.maxSpeed = settings.ballMaxSpeed;
-        
-        // Reset ball to initial speed for current difficulty
-        this.resetBallSpeed();
+    // How the Copilot plays (see src/game/ai.js)
+    changePersonality(personality) {
+        this.leaveReplay();
+        this.leaveCampaign();
+        this.leaveDaily();
+        this.engine.setPersonality(personality);
+        if (this.gameStarted) this.resetGame();
     }
     
-    resetBallSpeed() {
-        // Tennis-style ball reset with safe diagonal trajectory
-        const settings = this.difficultySettings[this.currentDifficulty];
-        
-        // Create safe diagonal trajectory with controlled speeds
-        const horizontalDirection = Math.random() > 0.5 ? 1 : -1;
-        const verticalDirection = Math.random() > 0.5 ? 1 : -1;
+    changeMatchFormat(format) {
+        this.leaveReplay();
+        this.leaveCampaign();
+        this.leaveDaily();
+        this.engine.setFormat(format);
         
-        // Set safe diagonal speeds (within -4 to +4 range for horizontal)
-        this.ball.speedX = Math.max(-3, Math.min(3, 
-            (settings.ballSpeed.x + Math.random() * 0.5) * horizontalDirection
-        ));
-        this.ball.speedY = (settings.ballSpeed.y + Math.random() * 0.5) * verticalDirection;
-        
-        // Ensure minimum movement for continuous gameplay
-        if (Math.abs(this.ball.speedX) < 0.8) {
-            this.ball.speedX = 0.8 * Math.sign(this.ball.speedX || 1);
-        }
-        if (Math.abs(this.ball.speedY) < 0.8) {
-            this.ball.speedY = 0.8 * Math.sign(this.ball.speedY || 1);
-        }
-        
-        // Update max speed based on difficulty
-        this.ball.maxSpeed = settings.ballMaxSpeed;
+        // A new format means a new match
+        this.resetGame();
     }
     
-    // Removed complex updateBallVisualSize function - keeping it simple
+    // 'copilot' (AI), 'human' (second player on this device, top paddle) or 'online'
+    changeOpponent(opponent) {
+        if (!['copilot', 'human', 'online'].includes(opponent)) return;
+        this.leaveReplay();
+        this.leaveCampaign();
+        this.leaveDaily();
+        this.opponentMode = opponent;
+        // Online, the local engine only renders the server's match: no AI on the top side
+        this.engine.setOpponent(opponent === 'copilot' ? 'copilot' : 'human');
+        ['opponentSelect', 'menuOpponentSelect'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.value = opponent;
+        });
+        document.body.classList.toggle('local-versus', opponent === 'human');
+        this.personalityField?.classList.toggle('hide', opponent !== 'copilot');
+        const typed = this.player2NameInput && this.player2NameInput.value ? this.player2NameInput.value.trim() : '';
+        if (this.isLocalVersus) this.player2Name = typed || getPlayer2().playerName || 'Player 2';
+        else this.player2Name = this.isOnline ? 'Opponent' : 'Copilot';
+        // Local versus isn't rated
+        if (this.returningMenu && this.returningMenu.style.display === 'block') this.updateMenuRating();
+        
+        // A new opponent means a new match
+        this.resetGame();
+    }
     
-    // Removed complex triggerBallImpact function - keeping it simple
+    // Save player 2's name and register them in the backend
+    async registerPlayer2() {
+        const p = await setPlayer2Name(this.player2Name);
+        if (p && p.playerName) this.player2Name = p.playerName;
+    }
     
-    hitBallWithPaddle(paddle, isTopPaddle = false) {
-        // Smart tennis-style paddle hit with fair trajectory calculation
-        const hitPos = (this.ball.x + this.ball.width/2 - paddle.x) / paddle.width; // 0 to 1
-        const settings = this.difficultySettings[this.currentDifficulty];
-        
-        // Get opponent paddle for position awareness
-        const opponentPaddle = isTopPaddle ? this.paddle2 : this.paddle1;
-        const opponentCenterX = opponentPaddle.x + opponentPaddle.width / 2;
-        
-        // Calculate safe target area on opponent's side
-        const courtLeftSafe = this.courtBounds.left + 40; // 40px margin from sideline
-        const courtRightSafe = this.courtBounds.right - 40; // 40px margin from sideline
-        const safeTargetWidth = courtRightSafe - courtLeftSafe;
-        
-        // Calculate horizontal direction with opponent awareness
-        let targetX;
-        
-        // Base target calculation from hit position
-        const baseTargetX = courtLeftSafe + (hitPos * safeTargetWidth);
-        
-        // Adjust target to avoid extreme corners if opponent is already at edge
-        if (opponentCenterX < this.width * 0.3) {
-            // Opponent is on the left, favor center-right shots
-            targetX = Math.max(baseTargetX, this.width * 0.4);
-        } else if (opponentCenterX > this.width * 0.7) {
-            // Opponent is on the right, favor center-left shots
-            targetX = Math.min(baseTargetX, this.width * 0.6);
-        } else {
-            // Opponent is center, use normal targeting
-            targetX = baseTargetX;
-        }
-        
-        // Calculate trajectory to reach target
-        const ballCurrentX = this.ball.x + this.ball.width / 2;
-        const horizontalDistance = targetX - ballCurrentX;
-        
-        // Estimate trajectory time to opponent's side
-        const verticalDistance = isTopPaddle ? 
-            (this.netPosition + 50) - this.ball.y : // AI to player area
-            this.ball.y - (this.netPosition - 50);   // Player to AI area
-        
-        const trajectoryTime = Math.max(20, Math.abs(verticalDistance / 2)); // Minimum 20 frames
-        
-        // Calculate required speeds
-        let targetSpeedX = horizontalDistance / trajectoryTime;
-        let targetSpeedY = isTopPaddle ? 
-            Math.abs(verticalDistance / trajectoryTime) : // Positive for downward
-            -Math.abs(verticalDistance / trajectoryTime);  // Negative for upward
-        
-        // Apply safe horizontal speed limits (-4 to +4 as requested)
-        targetSpeedX = Math.max(-4, Math.min(4, targetSpeedX));
-        
-        // Ensure good vertical speed for proper trajectory
-        const minVerticalSpeed = 1.2;
-        const maxVerticalSpeed = settings.ballMaxSpeed * 0.8;
-        
-        if (isTopPaddle) {
-            // AI paddle - ensure downward movement
-            targetSpeedY = Math.max(minVerticalSpeed, Math.min(maxVerticalSpeed, Math.abs(targetSpeedY)));
-        } else {
-            // Player paddle - ensure upward movement
-            targetSpeedY = -Math.max(minVerticalSpeed, Math.min(maxVerticalSpeed, Math.abs(targetSpeedY)));
+    // Match over: stop the clock, play the ending animation and record the result
+    handleMatchEnd(event) {
+        this.gameRunning = false;
+        this.finalMatchTimeMs = event.durationMs;
+        // Local versus: one of the two humans won, so always celebrate
+        const celebrate = event.winner === 'player' || this.isLocalVersus;
+        this.animationState = celebrate ? 'victory' : 'defeat';
+        this.animationFrame = 0;
+        if (celebrate) this.initConfetti();
+        this.updateScoreDisplay();
+        // The whole outcome goes in the one match record; the opponent is the Copilot or player 2
+        const outcome = {
+            winner: event.winner === 'player' ? 'player' : 'opponent',
+            points: { player: event.playerScore, opponent: event.copilotScore },
+            longestRally: event.longestRally,
+            pointLog: event.pointLog,
+            adaptiveLevel: event.adaptiveLevel ?? null
+        };
+        // Keep the replay for watching and exporting; it is sent along with the match result
+        const replay = this.recorder ? this.recorder.finish(event) : null;
+        this.recorder = null;
+        if (replay) this.lastReplay = replay;
+        this.updateReplayButtons();
+        if (this.isOnline) {
+            // The server records online matches for both players
+            const online = this.online;
+            this.online = null;
+            online?.leave();
+            return;
         }
-        
-        // Add controlled randomness for unpredictability (smaller variation for fairness)
-        const randomFactorX = (Math.random() - 0.5) * 0.8; // ±0.4 variation
-        const randomFactorY = (Math.random() - 0.5) * 0.6; // ±0.3 variation
-        
-        targetSpeedX += randomFactorX;
-        targetSpeedY += randomFactorY * (isTopPaddle ? 1 : -1);
-        
-        // Final safety clamps
-        targetSpeedX = Math.max(-4, Math.min(4, targetSpeedX)); // Hard limit as requested
-        
-        if (isTopPaddle) {
-            targetSpeedY = Math.max(0.8, Math.min(settings.ballMaxSpeed, targetSpeedY));
-        } else {
-            targetSpeedY = Math.max(-settings.ballMaxSpeed, Math.min(-0.8, targetSpeedY));
+        if (this.isLocalVersus) {
+            // PvP result with both player IDs; the score leaderboard stays Copilot-only
+            this.matchSession
+                .then(token => submitPvpMatch(event.durationMs, event.setScores, token, replay, outcome))
+                .then(match => this.showUploadedReplay(match))
+                .catch(() => {});
+            return;
         }
-        
-        // Apply the calculated trajectory
-        this.ball.speedX = targetSpeedX;
-        this.ball.speedY = targetSpeedY;
-        
-        // Play tennis ball hit sound
-        this.playBallHitSound();
+        // Record the match with its duration, difficulty, set scores and outcome; the server also
+        // counts the points as this game's score (even on loss), and moves a career round's player on
+        const campaign = this.campaign;
+        const daily = this.daily;
+        if (campaign) campaign.played = true;
+        const submission = this.matchSession
+            .then(token => submitMatch(event.durationMs, this.engine.currentDifficulty, event.setScores, token, replay, outcome))
+            .then(match => {
+                if (campaign && campaign === this.campaign) this.campaignResult = match?.campaign || null;
+                if (daily && daily === this.daily) this.dailyResult = match?.daily || null;
+                this.showUploadedReplay(match);
+            })
+            .catch(() => {});
+        if (campaign) this.campaignSubmission = submission;
     }
-    
-    // Removed complex resetBallState function - keeping it simple
-    
-    // Handle scoring delay and ball reset after a point
-    triggerScoreDelay(scorer) {
-        this.isScoreDelay = true;
-        this.lastScorer = scorer;
-        
-        // Use setTimeout to handle the delay
-        setTimeout(() => {
-            this.restartAfterScore();
-        }, this.scoreDelayDuration);
+
+    // The recorded match (the API's new Matches row) carries the ID of its stored replay
+    showUploadedReplay(match) {
+        if (match && match.replayId) this.setReplayStatus(`Last match uploaded as replay ${match.replayId}`);
+    }
+
+    updateSyncIndicator(pending) {
+        if (!this.syncIndicator) return;
+        this.syncIndicator.textContent = `⟳ ${pending} pending sync`;
+        this.syncIndicator.classList.toggle('hide', pending === 0);
     }
     
-    restartAfterScore() {
-        if (this.gameEnded) {
-            this.isScoreDelay = false;
-            return;
+    // Profile overlay (opened from the returning-player menu): the player's stats and two charts
+    // Timers leaderboard overlay: a page of the best winning times for a difficulty and period, or the
+    // player's own rank with the players either side of it
+    setupTimersLeaderboard() {
+        const overlay = document.getElementById('timersLeaderboardOverlay');
+        if (!overlay) return;
+        const difficultySelect = document.getElementById('leaderboardDifficulty');
+        const listEl = document.getElementById('timersList');
+        const footer = document.getElementById('timersFooter');
+        const prevBtn = document.getElementById('timersPrevBtn');
+        const nextBtn = document.getElementById('timersNextBtn');
+        const myRankBtn = document.getElementById('timersMyRankBtn');
+        const tabs = { day: 'timersPeriodDay', week: 'timersPeriodWeek', month: 'timersPeriodMonth', all: 'timersPeriodAll' };
+        const PAGE_SIZE = 5;
+        const view = { period: 'all', offset: 0, mine: false };
+        let request = 0;
+
+        const formatTime = (ms) => {
+            ms = Number(ms) || 0;
+            const minutes = Math.floor(ms / 60000);
+            const seconds = Math.floor((ms % 60000) / 1000);
+            const millis = ms % 1000;
+            return `${String(minutes).padStart(2,'0')}:${String(seconds).padStart(2,'0')}.${String(millis).padStart(3,'0')}`;
+        };
+
+        const render = (rows, myId) => {
+            listEl.innerHTML = '';
+            // The list numbers itself from the first row's rank
+            listEl.start = rows[0].rank;
+            rows.forEach(r => {
+                const li = document.createElement('li');
+                if (myId && String(r.playerId).toLowerCase() === myId) li.className = 'mine';
+                const name = document.createElement('span');
+                name.textContent = r.playerName || r.playerId;
+                const meta = document.createElement('span');
+                meta.className = 'meta';
+                meta.textContent = formatTime(r.bestDurationMs);
+                li.appendChild(name);
+                li.appendChild(meta);
+                listEl.appendChild(li);
+            });
+        };
+
+        const load = async () => {
+            const current = ++request;
+            Object.entries(tabs).forEach(([period, id]) => {
+                document.getElementById(id)?.setAttribute('aria-selected', String(period === view.period));
+            });
+            myRankBtn?.setAttribute('aria-pressed', String(view.mine));
+            listEl.innerHTML = '<li>Loading…</li>';
+            const page = await getTimersLeaderboard(difficultySelect?.value || null, { period: view.period, limit: PAGE_SIZE, offset: view.offset });
+            if (current !== request) return;
+            if (prevBtn) prevBtn.disabled = view.mine || !page || view.offset === 0;
+            if (nextBtn) nextBtn.disabled = view.mine || !page || view.offset + PAGE_SIZE >= page.total;
+            if (!page) {
+                listEl.innerHTML = '<li>Failed to load leaderboard</li>';
+                return;
+            }
+            const myId = String(getPlayer().playerId || '').toLowerCase();
+            const rows = view.mine ? page.around : page.entries;
+            if (rows.length > 0) render(rows, myId);
+            else listEl.innerHTML = view.mine ? '<li>No winning time in this period yet</li>' : '<li>No records yet</li>';
+            if (footer) {
+                const mine = page.me ? ` Your rank: ${page.me.rank} of ${page.total}.` : '';
+                footer.textContent = `Best (fastest) winning time per player, ${page.total} ranked.${mine}`;
+            }
+        };
+
+        const hide = () => {
+            overlay.classList.add('hide');
+            overlay.setAttribute('aria-hidden', 'true');
+            listEl.innerHTML = '';
+        };
+
+        document.getElementById('timersLeaderboardBtn')?.addEventListener('click', () => {
+            overlay.classList.remove('hide');
+            overlay.setAttribute('aria-hidden', 'false');
+            view.offset = 0;
+            load();
+        });
+        document.getElementById('closeTimersBtn')?.addEventListener('click', () => hide());
+        difficultySelect?.addEventListener('change', () => {
+            view.offset = 0;
+            load();
+        });
+        Object.entries(tabs).forEach(([period, id]) => {
+            document.getElementById(id)?.addEventListener('click', () => {
+                view.period = period;
+                view.offset = 0;
+                load();
+            });
+        });
+        prevBtn?.addEventListener('click', () => {
+            view.offset = Math.max(0, view.offset - PAGE_SIZE);
+            load();
+        });
+        nextBtn?.addEventListener('click', () => {
+            view.offset += PAGE_SIZE;
+            load();
+        });
+        myRankBtn?.addEventListener('click', () => {
+            view.mine = !view.mine;
+            load();
+        });
+
+        // Accessibility: close overlay on ESC
+        document.addEventListener('keydown', (ev) => {
+            if (ev.key === 'Escape' && !overlay.classList.contains('hide')) hide();
+        });
+    }
+
+    setupProfile() {
+        const overlay = document.getElementById('profileOverlay');
+        if (!overlay) return;
+        const hide = () => {
+            overlay.classList.add('hide');
+            overlay.setAttribute('aria-hidden', 'true');
+        };
+        document.getElementById('closeProfileBtn')?.addEventListener('click', () => hide());
+        document.addEventListener('keydown', (ev) => {
+            if (ev.key === 'Escape' && !overlay.classList.contains('hide')) hide();
+        });
+    }
+
+    async showProfile() {
+        const overlay = document.getElementById('profileOverlay');
+        if (!overlay) return;
+        overlay.classList.remove('hide');
+        overlay.setAttribute('aria-hidden', 'false');
+        const status = document.getElementById('profileStatus');
+        const title = document.getElementById('profileTitle');
+        if (title) title.textContent = this.playerName || 'Profile';
+        if (status) status.textContent = 'Loading…';
+        this.renderProfile(null);
+        try {
+            const stats = await getPlayerStats(getPlayer().playerId);
+            this.renderProfile(stats);
+            if (status) status.textContent = '';
+        } catch (e) {
+            if (status) status.textContent = e.message;
         }
-        
-        // Reset ball to center
-        this.ball.x = this.width / 2;
-        this.ball.y = this.height / 2;
-        
-        // Get current difficulty settings
-        const settings = this.difficultySettings[this.currentDifficulty];
-        const baseSpeedX = settings.ballSpeed.x;
-        const baseSpeedY = settings.ballSpeed.y;
-        
-        // Serve ball in a safe diagonal trajectory towards the opponent
-        // Use controlled horizontal speed within safe range
-        const safeHorizontalSpeed = Math.max(-3, Math.min(3, 
-            (baseSpeedX + Math.random() * 0.5) * (Math.random() > 0.5 ? 1 : -1)
-        ));
-        
-        if (this.lastScorer === 'player') {
-            // Player scored, serve towards copilot (upward diagonal)
-            this.ball.speedX = safeHorizontalSpeed;
-            this.ball.speedY = -(baseSpeedY + Math.random() * 0.5); // Negative = upward
-        } else {
-            // Copilot scored, serve towards player (downward diagonal)
-            this.ball.speedX = safeHorizontalSpeed;
-            this.ball.speedY = baseSpeedY + Math.random() * 0.5; // Positive = downward
+    }
+
+    // Fill the stat tiles and draw the charts; null clears them
+    renderProfile(stats) {
+        const summary = document.getElementById('profileSummary');
+        const time = (ms) => {
+            if (ms == null) return '–';
+            const seconds = Math.round(ms / 1000);
+            return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        if (summary) {
+            summary.innerHTML = '';
+            const tiles = stats ? [
+                ['Matches', stats.record.played],
+                ['Won / lost', `${stats.record.wins} / ${stats.record.losses}`],
+                ['Win rate', stats.record.wins + stats.record.losses ? `${Math.round(100 * stats.record.wins / (stats.record.wins + stats.record.losses))}%` : '–'],
+                ['Win streak', stats.streaks.current],
+                ['Best streak', stats.streaks.longest],
+                ['Points won / lost', stats.points.matches ? `${stats.points.won} / ${stats.points.lost}` : '–'],
+                ['Average match', time(stats.duration.averageMs)],
+                ['Fastest win', time(stats.duration.bestMs)],
+                ['Best score', stats.scores.best]
+            ] : [];
+            for (const [label, value] of tiles) {
+                const tile = document.createElement('div');
+                const dt = document.createElement('dt');
+                const dd = document.createElement('dd');
+                dt.textContent = label;
+                dd.textContent = String(value);
+                tile.appendChild(dt);
+                tile.appendChild(dd);
+                summary.appendChild(tile);
+            }
         }
-        
-        // Ensure minimum diagonal movement
-        if (Math.abs(this.ball.speedX) < 0.8) {
-            this.ball.speedX = 0.8 * Math.sign(this.ball.speedX);
+
+        const recordCanvas = document.getElementById('profileRecordChart');
+        const activityCanvas = document.getElementById('profileActivityChart');
+        if (recordCanvas) {
+            // Copilot difficulties, then the two-player modes
+            const rows = stats ? [
+                ...Object.entries(stats.byDifficulty).map(([label, record]) => ({ label, ...record })),
+                { label: 'versus', ...stats.byMode.pvp },
+                { label: 'online', ...stats.byMode.online }
+            ] : [];
+            drawRecordChart(recordCanvas.getContext('2d'), rows, { width: recordCanvas.width, height: recordCanvas.height });
         }
-        if (Math.abs(this.ball.speedY) < 0.8) {
-            this.ball.speedY = 0.8 * Math.sign(this.ball.speedY);
+        const personalityCanvas = document.getElementById('profilePersonalityChart');
+        if (personalityCanvas) {
+            const rows = stats ? Object.entries(stats.byPersonality || {})
+                .map(([name, record]) => ({ label: AI_PERSONALITIES[name]?.label || name, ...record })) : [];
+            drawRecordChart(personalityCanvas.getContext('2d'), rows, { width: personalityCanvas.width, height: personalityCanvas.height, labelWidth: 120 });
+        }
+        if (activityCanvas) {
+            drawActivityChart(activityCanvas.getContext('2d'), stats ? stats.activity : [], { width: activityCanvas.width, height: activityCanvas.height });
         }
-        
-        this.isScoreDelay = false;
     }
-    
-    // Removed complex handleOutOfBounds function - keeping it simple
-    
-    checkWinCondition() {
-        if (this.playerScore >= this.winningScore) {
-            // Player wins!
-            this.gameEnded = true;
-            this.winner = 'player';
-            this.gameRunning = false;
-            this.animationState = 'victory';
-            this.animationFrame = 0;
-            this.initConfetti();
-            // Stop timer at match end
-            if (this.matchStartTime != null && this.finalMatchTimeMs == null) {
-                this.finalMatchTimeMs = Math.max(0, Math.floor(performance.now() - this.matchStartTime));
-            }
-            // submit final score
-            this.submitFinalScore();
-            // New: record match duration and difficulty
-            if (this.finalMatchTimeMs != null) {
-                submitMatch(this.finalMatchTimeMs, this.currentDifficulty).catch(() => {});
-            }
-        } else if (this.copilotScore >= this.winningScore) {
-            // Copilot wins!
-            this.gameEnded = true;
-            this.winner = 'copilot';
-            this.gameRunning = false;
-            this.animationState = 'defeat';
-            this.animationFrame = 0;
-            // Stop timer at match end
-            if (this.matchStartTime != null && this.finalMatchTimeMs == null) {
-                this.finalMatchTimeMs = Math.max(0, Math.floor(performance.now() - this.matchStartTime));
-            }
-            // submit final score even on loss
-            this.submitFinalScore();
-            // New: record match duration and difficulty
-            if (this.finalMatchTimeMs != null) {
-                submitMatch(this.finalMatchTimeMs, this.currentDifficulty).catch(() => {});
+
+    // Account panel: sign in, create an account or get an emailed link; finishes ?signin=<token> links
+    setupAccount() {
+        const overlay = document.getElementById('accountOverlay');
+        if (!overlay) return;
+        const emailInput = document.getElementById('accountEmailInput');
+        const passwordInput = document.getElementById('accountPasswordInput');
+
+        const show = () => {
+            if (this.gameRunning && !this.isOnline) this.togglePause();
+            overlay.classList.remove('hide');
+            overlay.setAttribute('aria-hidden', 'false');
+            this.updateAccountPanel();
+        };
+        const hide = () => {
+            overlay.classList.add('hide');
+            overlay.setAttribute('aria-hidden', 'true');
+        };
+        // Run a sign-in action, showing progress and its error in the panel
+        const run = async (pending, action) => {
+            this.setAccountStatus(pending);
+            try {
+                const message = await action();
+                this.setAccountStatus(message || '');
+            } catch (e) {
+                this.setAccountStatus(e.message);
             }
+            this.updateAccountPanel();
+        };
+        const signedIn = (account) => {
+            this.account = account;
+            this.playerName = account.playerName;
+            passwordInput.value = '';
+            this.updateScoreDisplay();
+        };
+
+        document.getElementById('accountBtn')?.addEventListener('click', () => show());
+        document.getElementById('closeAccountBtn')?.addEventListener('click', () => hide());
+        document.getElementById('accountForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            run('Signing in…', async () => signedIn(await signIn(emailInput.value, passwordInput.value)));
+        });
+        document.getElementById('signUpBtn')?.addEventListener('click', () => {
+            run('Creating account…', async () => signedIn(await signUp(emailInput.value, passwordInput.value)));
+        });
+        document.getElementById('signInLinkBtn')?.addEventListener('click', () => {
+            run('Sending…', async () => {
+                await requestSignInLink(emailInput.value);
+                return `Sign-in link sent to ${emailInput.value.trim()}`;
+            });
+        });
+        document.getElementById('signOutBtn')?.addEventListener('click', () => {
+            run('Signing out…', async () => {
+                await signOut();
+                this.account = null;
+                return 'Signed out. New matches count for a new guest player until you sign in again.';
+            });
+        });
+        document.addEventListener('keydown', (ev) => {
+            if (ev.key === 'Escape' && !overlay.classList.contains('hide')) hide();
+        });
+
+        // Emailed link: ?signin=<token>, used once then dropped from the address bar
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('signin');
+        if (token) {
+            params.delete('signin');
+            const query = params.toString();
+            window.history?.replaceState?.(null, '', window.location.pathname + (query ? `?${query}` : ''));
+            show();
+            run('Signing in…', async () => signedIn(await completeSignInLink(token)));
+        } else {
+            getAccount().then(account => {
+                this.account = account;
+                this.updateAccountPanel();
+            });
         }
     }
 
-    // Submit the final score to the backend once per game
-    submitFinalScore() {
-        if (this.finalScoreSubmitted) return;
-        this.finalScoreSubmitted = true;
-        // Fire-and-forget; backend will update best score/history
-        submitScore(this.playerScore).catch(err => {
-            console.warn('Failed to submit final score:', err);
-        });
+    setAccountStatus(text) {
+        const el = document.getElementById('accountStatus');
+        if (el) el.textContent = text;
+    }
+
+    updateAccountPanel() {
+        const summary = document.getElementById('accountSummary');
+        if (summary) {
+            summary.textContent = this.account
+                ? `Signed in as ${this.account.playerName} (${this.account.email})`
+                : 'Playing as a guest on this device.';
+        }
+        document.getElementById('accountForm')?.classList.toggle('hide', !!this.account);
+        document.getElementById('signOutBtn')?.classList.toggle('hide', !this.account);
     }
 
+    // Replays panel (watch or export the last match, import a file, load a shared replay) and the playback bar
+    setupReplays() {
+        const overlay = document.getElementById('replaysOverlay');
+        if (!overlay) return;
+        const fileInput = document.getElementById('importReplayInput');
+        const idInput = document.getElementById('replayIdInput');
+
+        const show = () => {
+            // Don't let the match run on behind the panel
+            if (this.gameRunning && !this.isOnline) this.togglePause();
+            overlay.classList.remove('hide');
+            overlay.setAttribute('aria-hidden', 'false');
+            this.updateReplayButtons();
+        };
+        const hide = () => {
+            overlay.classList.add('hide');
+            overlay.setAttribute('aria-hidden', 'true');
+        };
+        const watch = (replay) => {
+            this.openReplay(replay);
+            hide();
+        };
+        const loadById = async (replayId) => {
+            this.setReplayStatus('Loading…');
+            try {
+                const saved = await getReplay(replayId);
+                watch(saved.replay);
+                this.setReplayStatus('');
+            } catch (e) {
+                this.setReplayStatus(`Could not load replay ${replayId}: ${e.message}`);
+                show();
+            }
+        };
+
+        document.getElementById('replaysBtn')?.addEventListener('click', () => show());
+        document.getElementById('closeReplaysBtn')?.addEventListener('click', () => hide());
+        document.getElementById('watchReplayBtn')?.addEventListener('click', () => {
+            if (this.lastReplay) watch(this.lastReplay);
+        });
+        document.getElementById('exportReplayBtn')?.addEventListener('click', () => this.exportReplay(this.lastReplay));
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                watch(JSON.parse(await file.text()));
+                this.setReplayStatus('');
+            } catch (e) {
+                this.setReplayStatus(`Could not open ${file.name}: ${e.message}`);
+            }
+        });
+        const loadTyped = () => {
+            const replayId = idInput.value.trim();
+            if (replayId) loadById(replayId);
+        };
+        document.getElementById('loadReplayBtn')?.addEventListener('click', loadTyped);
+        idInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') loadTyped();
+        });
+
+        // Playback bar under the court
+        document.getElementById('replayPlayBtn')?.addEventListener('click', () => this.toggleReplayPause());
+        document.getElementById('replaySeek')?.addEventListener('input', (e) => this.seekReplay(Number(e.target.value)));
+        document.getElementById('replaySpeed')?.addEventListener('change', (e) => this.setReplaySpeed(Number(e.target.value)));
+        document.getElementById('replayExportBtn')?.addEventListener('click', () => this.replay && this.exportReplay(this.replay.player.replay));
+        document.getElementById('replayCloseBtn')?.addEventListener('click', () => this.resetGame());
+
+        // Accessibility: close overlay on ESC
+        document.addEventListener('keydown', (ev) => {
+            if (ev.key === 'Escape' && !overlay.classList.contains('hide')) hide();
+        });
+
+        // Shared link: ?replay=<replayId>
+        const sharedId = new URLSearchParams(window.location.search).get('replay');
+        if (sharedId) loadById(sharedId);
+        this.updateReplayButtons();
+    }
+    
+    setReplayStatus(text) {
+        const el = document.getElementById('replayStatus');
+        if (el) el.textContent = text;
+    }
+    
+    updateReplayButtons() {
+        ['watchReplayBtn', 'exportReplayBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !this.lastReplay;
+        });
+    }
+    
+    // Watch `replay` on the court in place of the live match. Throws if the file can't be played.
+    openReplay(replay) {
+        const player = new ReplayPlayer(replay);
+        this.resetGame();
+        this.replay = { player, liveEngine: this.engine, paused: false, speed: 1 };
+        this.engine = player.engine;
+        this.watchEngine(this.engine);
+        // Started but not running: keys, clicks and buttons control the replay (see handleGameToggle)
+        this.gameStarted = true;
+        this.setReplaySpeed(1);
+        const speedSelect = document.getElementById('replaySpeed');
+        if (speedSelect) speedSelect.value = '1';
+        const seek = document.getElementById('replaySeek');
+        if (seek) seek.max = String(player.length);
+        document.getElementById('replayBar')?.classList.remove('hide');
+        this.updateSpritePositions();
+        this.snapshotState();
+        this.updateButtonStates();
+        this.updateScoreDisplay();
+    }
+    
+    // Back to the live engine (reset when the replay was opened)
+    leaveReplay() {
+        if (!this.replay) return;
+        this.engine = this.replay.liveEngine;
+        this.replay = null;
+        this.clock.stepMs = TICK_MS;
+        this.shotCallout = null;
+        this.gameStarted = false;
+        document.getElementById('replayBar')?.classList.add('hide');
+        this.updateSpritePositions();
+        this.snapshotState();
+        this.updateButtonStates();
+        this.updateScoreDisplay();
+    }
+    
+    toggleReplayPause() {
+        const replay = this.replay;
+        // Play again from the start once it has ended
+        if (replay.paused && replay.player.finished) this.seekReplay(0);
+        replay.paused = !replay.paused;
+        this.updateButtonStates();
+    }
+    
+    // One tick of the replay; the clock runs faster or slower with the playback speed
+    stepReplay() {
+        const replay = this.replay;
+        if (replay.paused) return;
+        replay.player.step();
+        this.updateSpritePositions();
+        if (replay.player.finished) {
+            replay.paused = true;
+            this.updateButtonStates();
+        }
+    }
+    
+    seekReplay(tick) {
+        this.replay.player.seek(tick);
+        this.shotCallout = null;
+        this.updateSpritePositions();
+        this.snapshotState();
+        this.updateScoreDisplay();
+    }
+    
+    setReplaySpeed(speed) {
+        if (!this.replay || !REPLAY_SPEEDS.includes(speed)) return;
+        this.replay.speed = speed;
+        this.clock.stepMs = TICK_MS / speed;
+    }
+    
+    // Position, length and play button of the playback bar
+    updateReplayBar() {
+        const { player, paused } = this.replay;
+        const clock = (ticks) => {
+            const seconds = Math.floor(ticks * TICK_MS / 1000);
+            return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        const seek = document.getElementById('replaySeek');
+        if (seek) seek.value = String(player.tick);
+        const time = document.getElementById('replayTime');
+        if (time) time.textContent = `${clock(player.tick)} / ${clock(player.length)}`;
+        const playBtn = document.getElementById('replayPlayBtn');
+        if (playBtn) playBtn.textContent = paused ? '▶' : '⏸';
+    }
+    
+    // Download a replay as a JSON file
+    exportReplay(replay) {
+        if (!replay) return;
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        const stamp = (replay.recordedAt || '').slice(0, 19).replace(/[:T]/g, '-');
+        link.href = url;
+        link.download = `ace2ace-replay-${stamp || replay.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    // Replay marker in the corner of the court
+    drawReplayBadge() {
+        const ctx = this.ctx;
+        const { player, paused, speed } = this.replay;
+        const label = player.finished ? '⏹ REPLAY · END' : `${paused ? '⏸' : '▶'} REPLAY · ${speed}x`;
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(8, 8, 190, 28);
+        ctx.fillStyle = '#FFD700';
+        ctx.font = 'bold 16px Courier New';
+        ctx.textAlign = 'left';
+        ctx.fillText(label, 16, 28);
+        ctx.restore();
+    }
+    
     showDifficultyMessage(difficulty) {
         // Create temporary message overlay
         const canvas = this.canvas;
@@ -1105,9 +2214,63 @@ class TennisGame {
     startGame() {
         // If already started or counting down, ignore
         if (this.gameStarted || this.isCountingDown) return;
+        // A career round is played once: the map picks the next one
+        if (this.campaign?.played) {
+            this.openCampaign?.();
+            return;
+        }
+        // A past day's challenge can't be played any more: the overlay brings today's
+        if (this.daily && this.daily.day !== challengeDay()) {
+            this.openDaily?.();
+            return;
+        }
+        if (this.isOnline) {
+            this.findOnlineMatch();
+            return;
+        }
         this.beginCountdown();
     }
 
+    // Online: join matchmaking; the match starts as soon as the server pairs us with another player
+    findOnlineMatch() {
+        if (this.online) return;
+        const nameToUse = (this.playerName && this.playerName.trim()) ? this.playerName.trim() : 'Player';
+
+        // The server plays us as our session's player, so the session must exist before connecting
+        const online = new OnlineMatch(this.engine, {
+            playerName: nameToUse,
+            difficulty: this.engine.currentDifficulty,
+            format: this.engine.currentFormat,
+            onMatched: (opponent) => {
+                this.player2Name = opponent.playerName || 'Opponent';
+                this.onlineMessage = '';
+                this.finalMatchTimeMs = null;
+                this.gameStarted = true;
+                this.gameRunning = true;
+                this.isPaused = false;
+                this.updateButtonStates();
+                this.updateScoreDisplay();
+            },
+            onStatus: (status, detail) => {
+                if (this.online !== online) return;
+                if (status === 'connecting') this.onlineMessage = 'Connecting…';
+                else if (status === 'waiting') this.onlineMessage = 'Waiting for an opponent…';
+                else if (status === 'opponentLeft' || status === 'closed' || status === 'error') {
+                    this.onlineMessage = status === 'opponentLeft' ? 'Your opponent left the match'
+                        : status === 'error' ? `Online play unavailable${detail ? `: ${detail}` : ''}` : 'Disconnected';
+                    this.gameRunning = false;
+                    this.online = null;
+                    this.updateButtonStates();
+                }
+            }
+        });
+        this.online = online;
+        this.updateButtonStates();
+        ensurePlayerInBackend(nameToUse)
+            .catch(err => console.warn('Failed to ensure player before start:', err))
+            .then(() => { if (this.online === online) online.connect(); });
+    }
+
     // Begin a simple 1,2,3 countdown, then start the match
     beginCountdown() {
         this.isCountingDown = true;
@@ -1117,6 +2280,9 @@ class TennisGame {
         // Ensure player exists in backend before the match actually starts
         const nameToUse = (this.playerName && this.playerName.trim()) ? this.playerName.trim() : 'Player';
         ensurePlayerInBackend(nameToUse).catch(err => console.warn('Failed to ensure player before start:', err));
+        if (this.isLocalVersus) {
+            this.registerPlayer2().catch(err => console.warn('Failed to ensure player 2 before start:', err));
+        }
 
         const steps = ['1', '2', '3'];
         let idx = 0;
@@ -1153,18 +2319,34 @@ class TennisGame {
     }
 
     finalizeStart() {
-        // Start live timer
-        this.matchStartTime = performance.now();
+        // Start live timer (simulated time, so pauses and slow frames don't count)
         this.finalMatchTimeMs = null;
 
         this.gameStarted = true;
         this.gameRunning = true;
         this.isPaused = false;
+        // Presets the API tuned during the last match apply from this one
+        this.applyDifficultyPresets();
+        // Record every tick's inputs from here, for the replay
+        // A daily challenge match draws from the day's seed itself (its replay is checked for it)
+        if (this.daily) this.engine.reseed();
+        this.recorder = new ReplayRecorder(this.engine);
+        this.dailyResult = null;
+        // The server's token for this match; the result is submitted with it
+        this.matchSession = startMatchSession(this.engine.currentDifficulty, this.engine.currentFormat, this.isLocalVersus ? 'pvp' : 'copilot',
+            this.engine.personality, this.customDifficulty, this.campaign?.tier ?? null, this.daily?.day ?? null);
+        this.engine.start();
         this.updateButtonStates();
+        this.updateScoreDisplay();
     }
     
     togglePause() {
-        if (!this.gameStarted) return;
+        if (this.replay) {
+            this.toggleReplayPause();
+            return;
+        }
+        // The server keeps an online match running
+        if (!this.gameStarted || this.isOnline) return;
         
         this.isPaused = !this.isPaused;
         this.gameRunning = !this.isPaused;
@@ -1176,6 +2358,16 @@ class TennisGame {
         const pauseBtn = document.getElementById('pauseBtn');
         const newGameBtn = document.getElementById('newGameBtn');
         
+        if (this.replay) {
+            // The pause button plays/pauses the replay, New Game goes back to the game
+            startBtn.disabled = true;
+            startBtn.textContent = 'Watching Replay';
+            pauseBtn.disabled = false;
+            pauseBtn.textContent = this.replay.paused ? 'Play' : 'Pause';
+            pauseBtn.classList.toggle('paused', this.replay.paused);
+            return;
+        }
+        
         if (this.isCountingDown) {
             // During countdown, disable controls
             startBtn.disabled = true;
@@ -1186,6 +2378,14 @@ class TennisGame {
             return;
         }
         
+        if (this.online && !this.gameStarted) {
+            // Online matchmaking in progress
+            startBtn.disabled = true;
+            startBtn.textContent = 'Finding Opponent…';
+            pauseBtn.disabled = true;
+            return;
+        }
+        
         if (!this.gameStarted) {
             startBtn.disabled = false;
             startBtn.textContent = 'Start Game';
@@ -1201,13 +2401,24 @@ class TennisGame {
         } else {
             startBtn.disabled = true;
             startBtn.textContent = 'Game Running';
-            pauseBtn.disabled = false;
+            pauseBtn.disabled = this.isOnline; // Online matches can't be paused
             pauseBtn.textContent = 'Pause';
             pauseBtn.classList.remove('paused');
         }
     }
     
     resetGame() {
+        // Back from a replay to the live engine
+        this.leaveReplay();
+        
+        // Leave any online match or matchmaking queue
+        if (this.online) {
+            const online = this.online;
+            this.online = null;
+            online.leave();
+        }
+        this.onlineMessage = '';
+        
         // Cancel any active countdown
         if (this.countdownTimer) {
             clearTimeout(this.countdownTimer);
@@ -1217,53 +2428,91 @@ class TennisGame {
         this.countdownText = '';
         
         // Clear timer state
-        this.matchStartTime = null;
         this.finalMatchTimeMs = null;
         
-        // Reset ball position and properties
-        this.ball.x = this.width / 2 - this.ball.width / 2;
-        this.ball.y = this.height / 2 - this.ball.height / 2;
-        
-        // Reset ball speed
-        this.resetBallSpeed();
+        // Fresh match (and seed, unless the daily challenge or the URL pins one) in the engine
+        this.engine.reset(this.daily?.seed ?? this.fixedSeed ?? randomSeed());
+        this.touchTargets = { player: null, copilot: null };
+        this.serveInputQueued = { player: false, copilot: false };
+        this.touchShots = { player: null, copilot: null };
+        this.shotCallout = null;
+        this.updateSpritePositions();
         
-        // Reset paddle positions
-        this.paddle1.x = this.width / 2 - this.paddle1.width / 2; // Copilot centered at top
-        this.paddle2.x = this.width / 2 - this.paddle2.width / 2; // Player centered at bottom
-        
-        // Reset AI target position
-        this.aiTarget.x = this.paddle1.x;
-        this.aiTarget.y = this.paddle1.y;
-        
-        // Reset player sprite position
-        this.updatePlayerSpritePosition();
-        // NEW: Reset copilot sprite position
-        this.updateCopilotSpritePosition();
-        
-        // Reset scores and win conditions
-        this.copilotScore = 0;
-        this.playerScore = 0;
-        this.gameEnded = false;
-        this.winner = null;
         this.animationState = 'none';
         this.animationFrame = 0;
         this.fadeOpacity = 1;
         this.confetti = [];
-        
-        // Reset duplicate submission guard
-        this.finalScoreSubmitted = false;
-
-        // Apply current difficulty settings
-        this.applyDifficultySettings();
+        this.recorder = null;
         
         this.gameRunning = false;
         this.gameStarted = false;
         this.isPaused = false;
         this.updateButtonStates();
         this.updateScoreDisplay();
+        this.snapshotState();
+    }
+    
+    // Remember positions at the start of a tick so draw() can interpolate toward the new ones
+    snapshotState() {
+        ['ball', 'paddle1', 'paddle2', 'playerSprite', 'copilotSprite'].forEach(key => {
+            const current = this.stateObject(key);
+            this.previousState[key] = { x: current.x, y: current.y, z: current.z };
+        });
+    }
+    
+    // Ball and paddles live in the engine, sprites in the renderer
+    stateObject(key) {
+        return key === 'playerSprite' || key === 'copilotSprite' ? this[key] : this.engine[key];
+    }
+    
+    interpolated(key) {
+        const current = this.stateObject(key);
+        const previous = this.previousState[key];
+        if (!previous) return current;
+        const alpha = this.clock.alpha;
+        const state = { ...current, x: lerp(previous.x, current.x, alpha), y: lerp(previous.y, current.y, alpha) };
+        if (current.z !== undefined) state.z = lerp(previous.z, current.z, alpha);
+        return state;
+    }
+    
+    // Shot the side is asking for: a held shot key or gamepad button, or a recent touch gesture
+    readShot(side) {
+        const { keys, gamepad } = this.bindings[side];
+        const pad = this.padInput[side];
+        const held = SHOT_ACTIONS.find(action => this.keys[keys[action]] || (pad && pad.pressed[gamepad[action]]));
+        if (held) return held;
+        const gesture = this.touchShots[side];
+        return gesture && performance.now() < gesture.until ? gesture.shot : null;
+    }
+    
+    // Controls for the next tick: the side's bound keys, its gamepad stick and shot buttons, the latest touch position and a queued serve press
+    readInput(side = 'player') {
+        const keys = this.bindings[side].keys;
+        const held = (action) => !!this.keys[keys[action]];
+        const pad = this.padInput[side];
+        const left = held('left');
+        const right = held('right');
+        const input = {
+            left,
+            right,
+            up: held('up'),
+            down: held('down'),
+            moveX: pad ? pad.moveX : 0,
+            moveY: pad ? pad.moveY : 0,
+            serve: this.serveInputQueued[side],
+            // Hold left/right (or push the stick) while striking the serve to aim for a sideline
+            aim: (right ? 0.8 : 0) - (left ? 0.8 : 0) || (pad ? pad.moveX : 0),
+            shot: this.readShot(side),
+            target: this.touchTargets[side]
+        };
+        this.serveInputQueued[side] = false;
+        this.touchTargets[side] = null;
+        return input;
     }
     
     update() {
+        this.pollGamepads();
+        
         // Update animations even when game is not running
         if (this.animationState === 'victory') {
             this.updateConfetti();
@@ -1281,163 +2530,76 @@ class TennisGame {
             }
         }
         
-        if (!this.gameRunning || this.isScoreDelay) return;
-        
-        // Player paddle controls (bottom paddle - horizontal and vertical movement)
-        // Allow player to move across the full canvas width, but constrain vertically to stay below net
-        const canvasLeft = 0; // Allow movement to canvas edge
-        const canvasRight = this.width - this.paddle2.width; // Allow movement to canvas edge
-        const courtTop = this.netPosition + 10; // Stay below net
-        const courtBottom = this.courtBounds.bottom - this.paddle2.height;
-        
-        if (this.keys['ArrowLeft'] && this.paddle2.x > canvasLeft) {
-            this.paddle2.x -= this.paddle2.speed;
-        }
-        if (this.keys['ArrowRight'] && this.paddle2.x < canvasRight) {
-            this.paddle2.x += this.paddle2.speed;
-        }
-        if (this.keys['ArrowUp'] && this.paddle2.y > courtTop) {
-            this.paddle2.y -= this.paddle2.speed;
-        }
-        if (this.keys['ArrowDown'] && this.paddle2.y < courtBottom) {
-            this.paddle2.y += this.paddle2.speed;
-        }
-        
-        // Update player sprite position to follow paddle
-        this.updatePlayerSpritePosition();
-        
-        // Enhanced AI paddle (Copilot) - Realistic movement with human-like constraints
-        const settings = this.difficultySettings[this.currentDifficulty];
-        
-        // Define AI positioning limits - stay well behind the net
-        const aiMinY = this.courtBounds.top; // Top court boundary
-        const aiMaxY = this.netPosition - settings.aiMaxDistanceFromNet; // Stay distance from net
+        if (this.shotCallout && --this.shotCallout.ticks <= 0) this.shotCallout = null;
         
-        // Calculate target positions with ball prediction
-        const ballCenterX = this.ball.x + this.ball.width / 2;
-        const ballCenterY = this.ball.y + this.ball.height / 2;
-        
-        // Horizontal tracking with prediction (more responsive)
-        let targetX = ballCenterX - this.paddle1.width / 2;
-        
-        // Add prediction based on ball movement for more realistic play
-        if (Math.abs(this.ball.speedX) > 1) {
-            const predictionFrames = 8; // Look ahead 8 frames
-            const predictedBallX = this.ball.x + (this.ball.speedX * predictionFrames);
-            targetX = predictedBallX - this.paddle1.width / 2;
-        }
-        
-        // Vertical positioning - defensive strategy with constraints
-        let targetY = this.aiTarget.y; // Start with current target
-        
-        // Only move vertically if ball is approaching and within reasonable range
-        if (this.ball.speedY < 0 && ballCenterY < this.netPosition) {
-            // Ball is moving toward AI side - calculate defensive position
-            const optimalDefenseY = Math.max(aiMinY, ballCenterY - 60); // Stay 60px above ball
-            targetY = Math.min(optimalDefenseY, aiMaxY); // Clamp to max distance from net
-        } else {
-            // Ball moving away or on player side - maintain conservative position
-            const conservativeY = aiMinY + 40; // Stay near top of court
-            targetY = conservativeY;
+        if (this.replay) {
+            this.stepReplay();
+            return;
         }
         
-        // Apply human-like easing to target positions (smooth reaction delays)
-        this.aiTarget.x += (targetX - this.aiTarget.x) * settings.aiEasingFactor;
-        this.aiTarget.y += (targetY - this.aiTarget.y) * settings.aiEasingFactor * 0.7; // Slower Y easing
-        
-        // Constrain AI target within boundaries
-        this.aiTarget.x = Math.max(0, Math.min(this.width - this.paddle1.width, this.aiTarget.x));
-        this.aiTarget.y = Math.max(aiMinY, Math.min(aiMaxY, this.aiTarget.y));
-        
-        // Move paddle toward target with human-like delays and imperfection
-        const xDiff = this.aiTarget.x - this.paddle1.x;
-        const yDiff = this.aiTarget.y - this.paddle1.y;
+        if (!this.gameRunning) return;
         
-        // Apply movement only if difference is significant (dead zone simulation)
-        if (Math.abs(xDiff) > 2) {
-            this.paddle1.x += xDiff * settings.aiSmoothingFactor * settings.aiReaction;
-        }
-        
-        if (Math.abs(yDiff) > 3) {
-            this.paddle1.y += yDiff * settings.aiSmoothingFactor * settings.aiVerticalReaction * 0.8;
+        // Online: the server simulates, we send our controls and predict our own paddle
+        if (this.isOnline) {
+            this.online?.sendInput(this.readInput('player'));
+            this.updateSpritePositions();
+            return;
         }
         
-        // Final boundary enforcement for paddle position
-        this.paddle1.x = Math.max(0, Math.min(this.width - this.paddle1.width, this.paddle1.x));
-        this.paddle1.y = Math.max(aiMinY, Math.min(aiMaxY, this.paddle1.y));
-        
-        // Keep copilot sprite synced with AI paddle
+        const input = { player: this.readInput('player') };
+        if (this.isLocalVersus) input.copilot = this.readInput('copilot');
+        this.recorder?.record(input);
+        this.engine.step(input);
+        this.updateSpritePositions();
+    }
+    
+    // After an adaptive match: the level the Copilot settled at (see src/game/adaptive.js)
+    drawAdaptiveLevel(y) {
+        if (!this.engine.isAdaptive) return;
+        const level = this.engine.adaptiveLevel();
+        const ctx = this.ctx;
+        ctx.fillStyle = '#FFD700';
+        ctx.font = '20px Courier New';
+        ctx.fillText(`Copilot level: ${Math.round(level * 100)}% (${levelName(level)})`, this.width / 2, y);
+    }
+    
+    // After a career round: where it leaves the player in the tournament, once the API has recorded it
+    drawCampaignResult(y) {
+        if (!this.campaign?.played) return;
+        const tier = campaignTier(this.campaign.tier);
+        const result = this.campaignResult;
+        let text = `${tier.name}: ${tier.rounds[this.campaign.round].name}`;
+        if (result?.title) text = `🏆 ${tier.trophy} won!`;
+        else if (result?.won) text = `Next: ${tier.rounds[result.nextRound].name} vs ${tier.rounds[result.nextRound].opponent}`;
+        else if (result) text = `Knocked out: back to the ${tier.rounds[0].name.toLowerCase()}`;
+        const ctx = this.ctx;
+        ctx.fillStyle = '#FFD700';
+        ctx.font = '20px Courier New';
+        ctx.fillText(text, this.width / 2, y);
+    }
+    
+    // After a daily challenge match: whether it went on the day's leaderboard, once the API has recorded it
+    drawDailyResult(y) {
+        if (!this.dailyResult) return;
+        const ctx = this.ctx;
+        ctx.fillStyle = '#FFD700';
+        ctx.font = '20px Courier New';
+        ctx.fillText(this.dailyResult.ranked ? '📅 Ranked on today\'s leaderboard' : '📅 Practice run: only your first attempt is ranked', this.width / 2, y);
+    }
+    
+    // Keep the character sprites attached to their paddles
+    updateSpritePositions() {
+        this.updatePlayerSpritePosition();
         this.updateCopilotSpritePosition();
-        
-        // Tennis-style Ball Physics - Diagonal trajectories
-        this.ball.x += this.ball.speedX;
-        this.ball.y += this.ball.speedY;
-        
-        // Check if ball goes out of bounds (scoring)
-        if (this.ball.y <= -20) {
-            // Ball went off top - Copilot missed, Player scores
-            this.playerScore++;
-            this.updateScoreDisplay();
-            this.checkWinCondition();
-            
-            if (!this.gameEnded) {
-                this.triggerScoreDelay('player');
-            }
-        } else if (this.ball.y >= this.height + 20) {
-            // Ball went off bottom - Player missed, Copilot scores
-            this.copilotScore++;
-            this.updateScoreDisplay();
-            this.checkWinCondition();
-            
-            if (!this.gameEnded) {
-                this.triggerScoreDelay('copilot');
-            }
-        } else if (this.ball.x <= -20 || this.ball.x >= this.width + 20) {
-            // Ball went off sides - Point goes to last player who hit it
-            // For now, alternate scoring or use a simple rule
-            if (Math.abs(this.ball.speedY) > Math.abs(this.ball.speedX)) {
-                // Ball was moving more vertically, likely a missed return
-                if (this.ball.y < this.height / 2) {
-                    // Ball was in upper half, Copilot missed
-                    this.playerScore++;
-                    if (!this.gameEnded) {
-                        this.triggerScoreDelay('player');
-                    }
-                } else {
-                    // Ball was in lower half, Player missed
-                    this.copilotScore++;
-                    if (!this.gameEnded) {
-                        this.triggerScoreDelay('copilot');
-                    }
-                }
-                this.updateScoreDisplay();
-                this.checkWinCondition();
-            }
-        }
-        
-        // Simple Paddle collision detection
-        const ballRect = {
-            x: this.ball.x,
-            y: this.ball.y,
-            width: this.ball.width,
-            height: this.ball.height
-        };
-        
-        // Check collision with top paddle (Copilot)
-        if (this.checkCollision(ballRect, this.paddle1)) {
-            this.hitBallWithPaddle(this.paddle1, true);
-        } 
-        // Check collision with bottom paddle (Player)  
-        else if (this.checkCollision(ballRect, this.paddle2)) {
-            this.hitBallWithPaddle(this.paddle2, false);
-        }
     }
     
     updatePlayerSpritePosition() {
+        const paddle2 = this.engine.paddle2;
+        const courtBounds = this.engine.courtBounds;
         // Center the player sprite on the paddle horizontally
-        this.playerSprite.x = this.paddle2.x + (this.paddle2.width - this.playerSprite.width) / 2 + this.playerSprite.offsetX;
+        this.playerSprite.x = paddle2.x + (paddle2.width - this.playerSprite.width) / 2 + this.playerSprite.offsetX;
         // Position the player sprite below the paddle
-        this.playerSprite.y = this.paddle2.y + this.paddle2.height + this.playerSprite.offsetY;
+        this.playerSprite.y = paddle2.y + paddle2.height + this.playerSprite.offsetY;
         
         // Keep sprite visible within canvas bounds while allowing paddle to move to edges
         const spriteMinX = 0; // Minimum X to keep sprite visible
@@ -1448,9 +2610,9 @@ class TennisGame {
         
         // Allow sprite to extend beyond court bounds but stay within canvas bounds
         const paddleDistanceFromCourt = {
-            left: Math.max(0, this.courtBounds.left - this.paddle2.x),
-            right: Math.max(0, this.paddle2.x + this.paddle2.width - this.courtBounds.right),
-            bottom: Math.max(0, this.paddle2.y + this.paddle2.height - this.courtBounds.bottom)
+            left: Math.max(0, courtBounds.left - paddle2.x),
+            right: Math.max(0, paddle2.x + paddle2.width - courtBounds.right),
+            bottom: Math.max(0, paddle2.y + paddle2.height - courtBounds.bottom)
         };
         
         // Allow sprite to move into border areas but keep within canvas
@@ -1477,9 +2639,9 @@ class TennisGame {
     // NEW: Keep copilot sprite centered on paddle1 and just behind it (toward the top)
     updateCopilotSpritePosition() {
         // Center horizontally on paddle1
-        this.copilotSprite.x = this.paddle1.x + (this.paddle1.width - this.copilotSprite.width) / 2 + this.copilotSprite.offsetX;
+        this.copilotSprite.x = this.engine.paddle1.x + (this.engine.paddle1.width - this.copilotSprite.width) / 2 + this.copilotSprite.offsetX;
         // Position above the paddle (behind it from player POV)
-        this.copilotSprite.y = this.paddle1.y - this.copilotSprite.height - this.copilotSprite.offsetY;
+        this.copilotSprite.y = this.engine.paddle1.y - this.copilotSprite.height - this.copilotSprite.offsetY;
 
         // Clamp within canvas bounds
         const spriteMinX = 0;
@@ -1488,15 +2650,15 @@ class TennisGame {
         this.copilotSprite.y = Math.max(0, Math.min(this.height - this.copilotSprite.height, this.copilotSprite.y));
     }
 
-    checkCollision(rect1, rect2) {
-        return rect1.x < rect2.x + rect2.width &&
-               rect1.x + rect1.width > rect2.x &&
-               rect1.y < rect2.y + rect2.height &&
-               rect1.y + rect1.height > rect2.y;
-    }
-    
     draw() {
         const ctx = this.ctx;
+        
+        // Interpolate moving objects between the last two simulation ticks
+        const ball = this.interpolated('ball');
+        const paddle1 = this.interpolated('paddle1');
+        const paddle2 = this.interpolated('paddle2');
+        const playerSprite = this.interpolated('playerSprite');
+        const copilotSprite = this.interpolated('copilotSprite');
         ctx.clearRect(0, 0, this.width, this.height);
         
         // Clear canvas with BNP green background
@@ -1530,103 +2692,119 @@ class TennisGame {
             if (!img) {
                 // Fallback rectangle
                 self.ctx.fillStyle = 'rgba(76, 158, 255, 0.9)';
-                self.ctx.fillRect(self.copilotSprite.x, self.copilotSprite.y, self.copilotSprite.width, self.copilotSprite.height);
+                self.ctx.fillRect(copilotSprite.x, copilotSprite.y, copilotSprite.width, copilotSprite.height);
                 self.ctx.strokeStyle = '#ffffff';
                 self.ctx.lineWidth = 2;
-                self.ctx.strokeRect(self.copilotSprite.x, self.copilotSprite.y, self.copilotSprite.width, self.copilotSprite.height);
+                self.ctx.strokeRect(copilotSprite.x, copilotSprite.y, copilotSprite.width, copilotSprite.height);
                 return;
             }
-            const copCenterX = self.paddle1.x + self.paddle1.width / 2;
+            const copCenterX = paddle1.x + paddle1.width / 2;
             const onRight = copCenterX >= self.width / 2;
             if (onRight) {
                 self.ctx.save();
                 // Mirror around the sprite center X
-                const cx = self.copilotSprite.x + self.copilotSprite.width / 2;
+                const cx = copilotSprite.x + copilotSprite.width / 2;
                 self.ctx.translate(cx, 0);
                 self.ctx.scale(-1, 1);
                 self.ctx.drawImage(
                     img,
-                    -self.copilotSprite.width / 2,
-                    self.copilotSprite.y,
-                    self.copilotSprite.width,
-                    self.copilotSprite.height
+                    -copilotSprite.width / 2,
+                    copilotSprite.y,
+                    copilotSprite.width,
+                    copilotSprite.height
                 );
                 self.ctx.restore();
             } else {
                 self.ctx.drawImage(
                     img,
-                    self.copilotSprite.x,
-                    self.copilotSprite.y,
-                    self.copilotSprite.width,
-                    self.copilotSprite.height
+                    copilotSprite.x,
+                    copilotSprite.y,
+                    copilotSprite.width,
+                    copilotSprite.height
                 );
             }
         })(this);
         
+        // Highlight the target service box while a serve is pending or in flight
+        if (this.gameStarted && this.engine.serve.box && this.engine.serve.phase !== 'none') {
+            const box = this.engine.serve.box;
+            ctx.fillStyle = 'rgba(255, 255, 0, 0.12)';
+            ctx.fillRect(box.left, box.top, box.right - box.left, box.bottom - box.top);
+        }
+        
         // Draw paddles as colored bars (top-down view)
         // Copilot paddle (top) - Blue
         ctx.fillStyle = '#3498db';
-        ctx.fillRect(this.paddle1.x, this.paddle1.y, this.paddle1.width, this.paddle1.height);
+        ctx.fillRect(paddle1.x, paddle1.y, paddle1.width, paddle1.height);
         
         // Player paddle (bottom) - Green
         ctx.fillStyle = '#2ecc71';
-        ctx.fillRect(this.paddle2.x, this.paddle2.y, this.paddle2.width, this.paddle2.height);
+        ctx.fillRect(paddle2.x, paddle2.y, paddle2.width, paddle2.height);
+        
+        // Ball shadow on the court: where the ball is over the ground, shrinking as it rises
+        const engine = this.engine;
+        const ballCenterX = ball.x + ball.width / 2;
+        const ballCenterY = ball.y + ball.height / 2;
+        const heightRatio = Math.min(1, Math.max(0, ball.z - engine.groundLevel) / engine.maxBallHeight);
+        ctx.fillStyle = `rgba(0, 0, 0, ${0.35 - heightRatio * 0.2})`;
+        ctx.beginPath();
+        ctx.ellipse(ballCenterX, ballCenterY + ball.height * 0.3, ball.width * (0.45 - heightRatio * 0.15), ball.height * 0.18, 0, 0, 2 * Math.PI);
+        ctx.fill();
+        
+        // Draw net (visual only - horizontal line with some 3D effect)
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(0, engine.netPosition - 2, this.width, 4);
+        
+        // Net posts
+        ctx.fillStyle = 'rgba(200, 200, 200, 0.9)';
+        ctx.fillRect(-5, engine.netPosition - engine.netHeight, 10, engine.netHeight + 4);
+        ctx.fillRect(this.width - 5, engine.netPosition - engine.netHeight, 10, engine.netHeight + 4);
         
-        // Draw simple 2D ball
+        // Draw simple 2D ball above its shadow (lifted by its height and grows as it rises toward the camera)
+        const ballSize = ball.width * (1 + heightRatio * 0.6);
+        const ballDrawCenterY = ballCenterY - (ball.z - engine.groundLevel);
         if (this.images.ball) {
-            ctx.drawImage(this.images.ball, this.ball.x, this.ball.y, this.ball.width, this.ball.height);
+            ctx.drawImage(this.images.ball, ballCenterX - ballSize / 2, ballDrawCenterY - ballSize / 2, ballSize, ballSize);
         } else {
             // Fallback: simple yellow circle
-            const centerX = this.ball.x + this.ball.width / 2;
-            const centerY = this.ball.y + this.ball.height / 2;
-            
             ctx.fillStyle = '#FFFF00';
             ctx.beginPath();
-            ctx.arc(centerX, centerY, this.ball.width / 2, 0, 2 * Math.PI);
+            ctx.arc(ballCenterX, ballDrawCenterY, ballSize / 2, 0, 2 * Math.PI);
             ctx.fill();
             
             // Add a white highlight
             ctx.fillStyle = '#FFFFFF';
             ctx.beginPath();
-            ctx.arc(centerX - 4, centerY - 4, 4, 0, 2 * Math.PI);
+            ctx.arc(ballCenterX - 4, ballDrawCenterY - 4, 4, 0, 2 * Math.PI);
             ctx.fill();
         }
         
-        // Draw net (visual only - horizontal line with some 3D effect)
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        ctx.fillRect(0, this.netPosition - 2, this.width, 4);
-        
-        // Net posts
-        ctx.fillStyle = 'rgba(200, 200, 200, 0.9)';
-        ctx.fillRect(-5, this.netPosition - this.netHeight, 10, this.netHeight + 4);
-        ctx.fillRect(this.width - 5, this.netPosition - this.netHeight, 10, this.netHeight + 4);
-        
         // Draw player sprite LAST (in the foreground - z-index: 1000 equivalent)
         // Allow sprite to be drawn even if it extends beyond canvas bounds
         ctx.save(); // Save current clipping state
         
         // Choose sprite based on player horizontal position (right half uses right-facing sprite)
-        const playerCenterX = this.paddle2.x + this.paddle2.width / 2;
+        const playerCenterX = paddle2.x + paddle2.width / 2;
         const onRightSide = playerCenterX >= this.width / 2;
         const chosenSprite = onRightSide && this.images.playerBackRight ? this.images.playerBackRight : this.images.playerBack;
         
         if (chosenSprite) {
             ctx.drawImage(
                 chosenSprite,
-                this.playerSprite.x,
-                this.playerSprite.y,
-                this.playerSprite.width,
-                this.playerSprite.height
+                playerSprite.x,
+                playerSprite.y,
+                playerSprite.width,
+                playerSprite.height
             );
         } else {
             // Fallback: draw a large bright colored rectangle to show where player should be
             ctx.fillStyle = '#FF0000';
-            ctx.fillRect(this.playerSprite.x, this.playerSprite.y, this.playerSprite.width, this.playerSprite.height);
+            ctx.fillRect(playerSprite.x, playerSprite.y, playerSprite.width, playerSprite.height);
             
             // Add a border to make it even more visible
             ctx.strokeStyle = '#FFFFFF';
             ctx.lineWidth = 2;
-            ctx.strokeRect(this.playerSprite.x, this.playerSprite.y, this.playerSprite.width, this.playerSprite.height);
+            ctx.strokeRect(playerSprite.x, playerSprite.y, playerSprite.width, playerSprite.height);
         }
         
         ctx.restore(); // Restore clipping state
@@ -1634,6 +2812,21 @@ class TennisGame {
         // Reset alpha for overlays
         ctx.globalAlpha = 1;
         
+        // Serve prompt
+        if (this.gameRunning && !this.engine.isScoreDelay && this.engine.isServePending()) {
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 18px Courier New';
+            ctx.fillStyle = '#FFD700';
+            const promptY = this.engine.server === 'player' ? this.height * 0.7 : this.height * 0.3;
+            if (this.engine.serve.faults > 0) {
+                ctx.fillText('Second serve', this.width / 2, promptY - 24);
+            }
+            if (this.engine.server === 'player') {
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(this.engine.serve.phase === 'ready' ? 'SPACE / TAP to toss' : 'SPACE / TAP to hit!', this.width / 2, promptY);
+            }
+        }
+        
         // Countdown overlay
         if (this.isCountingDown) {
             ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
@@ -1664,25 +2857,32 @@ class TennisGame {
         }
         
         // Draw game state overlays
-        if (this.gameEnded) {
+        // A replay stops on its last tick: no end-of-match screen over it
+        if (this.engine.gameEnded && !this.replay) {
             ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
             ctx.fillRect(0, 0, this.width, this.height);
             
-            if (this.winner === 'player') {
-                // Victory animation
+            const winner = this.engine.winner;
+            if (winner === 'player' || this.isLocalVersus) {
+                // Victory animation (local versus: name the winning player)
+                const winnerName = this.engine.names[winner];
+                const title = this.isLocalVersus ? `🎉 ${winnerName.toUpperCase()} WINS! 🎉` : '🎉 YOU WIN! 🎉';
                 const flashIntensity = Math.sin(this.animationFrame * 0.3) * 0.3 + 0.7;
                 ctx.fillStyle = `rgba(255, 215, 0, ${flashIntensity})`;
-                ctx.font = 'bold 64px Courier New';
+                ctx.font = this.isLocalVersus ? 'bold 40px Courier New' : 'bold 64px Courier New';
                 ctx.textAlign = 'center';
                 ctx.strokeStyle = '#000';
                 ctx.lineWidth = 3;
-                ctx.strokeText('🎉 YOU WIN! 🎉', this.width / 2, this.height / 2 - 30);
-                ctx.fillText('🎉 YOU WIN! 🎉', this.width / 2, this.height / 2 - 30);
+                ctx.strokeText(title, this.width / 2, this.height / 2 - 30);
+                ctx.fillText(title, this.width / 2, this.height / 2 - 30);
                 
                 ctx.fillStyle = '#ffffff';
                 ctx.font = '24px Courier New';
-                ctx.fillText(`Final Score: ${this.playerName} ${this.playerScore} - ${this.copilotScore} Copilot`, this.width / 2, this.height / 2 + 30);
+                ctx.fillText(`Final Score: ${winnerName} ${this.engine.score.formatSets(winner)}`, this.width / 2, this.height / 2 + 30);
                 ctx.fillText('Click New Game to play again!', this.width / 2, this.height / 2 + 70);
+                this.drawAdaptiveLevel(this.height / 2 + 110);
+                this.drawCampaignResult(this.height / 2 + 110);
+                this.drawDailyResult(this.height / 2 + 110);
             } else {
                 // Defeat animation
                 ctx.fillStyle = '#ff6b6b';
@@ -1692,10 +2892,25 @@ class TennisGame {
                 
                 ctx.fillStyle = '#ffffff';
                 ctx.font = '24px Courier New';
-                ctx.fillText(`Final Score: Copilot ${this.copilotScore} - ${this.playerScore} ${this.playerName}`, this.width / 2, this.height / 2 + 20);
+                ctx.fillText(`Final Score: ${this.player2Name} ${this.engine.score.formatSets('copilot')}`, this.width / 2, this.height / 2 + 20);
                 ctx.fillText('Better luck next time!', this.width / 2, this.height / 2 + 50);
                 ctx.fillText('Click New Game to try again!', this.width / 2, this.height / 2 + 80);
+                this.drawAdaptiveLevel(this.height / 2 + 120);
+                this.drawCampaignResult(this.height / 2 + 120);
+                this.drawDailyResult(this.height / 2 + 120);
             }
+        } else if (this.onlineMessage) {
+            // Online matchmaking or connection status
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(0, 0, this.width, this.height);
+            
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 28px Courier New';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.onlineMessage, this.width / 2, this.height / 2 - 20);
+            
+            ctx.font = '20px Courier New';
+            ctx.fillText('Click New Game to cancel', this.width / 2, this.height / 2 + 20);
         } else if (!this.gameStarted) {
             ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
             ctx.fillRect(0, 0, this.width, this.height);
@@ -1710,7 +2925,7 @@ class TennisGame {
             
             ctx.font = 'bold 24px Courier New';
             ctx.fillStyle = '#FFD700';
-            ctx.fillText(`🏆 First to ${this.winningScore} points wins! 🏆`, this.width / 2, this.height / 2 + 30);
+            ctx.fillText(`🏆 ${this.engine.score.describe()} 🏆`, this.width / 2, this.height / 2 + 30);
         } else if (this.isPaused) {
             ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
             ctx.fillRect(0, 0, this.width, this.height);
@@ -1722,18 +2937,43 @@ class TennisGame {
             
             ctx.font = '20px Courier New';
             ctx.fillText('Click here, press SPACEBAR, or use Resume button', this.width / 2, this.height / 2 + 30);
+        } else if (this.engine.isScoreDelay && this.engine.scoreCallout) {
+            // Umpire call banner between points
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(0, this.height / 2 - 60, this.width, 90);
+            
+            ctx.fillStyle = '#FFD700';
+            ctx.font = 'bold 28px Courier New';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.engine.scoreCallout, this.width / 2, this.height / 2 - 20);
+            
+            ctx.fillStyle = '#ffffff';
+            ctx.font = '18px Courier New';
+            ctx.fillText(`${this.playerName} ${this.engine.score.formatSets('player') || '0-0'}`, this.width / 2, this.height / 2 + 12);
+        } else if (this.shotCallout && (this.gameRunning || this.replay)) {
+            // Shot name next to the striker's paddle, fading out
+            const paddle = this.interpolated(this.shotCallout.side === 'player' ? 'paddle2' : 'paddle1');
+            const y = this.shotCallout.side === 'player' ? paddle.y - 12 : paddle.y + paddle.height + 24;
+            ctx.save();
+            ctx.globalAlpha = Math.min(1, this.shotCallout.ticks / 20);
+            ctx.fillStyle = '#FFD700';
+            ctx.font = 'bold 18px Courier New';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.shotCallout.text, paddle.x + paddle.width / 2, y);
+            ctx.restore();
         }
         
+        if (this.replay) this.drawReplayBadge();
+        
         // Update header timer element each frame
         this.updateHeaderTimer();
+        if (this.replay) this.updateReplayBar();
     }
     
     updateHeaderTimer() {
         const el = document.getElementById('match-timer');
         if (!el) return;
-        let ms = this.finalMatchTimeMs != null
-            ? this.finalMatchTimeMs
-            : (this.matchStartTime != null ? (performance.now() - this.matchStartTime) : 0);
+        let ms = this.finalMatchTimeMs != null ? this.finalMatchTimeMs : this.engine.matchTimeMs;
         const totalMs = Math.max(0, Math.floor(ms));
         const minutes = Math.floor(totalMs / 60000);
         const seconds = Math.floor((totalMs % 60000) / 1000);
@@ -1742,78 +2982,25 @@ class TennisGame {
     }
     
     updateScoreDisplay() {
-        document.getElementById('copilot-score').textContent = `Copilot: ${this.copilotScore}`;
-        document.getElementById('player-score').textContent = `${this.playerName}: ${this.playerScore}`;
+        // Tennis score line: games per set, then the current point (0/15/30/40/AD); 🎾 marks the server
+        const serveMark = (side) => (this.gameStarted && !this.engine.gameEnded && this.engine.server === side ? '🎾 ' : '');
+        document.getElementById('copilot-score').textContent = `${serveMark('copilot')}${this.player2Name}: ${this.engine.score.scoreLine('copilot')}`;
+        document.getElementById('player-score').textContent = `${serveMark('player')}${this.playerName}: ${this.engine.score.scoreLine('player')}`;
     }
     
-    gameLoop() {
-        this.update();
+    // Fixed-timestep loop: run as many simulation ticks as the elapsed time calls for, then render once
+    gameLoop(now = performance.now()) {
+        const ticks = this.clock.advance(now);
+        for (let i = 0; i < ticks; i++) {
+            this.snapshotState();
+            this.update();
+        }
         this.draw();
-        requestAnimationFrame(() => this.gameLoop());
+        requestAnimationFrame((timestamp) => this.gameLoop(timestamp));
     }
 }
 
 // Initialize the game when the page loads
 document.addEventListener('DOMContentLoaded', () => {
     const game = new TennisGame();
-
-    // Timers leaderboard UI
-    const timersBtn = document.getElementById('timersLeaderboardBtn');
-    const overlay = document.getElementById('timersLeaderboardOverlay');
-    const closeBtn = document.getElementById('closeTimersBtn');
-    const difficultySelect = document.getElementById('leaderboardDifficulty');
-    const listEl = document.getElementById('timersList');
-
-    function showOverlay() {
-        overlay.classList.remove('hide');
-        overlay.setAttribute('aria-hidden', 'false');
-        // Load default (current difficulty) timers
-        loadTimers(difficultySelect.value || null);
-    }
-    function hideOverlay() {
-        overlay.classList.add('hide');
-        overlay.setAttribute('aria-hidden', 'true');
-        listEl.innerHTML = '';
-    }
-
-    async function loadTimers(difficulty) {
-        listEl.innerHTML = '<li>Loading…</li>';
-        try {
-            const rows = await getTimersLeaderboard(difficulty || null, 5);
-            if (!rows || rows.length === 0) {
-                listEl.innerHTML = '<li>No records yet</li>';
-                return;
-            }
-            listEl.innerHTML = '';
-            rows.forEach(r => {
-                const li = document.createElement('li');
-                const name = document.createElement('span');
-                name.textContent = r.playerName || r.playerId;
-                const meta = document.createElement('span');
-                meta.className = 'meta';
-                const ms = Number(r.bestDurationMs) || 0;
-                const minutes = Math.floor(ms / 60000);
-                const seconds = Math.floor((ms % 60000) / 1000);
-                const millis = ms % 1000;
-                meta.textContent = `${String(minutes).padStart(2,'0')}:${String(seconds).padStart(2,'0')}.${String(millis).padStart(3,'0')}`;
-                li.appendChild(name);
-                li.appendChild(meta);
-                listEl.appendChild(li);
-            });
-        } catch (e) {
-            listEl.innerHTML = '<li>Failed to load leaderboard</li>';
-            console.warn(e);
-        }
-    }
-
-    timersBtn?.addEventListener('click', () => showOverlay());
-    closeBtn?.addEventListener('click', () => hideOverlay());
-    difficultySelect?.addEventListener('change', (ev) => loadTimers(ev.target.value || null));
-
-    // Accessibility: close overlay on ESC
-    document.addEventListener('keydown', (ev) => {
-        if (ev.key === 'Escape' && !overlay.classList.contains('hide')) {
-            hideOverlay();
-        }
-    });
 });
\ No newline at end of file
@@ -0,0 +1,68 @@
+// Adaptive difficulty: the Copilot's level (0 plays like beginner, 0.5 like advanced, 1 like expert)
+// moves after every point to keep the match close. Points the player wins raise it and points the
+// Copilot wins lower it - more for a quick point, less after a long rally - and so does how the
+// player reached their shots (the "reaction margin", met on the paddle's edge or in its middle) and
+// a lead that keeps growing. Everything here is a pure function of the points played, so a replay
+// and the server's re-simulation go through the same levels.
+
+import { DIFFICULTY_SETTINGS } from './difficulty.js';
+
+// The settings that follow the level; the rest comes from the 'adaptive' preset
+export const ADAPTIVE_FIELDS = ['aiSpeed', 'aiReaction', 'aiEasingFactor', 'ballMaxSpeed', 'ballSpeedIncrease'];
+
+export const ADAPTIVE_START_LEVEL = 0.5;
+
+// Level change for one point, before the adjustments below
+const POINT_STEP = 0.04;
+// Points this short (serve included) say more about the gap than long rallies
+const SHORT_POINT_STROKES = 2;
+const LONG_RALLY_STROKES = 8;
+// Reaction margin: 0 when the ball met the middle of the paddle, 1 at its very edge
+const SCRAMBLING_MARGIN = 0.6;
+const COMFORTABLE_MARGIN = 0.3;
+const MARGIN_STEP = 0.02;
+// Beyond this many points ahead, every extra point of lead pushes the level a little more
+const LEAD_ALLOWANCE = 3;
+const LEAD_STEP = 0.01;
+
+const LEVEL_PRESETS = ['beginner', 'advanced', 'expert'];
+
+function clampLevel(level) {
+    return Math.min(1, Math.max(0, level));
+}
+
+// `base` (the 'adaptive' preset) with ADAPTIVE_FIELDS interpolated between the fixed presets.
+// These are the built-in DIFFICULTY_SETTINGS, not presets tuned through the API: the server
+// re-simulates a replay with its own difficulty's settings only, so tuning beginner, advanced or
+// expert must not move the adaptive Copilot (tune the 'adaptive' preset itself instead).
+export function settingsAtLevel(base, level, presets = DIFFICULTY_SETTINGS) {
+    const position = clampLevel(level) * (LEVEL_PRESETS.length - 1);
+    const index = Math.min(LEVEL_PRESETS.length - 2, Math.floor(position));
+    const lower = presets[LEVEL_PRESETS[index]];
+    const upper = presets[LEVEL_PRESETS[index + 1]];
+    const t = position - index;
+    const settings = { ...base };
+    for (const field of ADAPTIVE_FIELDS) {
+        settings[field] = lower[field] + (upper[field] - lower[field]) * t;
+    }
+    return settings;
+}
+
+// The level after a point. `won`: the player won it; `strokes`: its length, serve included;
+// `margin`: the player's average reaction margin during it (null if they didn't hit the ball);
+// `lead`: player points minus Copilot points in the match so far.
+export function nextLevel(level, { won, strokes, margin = null, lead = 0 }) {
+    let step = POINT_STEP;
+    if (strokes <= SHORT_POINT_STROKES) step *= 1.5;
+    else if (strokes >= LONG_RALLY_STROKES) step *= 0.5;
+    let next = level + (won ? step : -step);
+    if (margin !== null && margin > SCRAMBLING_MARGIN) next -= MARGIN_STEP;
+    if (margin !== null && margin < COMFORTABLE_MARGIN) next += MARGIN_STEP;
+    if (Math.abs(lead) > LEAD_ALLOWANCE) next += Math.sign(lead) * LEAD_STEP * (Math.abs(lead) - LEAD_ALLOWANCE);
+    return clampLevel(next);
+}
+
+// The fixed preset a level plays closest to, for display
+export function levelName(level) {
+    return LEVEL_PRESETS[Math.round(clampLevel(level) * (LEVEL_PRESETS.length - 1))];
+}
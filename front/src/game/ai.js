@@ -0,0 +1,140 @@
+// Copilot personalities. The engine asks the Copilot's strategy, every tick, where the top paddle
+// should head, and on contact which shot to play and how likely it is to miss. The difficulty
+// still sets how fast and how smoothly the paddle gets there (see difficulty.js); the personality
+// decides where it wants to be. Strategies only read the state they are given and draw randomness
+// from the engine's seeded rng, so replays and the server's re-simulation stay deterministic.
+//
+// A strategy is { label, description, netDistance, target, shot, errorRate }:
+//   netDistance(settings, court) - closest the paddle comes to the net, in pixels
+//   target(state, settings)      - { x, y } for the paddle's top-left corner
+//   shot(state, settings, rng)   - the shot type it goes for (shots.js turns an impossible smash into topspin)
+//   errorRate(state, settings)   - share of its shots that miss (long, wide or into the net)
+// `state` is what the engine's aiState() hands out: the ball, both paddles, the court, the rally,
+// where the Copilot meets the ball (contactFor) and whether the player is at the net.
+
+import { SHOT_NAMES, SMASH_MIN_HEIGHT, LATE_CONTACT_HEIGHT } from './shots.js';
+
+// Closest a net rusher gets: just behind the net, like a human player
+const NET_RUSH_DISTANCE = 30;
+
+function ballCenter(ball) {
+    return { x: ball.x + ball.width / 2, y: ball.y + ball.height / 2 };
+}
+
+function isComing(state) {
+    return state.ball.speedY < 0 && ballCenter(state.ball).y < state.court.net;
+}
+
+// The original Copilot: tracks the ball 8 ticks ahead, backs up in front of an incoming ball and
+// mixes its shots as the difficulty allows
+const allCourt = {
+    label: 'All-rounder',
+    description: 'Solid everywhere, no real weakness',
+    netDistance: (settings) => settings.aiMaxDistanceFromNet,
+    target(state) {
+        const { ball, paddle, area } = state;
+        const center = ballCenter(ball);
+        let x = center.x - paddle.width / 2;
+        if (Math.abs(ball.speedX) > 1) x = ball.x + ball.speedX * 8 - paddle.width / 2;
+        // Stay 60px above an incoming ball, otherwise near the baseline
+        const y = isComing(state) ? Math.min(Math.max(area.top, center.y - 60), area.bottom) : area.top + 40;
+        return { x, y };
+    },
+    // `aiShotVariety` is how often it plays anything but a flat drive: then it smashes a high ball
+    // at the net, lobs a player rushing the net, slices a ball it reaches late and otherwise mixes
+    // topspin and slice
+    shot(state, settings, rng) {
+        if (rng.next() >= (settings.aiShotVariety ?? 0)) return 'flat';
+        const { contact } = state;
+        if (contact.inForecourt && contact.ballZ >= SMASH_MIN_HEIGHT) return 'smash';
+        if (state.opponentAtNet) return 'lob';
+        if (contact.bounces > 0 && contact.falling && contact.ballZ <= LATE_CONTACT_HEIGHT) return 'slice';
+        return rng.next() < 0.6 ? 'topspin' : 'slice';
+    },
+    errorRate: (state, settings) => settings.aiErrorRate
+};
+
+// Camps on the baseline, reads the ball early and grinds with heavy topspin
+const baseliner = {
+    label: 'Baseliner',
+    description: 'Stays back and hits heavy topspin',
+    netDistance: (settings, court) => Math.max(settings.aiMaxDistanceFromNet, (court.net - court.top) * 0.75),
+    target(state) {
+        const { ball, paddle, area } = state;
+        const center = ballCenter(ball);
+        return { x: center.x + ball.speedX * 12 - paddle.width / 2, y: area.top + 10 };
+    },
+    shot(state, settings, rng) {
+        if (state.opponentAtNet) return 'lob';
+        return rng.next() < 0.5 + (settings.aiShotVariety ?? 0) / 2 ? 'topspin' : 'flat';
+    },
+    errorRate: (state, settings) => settings.aiErrorRate * 0.8
+};
+
+// Follows every shot to the net and volleys; a lob over its head is its weak spot
+const netRusher = {
+    label: 'Net-rusher',
+    description: 'Charges the net after every shot',
+    netDistance: () => NET_RUSH_DISTANCE,
+    target(state) {
+        const { ball, paddle, area, rally } = state;
+        const center = ballCenter(ball);
+        const x = center.x + ball.speedX * 4 - paddle.width / 2;
+        // Serve and return from the back, then close in after each of its own shots and hold the
+        // volley position while the player's ball comes over
+        if (!rally.hitter) return { x, y: area.top + 40 };
+        return { x, y: rally.hitter === 'copilot' ? area.bottom : paddle.y };
+    },
+    shot(state, settings, rng) {
+        const { contact } = state;
+        if (contact.inForecourt && contact.ballZ >= SMASH_MIN_HEIGHT) return 'smash';
+        return rng.next() < (settings.aiShotVariety ?? 0) ? 'slice' : 'flat';
+    },
+    errorRate: (state, settings) => settings.aiErrorRate * 1.2
+};
+
+// Runs everything down from deep behind the baseline, recovers to the middle and rarely misses,
+// answering pace with slices and lobs
+const counterPuncher = {
+    label: 'Counter-puncher',
+    description: 'Gets everything back and waits for your mistake',
+    netDistance: (settings, court) => Math.max(settings.aiMaxDistanceFromNet, (court.net - court.top) * 0.6),
+    target(state) {
+        const { ball, paddle, area, court } = state;
+        const center = ballCenter(ball);
+        if (!isComing(state)) return { x: court.width / 2 - paddle.width / 2, y: area.top + 20 };
+        // Where the ball will be when it reaches the paddle's depth
+        const ticks = Math.min(40, Math.max(0, (center.y - paddle.y) / -ball.speedY));
+        return { x: center.x + ball.speedX * ticks - paddle.width / 2, y: area.top + 20 };
+    },
+    shot(state, settings, rng) {
+        if (state.opponentAtNet) return 'lob';
+        if (rng.next() >= (settings.aiShotVariety ?? 0)) return 'flat';
+        return rng.next() < 0.7 ? 'slice' : 'lob';
+    },
+    errorRate: (state, settings) => settings.aiErrorRate * 0.5
+};
+
+// Chases the ball instead of reading it, tries any shot and makes plenty of unforced errors
+const rookie = {
+    label: 'Rookie',
+    description: 'Erratic: tries everything and misses easy balls',
+    netDistance: (settings) => settings.aiMaxDistanceFromNet,
+    target(state) {
+        const { ball, paddle, area } = state;
+        const center = ballCenter(ball);
+        return { x: center.x - paddle.width / 2, y: isComing(state) ? center.y - 40 : (area.top + area.bottom) / 2 };
+    },
+    shot: (state, settings, rng) => SHOT_NAMES[Math.floor(rng.next() * SHOT_NAMES.length)],
+    errorRate: (state, settings) => Math.min(0.5, settings.aiErrorRate * 2 + 0.1)
+};
+
+export const AI_PERSONALITIES = { allCourt, baseliner, netRusher, counterPuncher, rookie };
+
+export const PERSONALITY_NAMES = Object.keys(AI_PERSONALITIES);
+
+export const DEFAULT_PERSONALITY = 'allCourt';
+
+export function isPersonality(name) {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(AI_PERSONALITIES, name);
+}
@@ -0,0 +1,83 @@
+// Career mode: a ladder of tournaments, each a knockout bracket of named Copilots whose level rises
+// round by round. A round plays its tier's difficulty preset with the level-following settings at
+// the round's level (the same interpolation as the adaptive Copilot, see adaptive.js), always from
+// the built-in presets, so the browser and the API's re-simulation play the same opponent. Winning
+// a tournament's final earns its trophy and opens the next tier; losing a round sends the player
+// back to the tier's first round. The API keeps each player's progress (api/src/campaign).
+
+import { DIFFICULTY_SETTINGS } from './difficulty.js';
+import { settingsAtLevel } from './adaptive.js';
+import { canonicalDifficulty } from './customDifficulty.js';
+
+// The engine difficulty a campaign round is played at; its settings come from roundSettings()
+export const CAMPAIGN_DIFFICULTY = 'campaign';
+
+// `preset`: the difficulty preset the tier's rounds start from; `level`: the round's Copilot level,
+// 0 (beginner pace) to 1 (expert pace)
+export const CAMPAIGN_TIERS = [
+    {
+        id: 'club',
+        name: 'Club Championship',
+        trophy: 'Club Cup',
+        preset: 'beginner',
+        format: 'quick',
+        rounds: [
+            { id: 'qualifier', name: 'Qualifier', opponent: 'Rusty Rookie', personality: 'rookie', level: 0 },
+            { id: 'quarterfinal', name: 'Quarterfinal', opponent: 'Weekend Wally', personality: 'allCourt', level: 0.1 },
+            { id: 'semifinal', name: 'Semifinal', opponent: 'Steady Stella', personality: 'baseliner', level: 0.2 },
+            { id: 'final', name: 'Final', opponent: 'Club Pro Carlos', personality: 'netRusher', level: 0.3 }
+        ]
+    },
+    {
+        id: 'national',
+        name: 'National Open',
+        trophy: 'National Shield',
+        preset: 'advanced',
+        format: 'quick',
+        rounds: [
+            { id: 'qualifier', name: 'Qualifier', opponent: 'Dogged Dana', personality: 'counterPuncher', level: 0.35 },
+            { id: 'quarterfinal', name: 'Quarterfinal', opponent: 'Big Serve Boris', personality: 'allCourt', level: 0.45 },
+            { id: 'semifinal', name: 'Semifinal', opponent: 'Volley Vera', personality: 'netRusher', level: 0.55 },
+            { id: 'final', name: 'Final', opponent: 'Champion Chen', personality: 'baseliner', level: 0.65 }
+        ]
+    },
+    {
+        id: 'grandSlam',
+        name: 'Grand Slam',
+        trophy: 'Golden Racket',
+        preset: 'expert',
+        format: 'oneSet',
+        rounds: [
+            { id: 'qualifier', name: 'Qualifier', opponent: 'The Wall', personality: 'counterPuncher', level: 0.7 },
+            { id: 'quarterfinal', name: 'Quarterfinal', opponent: 'Lightning Lena', personality: 'netRusher', level: 0.8 },
+            { id: 'semifinal', name: 'Semifinal', opponent: 'Marathon Marco', personality: 'baseliner', level: 0.9 },
+            { id: 'final', name: 'Final', opponent: 'Copilot Prime', personality: 'allCourt', level: 1 }
+        ]
+    }
+];
+
+export function campaignTier(id) {
+    return CAMPAIGN_TIERS.find(tier => tier.id === id) || null;
+}
+
+// Difficulty settings of a tier's round (by index)
+export function roundSettings(tier, round) {
+    return canonicalDifficulty(settingsAtLevel(DIFFICULTY_SETTINGS[tier.preset], tier.rounds[round].level));
+}
+
+// Every tier with where the player stands in it, from their progress rows ({ tierId, nextRound,
+// titles }): open once the tier before it has been won, the round to play next and the titles won
+export function campaignState(progress = []) {
+    let unlocked = true;
+    return CAMPAIGN_TIERS.map(tier => {
+        const row = progress.find(entry => entry.tierId === tier.id);
+        const state = {
+            id: tier.id,
+            unlocked,
+            nextRound: row ? Math.min(row.nextRound, tier.rounds.length - 1) : 0,
+            titles: row ? row.titles : 0
+        };
+        unlocked = state.titles > 0;
+        return state;
+    });
+}
@@ -0,0 +1,103 @@
+// Custom difficulties: every tunable field of a difficulty preset (difficulty.js) with the range the
+// editor allows, the canonical form of a settings object, its hash and a code to share it with.
+// The API runs the same functions to check a run's settings and to tell when a custom run is in
+// fact a ranked preset (see api/src/shared/difficulties.ts).
+
+export const CUSTOM_DIFFICULTY = 'custom';
+
+// `path` is the field in the settings object ('ballSpeed.x' is settings.ballSpeed.x)
+export const DIFFICULTY_FIELDS = [
+    { path: 'ballSpeed.x', label: 'Ball speed across', min: 0.5, max: 3, step: 0.1 },
+    { path: 'ballSpeed.y', label: 'Ball speed up and down', min: 0.5, max: 3, step: 0.1 },
+    { path: 'ballMaxSpeed', label: 'Top ball speed', min: 1.5, max: 6, step: 0.1 },
+    { path: 'ballSpeedIncrease', label: 'Speed-up per hit', min: 1, max: 1.05, step: 0.005 },
+    { path: 'aiSpeed', label: 'Copilot speed', min: 1, max: 6, step: 0.5 },
+    { path: 'aiReaction', label: 'Copilot reaction', min: 0.1, max: 1, step: 0.05 },
+    { path: 'aiDeadZone', label: 'Copilot dead zone', min: 0, max: 50, step: 5 },
+    { path: 'paddleYVariation', label: 'Paddle depth variation', min: 0, max: 12, step: 1 },
+    { path: 'aiVerticalReaction', label: 'Copilot reaction up and down', min: 0.1, max: 1, step: 0.05 },
+    { path: 'aiVerticalDeadZone', label: 'Copilot dead zone up and down', min: 0, max: 60, step: 5 },
+    { path: 'aiSmoothingFactor', label: 'Copilot smoothing', min: 0.05, max: 0.5, step: 0.05 },
+    { path: 'aiEasingFactor', label: 'Copilot easing', min: 0.01, max: 0.1, step: 0.01 },
+    { path: 'aiMaxDistanceFromNet', label: 'Copilot distance from the net', min: 40, max: 200, step: 10 },
+    { path: 'aiErrorRate', label: 'Copilot error rate', min: 0, max: 0.5, step: 0.01 },
+    { path: 'aiShotVariety', label: 'Copilot shot variety', min: 0, max: 1, step: 0.05 },
+    { path: 'aiServeDelay', label: 'Copilot serve delay (ticks)', min: 15, max: 120, step: 5 },
+    { path: 'aiServeTiming', label: 'Copilot serve timing spread', min: 0, max: 0.5, step: 0.01 },
+    { path: 'aiServeSpeed', label: 'Copilot serve pace', min: 0.5, max: 1.2, step: 0.05 },
+    { path: 'aiServeAim', label: 'Copilot serve aim', min: 0, max: 1, step: 0.05 }
+];
+
+const CODE_PREFIX = 'ACE1-';
+
+export function readField(settings, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), settings);
+}
+
+// Sets a field by its path, creating the objects on the way
+export function writeField(settings, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => (object[key] ||= {}), settings);
+    parent[last] = value;
+}
+
+// Why `settings` can't be played, or null: every field must be a number within its range
+export function validateDifficulty(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'Difficulty settings must be an object';
+    for (const { path, min, max } of DIFFICULTY_FIELDS) {
+        const value = readField(settings, path);
+        if (!Number.isFinite(value) || value < min || value > max) return `${path} must be a number from ${min} to ${max}`;
+    }
+    if (settings.adaptive !== undefined && typeof settings.adaptive !== 'boolean') return 'adaptive must be true or false';
+    return null;
+}
+
+// Only the fields the engine reads, in a fixed order (and the adaptive flag when set). Expects
+// settings that pass validateDifficulty().
+export function canonicalDifficulty(settings) {
+    const canonical = {};
+    for (const { path } of DIFFICULTY_FIELDS) writeField(canonical, path, readField(settings, path));
+    if (settings.adaptive) canonical.adaptive = true;
+    return canonical;
+}
+
+// Short fingerprint of the settings (32-bit FNV-1a, in hex): equal settings, equal hash
+export function difficultyHash(settings) {
+    const text = DIFFICULTY_FIELDS.map(({ path }) => String(readField(settings, path))).join(',') + (settings.adaptive ? ',adaptive' : '');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+// The first of `presets` (id -> settings) that plays exactly like `settings`, or null
+export function matchingPreset(settings, presets) {
+    const hash = difficultyHash(settings);
+    return Object.keys(presets).find(id => difficultyHash(presets[id]) === hash) || null;
+}
+
+// Share code: "ACE1-" and the field values (then "adaptive" if set), base64url-encoded
+export function encodeDifficulty(settings) {
+    const values = DIFFICULTY_FIELDS.map(({ path }) => readField(settings, path)).join(',') + (settings.adaptive ? ',adaptive' : '');
+    return CODE_PREFIX + btoa(values).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// The settings a share code stands for, or null if it isn't a valid one
+export function decodeDifficulty(code) {
+    if (typeof code !== 'string' || !code.trim().startsWith(CODE_PREFIX)) return null;
+    let values;
+    try {
+        values = atob(code.trim().slice(CODE_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/')).split(',');
+    } catch {
+        return null;
+    }
+    const adaptive = values.length === DIFFICULTY_FIELDS.length + 1 && values[DIFFICULTY_FIELDS.length] === 'adaptive';
+    if (values.length !== DIFFICULTY_FIELDS.length && !adaptive) return null;
+    const settings = {};
+    DIFFICULTY_FIELDS.forEach(({ path }, i) => writeField(settings, path, values[i].trim() === '' ? NaN : Number(values[i])));
+    if (adaptive) settings.adaptive = true;
+    return validateDifficulty(settings) ? null : settings;
+}
@@ -0,0 +1,50 @@
+// The daily challenge: one match a day that everybody plays the same way - the same seed, match
+// modifier, Copilot personality, difficulty and format. The API draws each day's seed at random when
+// the day starts and keeps it, so a challenge can't be known (or practised) before its day; the rest
+// follows from the seed. Each player's first attempt of the day is ranked on the day's leaderboard;
+// the API keeps the day's definition and the attempts (api/src/daily).
+
+import { MATCH_MODIFIERS } from './modifiers.js';
+import { AI_PERSONALITIES } from './ai.js';
+
+export const DAILY_DIFFICULTY = 'advanced';
+export const DAILY_FORMAT = 'quick';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The challenge day of a date: its UTC date as YYYY-MM-DD
+export function challengeDay(date = new Date()) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+// When the challenge of `day` ends and the next one starts (the following UTC midnight)
+export function challengeEndsAt(day) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + DAY_MS);
+}
+
+export function isChallengeDay(day) {
+    if (typeof day !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day)) return false;
+    const time = Date.parse(`${day}T00:00:00Z`);
+    return !Number.isNaN(time) && challengeDay(time) === day;
+}
+
+// The challenge of `day`, played on `seed`
+export function dailyChallenge(day, seed) {
+    const modifiers = Object.keys(MATCH_MODIFIERS);
+    const personalities = Object.keys(AI_PERSONALITIES);
+    return {
+        day,
+        seed,
+        modifier: modifiers[seed % modifiers.length],
+        personality: personalities[(seed >>> 8) % personalities.length],
+        difficulty: DAILY_DIFFICULTY,
+        format: DAILY_FORMAT
+    };
+}
+
+// "5h 02m 09s" until `endsAt`
+export function formatCountdown(endsAt, now = Date.now()) {
+    const seconds = Math.max(0, Math.ceil((new Date(endsAt) - now) / 1000));
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${Math.floor(seconds / 3600)}h ${pad(Math.floor(seconds / 60) % 60)}m ${pad(seconds % 60)}s`;
+}
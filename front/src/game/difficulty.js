@@ -0,0 +1,75 @@
+// Copilot difficulty presets: ball pace and AI movement/serve tuning.
+// All speeds are per simulation tick (see loop.js).
+
+export const DIFFICULTY_SETTINGS = {
+    beginner: {
+        ballSpeed: { x: 1, y: 0.8 },        // Much slower for beginners
+        ballMaxSpeed: 2.5,                  // Reduced max speed
+        ballSpeedIncrease: 1.005,           // Very gradual speed increase
+        aiSpeed: 2,
+        aiReaction: 0.5,
+        aiDeadZone: 30,
+        paddleYVariation: 4,
+        // Enhanced AI movement properties for realistic gameplay
+        aiVerticalReaction: 0.3,     // Slower vertical reaction
+        aiVerticalDeadZone: 40,      // Larger dead zone for Y movement
+        aiSmoothingFactor: 0.15,     // Low smoothing for natural movement
+        aiEasingFactor: 0.03,        // Very slow easing for human-like delays
+        aiMaxDistanceFromNet: 120,   // Stay 120px+ from net (conservative)
+        aiErrorRate: 0.2,            // Share of Copilot shots that miss (net, long or wide)
+        aiShotVariety: 0.15,         // Share of Copilot shots that aren't flat drives (topspin, slice, lob, smash)
+        // Copilot serve
+        aiServeDelay: 60,            // Ticks before tossing the ball
+        aiServeTiming: 0.3,          // Timing spread around the toss apex (lower = cleaner contact)
+        aiServeSpeed: 0.8,           // Serve pace relative to ballMaxSpeed
+        aiServeAim: 0.2              // 0 aims at the box centre, 1 right at the lines
+    },
+    advanced: {
+        ballSpeed: { x: 1.5, y: 1.2 },     // Moderate speed
+        ballMaxSpeed: 3.5,                  // Moderate max speed
+        ballSpeedIncrease: 1.01,            // Gradual speed increase
+        aiSpeed: 3,
+        aiReaction: 0.7,
+        aiDeadZone: 20,
+        paddleYVariation: 6,
+        // Enhanced AI movement properties for realistic gameplay
+        aiVerticalReaction: 0.5,
+        aiVerticalDeadZone: 30,
+        aiSmoothingFactor: 0.25,
+        aiEasingFactor: 0.05,        // Standard easing as requested
+        aiMaxDistanceFromNet: 100,   // Stay 100px+ from net
+        aiErrorRate: 0.12,
+        aiShotVariety: 0.4,
+        // Copilot serve
+        aiServeDelay: 45,
+        aiServeTiming: 0.18,
+        aiServeSpeed: 0.9,
+        aiServeAim: 0.5
+    },
+    expert: {
+        ballSpeed: { x: 2, y: 1.8 },       // Faster but still manageable
+        ballMaxSpeed: 4.5,                  // Reduced from 8 to 4.5
+        ballSpeedIncrease: 1.02,            // More reasonable increase
+        aiSpeed: 4.5,
+        aiReaction: 0.9,
+        aiDeadZone: 10,
+        paddleYVariation: 8,
+        // Enhanced AI movement properties for realistic gameplay
+        aiVerticalReaction: 0.7,
+        aiVerticalDeadZone: 20,
+        aiSmoothingFactor: 0.35,
+        aiEasingFactor: 0.07,        // Faster easing for expert level
+        aiMaxDistanceFromNet: 80,    // More aggressive positioning
+        aiErrorRate: 0.06,
+        aiShotVariety: 0.7,
+        // Copilot serve
+        aiServeDelay: 30,
+        aiServeTiming: 0.08,
+        aiServeSpeed: 1,
+        aiServeAim: 0.75
+    }
+};
+
+// Adaptive: starts as advanced, then the engine moves the Copilot's pace between the presets above
+// after every point (see adaptive.js)
+DIFFICULTY_SETTINGS.adaptive = { ...DIFFICULTY_SETTINGS.advanced, adaptive: true };
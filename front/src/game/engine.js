@@ -0,0 +1,966 @@
+// Headless tennis simulation: court geometry, ball physics, Copilot movement, serve and scoring.
+// The Copilot's decisions come from its personality's strategy (ai.js).
+// No DOM, canvas or audio here - the engine advances one fixed tick per step() from the
+// inputs it is given and reports what happened as events ('hit', 'point', 'matchEnd', ...).
+// The browser renderer (main.js) and tests subscribe to those events.
+
+import { TennisScore, MATCH_FORMATS, otherSide } from './scoring.js';
+import { TOSS_DURATION, TOSS_APEX, TOSS_PEAK, serveCourt, serverHalf, serviceBox, isInBox, tossHeight, tossQuality } from './serve.js';
+import { PADDLE_REACH, launchArc, stepHeight, crossedNet } from './flight.js';
+import { SHOT_TYPES, FORECOURT_DEPTH, isShotType, resolveShot } from './shots.js';
+import { SeededRandom, randomSeed } from './rng.js';
+import { TICK_MS } from './loop.js';
+import { DIFFICULTY_SETTINGS } from './difficulty.js';
+import { AI_PERSONALITIES, DEFAULT_PERSONALITY, isPersonality } from './ai.js';
+import { ADAPTIVE_START_LEVEL, settingsAtLevel, nextLevel } from './adaptive.js';
+import { PADDLE_WIDTH, MATCH_MODIFIERS, isModifier, modifiedSettings } from './modifiers.js';
+
+// Ticks of pause after a point, and before a second serve or a replayed let
+export const SCORE_DELAY_TICKS = Math.round(1500 / TICK_MS);
+const FAULT_DELAY_TICKS = Math.round(1000 / TICK_MS);
+
+// Gamepad stick value (-1..1), anything else counts as centred
+function analogAxis(value) {
+    return Number.isFinite(value) ? Math.max(-1, Math.min(1, value)) : 0;
+}
+
+// Move by `delta` within [min, max], without pulling a position that is already outside back in
+function nudge(position, delta, min, max) {
+    const next = position + delta;
+    return delta < 0 ? Math.max(Math.min(min, position), next) : Math.min(Math.max(max, position), next);
+}
+
+export class GameEngine {
+    // `opponent` is who plays the top side: 'copilot' (AI) or 'human' (local versus).
+    // The top side keeps the 'copilot' key in scores and events either way.
+    // `personality` picks the Copilot's strategy (see ai.js), `modifier` the conditions the match is
+    // played in, if any (see modifiers.js).
+    constructor({ width = 600, height = 800, difficulty = 'beginner', format = 'quick', opponent = 'copilot', personality = DEFAULT_PERSONALITY, modifier = null, seed = randomSeed(), difficultySettings = DIFFICULTY_SETTINGS } = {}) {
+        this.width = width;
+        this.height = height;
+        this.difficultySettings = difficultySettings;
+        this.currentDifficulty = difficulty;
+        this.currentFormat = format;
+        this.opponent = opponent;
+        this.personality = isPersonality(personality) ? personality : DEFAULT_PERSONALITY;
+        this.modifier = isModifier(modifier) ? modifier : null;
+        this.modified = null;   // The settings under the modifier: { base, settings }
+        this.names = { player: 'Player', copilot: 'Copilot' };
+        this.listeners = {};
+
+        // Physics and 3D constants
+        this.netHeight = 30; // A ball lower than this as it crosses the net hits the tape
+        this.netPosition = this.height / 2; // Net Y position
+        this.groundLevel = 0; // Ground Z level - the ball bounces here
+        this.maxBallHeight = 150; // Arcs peak at about half of this
+
+        // Tennis court boundaries (playable area) - Match visual court boundaries
+        this.courtBounds = {
+            left: 80, // Left sideline - match green court boundary
+            right: this.width - 80, // Right sideline - match green court boundary
+            top: 50, // Top baseline - match green court boundary
+            bottom: this.height - 50 // Bottom baseline - match green court boundary
+        };
+
+        // Game objects - top-down view: Copilot at top, Player at bottom
+        this.paddle1 = { x: this.width / 2 - 40, y: 20, width: 80, height: 15, speed: 2 }; // Copilot (top)
+        this.paddle2 = { x: this.width / 2 - 40, y: this.height - 35, width: 80, height: 15, speed: 5 }; // Player (bottom)
+        this.ball = {
+            x: this.width / 2,
+            y: this.height / 2,
+            width: 40,
+            height: 40,
+            z: 0,           // Height above the court
+            speedX: 1.5,
+            speedY: 1.5,
+            speedZ: 0,
+            gravity: 0,     // Set by each shot (see flight.js)
+            maxSpeed: 4
+        };
+
+        // AI paddle tracking for natural movement
+        this.aiTarget = { x: this.width / 2 - 40, y: 20 };
+
+        this.score = new TennisScore(MATCH_FORMATS[format]);
+        this.serve = {
+            phase: 'none',      // 'ready' (ball in hand), 'toss', 'flight' (until it lands), 'none' (rally)
+            court: 'deuce',     // 'deuce' or 'ad' side of the centre mark
+            faults: 0,          // Faults on the current point (two lose it)
+            tossFrame: 0,
+            aiWaitFrames: 0,    // Copilot: ticks left before tossing
+            aiHitAt: 0,         // Copilot: toss progress at which it strikes
+            box: null,          // Receiver's service box
+            landing: null,      // Where the struck serve will land { x, y }
+            net: null,          // null, 'let' (clips the cord) or 'fault' (into the net)
+            crossedNet: false
+        };
+
+        // Ball in play: who struck it last, with which shot (see shots.js), how often it has bounced
+        // since, and how many strokes (serve included) the point has had
+        this.rally = { hitter: null, bounces: 0, shot: 'flat', strokes: 0 };
+        // Shot each human is holding (modifier key, button or gesture), played if they hit the ball
+        this.shotIntent = { player: null, copilot: null };
+
+        this.reset(seed);
+    }
+
+    // The difficulty preset, or for an adaptive Copilot the preset at its current level, as the
+    // match modifier changes it
+    get settings() {
+        let settings = this.difficultySettings[this.currentDifficulty];
+        if (this.isAdaptive) {
+            this.adaptive.settings ||= settingsAtLevel(settings, this.adaptive.level);
+            settings = this.adaptive.settings;
+        }
+        if (!this.modifier) return settings;
+        if (this.modified?.base !== settings) this.modified = { base: settings, settings: modifiedSettings(settings, this.modifier) };
+        return this.modified.settings;
+    }
+
+    // Sideways drift of the ball in a rally, in pixels a tick
+    get wind() {
+        return MATCH_MODIFIERS[this.modifier]?.wind || 0;
+    }
+
+    // Only the Copilot adapts: a second human plays at the preset's pace
+    get isAdaptive() {
+        return !!this.difficultySettings[this.currentDifficulty]?.adaptive && this.opponent === 'copilot';
+    }
+
+    // The Copilot's strategy
+    get ai() {
+        return AI_PERSONALITIES[this.personality];
+    }
+
+    on(type, handler) {
+        (this.listeners[type] ||= new Set()).add(handler);
+        return () => this.listeners[type].delete(handler);
+    }
+
+    emit(type, data = {}) {
+        const event = { type, tick: this.matchTicks, ...data };
+        this.tickEvents.push(event);
+        (this.listeners[type] || []).forEach(handler => handler(event));
+    }
+
+    setDifficulty(difficulty) {
+        if (!this.difficultySettings[difficulty]) return;
+        this.currentDifficulty = difficulty;
+        this.adaptive.settings = null;
+        this.applyDifficultySettings();
+    }
+
+    // Swap the difficulty presets (tuned by the API, or with a custom one added); the current
+    // difficulty's new settings apply right away if it is still one of them
+    setDifficultyPresets(difficultySettings) {
+        this.difficultySettings = difficultySettings;
+        this.adaptive.settings = null;
+        if (difficultySettings[this.currentDifficulty]) this.applyDifficultySettings();
+    }
+
+    setFormat(format) {
+        if (!MATCH_FORMATS[format]) return;
+        this.currentFormat = format;
+        this.score = new TennisScore(MATCH_FORMATS[format]);
+    }
+
+    setOpponent(opponent) {
+        if (opponent !== 'copilot' && opponent !== 'human') return;
+        this.opponent = opponent;
+        this.applyDifficultySettings();
+    }
+
+    setPersonality(personality) {
+        if (!isPersonality(personality)) return;
+        this.personality = personality;
+    }
+
+    // A modifier ID, or null for none; the paddles take their width on the next reset()
+    setModifier(modifier) {
+        if (modifier !== null && !isModifier(modifier)) return;
+        this.modifier = modifier;
+        this.modified = null;
+        this.applyDifficultySettings();
+    }
+
+    isHuman(side) {
+        return side === 'player' || this.opponent === 'human';
+    }
+
+    applyDifficultySettings() {
+        const settings = this.settings;
+        // A second human moves as fast as the first one
+        this.paddle1.speed = this.opponent === 'human' ? this.paddle2.speed : settings.aiSpeed;
+        this.ball.maxSpeed = settings.ballMaxSpeed;
+        this.resetBallSpeed();
+    }
+
+    // New match with a fresh (or given) seed. The match starts on start().
+    reset(seed = randomSeed()) {
+        this.seed = seed >>> 0;
+        this.rng = new SeededRandom(this.seed);
+        this.tickEvents = [];
+        this.matchTicks = 0;
+        this.started = false;
+        this.gameEnded = false;
+        this.winner = null;
+
+        this.score.reset();
+        this.scoreCallout = '';
+        this.copilotScore = 0;   // Total points won, across the whole match
+        this.playerScore = 0;
+        this.isScoreDelay = false;
+        this.scoreDelayTicks = 0;
+        this.lastScorer = null;
+        // Every point of the match: { timeMs, winner, server, strokes, reason }
+        this.pointLog = [];
+        this.longestRally = 0;
+        // Adaptive difficulty: the Copilot's level, the sum of the levels the points were played at,
+        // and the player's reaction margins during the current point (see adaptive.js)
+        this.adaptive = { level: ADAPTIVE_START_LEVEL, levelSum: 0, margins: [], settings: null };
+
+        // Player serves the first game
+        this.server = 'player';
+        this.serve.phase = 'none';
+        this.serve.faults = 0;
+
+        this.ball.x = this.width / 2 - this.ball.width / 2;
+        this.ball.y = this.height / 2 - this.ball.height / 2;
+        this.ball.z = this.groundLevel;
+        this.ball.speedZ = 0;
+        this.ball.gravity = 0;
+        this.rally.hitter = null;
+        this.rally.bounces = 0;
+        this.rally.shot = 'flat';
+        this.rally.strokes = 0;
+        this.shotIntent = { player: null, copilot: null };
+        this.paddle1.width = this.paddle2.width = MATCH_MODIFIERS[this.modifier]?.paddleWidth || PADDLE_WIDTH;
+        this.paddle1.x = this.width / 2 - this.paddle1.width / 2;
+        this.paddle1.y = 20;
+        this.paddle2.x = this.width / 2 - this.paddle2.width / 2;
+        this.paddle2.y = this.height - 35;
+        this.aiTarget.x = this.paddle1.x;
+        this.aiTarget.y = this.paddle1.y;
+
+        this.applyDifficultySettings();
+    }
+
+    // Draw from the seed afresh, as if reset() hadn't drawn from it yet. A daily challenge match does
+    // this right before start(), so its replay shows it was played on the day's seed.
+    reseed() {
+        this.rng = new SeededRandom(this.seed);
+    }
+
+    start() {
+        this.started = true;
+        this.prepareServe();
+    }
+
+    get matchTimeMs() {
+        return Math.floor(this.matchTicks * TICK_MS);
+    }
+
+    // Advance the simulation by one tick.
+    // input.player (bottom) and, in local versus, input.copilot (top):
+    // { left, right, up, down, moveX, moveY, serve, aim, shot, target: { x, y } | null } in screen directions,
+    // `shot` being a shot type from shots.js (or null for the contact timing to decide).
+    // Returns the events emitted during this tick.
+    step(input = {}) {
+        this.tickEvents = [];
+        if (!this.started || this.gameEnded) return this.tickEvents;
+        this.matchTicks++;
+
+        if (this.isScoreDelay) {
+            if (--this.scoreDelayTicks <= 0) {
+                this.isScoreDelay = false;
+                this.prepareServe();
+            }
+            return this.tickEvents;
+        }
+
+        for (const side of ['player', 'copilot']) {
+            if (!this.isHuman(side)) continue;
+            const sideInput = input[side] || {};
+            this.movePaddle(side, sideInput);
+            this.shotIntent[side] = isShotType(sideInput.shot) ? sideInput.shot : null;
+            if (sideInput.serve && this.isAwaitingServe(side)) {
+                this.handleServeInput(sideInput.aim || 0);
+            }
+        }
+        if (!this.isHuman('copilot')) this.updateAi();
+
+        // Serve pending: server pinned behind the baseline with the ball in hand
+        if (this.isServePending()) {
+            this.updateServe();
+            return this.tickEvents;
+        }
+
+        // Tennis-style Ball Physics - Diagonal trajectories, arcing over the net
+        const previousY = this.ball.y + this.ball.height / 2;
+        this.ball.x += this.ball.speedX + (this.serve.phase === 'none' ? this.wind : 0);
+        this.ball.y += this.ball.speedY;
+        const bounced = stepHeight(this.ball, this.groundLevel);
+
+        // Serve in flight: call net, let and service box before anyone can play it
+        if (this.serve.phase === 'flight') {
+            this.updateServeFlight(previousY, bounced);
+            return this.tickEvents;
+        }
+
+        if (this.updateRally(previousY, bounced)) return this.tickEvents;
+
+        // Paddles only reach a low ball, and nobody plays the ball twice in a row
+        if (this.ball.z > PADDLE_REACH) return this.tickEvents;
+        if (this.rally.hitter !== 'copilot' && this.checkCollision(this.ball, this.paddle1)) {
+            this.hitBallWithPaddle(this.paddle1, true);
+        } else if (this.rally.hitter !== 'player' && this.checkCollision(this.ball, this.paddle2)) {
+            this.hitBallWithPaddle(this.paddle2, false);
+        }
+        return this.tickEvents;
+    }
+
+    // Human paddle: keys move it, a gamepad stick (moveX/moveY, -1..1) moves it at up to full speed,
+    // a touch target centres it under the finger.
+    // The bottom player stays below the net and the top one above it.
+    movePaddle(side, input) {
+        const paddle = side === 'player' ? this.paddle2 : this.paddle1;
+        const bottom = side === 'player';
+
+        if (input.target) {
+            const topBoundary = bottom ? this.height * 0.4 : 20; // Can't go past 40% of court height from the own baseline
+            const bottomBoundary = bottom ? this.height - paddle.height - 20 : this.height * 0.6 - paddle.height; // Stay 20px from the own edge
+            paddle.x = Math.max(0, Math.min(this.width - paddle.width, input.target.x - paddle.width / 2));
+            paddle.y = Math.max(topBoundary, Math.min(bottomBoundary, input.target.y - paddle.height / 2));
+        }
+
+        // Full canvas width, but stay on the own side of the net
+        const canvasRight = this.width - paddle.width;
+        const courtTop = bottom ? this.netPosition + 10 : this.courtBounds.top;
+        const courtBottom = bottom ? this.courtBounds.bottom - paddle.height : this.netPosition - 10 - paddle.height;
+        if (input.left && paddle.x > 0) paddle.x -= paddle.speed;
+        if (input.right && paddle.x < canvasRight) paddle.x += paddle.speed;
+        if (input.up && paddle.y > courtTop) paddle.y -= paddle.speed;
+        if (input.down && paddle.y < courtBottom) paddle.y += paddle.speed;
+
+        const moveX = analogAxis(input.moveX);
+        const moveY = analogAxis(input.moveY);
+        // Like the keys, the stick never pushes the paddle further out of its area (e.g. behind the baseline after serving)
+        if (moveX) paddle.x = nudge(paddle.x, moveX * paddle.speed, 0, canvasRight);
+        if (moveY) paddle.y = nudge(paddle.y, moveY * paddle.speed, courtTop, courtBottom);
+    }
+
+    // The band the Copilot may move in: from its baseline down to its personality's distance from the net
+    aiArea() {
+        const top = this.courtBounds.top;
+        return { top, bottom: this.netPosition - this.ai.netDistance(this.settings, { top, net: this.netPosition }) };
+    }
+
+    // What the Copilot's strategy sees
+    aiState() {
+        return {
+            ball: { ...this.ball },
+            paddle: { ...this.paddle1 },
+            opponent: { ...this.paddle2 },
+            court: { ...this.courtBounds, net: this.netPosition, width: this.width, height: this.height },
+            area: this.aiArea(),
+            rally: { ...this.rally },
+            contact: this.contactFor('copilot'),
+            opponentAtNet: this.isInForecourt('player')
+        };
+    }
+
+    // AI paddle (Copilot): heads for the spot its strategy picks, with the difficulty's
+    // human-like easing, reaction and dead zone
+    updateAi() {
+        const settings = this.settings;
+        const state = this.aiState();
+        const { top: aiMinY, bottom: aiMaxY } = state.area;
+        const { x: targetX, y: targetY } = this.ai.target(state, settings);
+
+        // Apply human-like easing to target positions (smooth reaction delays)
+        this.aiTarget.x += (targetX - this.aiTarget.x) * settings.aiEasingFactor;
+        this.aiTarget.y += (targetY - this.aiTarget.y) * settings.aiEasingFactor * 0.7; // Slower Y easing
+
+        // Constrain AI target within boundaries
+        this.aiTarget.x = Math.max(0, Math.min(this.width - this.paddle1.width, this.aiTarget.x));
+        this.aiTarget.y = Math.max(aiMinY, Math.min(aiMaxY, this.aiTarget.y));
+
+        // Move paddle toward target with human-like delays and imperfection
+        const xDiff = this.aiTarget.x - this.paddle1.x;
+        const yDiff = this.aiTarget.y - this.paddle1.y;
+
+        // Apply movement only if difference is significant (dead zone simulation)
+        if (Math.abs(xDiff) > 2) {
+            this.paddle1.x += xDiff * settings.aiSmoothingFactor * settings.aiReaction;
+        }
+        if (Math.abs(yDiff) > 3) {
+            this.paddle1.y += yDiff * settings.aiSmoothingFactor * settings.aiVerticalReaction * 0.8;
+        }
+
+        // Final boundary enforcement for paddle position
+        this.paddle1.x = Math.max(0, Math.min(this.width - this.paddle1.width, this.paddle1.x));
+        this.paddle1.y = Math.max(aiMinY, Math.min(aiMaxY, this.paddle1.y));
+    }
+
+    // Line calls for the ball in play. Returns true when the point is over.
+    updateRally(previousY, bounced) {
+        const rally = this.rally;
+        const receiver = otherSide(rally.hitter);
+        const centerX = this.ball.x + this.ball.width / 2;
+        const centerY = this.ball.y + this.ball.height / 2;
+
+        // Too low where it reaches the net: into the tape
+        if (rally.bounces === 0 && crossedNet(previousY, centerY, this.netPosition) && this.ball.z < this.netHeight) {
+            this.emit('net', { side: rally.hitter });
+            this.awardPoint(receiver, 'Net');
+            return true;
+        }
+
+        if (bounced) {
+            rally.bounces++;
+            if (rally.bounces === 1) this.applyBounceSpin();
+            const inCourt = this.isInCourt(receiver, centerX, centerY);
+            this.emit('bounce', { x: centerX, y: centerY, in: inCourt });
+            if (rally.bounces === 1 && !inCourt) {
+                this.awardPoint(receiver, 'Out');
+                return true;
+            }
+            if (rally.bounces >= 2) {
+                // Bounced twice before the receiver got to it
+                this.awardPoint(rally.hitter);
+                return true;
+            }
+        }
+
+        // Ball leaving the canvas: out if it never landed, otherwise the receiver let it past
+        if (this.ball.y <= -20 || this.ball.y >= this.height + 20 || this.ball.x <= -20 || this.ball.x >= this.width + 20) {
+            if (rally.bounces === 0) {
+                this.awardPoint(receiver, 'Out');
+            } else {
+                this.awardPoint(rally.hitter);
+            }
+            return true;
+        }
+        return false;
+    }
+
+    // Is a landing spot inside `side`'s half of the court? Lines are in.
+    isInCourt(side, x, y) {
+        const bounds = this.courtBounds;
+        if (x < bounds.left || x > bounds.right) return false;
+        return side === 'copilot'
+            ? y >= bounds.top && y <= this.netPosition
+            : y >= this.netPosition && y <= bounds.bottom;
+    }
+
+    checkCollision(rect1, rect2) {
+        return rect1.x < rect2.x + rect2.width &&
+               rect1.x + rect1.width > rect2.x &&
+               rect1.y < rect2.y + rect2.height &&
+               rect1.y + rect1.height > rect2.y;
+    }
+
+    resetBallSpeed() {
+        // Tennis-style ball reset with safe diagonal trajectory
+        const settings = this.settings;
+
+        // Create safe diagonal trajectory with controlled speeds
+        const horizontalDirection = this.rng.sign();
+        const verticalDirection = this.rng.sign();
+
+        // Set safe diagonal speeds (within -4 to +4 range for horizontal)
+        this.ball.speedX = Math.max(-3, Math.min(3,
+            (settings.ballSpeed.x + this.rng.next() * 0.5) * horizontalDirection
+        ));
+        this.ball.speedY = (settings.ballSpeed.y + this.rng.next() * 0.5) * verticalDirection;
+
+        // Ensure minimum movement for continuous gameplay
+        if (Math.abs(this.ball.speedX) < 0.8) {
+            this.ball.speedX = 0.8 * Math.sign(this.ball.speedX || 1);
+        }
+        if (Math.abs(this.ball.speedY) < 0.8) {
+            this.ball.speedY = 0.8 * Math.sign(this.ball.speedY || 1);
+        }
+
+        // Update max speed based on difficulty
+        this.ball.maxSpeed = settings.ballMaxSpeed;
+    }
+
+    hitBallWithPaddle(paddle, isTopPaddle = false) {
+        // Smart tennis-style paddle hit with fair trajectory calculation
+        const hitPos = (this.ball.x + this.ball.width / 2 - paddle.x) / paddle.width; // 0 to 1
+        const settings = this.settings;
+        const side = isTopPaddle ? 'copilot' : 'player';
+        if (!isTopPaddle && this.isAdaptive) this.adaptive.margins.push(Math.min(1, Math.abs(hitPos - 0.5) * 2));
+
+        // Shot type: the human's pick (or their contact timing), the Copilot's own choice
+        const requested = this.isHuman(side) ? this.shotIntent[side] : this.chooseAiShot();
+        const shotType = resolveShot(requested, this.contactFor(side));
+        const shot = SHOT_TYPES[shotType];
+
+        // Get opponent paddle for position awareness
+        const opponentPaddle = isTopPaddle ? this.paddle2 : this.paddle1;
+        const opponentCenterX = opponentPaddle.x + opponentPaddle.width / 2;
+
+        // Calculate safe target area on opponent's side
+        const courtLeftSafe = this.courtBounds.left + 40; // 40px margin from sideline
+        const courtRightSafe = this.courtBounds.right - 40; // 40px margin from sideline
+        const safeTargetWidth = courtRightSafe - courtLeftSafe;
+
+        // Base target calculation from hit position
+        const baseTargetX = courtLeftSafe + (hitPos * safeTargetWidth);
+
+        // Adjust target to avoid extreme corners if opponent is already at edge
+        let targetX;
+        if (opponentCenterX < this.width * 0.3) {
+            // Opponent is on the left, favor center-right shots
+            targetX = Math.max(baseTargetX, this.width * 0.4);
+        } else if (opponentCenterX > this.width * 0.7) {
+            // Opponent is on the right, favor center-left shots
+            targetX = Math.min(baseTargetX, this.width * 0.6);
+        } else {
+            // Opponent is center, use normal targeting
+            targetX = baseTargetX;
+        }
+
+        // Copilot misses some shots: long, wide or into the net
+        let miss = null;
+        if (isTopPaddle && !this.isHuman('copilot') && this.rng.next() < this.ai.errorRate(this.aiState(), settings)) {
+            miss = ['long', 'wide', 'net'][Math.floor(this.rng.next() * 3)];
+        }
+        if (miss === 'wide') {
+            targetX = targetX < this.width / 2 ? this.courtBounds.left - 30 : this.courtBounds.right + 30;
+        }
+
+        // Calculate trajectory to reach target
+        const ballCurrentX = this.ball.x + this.ball.width / 2;
+        const horizontalDistance = targetX - ballCurrentX;
+
+        // Land in the opponent's court, as deep as the shot goes
+        const depth = miss === 'long' ? 1.2 : shot.depth;
+        const ballCenterY = this.ball.y + this.ball.height / 2;
+        const landingY = isTopPaddle ?
+            this.netPosition + (this.courtBounds.bottom - this.netPosition) * depth : // AI to player area
+            this.netPosition - (this.netPosition - this.courtBounds.top) * depth;     // Player to AI area
+        const verticalDistance = landingY - ballCenterY;
+
+        const trajectoryTime = Math.max(20, Math.abs(verticalDistance / 2)); // Minimum 20 ticks
+
+        // Calculate required vertical speed
+        let targetSpeedY = isTopPaddle ?
+            Math.abs(verticalDistance / trajectoryTime) : // Positive for downward
+            -Math.abs(verticalDistance / trajectoryTime);  // Negative for upward
+
+        // Ensure good vertical speed for proper trajectory
+        const minVerticalSpeed = 1.2;
+        const maxVerticalSpeed = settings.ballMaxSpeed * 0.8;
+
+        if (isTopPaddle) {
+            // AI paddle - ensure downward movement
+            targetSpeedY = Math.max(minVerticalSpeed, Math.min(maxVerticalSpeed, Math.abs(targetSpeedY)));
+        } else {
+            // Player paddle - ensure upward movement
+            targetSpeedY = -Math.max(minVerticalSpeed, Math.min(maxVerticalSpeed, Math.abs(targetSpeedY)));
+        }
+        targetSpeedY *= shot.pace;
+
+        // Ticks in the air at that speed; the horizontal speed reaches the target on landing
+        const flightTicks = Math.max(20, Math.abs(verticalDistance / targetSpeedY));
+        let targetSpeedX = horizontalDistance / flightTicks;
+
+        // Apply safe horizontal speed limits (-4 to +4 as requested)
+        targetSpeedX = Math.max(-4, Math.min(4, targetSpeedX));
+
+        // Add controlled randomness for unpredictability (smaller variation for fairness)
+        const randomFactorX = (this.rng.next() - 0.5) * 48;  // ±24px sideways at the landing spot
+        const randomFactorY = (this.rng.next() - 0.5) * 0.6; // ±0.3 variation - lands shorter or longer
+
+        targetSpeedX += randomFactorX / flightTicks;
+        targetSpeedY += randomFactorY * shot.pace * (isTopPaddle ? 1 : -1);
+
+        // Final safety clamps
+        targetSpeedX = Math.max(-4, Math.min(4, targetSpeedX)); // Hard limit as requested
+
+        // Only a smash or topspin may go faster than the difficulty's top speed
+        const maxSpeed = settings.ballMaxSpeed * Math.max(1, shot.pace);
+        if (isTopPaddle) {
+            targetSpeedY = Math.max(0.8, Math.min(maxSpeed, targetSpeedY));
+        } else {
+            targetSpeedY = Math.max(-maxSpeed, Math.min(-0.8, targetSpeedY));
+        }
+
+        // Apply the calculated trajectory
+        this.ball.speedX = targetSpeedX;
+        this.ball.speedY = targetSpeedY;
+
+        // Arc over the net, coming down after the planned flight time (or at the net on a miss)
+        const arc = miss === 'net'
+            ? launchArc(this.ball.z, this.ball.z, Math.abs((this.netPosition - ballCenterY) / targetSpeedY))
+            : launchArc(this.ball.z, this.maxBallHeight * shot.apex, flightTicks);
+        this.ball.speedZ = arc.speedZ;
+        this.ball.gravity = arc.gravity;
+        this.rally.hitter = side;
+        this.rally.bounces = 0;
+        this.rally.shot = shotType;
+        this.rally.strokes++;
+
+        this.emit('hit', { side, serve: false, shot: shotType });
+    }
+
+    // Where `side` meets the ball, for the shot choice
+    contactFor(side) {
+        return {
+            inForecourt: this.isInForecourt(side),
+            ballZ: this.ball.z,
+            falling: this.ball.speedZ < 0,
+            bounces: this.rally.bounces
+        };
+    }
+
+    // Is `side`'s paddle close to the net?
+    isInForecourt(side) {
+        const paddle = side === 'player' ? this.paddle2 : this.paddle1;
+        const halfDepth = side === 'player' ? this.courtBounds.bottom - this.netPosition : this.netPosition - this.courtBounds.top;
+        const fromNet = Math.abs(paddle.y + paddle.height / 2 - this.netPosition);
+        return fromNet <= halfDepth * FORECOURT_DEPTH;
+    }
+
+    // The shot the Copilot goes for, picked by its strategy
+    chooseAiShot() {
+        return this.ai.shot(this.aiState(), this.settings, this.rng);
+    }
+
+    // First bounce of a groundstroke: topspin kicks up and forward, slice stays low
+    applyBounceSpin() {
+        const shot = SHOT_TYPES[this.rally.shot] || SHOT_TYPES.flat;
+        this.ball.speedZ *= shot.bounceLift;
+        this.ball.speedX *= shot.bounceSpeed;
+        this.ball.speedY *= shot.bounceSpeed;
+    }
+
+    // Award a point to 'player' or 'copilot' and advance the tennis score.
+    // `reason` prefixes the umpire call (e.g. 'Double fault').
+    awardPoint(scorer, reason = null) {
+        if (scorer === 'player') {
+            this.playerScore++;
+        } else {
+            this.copilotScore++;
+        }
+
+        const outcome = this.score.pointWonBy(scorer);
+        const call = this.describeScoreOutcome(outcome, scorer);
+        this.scoreCallout = reason ? `${reason} · ${call}` : call;
+        this.pointLog.push({ timeMs: this.matchTimeMs, winner: scorer, server: this.server, strokes: this.rally.strokes, reason });
+        this.longestRally = Math.max(this.longestRally, this.rally.strokes);
+        if (this.isAdaptive) this.adaptToPoint(scorer);
+        this.serve.phase = 'none';
+        this.serve.faults = 0;
+        this.lastScorer = scorer;
+        this.updateServer(outcome);
+        this.emit('point', { scorer, outcome, reason, call: this.scoreCallout });
+
+        if (this.score.winner) {
+            this.gameEnded = true;
+            this.winner = this.score.winner;
+            this.emit('matchEnd', {
+                winner: this.winner,
+                durationMs: this.matchTimeMs,
+                setScores: this.score.formatSets('player'),
+                playerScore: this.playerScore,
+                copilotScore: this.copilotScore,
+                pointsPlayed: this.pointLog.length,
+                longestRally: this.longestRally,
+                pointLog: this.pointLog.map(point => ({ ...point })),
+                ...(this.isAdaptive ? { adaptiveLevel: this.adaptiveLevel() } : {})
+            });
+        } else {
+            this.startDelay(SCORE_DELAY_TICKS);
+        }
+    }
+
+    // Move the adaptive Copilot's level after a point. The new pace applies from the next point; the
+    // ball in play keeps its speed, and no rng is drawn, so replays stay deterministic.
+    adaptToPoint(scorer) {
+        const adaptive = this.adaptive;
+        const { margins } = adaptive;
+        adaptive.levelSum += adaptive.level;
+        adaptive.level = nextLevel(adaptive.level, {
+            won: scorer === 'player',
+            strokes: this.rally.strokes,
+            margin: margins.length ? margins.reduce((sum, margin) => sum + margin, 0) / margins.length : null,
+            lead: this.playerScore - this.copilotScore
+        });
+        adaptive.margins = [];
+        adaptive.settings = null;
+        this.paddle1.speed = this.settings.aiSpeed;
+        this.ball.maxSpeed = this.settings.ballMaxSpeed;
+    }
+
+    // The level the adaptive Copilot played at over the match so far (its average over the points), 0..1
+    adaptiveLevel() {
+        const played = this.pointLog.length;
+        const level = played ? this.adaptive.levelSum / played : this.adaptive.level;
+        return Math.round(level * 100) / 100;
+    }
+
+    describeScoreOutcome(outcome, scorer) {
+        const names = this.names;
+        switch (outcome) {
+            case 'match':
+                return `Game, set and match ${names[scorer]}`;
+            case 'set': {
+                const lastSet = this.score.sets[this.score.sets.length - 1];
+                return `Set ${names[scorer]} ${lastSet[scorer]}-${lastSet[otherSide(scorer)]}`;
+            }
+            case 'game':
+                return this.score.inTieBreak ? `Game ${names[scorer]} · Tie-break` : `Game ${names[scorer]}`;
+            default:
+                return this.score.callout(names);
+        }
+    }
+
+    // Pause between points (or serves) for a number of ticks, then prepare the next serve
+    startDelay(ticks) {
+        this.isScoreDelay = true;
+        this.scoreDelayTicks = ticks;
+    }
+
+    isServePending() {
+        return this.serve.phase === 'ready' || this.serve.phase === 'toss';
+    }
+
+    // Is `side` a human holding the ball for a serve?
+    isAwaitingServe(side) {
+        return this.started && !this.gameEnded && !this.isScoreDelay && this.server === side && this.isHuman(side) && this.isServePending();
+    }
+
+    isAwaitingPlayerServe() {
+        return this.isAwaitingServe('player');
+    }
+
+    // Put the ball in the server's hand behind the baseline for a first or second serve
+    prepareServe() {
+        const serve = this.serve;
+        serve.phase = 'ready';
+        serve.court = serveCourt(this.score);
+        serve.box = serviceBox(this.courtBounds, this.netPosition, this.server, serve.court);
+        serve.tossFrame = 0;
+        serve.aiWaitFrames = this.settings.aiServeDelay;
+        serve.landing = null;
+        serve.net = null;
+        serve.crossedNet = false;
+
+        // Start next to the centre mark on the correct half
+        const paddle = this.server === 'player' ? this.paddle2 : this.paddle1;
+        const centerX = (this.courtBounds.left + this.courtBounds.right) / 2;
+        paddle.x = serverHalf(this.server, serve.court) === 'right' ? centerX + 20 : centerX - 20 - paddle.width;
+
+        this.ball.speedX = 0;
+        this.ball.speedY = 0;
+        this.ball.speedZ = 0;
+        this.ball.gravity = 0;
+        this.rally.hitter = null;
+        this.rally.bounces = 0;
+        this.rally.strokes = 0;
+        this.constrainServer();
+        this.holdBallForServe();
+        this.emit('serveReady', { server: this.server, court: serve.court, faults: serve.faults });
+    }
+
+    // Keep the server behind its baseline and on its half of the centre mark until the serve is struck
+    constrainServer() {
+        const paddle = this.server === 'player' ? this.paddle2 : this.paddle1;
+        const centerX = (this.courtBounds.left + this.courtBounds.right) / 2;
+        const onRight = serverHalf(this.server, this.serve.court) === 'right';
+        const minX = onRight ? centerX : this.courtBounds.left - paddle.width / 2;
+        const maxX = onRight ? this.courtBounds.right - paddle.width / 2 : centerX - paddle.width;
+        paddle.x = Math.max(minX, Math.min(maxX, paddle.x));
+        paddle.y = this.server === 'player' ? this.courtBounds.bottom : this.courtBounds.top - paddle.height;
+    }
+
+    holdBallForServe() {
+        const paddle = this.server === 'player' ? this.paddle2 : this.paddle1;
+        this.ball.x = paddle.x + paddle.width / 2 - this.ball.width / 2;
+        this.ball.y = this.server === 'player' ? paddle.y - this.ball.height : paddle.y + paddle.height;
+        this.ball.z = this.serve.phase === 'toss'
+            ? this.groundLevel + TOSS_PEAK * tossHeight(this.serve.tossFrame / TOSS_DURATION)
+            : this.groundLevel;
+    }
+
+    // Serve key: first press tosses the ball, second press strikes it.
+    // `aim` (-1 left .. 1 right) goes for a sideline instead of the box centre.
+    handleServeInput(aim = 0) {
+        if (this.serve.phase === 'ready') {
+            this.serve.phase = 'toss';
+            this.serve.tossFrame = 0;
+        } else if (this.serve.phase === 'toss') {
+            this.hitServe(tossQuality(this.serve.tossFrame / TOSS_DURATION), aim, 0.9);
+        }
+    }
+
+    // Advance a pending serve: toss timer, Copilot serve decisions and the ball in the server's hand
+    updateServe() {
+        const serve = this.serve;
+        if (serve.phase === 'toss') {
+            serve.tossFrame++;
+            if (serve.tossFrame > TOSS_DURATION) {
+                // Nobody struck it: catch the toss and start again (no fault)
+                serve.phase = 'ready';
+                serve.tossFrame = 0;
+                serve.aiWaitFrames = this.settings.aiServeDelay;
+            }
+        }
+
+        if (!this.isHuman(this.server)) {
+            this.updateAiServe();
+            if (serve.phase === 'flight') return;
+        }
+
+        this.constrainServer();
+        this.holdBallForServe();
+    }
+
+    // Copilot serve: wait, toss, then strike with a timing error that shrinks with difficulty
+    updateAiServe() {
+        const serve = this.serve;
+        const settings = this.settings;
+
+        if (serve.phase === 'ready') {
+            if (serve.aiWaitFrames-- > 0) return;
+            serve.phase = 'toss';
+            serve.tossFrame = 0;
+            const timingError = (this.rng.next() - 0.5) * 2 * settings.aiServeTiming;
+            serve.aiHitAt = Math.max(0.05, Math.min(0.95, TOSS_APEX + timingError));
+            return;
+        }
+
+        if (serve.phase === 'toss' && serve.tossFrame / TOSS_DURATION >= serve.aiHitAt) {
+            // Go for a random sideline; play safer on a second serve
+            const secondServe = serve.faults > 0;
+            const aim = this.rng.sign() * settings.aiServeAim * (secondServe ? 0.5 : 1);
+            const pace = settings.aiServeSpeed * (secondServe ? 0.85 : 1);
+            this.hitServe(tossQuality(serve.tossFrame / TOSS_DURATION), aim, pace);
+        }
+    }
+
+    // Strike the serve toward the service box. Contact quality decides the scatter and the net clearance.
+    hitServe(quality, aim, pace) {
+        const serve = this.serve;
+        const box = serve.box;
+
+        // Aim deep in the box, shifted toward a sideline by `aim` (-1 left .. 1 right)
+        const boxCenterX = (box.left + box.right) / 2;
+        const boxDepth = box.bottom - box.top;
+        const aimX = boxCenterX + aim * (box.right - box.left) / 2;
+        const aimY = this.server === 'player' ? box.top + boxDepth * 0.25 : box.bottom - boxDepth * 0.25;
+
+        // Mis-hits scatter the landing point
+        const scatter = (8 + (1 - quality) * 70) * this.rng.next();
+        const angle = this.rng.next() * Math.PI * 2;
+        serve.landing = {
+            x: aimX + Math.cos(angle) * scatter,
+            y: aimY + Math.sin(angle) * scatter
+        };
+
+        // Late or early contact drags the serve into the net; a marginal one clips the cord
+        const clearance = quality + (this.rng.next() - 0.5) * 0.2;
+        if (clearance < 0.15) {
+            serve.net = 'fault';
+        } else if (clearance < 0.25 || this.rng.next() < 0.03) {
+            serve.net = 'let';
+        } else {
+            serve.net = null;
+        }
+
+        // Launch the ball straight at the landing point
+        const fromX = this.ball.x + this.ball.width / 2;
+        const fromY = this.ball.y + this.ball.height / 2;
+        const dx = serve.landing.x - fromX;
+        const dy = serve.landing.y - fromY;
+        const distance = Math.hypot(dx, dy) || 1;
+        const speed = this.settings.ballMaxSpeed * pace * (0.7 + 0.3 * quality);
+        this.ball.speedX = (dx / distance) * speed;
+        this.ball.speedY = (dy / distance) * speed;
+
+        // Hit down from the toss; a ball struck low is lifted over the net first
+        const arc = launchArc(this.ball.z, Math.max(this.ball.z, this.netHeight * 1.5), distance / speed);
+        this.ball.speedZ = arc.speedZ;
+        this.ball.gravity = arc.gravity;
+        this.rally.hitter = this.server;
+        this.rally.bounces = 0;
+        this.rally.shot = 'flat';
+        this.rally.strokes = 1;
+
+        serve.phase = 'flight';
+        serve.crossedNet = false;
+        this.emit('hit', { side: this.server, serve: true, quality });
+    }
+
+    // Follow a serve until it lands: net faults, lets and the service box call.
+    // Returns true when the serve is dead (fault or let).
+    updateServeFlight(previousY, bounced) {
+        const serve = this.serve;
+        const centerX = this.ball.x + this.ball.width / 2;
+        const centerY = this.ball.y + this.ball.height / 2;
+
+        if (!serve.crossedNet && crossedNet(previousY, centerY, this.netPosition)) {
+            serve.crossedNet = true;
+            if (serve.net === 'fault') {
+                this.callFault('Net');
+                return true;
+            }
+        }
+
+        if (!bounced) return false;
+
+        this.emit('bounce', { x: centerX, y: centerY, in: isInBox(serve.box, centerX, centerY) });
+        if (!isInBox(serve.box, centerX, centerY)) {
+            this.callFault('Out');
+            return true;
+        }
+        if (serve.net === 'let') {
+            this.callLet();
+            return true;
+        }
+
+        // Good serve - the rally is live, the receiver plays it after this bounce
+        serve.phase = 'none';
+        this.rally.bounces = 1;
+        return false;
+    }
+
+    callFault(reason) {
+        this.serve.phase = 'none';
+        this.serve.faults++;
+        this.ball.speedX = 0;
+        this.ball.speedY = 0;
+
+        if (this.serve.faults >= 2) {
+            this.emit('fault', { server: this.server, reason, double: true });
+            this.awardPoint(otherSide(this.server), 'Double fault');
+            return;
+        }
+        this.scoreCallout = reason === 'Net' ? 'Net · Fault' : 'Fault';
+        this.emit('fault', { server: this.server, reason, double: false });
+        this.startDelay(FAULT_DELAY_TICKS);
+    }
+
+    callLet() {
+        this.serve.phase = 'none';
+        this.ball.speedX = 0;
+        this.ball.speedY = 0;
+        this.scoreCallout = this.serve.faults > 0 ? 'Let · Second serve' : 'Let · First serve';
+        this.emit('let', { server: this.server });
+        this.startDelay(FAULT_DELAY_TICKS);
+    }
+
+    // Server changes every game; in a tie-break after the first point, then every two points
+    updateServer(outcome) {
+        if (outcome === 'game' || outcome === 'set') {
+            this.server = otherSide(this.server);
+        } else if (outcome === 'point' && this.score.inTieBreak) {
+            const played = this.score.points.player + this.score.points.copilot;
+            if (played % 2 === 1) this.server = otherSide(this.server);
+        }
+    }
+}
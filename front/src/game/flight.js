@@ -0,0 +1,33 @@
+// Ball height (Z axis): arcs, bounces and the net.
+// Pure helpers (no DOM) used by the engine; heights are in pixels above the court.
+
+// Share of vertical speed the ball keeps when it bounces
+export const BOUNCE_DAMPING = 0.6;
+
+// Highest a paddle can reach to play the ball (volleys above this sail over the paddle)
+export const PADDLE_REACH = 60;
+
+// Launch a shot from height `fromZ` so it peaks at `apex` and lands after `ticks` ticks.
+// Gravity is part of the shot: beginner rallies are several times slower than expert ones,
+// and a fixed gravity would make one of them either skim the net or fly out of the court.
+export function launchArc(fromZ, apex, ticks) {
+    const rise = Math.max(0, apex - fromZ);
+    const speedZ = (2 * (rise + Math.sqrt(rise * Math.max(apex, fromZ)))) / ticks;
+    const gravity = (2 * (fromZ + speedZ * ticks)) / (ticks * ticks);
+    return { speedZ, gravity };
+}
+
+// Advance the ball's height by one tick. Returns true when it touched the ground this tick.
+export function stepHeight(ball, groundLevel = 0) {
+    ball.z += ball.speedZ;
+    ball.speedZ -= ball.gravity;
+    if (ball.z > groundLevel) return false;
+    ball.z = groundLevel;
+    ball.speedZ = Math.abs(ball.speedZ) * BOUNCE_DAMPING;
+    return true;
+}
+
+// True when the ball's centre went from one side of the net to the other this tick
+export function crossedNet(previousY, currentY, netY) {
+    return (previousY < netY) !== (currentY < netY);
+}
@@ -0,0 +1,30 @@
+// Hard lower bounds on how fast a match can be played, from the engine's own pauses. The API
+// rejects submitted results that beat them (see api/src/shared/anticheat.ts).
+
+import { MATCH_FORMATS } from './scoring.js';
+import { SCORE_DELAY_TICKS } from './engine.js';
+import { TICK_MS } from './loop.js';
+
+const SCORE_DELAY_MS = SCORE_DELAY_TICKS * TICK_MS;
+
+// Games in the shortest possible match: the winner takes every game of the sets it needs
+export function minGamesToWin(format) {
+    const rules = MATCH_FORMATS[format];
+    return Math.ceil(rules.bestOf / 2) * rules.gamesPerSet;
+}
+
+// Shortest possible match in ms. Every game takes at least 4 points and every point but the last
+// is followed by the score delay; against the Copilot, it also waits `aiServeDelay` ticks before
+// each toss in its service games (every other game).
+export function minMatchDurationMs(format, settings, opponent = 'copilot') {
+    const games = minGamesToWin(format);
+    const points = games * 4;
+    let ticks = (points - 1) * SCORE_DELAY_TICKS;
+    if (opponent === 'copilot') ticks += Math.floor(games / 2) * 4 * settings.aiServeDelay;
+    return Math.floor(ticks * TICK_MS);
+}
+
+// Most points that can have been played in `ms`
+export function maxPointsIn(ms) {
+    return Math.floor(Math.max(0, ms) / SCORE_DELAY_MS) + 1;
+}
@@ -0,0 +1,41 @@
+// Fixed-timestep clock: the simulation advances in constant ticks whatever the display refresh
+// rate, and rendering interpolates between the last two ticks. All speeds are expressed per tick.
+
+export const TICK_RATE = 60;
+export const TICK_MS = 1000 / TICK_RATE;
+
+// Longest frame we simulate; after a stall (e.g. a backgrounded tab) the game slows down instead of fast-forwarding
+export const MAX_FRAME_MS = 250;
+
+export class FixedTimestep {
+    constructor(stepMs = TICK_MS) {
+        this.stepMs = stepMs;
+        this.reset();
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.lastTime = null;
+    }
+
+    // Number of ticks to simulate for a frame rendered at `now` (ms)
+    advance(now) {
+        if (this.lastTime == null) this.lastTime = now;
+        const frameMs = Math.min(MAX_FRAME_MS, Math.max(0, now - this.lastTime));
+        this.lastTime = now;
+        this.accumulator += frameMs;
+
+        const ticks = Math.floor(this.accumulator / this.stepMs);
+        this.accumulator -= ticks * this.stepMs;
+        return ticks;
+    }
+
+    // How far (0..1) the rendered frame sits between the previous tick and the current one
+    get alpha() {
+        return this.accumulator / this.stepMs;
+    }
+}
+
+export function lerp(from, to, t) {
+    return from + (to - from) * t;
+}
@@ -0,0 +1,29 @@
+// Match modifiers: conditions a match is played in on top of its difficulty, the same for both
+// sides. The daily challenge picks one a day (see daily.js); the engine applies it and replays
+// carry it, so the API's re-simulation plays the same conditions.
+//   ballSpeed   - factor on the ball's starting and top speeds
+//   paddleWidth - both paddles' width, in pixels
+//   wind        - pixels a tick the ball drifts sideways during a rally (positive: to the right)
+
+export const PADDLE_WIDTH = 80;
+
+export const MATCH_MODIFIERS = {
+    fastBall: { name: 'Fast ball', description: 'The ball flies a quarter faster', ballSpeed: 1.25 },
+    narrowPaddle: { name: 'Narrow paddles', description: 'Both paddles are a third narrower', paddleWidth: 54 },
+    wind: { name: 'Crosswind', description: 'A wind from the left pushes the ball to the right', wind: 0.25 }
+};
+
+export function isModifier(id) {
+    return typeof id === 'string' && Object.prototype.hasOwnProperty.call(MATCH_MODIFIERS, id);
+}
+
+// Difficulty settings as they play under the modifier (the same object if it doesn't change them)
+export function modifiedSettings(settings, modifier) {
+    const factor = MATCH_MODIFIERS[modifier]?.ballSpeed;
+    if (!factor) return settings;
+    return {
+        ...settings,
+        ballSpeed: { x: settings.ballSpeed.x * factor, y: settings.ballSpeed.y * factor },
+        ballMaxSpeed: settings.ballMaxSpeed * factor
+    };
+}
@@ -0,0 +1,124 @@
+// Online play: engine snapshots sent by the server and the court mirroring each client applies.
+// The server runs the only real simulation and sends its state every tick. Clients copy it into
+// a local engine they render from. The top player sees the court turned around, so both
+// players always play from the bottom of their screen as in single player.
+
+import { otherSide } from './scoring.js';
+
+// Everything a client needs to render one tick, in server coordinates
+export function serializeState(engine) {
+    const { ball, paddle1, paddle2, serve, score } = engine;
+    return {
+        tick: engine.matchTicks,
+        started: engine.started,
+        gameEnded: engine.gameEnded,
+        winner: engine.winner,
+        ball: { x: ball.x, y: ball.y, z: ball.z },
+        paddle1: { x: paddle1.x, y: paddle1.y },
+        paddle2: { x: paddle2.x, y: paddle2.y },
+        server: engine.server,
+        serve: { phase: serve.phase, court: serve.court, faults: serve.faults, box: serve.box && { ...serve.box } },
+        isScoreDelay: engine.isScoreDelay,
+        scoreCallout: engine.scoreCallout,
+        score: {
+            sets: score.sets.map(set => ({ ...set })),
+            games: { ...score.games },
+            points: { ...score.points },
+            inTieBreak: score.inTieBreak,
+            winner: score.winner
+        },
+        totals: { player: engine.playerScore, copilot: engine.copilotScore }
+    };
+}
+
+// { player, copilot } record seen from the other side of the net
+function swapped(record) {
+    return record && { ...record, player: record.copilot, copilot: record.player };
+}
+
+function mirrorBox(engine, box) {
+    return box && {
+        left: engine.width - box.right,
+        right: engine.width - box.left,
+        top: engine.height - box.bottom,
+        bottom: engine.height - box.top
+    };
+}
+
+// Top-left corner of a `width` x `height` object after turning the court around
+function mirrorRect(engine, rect, width, height) {
+    return { x: engine.width - rect.x - width, y: engine.height - rect.y - height };
+}
+
+// Copy a server snapshot into a render-only engine. `mirrored` for the client playing the top side:
+// its paddle becomes paddle2 (bottom) and its side the 'player' key, like in single player.
+export function applyState(engine, state, mirrored = false) {
+    const side = value => (mirrored && value ? otherSide(value) : value);
+    const record = value => (mirrored ? swapped(value) : { ...value });
+    const place = (target, rect) => {
+        const position = mirrored ? mirrorRect(engine, rect, target.width, target.height) : rect;
+        target.x = position.x;
+        target.y = position.y;
+    };
+
+    engine.matchTicks = state.tick;
+    engine.started = state.started;
+    engine.gameEnded = state.gameEnded;
+    engine.winner = side(state.winner);
+
+    place(engine.ball, state.ball);
+    engine.ball.z = state.ball.z;
+    place(engine.paddle1, mirrored ? state.paddle2 : state.paddle1);
+    place(engine.paddle2, mirrored ? state.paddle1 : state.paddle2);
+
+    engine.server = side(state.server);
+    engine.serve.phase = state.serve.phase;
+    engine.serve.court = state.serve.court;
+    engine.serve.faults = state.serve.faults;
+    engine.serve.box = mirrored ? mirrorBox(engine, state.serve.box) : state.serve.box;
+    engine.isScoreDelay = state.isScoreDelay;
+    engine.scoreCallout = state.scoreCallout;
+
+    const score = engine.score;
+    score.sets = state.score.sets.map(set => ({ ...record(set), tieBreak: set.tieBreak && record(set.tieBreak) }));
+    score.games = record(state.score.games);
+    score.points = record(state.score.points);
+    score.inTieBreak = state.score.inTieBreak;
+    score.winner = side(state.score.winner);
+
+    const totals = record(state.totals);
+    engine.playerScore = totals.player;
+    engine.copilotScore = totals.copilot;
+}
+
+// Server event seen from a client's side of the net (sides and court positions turned around)
+export function mirrorEvent(engine, event) {
+    const mirroredEvent = { ...event };
+    for (const key of ['side', 'scorer', 'winner', 'server']) {
+        if (event[key]) mirroredEvent[key] = otherSide(event[key]);
+    }
+    if (event.x !== undefined) mirroredEvent.x = engine.width - event.x;
+    if (event.y !== undefined) mirroredEvent.y = engine.height - event.y;
+    if (event.playerScore !== undefined) {
+        mirroredEvent.playerScore = event.copilotScore;
+        mirroredEvent.copilotScore = event.playerScore;
+    }
+    return mirroredEvent;
+}
+
+// Controls given on a mirrored screen, turned back into server directions
+export function mirrorInput(engine, input) {
+    const mirrored = {
+        ...input,
+        left: input.right,
+        right: input.left,
+        up: input.down,
+        down: input.up,
+        aim: -(input.aim || 0),
+        target: input.target && { x: engine.width - input.target.x, y: engine.height - input.target.y }
+    };
+    // Gamepad stick
+    if (input.moveX) mirrored.moveX = -input.moveX;
+    if (input.moveY) mirrored.moveY = -input.moveY;
+    return mirrored;
+}
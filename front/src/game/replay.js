@@ -0,0 +1,238 @@
+// Match replays. The simulation is deterministic (fixed ticks, seeded rng), so a replay is just the
+// engine setup at start() plus every tick's human inputs; playing it back re-runs the same match.
+// Inputs are stored as runs of identical ticks, which keeps a whole match to a few kilobytes of JSON.
+
+import { GameEngine } from './engine.js';
+import { MATCH_FORMATS } from './scoring.js';
+import { DIFFICULTY_SETTINGS } from './difficulty.js';
+import { isPersonality } from './ai.js';
+import { isModifier } from './modifiers.js';
+import { CUSTOM_DIFFICULTY, validateDifficulty, canonicalDifficulty } from './customDifficulty.js';
+import { CAMPAIGN_DIFFICULTY } from './campaign.js';
+import { TICK_MS } from './loop.js';
+
+export const REPLAY_VERSION = 1;
+
+// Longest replay accepted (about two hours of play)
+export const MAX_REPLAY_TICKS = 2 * 60 * 60 * 60;
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const SIDES = ['player', 'copilot'];
+
+// Held directions and the serve press, packed into one number
+const FLAGS = { left: 1, right: 2, up: 4, down: 8, serve: 16 };
+
+// One tick's input for one side -> the shortest JSON value the engine would read the same way:
+// a plain number when only keys are held, else { k, x, y, a, s, t } with defaults left out
+export function encodeInput(input = {}) {
+    let flags = 0;
+    for (const [key, bit] of Object.entries(FLAGS)) {
+        if (input[key]) flags |= bit;
+    }
+    const packed = {};
+    if (flags) packed.k = flags;
+    if (input.moveX) packed.x = input.moveX;
+    if (input.moveY) packed.y = input.moveY;
+    if (input.aim) packed.a = input.aim;
+    if (input.shot) packed.s = input.shot;
+    if (input.target) packed.t = [input.target.x, input.target.y];
+    const keys = Object.keys(packed);
+    if (keys.length === 0) return 0;
+    return keys.length === 1 && keys[0] === 'k' ? flags : packed;
+}
+
+export function decodeInput(packed) {
+    const fields = typeof packed === 'number' ? { k: packed } : (packed || {});
+    const flags = fields.k || 0;
+    const input = {};
+    for (const [key, bit] of Object.entries(FLAGS)) input[key] = (flags & bit) !== 0;
+    input.moveX = fields.x || 0;
+    input.moveY = fields.y || 0;
+    input.aim = fields.a || 0;
+    input.shot = fields.s || null;
+    input.target = fields.t ? { x: fields.t[0], y: fields.t[1] } : null;
+    return input;
+}
+
+// Records a match from start() to its end. Create it right before engine.start(): the rng may
+// already have been drawn from (e.g. by setDifficulty), so its state is saved along with the seed.
+// The difficulty's settings are saved too: a custom difficulty, or a preset tuned by the API since,
+// still plays back the same.
+export class ReplayRecorder {
+    constructor(engine) {
+        this.engine = engine;
+        this.setup = {
+            seed: engine.seed,
+            rng: engine.rng.state,
+            difficulty: engine.currentDifficulty,
+            settings: canonicalDifficulty(engine.difficultySettings[engine.currentDifficulty]),
+            format: engine.currentFormat,
+            opponent: engine.opponent,
+            personality: engine.personality,
+            ...(engine.modifier ? { modifier: engine.modifier } : {}),
+            width: engine.width,
+            height: engine.height,
+            names: { ...engine.names }
+        };
+        this.runs = { player: [], copilot: [] };
+        this.ticks = 0;
+    }
+
+    // The input about to be passed to engine.step(). Only human sides are kept: the Copilot's moves
+    // come out of the simulation itself.
+    record(input = {}) {
+        for (const side of SIDES) {
+            const packed = this.engine.isHuman(side) ? encodeInput(input[side]) : 0;
+            const runs = this.runs[side];
+            const last = runs[runs.length - 1];
+            if (last && sameInput(last[1], packed)) last[0]++;
+            else runs.push([1, packed]);
+        }
+        this.ticks++;
+    }
+
+    // The replay file, with the final result from the matchEnd event
+    finish(result = null) {
+        return {
+            version: REPLAY_VERSION,
+            ...this.setup,
+            ticks: this.ticks,
+            durationMs: Math.floor(this.ticks * TICK_MS),
+            recordedAt: new Date().toISOString(),
+            result: result && {
+                winner: result.winner,
+                setScores: result.setScores,
+                playerScore: result.playerScore,
+                copilotScore: result.copilotScore
+            },
+            inputs: { player: this.runs.player, copilot: this.runs.copilot }
+        };
+    }
+}
+
+function sameInput(a, b) {
+    return a === b || (typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b));
+}
+
+function isInputValue(value) {
+    if (typeof value === 'number') return Number.isInteger(value) && value >= 0 && value < 32;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const finite = (key) => value[key] === undefined || Number.isFinite(value[key]);
+    return finite('k') && finite('x') && finite('y') && finite('a')
+        && (value.s === undefined || (typeof value.s === 'string' && value.s.length <= 16))
+        && (value.t === undefined || (Array.isArray(value.t) && value.t.length === 2 && value.t.every(Number.isFinite)));
+}
+
+// Difficulties that aren't presets: their replays always carry the settings played
+const SETTINGS_ONLY_DIFFICULTIES = [CUSTOM_DIFFICULTY, CAMPAIGN_DIFFICULTY];
+
+// Why `replay` can't be played back, or null when it can
+export function validateReplay(replay, difficultySettings = null) {
+    if (!replay || typeof replay !== 'object') return 'Replay must be an object';
+    if (replay.version !== REPLAY_VERSION) return `Unsupported replay version: ${replay.version}`;
+    for (const key of ['seed', 'rng']) {
+        if (!Number.isInteger(replay[key]) || replay[key] < 0 || replay[key] > 0xFFFFFFFF) return `Invalid ${key}`;
+    }
+    if (typeof replay.difficulty !== 'string') return 'Invalid difficulty';
+    // Replays recorded before settings were saved played one of the presets
+    if (replay.settings !== undefined) {
+        const settingsError = validateDifficulty(replay.settings);
+        if (settingsError) return `Invalid difficulty settings: ${settingsError}`;
+    } else if (SETTINGS_ONLY_DIFFICULTIES.includes(replay.difficulty)) {
+        return `A ${replay.difficulty} difficulty needs its settings`;
+    }
+    if (difficultySettings && !difficultySettings[replay.difficulty] && !SETTINGS_ONLY_DIFFICULTIES.includes(replay.difficulty)) {
+        return `Unknown difficulty: ${replay.difficulty}`;
+    }
+    if (!MATCH_FORMATS[replay.format]) return `Unknown format: ${replay.format}`;
+    if (replay.opponent !== 'copilot' && replay.opponent !== 'human') return 'opponent must be copilot or human';
+    // Replays recorded before personalities were added played the default one
+    if (replay.personality !== undefined && !isPersonality(replay.personality)) return `Unknown personality: ${replay.personality}`;
+    if (replay.modifier !== undefined && !isModifier(replay.modifier)) return `Unknown modifier: ${replay.modifier}`;
+    if (!(replay.width > 0) || !(replay.height > 0)) return 'Invalid court size';
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 0 || replay.ticks > MAX_REPLAY_TICKS) return 'Invalid tick count';
+    for (const side of SIDES) {
+        const runs = replay.inputs && replay.inputs[side];
+        if (!Array.isArray(runs)) return `Missing ${side} inputs`;
+        let ticks = 0;
+        for (const run of runs) {
+            if (!Array.isArray(run) || run.length !== 2 || !Number.isInteger(run[0]) || run[0] < 1 || !isInputValue(run[1])) {
+                return `Invalid ${side} input`;
+            }
+            ticks += run[0];
+        }
+        if (ticks !== replay.ticks) return `${side} inputs cover ${ticks} ticks, expected ${replay.ticks}`;
+    }
+    return null;
+}
+
+// Re-runs a recorded match in its own engine. The caller steps it (or seeks) and renders
+// `engine` like a live one; seeking backwards restarts the match and fast-forwards silently.
+export class ReplayPlayer {
+    constructor(replay, difficultySettings = DIFFICULTY_SETTINGS) {
+        const error = validateReplay(replay, difficultySettings);
+        if (error) throw new Error(error);
+        this.replay = replay;
+        this.engine = new GameEngine({
+            width: replay.width,
+            height: replay.height,
+            difficulty: replay.difficulty,
+            format: replay.format,
+            opponent: replay.opponent,
+            personality: replay.personality,
+            modifier: replay.modifier || null,
+            seed: replay.seed,
+            difficultySettings: replay.settings
+                ? { ...difficultySettings, [replay.difficulty]: canonicalDifficulty(replay.settings) }
+                : difficultySettings
+        });
+        this.engine.names = { player: 'Player', copilot: 'Copilot', ...replay.names };
+        // One decoded input per run, shared by its ticks
+        this.inputs = {};
+        for (const side of SIDES) {
+            this.inputs[side] = [];
+            for (const [count, packed] of replay.inputs[side]) {
+                const input = decodeInput(packed);
+                for (let i = 0; i < count; i++) this.inputs[side].push(input);
+            }
+        }
+        this.seeking = false;
+        this.restart();
+    }
+
+    get length() {
+        return this.replay.ticks;
+    }
+
+    get finished() {
+        return this.tick >= this.length;
+    }
+
+    restart() {
+        this.engine.reset(this.replay.seed);
+        this.engine.rng.state = this.replay.rng;
+        this.engine.start();
+        this.tick = 0;
+    }
+
+    // Play the next recorded tick; returns its events
+    step() {
+        if (this.finished) return [];
+        const input = { player: this.inputs.player[this.tick], copilot: this.inputs.copilot[this.tick] };
+        this.tick++;
+        return this.engine.step(input);
+    }
+
+    // Jump to `tick`. `seeking` is true meanwhile, so listeners can skip sounds and callouts.
+    seek(tick) {
+        const target = Math.max(0, Math.min(this.length, Math.floor(tick)));
+        this.seeking = true;
+        try {
+            if (target < this.tick) this.restart();
+            while (this.tick < target) this.step();
+        } finally {
+            this.seeking = false;
+        }
+    }
+}
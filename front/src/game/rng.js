@@ -0,0 +1,47 @@
+// Seedable pseudo-random generator (mulberry32). The simulation draws every random number from
+// one of these, so the same seed and the same inputs replay the exact same rally on any machine.
+
+export class SeededRandom {
+    constructor(seed = randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // 1 or -1 with equal probability
+    sign() {
+        return this.next() > 0.5 ? 1 : -1;
+    }
+}
+
+export function randomSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Accept numeric seeds as-is and hash anything else (e.g. "2024-06-01") with FNV-1a
+export function parseSeed(value) {
+    if (value == null || value === '') return null;
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
@@ -0,0 +1,175 @@
+// Tennis scoring: points (0/15/30/40), deuce and advantage, games, sets and tie-breaks.
+// Pure logic (no DOM) so the renderer only has to read the score it produces.
+
+export const SIDES = ['player', 'copilot'];
+
+// The formats first offered keep their IDs: quick is one short no-ad set, oneSet one regular set
+const NAMED_FORMATS = { 'bestOf1-short-noAd': 'quick', bestOf1: 'oneSet' };
+
+// The ID of a match format picked in the menu: best of 1, 3 or 5 sets, short sets (to 4 games)
+// or regular ones (to 6), and no-ad or advantage games, e.g. "bestOf3-short" or "bestOf5-noAd"
+export function formatId({ bestOf, shortSets = false, noAd = false }) {
+    const id = `bestOf${bestOf}${shortSets ? '-short' : ''}${noAd ? '-noAd' : ''}`;
+    return NAMED_FORMATS[id] || id;
+}
+
+// Every combination of the three choices, by ID
+export const MATCH_FORMATS = {};
+for (const bestOf of [1, 3, 5]) {
+    for (const shortSets of [true, false]) {
+        for (const noAd of [true, false]) {
+            MATCH_FORMATS[formatId({ bestOf, shortSets, noAd })] = { bestOf, gamesPerSet: shortSets ? 4 : 6, noAd, tieBreak: true };
+        }
+    }
+}
+
+// Human readable summary of a match format, e.g. "Best of 3 sets · No-ad"
+export function describeFormat(format) {
+    const { bestOf, gamesPerSet, noAd, tieBreak } = format;
+    const parts = [bestOf === 1 ? '1 set' : `Best of ${bestOf} sets`];
+    if (gamesPerSet !== 6) parts.push(`Short sets to ${gamesPerSet}`);
+    if (noAd) parts.push('No-ad');
+    if (!tieBreak) parts.push('Advantage sets');
+    return parts.join(' · ');
+}
+
+const POINT_LABELS = ['0', '15', '30', '40'];
+const POINT_CALLS = ['Love', '15', '30', '40'];
+
+export function otherSide(side) {
+    return side === 'player' ? 'copilot' : 'player';
+}
+
+export class TennisScore {
+    constructor(format = {}) {
+        this.format = {
+            bestOf: 3,           // Sets in the match: 1, 3 or 5
+            gamesPerSet: 6,      // 6 for regular sets, 4 for short sets
+            tieBreak: true,      // Play a tie-break when the set reaches gamesPerSet-all
+            tieBreakPoints: 7,   // Tie-break is first to N points, win by 2
+            noAd: false,         // Deciding point at deuce instead of advantage
+            ...format
+        };
+        this.reset();
+    }
+
+    reset() {
+        this.sets = [];                              // Completed sets: { player, copilot, tieBreak }
+        this.games = { player: 0, copilot: 0 };      // Games in the current set
+        this.points = { player: 0, copilot: 0 };     // Raw points in the current game or tie-break
+        this.inTieBreak = false;
+        this.winner = null;
+    }
+
+    get setsToWin() {
+        return Math.floor(this.format.bestOf / 2) + 1;
+    }
+
+    get isOver() {
+        return this.winner !== null;
+    }
+
+    setsWon(side) {
+        const opp = otherSide(side);
+        return this.sets.filter(s => s[side] > s[opp]).length;
+    }
+
+    // Award a point and report the largest unit it completed: 'point', 'game', 'set' or 'match'
+    pointWonBy(side) {
+        if (this.winner) return 'match';
+        const opp = otherSide(side);
+        this.points[side]++;
+        const won = this.points[side];
+        const lost = this.points[opp];
+
+        if (this.inTieBreak) {
+            if (won >= this.format.tieBreakPoints && won - lost >= 2) {
+                const tieBreak = { ...this.points };
+                this.games[side]++;
+                return this.completeSet(side, tieBreak);
+            }
+            return 'point';
+        }
+
+        // No-ad: at 40-40 the next point takes the game
+        const gameWon = this.format.noAd ? won >= 4 : (won >= 4 && won - lost >= 2);
+        return gameWon ? this.completeGame(side) : 'point';
+    }
+
+    completeGame(side) {
+        const opp = otherSide(side);
+        const target = this.format.gamesPerSet;
+        this.points = { player: 0, copilot: 0 };
+        this.games[side]++;
+
+        if (this.games[side] >= target && this.games[side] - this.games[opp] >= 2) {
+            return this.completeSet(side, null);
+        }
+        if (this.format.tieBreak && this.games[side] === target && this.games[opp] === target) {
+            this.inTieBreak = true;
+        }
+        return 'game';
+    }
+
+    completeSet(side, tieBreak) {
+        this.sets.push({ player: this.games.player, copilot: this.games.copilot, tieBreak });
+        this.games = { player: 0, copilot: 0 };
+        this.points = { player: 0, copilot: 0 };
+        this.inTieBreak = false;
+
+        if (this.setsWon(side) >= this.setsToWin) {
+            this.winner = side;
+            return 'match';
+        }
+        return 'set';
+    }
+
+    // Scoreboard label for one side's points: 0/15/30/40/AD, or the raw count in a tie-break
+    pointLabel(side) {
+        const won = this.points[side];
+        if (this.inTieBreak) return String(won);
+        const lost = this.points[otherSide(side)];
+        if (won >= 3 && lost >= 3) return won > lost ? 'AD' : '40';
+        return POINT_LABELS[Math.min(won, 3)];
+    }
+
+    // Umpire call for the current game, e.g. "30-15", "Deuce", "Advantage Copilot"
+    callout(names = { player: 'Player', copilot: 'Copilot' }) {
+        const { player, copilot } = this.points;
+        if (this.inTieBreak) return `Tie-break ${player}-${copilot}`;
+        if (player >= 3 && copilot >= 3) {
+            if (player === copilot) return this.format.noAd ? 'Deciding point' : 'Deuce';
+            return `Advantage ${names[player > copilot ? 'player' : 'copilot']}`;
+        }
+        if (player === copilot) return `${POINT_CALLS[player]}-all`;
+        return `${POINT_CALLS[player]}-${POINT_CALLS[copilot]}`;
+    }
+
+    // Scoreboard row for one side: games of every set (including the current one) then the point
+    scoreLine(side) {
+        const games = this.sets.map(s => s[side]);
+        if (!this.winner) {
+            games.push(this.games[side]);
+            return `${games.join(' ')} · ${this.pointLabel(side)}`;
+        }
+        return games.join(' ');
+    }
+
+    // Set scores from one side's perspective, e.g. "6-4 3-6 7-6(5)"
+    formatSets(side = 'player') {
+        const opp = otherSide(side);
+        const sets = this.sets.map(s => {
+            let text = `${s[side]}-${s[opp]}`;
+            if (s.tieBreak) text += `(${Math.min(s.tieBreak.player, s.tieBreak.copilot)})`;
+            return text;
+        });
+        if (!this.winner && (this.games.player || this.games.copilot)) {
+            sets.push(`${this.games[side]}-${this.games[opp]}`);
+        }
+        return sets.join(' ');
+    }
+
+    describe() {
+        return describeFormat(this.format);
+    }
+}
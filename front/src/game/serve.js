@@ -0,0 +1,58 @@
+// Serve rules: which court the server stands in, the diagonal service box and toss timing.
+// Pure helpers (no DOM) shared by the game loop and the Copilot serve logic.
+
+// Service line sits 21ft from the net on a 39ft half court
+export const SERVICE_LINE_RATIO = 21 / 39;
+
+// Frames for a full toss (rise and fall) and the point where the ball peaks
+export const TOSS_DURATION = 60;
+export const TOSS_APEX = 0.55;
+
+// Height (px) the ball reaches at the top of the toss
+export const TOSS_PEAK = 90;
+
+// Deuce court on an even number of points played in the game (or tie-break), ad court on odd
+export function serveCourt(score) {
+    const played = score.points.player + score.points.copilot;
+    return played % 2 === 0 ? 'deuce' : 'ad';
+}
+
+// Canvas half the server stands in. The player serves from the bottom facing up and Copilot
+// from the top facing down, so "right of the centre mark" is mirrored on screen.
+export function serverHalf(server, court) {
+    if (server === 'player') return court === 'deuce' ? 'right' : 'left';
+    return court === 'deuce' ? 'left' : 'right';
+}
+
+// Receiver's service box, diagonally across the net from the server
+export function serviceBox(bounds, netY, server, court) {
+    const centerX = (bounds.left + bounds.right) / 2;
+    const targetHalf = serverHalf(server, court) === 'right' ? 'left' : 'right';
+    const left = targetHalf === 'left' ? bounds.left : centerX;
+    const right = targetHalf === 'left' ? centerX : bounds.right;
+
+    if (server === 'player') {
+        // Copilot receives in the top half
+        const depth = (netY - bounds.top) * SERVICE_LINE_RATIO;
+        return { left, right, top: netY - depth, bottom: netY };
+    }
+    const depth = (bounds.bottom - netY) * SERVICE_LINE_RATIO;
+    return { left, right, top: netY, bottom: netY + depth };
+}
+
+export function isInBox(box, x, y) {
+    return x >= box.left && x <= box.right && y >= box.top && y <= box.bottom;
+}
+
+// Visual toss height (0..1) for a toss progress (0..1)
+export function tossHeight(progress) {
+    return Math.sin(Math.PI * Math.max(0, Math.min(1, progress)));
+}
+
+// Contact quality (0..1): 1 when the ball is struck at the apex, 0 at the very start or end of the toss
+export function tossQuality(progress) {
+    const distance = progress < TOSS_APEX
+        ? (TOSS_APEX - progress) / TOSS_APEX
+        : (progress - TOSS_APEX) / (1 - TOSS_APEX);
+    return Math.max(0, 1 - distance);
+}
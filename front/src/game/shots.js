@@ -0,0 +1,48 @@
+// Groundstroke types: how high, deep and fast each shot flies and how it bounces.
+// Pure helpers (no DOM) used by the engine; the Copilot's choice lives in ai.js.
+
+// depth:       landing spot from the net toward the opponent's baseline (0..1)
+// apex:        peak height as a share of the engine's maxBallHeight
+// pace:        forward speed relative to a flat drive
+// bounceLift:  share of the normal bounce height kept on the first bounce
+// bounceSpeed: forward speed kept on the first bounce
+export const SHOT_TYPES = {
+    // The default drive
+    flat: { label: 'Flat', depth: 0.7, apex: 0.55, pace: 1, bounceLift: 1, bounceSpeed: 1 },
+    // High over the net but fast, so it dips sharply, then kicks up off the court
+    topspin: { label: 'Topspin', depth: 0.75, apex: 0.7, pace: 1.15, bounceLift: 1.35, bounceSpeed: 1.1 },
+    // Low and a little slower; skids through low after the bounce
+    slice: { label: 'Slice', depth: 0.65, apex: 0.35, pace: 0.85, bounceLift: 0.4, bounceSpeed: 0.9 },
+    // Slow and very high: out of reach of a player at the net, landing deep
+    lob: { label: 'Lob', depth: 0.78, apex: 1.4, pace: 0.55, bounceLift: 1, bounceSpeed: 0.8 },
+    // Hit hard and flat from a high ball near the net
+    smash: { label: 'Smash', depth: 0.6, apex: 0.3, pace: 1.6, bounceLift: 1.2, bounceSpeed: 1.2 }
+};
+
+export const SHOT_NAMES = Object.keys(SHOT_TYPES);
+
+// Share of a half court, measured from the net, that counts as the forecourt
+export const FORECOURT_DEPTH = 0.4;
+
+// Lowest ball that can be smashed (a smash is struck overhead, the paddle reaches 60px)
+export const SMASH_MIN_HEIGHT = 25;
+
+// Contact is late when the ball has dropped this low after its bounce
+export const LATE_CONTACT_HEIGHT = 6;
+
+export function isShotType(shot) {
+    return typeof shot === 'string' && Object.prototype.hasOwnProperty.call(SHOT_TYPES, shot);
+}
+
+// The shot actually played. A requested smash needs the forecourt and a high ball (otherwise
+// it becomes a topspin drive). Without a request, the contact timing decides: a high ball in
+// the forecourt is put away with a smash, a ball taken late off the bounce can only be sliced.
+// contact: { inForecourt, ballZ, falling, bounces }
+export function resolveShot(requested, contact) {
+    const canSmash = contact.inForecourt && contact.ballZ >= SMASH_MIN_HEIGHT;
+    if (requested === 'smash') return canSmash ? 'smash' : 'topspin';
+    if (isShotType(requested)) return requested;
+    if (canSmash) return 'smash';
+    if (contact.bounces > 0 && contact.falling && contact.ballZ <= LATE_CONTACT_HEIGHT) return 'slice';
+    return 'flat';
+}
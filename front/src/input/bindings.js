@@ -0,0 +1,104 @@
+// Keyboard and gamepad bindings: which key or button triggers each action, per side.
+// 'player' is the bottom paddle (player 1) and 'copilot' the top one (player 2 in local versus).
+// Pure data helpers (no DOM) so the settings panel, main.js and tests share them.
+
+export const SIDE_LABELS = { player: 'Player 1', copilot: 'Player 2' };
+
+export const ACTIONS = ['left', 'right', 'up', 'down', 'serve', 'pause', 'topspin', 'slice', 'lob', 'smash'];
+
+// Held while meeting the ball to play that shot (see src/game/shots.js); a smash needs the forecourt
+export const SHOT_ACTIONS = ['smash', 'lob', 'topspin', 'slice'];
+
+export const ACTION_LABELS = {
+    left: 'Move left',
+    right: 'Move right',
+    up: 'Move up',
+    down: 'Move down',
+    serve: 'Serve / start',
+    pause: 'Pause',
+    topspin: 'Topspin (hold)',
+    slice: 'Slice (hold)',
+    lob: 'Lob (hold)',
+    smash: 'Smash (hold)'
+};
+
+// Keyboard layouts offered in the settings panel
+export const KEY_PRESETS = {
+    arrows: { label: 'Arrow keys', keys: { left: 'ArrowLeft', right: 'ArrowRight', up: 'ArrowUp', down: 'ArrowDown', serve: ' ', pause: 'p', topspin: 'z', slice: 'x', lob: 'c', smash: 'v' } },
+    wasd: { label: 'W A S D', keys: { left: 'a', right: 'd', up: 'w', down: 's', serve: ' ', pause: 'p', topspin: 'q', slice: 'e', lob: 'r', smash: 'f' } },
+    vim: { label: 'Vim (H J K L)', keys: { left: 'h', right: 'l', up: 'k', down: 'j', serve: ' ', pause: 'p', topspin: 'a', slice: 's', lob: 'd', smash: 'f' } },
+    leftHanded: { label: 'Left-handed (I J K L)', keys: { left: 'j', right: 'l', up: 'i', down: 'k', serve: 'Enter', pause: 'p', topspin: 'u', slice: 'o', lob: 'y', smash: 'h' } }
+};
+
+// Standard gamepad mapping: 0 = A / Cross, 1 = B / Circle, 2 = X / Square, 3 = Y / Triangle, 5 = RB, 9 = Start
+export const GAMEPAD_ACTIONS = ['serve', 'pause', 'topspin', 'slice', 'lob', 'smash'];
+export const GAMEPAD_BUTTON_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'];
+
+export const DEFAULT_BINDINGS = {
+    player: { keys: { ...KEY_PRESETS.arrows.keys }, gamepad: { serve: 0, pause: 9, topspin: 2, slice: 1, lob: 3, smash: 5 } },
+    copilot: { keys: { ...KEY_PRESETS.wasd.keys }, gamepad: { serve: 0, pause: 9, topspin: 2, slice: 1, lob: 3, smash: 5 } }
+};
+
+// Letters are matched case-insensitively (Shift or Caps Lock shouldn't stop the paddle)
+export function normalizeKey(key) {
+    return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key;
+}
+
+const KEY_LABELS = { ' ': 'Space', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc' };
+
+export function keyLabel(key) {
+    if (!key) return '—';
+    return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+export function buttonLabel(button) {
+    return GAMEPAD_BUTTON_LABELS[button] || `Button ${button}`;
+}
+
+// Saved bindings (possibly partial or from an older version) merged over the defaults
+export function resolveBindings(saved) {
+    const bindings = {};
+    for (const side of Object.keys(DEFAULT_BINDINGS)) {
+        const defaults = DEFAULT_BINDINGS[side];
+        const stored = (saved && saved[side]) || {};
+        const keys = { ...defaults.keys };
+        const gamepad = { ...defaults.gamepad };
+        for (const action of ACTIONS) {
+            const key = stored.keys && stored.keys[action];
+            if (typeof key === 'string' && key) keys[action] = normalizeKey(key);
+        }
+        for (const action of GAMEPAD_ACTIONS) {
+            const button = stored.gamepad && stored.gamepad[action];
+            if (Number.isInteger(button) && button >= 0) gamepad[action] = button;
+        }
+        bindings[side] = { keys, gamepad };
+    }
+    return bindings;
+}
+
+// Action bound to `key` for `side`, or null
+export function actionForKey(bindings, side, key) {
+    const keys = bindings[side].keys;
+    const normalized = normalizeKey(key);
+    return ACTIONS.find(action => keys[action] === normalized) || null;
+}
+
+// Keys bound to more than one action. The two sides may share serve and pause keys:
+// those start, serve for whoever is serving, or pause the whole match anyway.
+export function findConflicts(bindings) {
+    const uses = new Map();
+    for (const side of Object.keys(bindings)) {
+        for (const action of ACTIONS) {
+            const key = bindings[side].keys[action];
+            if (!key) continue;
+            if (!uses.has(key)) uses.set(key, []);
+            uses.get(key).push({ side, action });
+        }
+    }
+    const conflicts = [];
+    for (const [key, users] of uses) {
+        const shared = users.every(use => use.action === users[0].action && (use.action === 'serve' || use.action === 'pause'));
+        if (users.length > 1 && !shared) conflicts.push({ key, users });
+    }
+    return conflicts;
+}
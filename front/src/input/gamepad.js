@@ -0,0 +1,71 @@
+// Gamepad API support: analog stick / d-pad movement, button presses and rumble.
+// readPad() is pure so it can be tested with plain objects shaped like a Gamepad.
+
+// Stick travel ignored around the centre (worn sticks never rest exactly at 0)
+export const STICK_DEADZONE = 0.2;
+
+// Standard mapping d-pad buttons
+const DPAD = { up: 12, down: 13, left: 14, right: 15 };
+
+// Stick value past the deadzone, rescaled so movement starts from 0 at its edge
+export function stickAxis(value, deadzone = STICK_DEADZONE) {
+    if (!Number.isFinite(value) || Math.abs(value) <= deadzone) return 0;
+    const scaled = (Math.abs(value) - deadzone) / (1 - deadzone);
+    return Math.sign(value) * Math.min(1, scaled);
+}
+
+function isPressed(button) {
+    return !!button && (typeof button === 'object' ? button.pressed : button === 1.0);
+}
+
+// Snapshot of one pad: movement from the left stick (or the d-pad at full speed),
+// which buttons are held, and which were pressed since `previous` (the last snapshot's `pressed`).
+export function readPad(pad, previous = []) {
+    const axes = pad.axes || [];
+    const buttons = pad.buttons || [];
+    const pressed = buttons.map(isPressed);
+    const dpadX = (pressed[DPAD.right] ? 1 : 0) - (pressed[DPAD.left] ? 1 : 0);
+    const dpadY = (pressed[DPAD.down] ? 1 : 0) - (pressed[DPAD.up] ? 1 : 0);
+    return {
+        moveX: dpadX || stickAxis(axes[0]),
+        moveY: dpadY || stickAxis(axes[1]),
+        pressed,
+        justPressed: pressed.map((down, index) => down && !previous[index])
+    };
+}
+
+// Connected pads in slot order: the first plays the bottom paddle, the second the top one
+export class GamepadInput {
+    constructor(nav = typeof navigator !== 'undefined' ? navigator : null) {
+        this.nav = nav;
+        this.previous = new Map(); // pad index -> last `pressed`
+    }
+
+    get supported() {
+        return !!(this.nav && typeof this.nav.getGamepads === 'function');
+    }
+
+    pads() {
+        if (!this.supported) return [];
+        return Array.from(this.nav.getGamepads() || []).filter(pad => pad && pad.connected !== false);
+    }
+
+    // Call once per frame: one reading per connected pad
+    poll() {
+        const readings = this.pads().map(pad => {
+            const reading = readPad(pad, this.previous.get(pad.index));
+            this.previous.set(pad.index, reading.pressed);
+            return { index: pad.index, id: pad.id, ...reading };
+        });
+        return readings;
+    }
+
+    // Short buzz on the given pad, where the browser and controller support it
+    rumble(index, { duration = 80, strong = 0.6, weak = 0.4 } = {}) {
+        const pad = this.pads().find(candidate => candidate.index === index);
+        const actuator = pad && pad.vibrationActuator;
+        if (!actuator || typeof actuator.playEffect !== 'function') return;
+        actuator.playEffect('dual-rumble', { duration, strongMagnitude: strong, weakMagnitude: weak })
+            .catch(() => {});
+    }
+}
@@ -0,0 +1,21 @@
+// Touch gestures for shot types. A quick flick toward the net asks for a smash (played as topspin
+// away from the net, see shots.js), a flick back toward the own baseline for a slice, and a
+// second finger on the same half for a lob. Pure helpers so they can be tested without a DOM.
+
+// Finger speed (canvas pixels per millisecond) that counts as a flick
+export const FLICK_SPEED = 0.8;
+
+// How long a gesture keeps its shot selected, so the paddle can still meet the ball
+export const GESTURE_MS = 350;
+
+// Shot asked for by a finger that moved (dx, dy) canvas pixels in `ms`, or null.
+// `side` is the paddle it drives: the bottom one ('player') faces up the screen.
+export function flickShot(dx, dy, ms, side = 'player') {
+    if (!(ms > 0)) return null;
+    const forward = side === 'player' ? -dy : dy;
+    // Mostly sideways movement just steers the paddle
+    if (Math.abs(forward) < Math.abs(dx)) return null;
+    const speed = Math.abs(forward) / ms;
+    if (speed < FLICK_SPEED) return null;
+    return forward > 0 ? 'smash' : 'slice';
+}
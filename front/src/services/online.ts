@@ -0,0 +1,147 @@
+// Online multiplayer client: matchmaking and play against another player over the API's WebSocket.
+// The server runs the authoritative simulation; this client sends its paddle inputs every tick,
+// predicts its own paddle straight away and reconciles with each server snapshot by replaying
+// the inputs the server has not acknowledged yet. The local engine is only used for rendering.
+import { applyState, mirrorEvent, mirrorInput } from '../game/netstate.js';
+
+export type OnlineStatus = 'connecting' | 'waiting' | 'playing' | 'ended' | 'opponentLeft' | 'closed' | 'error';
+
+export type Opponent = {
+  playerId: string;
+  playerName: string;
+};
+
+// The server plays us as the player our session cookie is for (see the API's multiplayer/index.ts)
+export type OnlineMatchOptions = {
+  playerName: string;
+  difficulty: string;
+  format: string;
+  onStatus?: (status: OnlineStatus, detail?: string) => void;
+  onMatched?: (opponent: Opponent) => void;
+};
+
+type PendingInput = { seq: number; input: any };
+
+// Same host as the REST API (Vite proxies /api in dev); VITE_MULTIPLAYER_URL overrides it
+export function getMultiplayerUrl(): string {
+  const configured = (import.meta as any).env?.VITE_MULTIPLAYER_URL;
+  if (configured) return configured;
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${location.host}/api/ws`;
+}
+
+export class OnlineMatch {
+  status: OnlineStatus = 'connecting';
+  side: 'player' | 'copilot' | null = null;   // Our side on the server's court
+  opponent: Opponent | null = null;
+  private socket: WebSocket | null = null;
+  private seq = 0;
+  private pending: PendingInput[] = [];
+
+  // `engine` is the local render-only GameEngine: we always play its bottom paddle ('player')
+  constructor(private engine: any, private options: OnlineMatchOptions) {}
+
+  // The top player sees the court turned around
+  get mirrored(): boolean {
+    return this.side === 'copilot';
+  }
+
+  connect(url: string = getMultiplayerUrl()) {
+    this.setStatus('connecting');
+    const socket = new WebSocket(url);
+    this.socket = socket;
+    socket.addEventListener('open', () => {
+      const { playerName, difficulty, format } = this.options;
+      this.send({ type: 'join', playerName, difficulty, format });
+    });
+    socket.addEventListener('message', (event) => {
+      try {
+        this.handleMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.warn('Bad multiplayer message:', error);
+      }
+    });
+    socket.addEventListener('close', () => {
+      if (this.status === 'waiting' || this.status === 'playing' || this.status === 'connecting') this.setStatus('closed');
+    });
+    socket.addEventListener('error', () => this.setStatus('error', 'Connection failed'));
+  }
+
+  // Controls for one tick, in our screen directions (bottom of the screen)
+  sendInput(input: any) {
+    if (this.status !== 'playing') return;
+    const seq = ++this.seq;
+    this.send({ type: 'input', seq, input: this.mirrored ? mirrorInput(this.engine, input) : input });
+    this.pending.push({ seq, input });
+    // Client-side prediction: our paddle moves now, the server confirms later
+    this.predict(input);
+  }
+
+  leave() {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) this.send({ type: 'leave' });
+    this.socket?.close();
+    this.socket = null;
+    this.setStatus('closed');
+  }
+
+  private handleMessage(message: any) {
+    switch (message.type) {
+      case 'waiting':
+        this.setStatus('waiting');
+        break;
+      case 'matched':
+        this.side = message.side;
+        this.opponent = message.opponent;
+        this.seq = 0;
+        this.pending = [];
+        this.setStatus('playing');
+        this.options.onMatched?.(message.opponent);
+        break;
+      case 'state':
+        this.reconcile(message.state, message.ack);
+        this.replayEvents(message.events || []);
+        break;
+      case 'opponentLeft':
+        this.setStatus('opponentLeft');
+        this.socket?.close();
+        break;
+      case 'error':
+        this.setStatus('error', message.error);
+        break;
+    }
+  }
+
+  // Take the server's state, then re-apply our inputs it has not processed yet
+  private reconcile(state: any, ack: number) {
+    applyState(this.engine, state, this.mirrored);
+    this.pending = this.pending.filter(entry => entry.seq > ack);
+    this.pending.forEach(entry => this.predict(entry.input));
+  }
+
+  private predict(input: any) {
+    const engine = this.engine;
+    engine.movePaddle('player', input);
+    if (engine.server === 'player' && engine.isServePending()) engine.constrainServer();
+  }
+
+  // Server events drive the renderer's sounds, score display and match end as in local play
+  private replayEvents(events: any[]) {
+    for (const event of events) {
+      const { type, tick, ...data } = this.mirrored ? mirrorEvent(this.engine, event) : event;
+      if (type === 'matchEnd') {
+        data.setScores = this.engine.score.formatSets('player');
+        this.setStatus('ended');
+      }
+      this.engine.emit(type, data);
+    }
+  }
+
+  private send(message: unknown) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(message));
+  }
+
+  private setStatus(status: OnlineStatus, detail?: string) {
+    this.status = status;
+    this.options.onStatus?.(status, detail);
+  }
+}
@@ -0,0 +1,104 @@
+// Results waiting to reach the API. A finished match is queued first and sent from the queue, so a
+// result played offline (or lost to a flaky connection) is kept and retried later with backoff.
+// Each entry's id goes out as its Idempotency-Key: the API answers a retry of a request it already
+// handled with the first answer instead of recording the match twice.
+//
+// The queue lives in whatever load/save are given (session.ts keeps it in its storage fallback
+// chain) and is read again for every change, so several tabs can share it.
+
+export const OUTBOX_BASE_DELAY_MS = 2000;
+export const OUTBOX_MAX_DELAY_MS = 5 * 60 * 1000;
+// Replays make entries big; past this many the oldest go first
+export const OUTBOX_MAX_ENTRIES = 20;
+// The API keeps an Idempotency-Key for a day (api/src/shared/idempotency.ts). An entry is given up
+// well before that, so no retry can reach the API after it forgot the first try and record it again.
+export const OUTBOX_MAX_AGE_MS = 20 * 60 * 60 * 1000;
+
+// Wait before attempt number `attempts + 1`: 2s, 4s, 8s... up to 5 minutes
+export function backoffMs(attempts) {
+    return Math.min(OUTBOX_MAX_DELAY_MS, OUTBOX_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// What to do with an entry after the API answered `status` (0 when the request never got an answer):
+// 'sent' and 'drop' remove it, 'retry' keeps it for later. Refused results (400, 403, 422 for a
+// used match token...) will never be accepted, so only time-outs, rate limits, a
+// missing session, a request still being processed (409) and server errors are retried.
+export function outcomeForStatus(status) {
+    if (status >= 200 && status < 300) return 'sent';
+    if (status === 0 || status === 401 || status === 408 || status === 409 || status === 429 || status >= 500) return 'retry';
+    return 'drop';
+}
+
+function defaultId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// load() returns the saved entries (or anything else when there are none), save(entries) keeps them.
+// send(entry) resolves to { outcome: 'sent' | 'retry' | 'drop', result }; a rejection counts as retry.
+// onChange(pendingCount) hears about every change to the queue.
+export function createOutbox({ load, save, send, now = Date.now, newId = defaultId, onChange = () => {} }) {
+    function read() {
+        try {
+            const entries = load();
+            if (!Array.isArray(entries)) return [];
+            return entries.filter(e => e && typeof e.id === 'string' && now() - e.createdAt <= OUTBOX_MAX_AGE_MS);
+        } catch {
+            return [];
+        }
+    }
+
+    function write(entries) {
+        try { save(entries); } catch {}
+        onChange(entries.length);
+    }
+
+    function update(id, change) {
+        write(read().flatMap(e => e.id === id ? change(e) : [e]));
+    }
+
+    function enqueue(kind, body) {
+        const entry = { id: newId(), kind, body, attempts: 0, createdAt: now(), nextAttemptAt: now() };
+        write([...read(), entry].slice(-OUTBOX_MAX_ENTRIES));
+        return entry;
+    }
+
+    // Send every entry that is due, one at a time. Resolves to { [entryId]: result } for the ones sent.
+    async function sendDue() {
+        const results = {};
+        const due = read().filter(e => e.nextAttemptAt <= now());
+        for (const entry of due) {
+            let answer;
+            try {
+                answer = await send(entry);
+            } catch {
+                answer = { outcome: 'retry' };
+            }
+            if (answer.outcome === 'retry') {
+                update(entry.id, e => [{ ...e, attempts: e.attempts + 1, nextAttemptAt: now() + backoffMs(e.attempts + 1) }]);
+            } else {
+                update(entry.id, () => []);
+                if (answer.outcome === 'sent') results[entry.id] = answer.result;
+            }
+        }
+        return results;
+    }
+
+    // Flushes run one after another, so an entry is never sent twice at once from this tab
+    let flushing = Promise.resolve({});
+    function flush() {
+        flushing = flushing.then(sendDue, sendDue);
+        return flushing;
+    }
+
+    return {
+        enqueue,
+        flush,
+        pending: () => read().length,
+        // When the next entry is due, or null with nothing queued
+        nextAttemptAt() {
+            const entries = read();
+            return entries.length ? Math.min(...entries.map(e => e.nextAttemptAt)) : null;
+        }
+    };
+}
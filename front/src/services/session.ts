@@ -1,6 +1,8 @@
 // Session management for Ace2Ace with Azure Functions backend integration
 // Stores persistent player identity in localStorage and syncs with backend
 
+import { createOutbox, outcomeForStatus } from './outbox.js';
+
 export type Player = {
   playerId: string;
   playerName: string;
@@ -11,15 +13,136 @@ export type Player = {
   lastSeenAt?: Date;
 };
 
+// The signed-in player (see the API's /auth routes); guest is true until it has an email
+export type Account = {
+  playerId: string;
+  playerName: string;
+  email: string | null;
+  guest: boolean;
+};
+
+// Points won by each side of a match (the main player's first)
+export type MatchPoints = {
+  player: number;
+  opponent: number;
+};
+
+// How a match ended, as the engine's matchEnd event tells it; the opponent is the Copilot or player 2
+export type MatchOutcome = {
+  winner: 'player' | 'opponent';
+  points: MatchPoints;
+  longestRally: number;
+  pointLog: { timeMs: number; winner: string; server: string; strokes: number; reason: string | null }[];
+  // Adaptive difficulty: the level the Copilot played at, 0 (beginner) to 1 (expert)
+  adaptiveLevel?: number | null;
+};
+
+// A skill rating in one pool, a difficulty (see the API's shared/rating.ts)
+export type PlayerRating = {
+  playerId: string;
+  playerName: string | null;
+  difficulty: string;
+  rating: number;
+  matchesRated: number;
+};
+
 export type BestTimer = {
+  rank: number;
   playerId: string;
   playerName: string | null;
   bestDurationMs: number;
   achievedAt: string | null; // ISO string from server
 };
 
+export type ScoreEntry = {
+  rank: number;
+  playerId: string;
+  playerName: string | null;
+  bestScore: number;
+  gamesPlayed: number;
+};
+
+// A difficulty preset as the API plays it (presets can be tuned on the server)
+export type DifficultyPreset = {
+  id: string;
+  ranked: boolean;
+  hash: string;
+  settings: any;
+};
+
+// Career mode as the API keeps it: every tournament (see src/game/campaign.js) with where the
+// player stands in it, and their latest campaign rounds
+export type CampaignTierProgress = {
+  id: string;
+  name: string;
+  trophy: string;
+  format: string;
+  rounds: { id: string; name: string; opponent: string; personality: string; level: number }[];
+  unlocked: boolean;
+  nextRound: number;
+  titles: number;
+  firstTitleAt: string | null; // ISO string from server
+};
+
+export type Campaign = {
+  tiers: CampaignTierProgress[];
+  recent: { tierId: string; round: number; matchId: string; won: boolean; playedAt: string }[];
+};
+
+// Today's daily challenge as the API plays it (see src/game/daily.js)
+export type DailyChallenge = {
+  day: string;          // UTC date, YYYY-MM-DD
+  seed: number;
+  modifier: string;
+  personality: string;
+  difficulty: string;
+  format: string;
+  endsAt: string;       // ISO string from server: when the next challenge starts
+};
+
+// A ranked attempt on a day's leaderboard
+export type DailyEntry = {
+  rank: number;
+  playerId: string;
+  playerName: string | null;
+  matchId: string;
+  won: boolean;
+  playerPoints: number;
+  opponentPoints: number;
+  durationMs: number;
+  completedAt: string;  // ISO string from server
+};
+
+export type LeaderboardPeriod = 'day' | 'week' | 'month' | 'all';
+
+// One page of a leaderboard, with the player's own entry and neighbours even when off the page
+export type LeaderboardPage<T> = {
+  period: LeaderboardPeriod;
+  offset: number;
+  limit: number;
+  total: number;
+  entries: T[];
+  me: T | null;
+  around: T[];
+};
+
+export type LeaderboardOptions = {
+  period?: LeaderboardPeriod;
+  limit?: number;
+  offset?: number;
+};
+
 const KEY_ID = 'ace2ace.playerId';
 const KEY_NAME = 'ace2ace.playerName';
+// Second player in local versus mode (same device)
+const KEY_P2_ID = 'ace2ace.player2Id';
+const KEY_P2_NAME = 'ace2ace.player2Name';
+// Remapped keyboard keys and gamepad buttons (see src/input/bindings.js)
+const KEY_BINDINGS = 'ace2ace.keyBindings';
+// Settings of the custom difficulty (see src/game/customDifficulty.js)
+const KEY_CUSTOM_DIFFICULTY = 'ace2ace.customDifficulty';
+// Match results not yet accepted by the API (see src/services/outbox.js)
+const KEY_OUTBOX = 'ace2ace.outbox';
 
 // API Configuration
 const getApiBaseUrl = (): string => {
@@ -88,6 +211,18 @@ function setItem(key: string, value: string) {
   }
 }
 
+function removeItem(key: string) {
+  try {
+    if (storageBackend === 'local') return localStorage.removeItem(key);
+    if (storageBackend === 'session') return sessionStorage.removeItem(key);
+    if (storageBackend === 'cookie') {
+      document.cookie = `${key}=; max-age=0; path=/`;
+      return;
+    }
+  } catch {}
+  delete memStore[key];
+}
+
 const callbacks = new Set<(player: Player) => void>();
 
 function readId(): string | null {
@@ -157,41 +292,96 @@ async function apiGetPlayer(playerId: string): Promise<Player | null> {
   }
 }
 
-async function apiSubmitScore(playerId: string, score: number): Promise<Player> {
-  const response = await fetch(`${getApiBaseUrl()}/scores`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      playerId,
-      score
-    })
-  });
+// New: record a finished match with duration, difficulty, final set scores and its outcome, in one call
+// (a Copilot match also counts as the player's score). PvP matches carry the second player's id as
+// opponentId. The replay, if any, lets the server re-simulate the match and is stored next to it.
+// The result goes through the outbox: resolves to the recorded match if it was sent right away, or
+// null if it stays queued (offline, server error) or was refused.
+async function apiRecordMatch(playerId: string, difficulty: string, durationMs: number, setScores: string | null, matchToken: string | null, replay: any, outcome: MatchOutcome | null, opponentId: string | null = null): Promise<any> {
+  const outcomeFields = outcome
+    ? {
+      winner: outcome.winner,
+      playerPoints: outcome.points.player,
+      opponentPoints: outcome.points.opponent,
+      longestRally: outcome.longestRally,
+      pointLog: outcome.pointLog,
+      ...(outcome.adaptiveLevel != null ? { adaptiveLevel: outcome.adaptiveLevel } : {})
+    }
+    : {};
+  const body = opponentId
+    ? { playerId, opponentId, mode: 'pvp', durationMs, setScores, matchToken, replay, ...outcomeFields }
+    : { playerId, difficulty, durationMs, setScores, matchToken, replay, ...outcomeFields };
+  const entry = outbox.enqueue('match', body);
+  const results = await flushOutbox();
+  return results[entry.id] ?? null;
+}
 
-  if (!response.ok) {
-    throw new Error(`Failed to submit score: ${response.statusText}`);
+// Offline queue of match results, kept in the same storage as the player
+const outboxListeners = new Set<(pending: number) => void>();
+const outbox = createOutbox({
+  load: () => JSON.parse(getItem(KEY_OUTBOX) || '[]'),
+  save: entries => entries.length ? setItem(KEY_OUTBOX, JSON.stringify(entries)) : removeItem(KEY_OUTBOX),
+  send: sendOutboxEntry,
+  onChange: pending => outboxListeners.forEach(cb => {
+    try { cb(pending); } catch { /* no-op */ }
+  })
+});
+let outboxTimer: ReturnType<typeof setTimeout> | null = null;
+
+async function sendOutboxEntry(entry: { id: string; kind: string; body: any }): Promise<{ outcome: string; result?: any }> {
+  let response: Response;
+  try {
+    response = await fetch(`${getApiBaseUrl()}/matches`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': entry.id },
+      body: JSON.stringify(entry.body)
+    });
+  } catch {
+    return { outcome: 'retry' };
   }
+  const outcome = outcomeForStatus(response.status);
+  if (outcome === 'drop') console.warn(`Match result refused by the server: ${response.status} ${response.statusText}`);
+  return { outcome, result: outcome === 'sent' ? await response.json() : undefined };
+}
 
-  return await response.json();
+// Send what is due, then wake up again when the next queued result is
+async function flushOutbox(): Promise<Record<string, any>> {
+  const results = await outbox.flush();
+  if (outboxTimer) clearTimeout(outboxTimer);
+  outboxTimer = null;
+  const next = outbox.nextAttemptAt();
+  if (next !== null) outboxTimer = setTimeout(() => { flushOutbox(); }, Math.max(0, next - Date.now()));
+  return results;
 }
 
-// New: record a finished match with duration and difficulty
-async function apiRecordMatch(playerId: string, difficulty: string, durationMs: number): Promise<any> {
-  const response = await fetch(`${getApiBaseUrl()}/matches`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ playerId, difficulty, durationMs })
-  });
-  if (!response.ok) {
-    throw new Error(`Failed to record match: ${response.statusText}`);
-  }
-  return await response.json();
+// Number of match results waiting to be sent
+export function getPendingCount(): number {
+  return outbox.pending();
+}
+
+// cb(pending) whenever results are queued or leave the queue; returns an unsubscribe function
+export function onOutboxChange(cb: (pending: number) => void): () => void {
+  outboxListeners.add(cb);
+  return () => outboxListeners.delete(cb);
+}
+
+// Send queued results now, and again whenever the browser comes back online
+export function startOutboxSync() {
+  if (typeof window !== 'undefined') window.addEventListener('online', () => { flushOutbox(); });
+  flushOutbox();
+}
+
+function leaderboardParams({ period = 'all', limit, offset = 0 }: LeaderboardOptions): URLSearchParams {
+  const q = new URLSearchParams({ period, offset: String(offset) });
+  if (limit) q.set('limit', String(limit));
+  const { playerId } = getPlayer();
+  if (playerId) q.set('playerId', playerId);
+  return q;
 }
 
-export async function getLeaderboard(limit: number = 10): Promise<Player[]> {
+export async function getLeaderboard(options: LeaderboardOptions = {}): Promise<LeaderboardPage<ScoreEntry> | null> {
   try {
-    const response = await fetch(`${getApiBaseUrl()}/leaderboard?limit=${limit}`);
+    const response = await fetch(`${getApiBaseUrl()}/leaderboard?` + leaderboardParams(options).toString());
     
     if (!response.ok) {
       throw new Error(`Failed to get leaderboard: ${response.statusText}`);
@@ -200,24 +390,72 @@ export async function getLeaderboard(limit: number = 10): Promise<Player[]> {
     return await response.json();
   } catch (error) {
     console.warn('Failed to fetch leaderboard from API:', error);
-    return [];
+    return null;
   }
 }
 
-export async function getTimersLeaderboard(difficulty: string | null = null, limit: number = 5): Promise<BestTimer[]> {
+export async function getTimersLeaderboard(difficulty: string | null = null, options: LeaderboardOptions = {}): Promise<LeaderboardPage<BestTimer> | null> {
   try {
-    const q = new URLSearchParams();
+    const q = leaderboardParams({ limit: 5, ...options });
     if (difficulty) q.set('difficulty', difficulty);
-    if (limit) q.set('limit', String(limit));
     const response = await fetch(`${getApiBaseUrl()}/leaderboard/timers?` + q.toString());
     if (!response.ok) throw new Error(`Failed to get timers leaderboard: ${response.statusText}`);
     return await response.json();
   } catch (error) {
     console.warn('Failed to fetch timers leaderboard from API:', error);
+    return null;
+  }
+}
+
+// A day's ranked daily challenge attempts (the period doesn't apply)
+export async function getDailyLeaderboard(day: string, options: LeaderboardOptions = {}): Promise<(Omit<LeaderboardPage<DailyEntry>, 'period'> & { day: string }) | null> {
+  try {
+    const q = leaderboardParams({ limit: 10, ...options });
+    q.delete('period');
+    q.set('day', day);
+    const response = await fetch(`${getApiBaseUrl()}/daily/leaderboard?` + q.toString());
+    if (!response.ok) throw new Error(`Failed to get daily leaderboard: ${response.statusText}`);
+    return await response.json();
+  } catch (error) {
+    console.warn('Failed to fetch daily leaderboard from API:', error);
+    return null;
+  }
+}
+
+export async function getRatingLeaderboard(difficulty: string, limit: number = 5): Promise<PlayerRating[]> {
+  try {
+    const q = new URLSearchParams({ difficulty, limit: String(limit) });
+    const response = await fetch(`${getApiBaseUrl()}/leaderboard/rating?` + q.toString());
+    if (!response.ok) throw new Error(`Failed to get rating leaderboard: ${response.statusText}`);
+    return await response.json();
+  } catch (error) {
+    console.warn('Failed to fetch rating leaderboard from API:', error);
     return [];
   }
 }
 
+// The player's rating in every pool they have played, none if they haven't played a rated match yet
+export async function getPlayerRatings(playerId: string): Promise<PlayerRating[]> {
+  try {
+    const response = await fetch(`${getApiBaseUrl()}/players/${encodeURIComponent(playerId)}/ratings`);
+    if (response.status === 404) return [];
+    if (!response.ok) throw new Error(`Failed to get ratings: ${response.statusText}`);
+    return (await response.json()).ratings || [];
+  } catch (error) {
+    console.warn('Failed to fetch player ratings from API:', error);
+    return [];
+  }
+}
+
+// Win/loss record, streaks, match times, points and the last 30 days of activity (see the API's shared/stats.ts)
+export async function getPlayerStats(playerId: string): Promise<any> {
+  const response = await fetch(`${getApiBaseUrl()}/players/${encodeURIComponent(playerId)}/stats`);
+  if (!response.ok) {
+    throw new Error(response.status === 404 ? 'No games recorded yet' : `Failed to get stats: ${response.statusText}`);
+  }
+  return await response.json();
+}
+
 export function onPlayerReady(cb: (player: Player) => void) {
   callbacks.add(cb);
   // If already ready (id + name exist), notify immediately on next tick
@@ -311,24 +549,44 @@ export async function ensurePlayerInBackend(defaultName: string = 'Player'): Pro
   }
 }
 
-export async function submitScore(score: number): Promise<Player | null> {
+// Ask the server for a match token when a local match starts; results are only accepted with one.
+// Resolves to null when offline or unregistered (the result then can't be recorded). Copilot
+// matches name the Copilot's personality, which the match is recorded under. A custom difficulty
+// sends its settings: the server records the match under the ranked preset they match, if any.
+// A career round names its tournament; the server picks the round, which the client played too.
+// The daily challenge names its day; the server says with the match result whether it was ranked.
+export async function startMatchSession(difficulty: string, format: string, mode: 'copilot' | 'pvp' = 'copilot', personality: string | null = null, settings: any = null, campaignTier: string | null = null, dailyDay: string | null = null): Promise<string | null> {
   const player = getPlayer();
-  if (!player.playerId || !player.playerName) {
-    console.warn('Cannot submit score: no player registered');
+  const opponentId = mode === 'pvp' ? getPlayer2().playerId : null;
+  if (!player.playerId || (mode === 'pvp' && !opponentId)) {
+    console.warn('Cannot start match session: no player registered');
     return null;
   }
-
   try {
-    const updatedPlayer = await apiSubmitScore(player.playerId, score);
-    return updatedPlayer;
+    const response = await fetch(`${getApiBaseUrl()}/matches/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        playerId: player.playerId, difficulty, format, mode, opponentId,
+        personality: mode === 'copilot' ? personality : null,
+        settings: difficulty === 'custom' ? settings : null,
+        ...(campaignTier ? { campaignTier } : {}),
+        ...(dailyDay ? { daily: dailyDay } : {})
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to start match session: ${response.statusText}`);
+    }
+    const session = await response.json();
+    return session.matchToken || null;
   } catch (error) {
-    console.warn('Failed to submit score to backend:', error);
+    console.warn('Failed to start match session:', error);
     return null;
   }
 }
 
 // New: public helper to submit a match record
-export async function submitMatch(durationMs: number, difficulty: string): Promise<any | null> {
+export async function submitMatch(durationMs: number, difficulty: string, setScores: string | null = null, matchToken: string | null = null, replay: any = null, outcome: MatchOutcome | null = null): Promise<any | null> {
   const player = getPlayer();
   if (!player.playerId) {
     console.warn('Cannot record match: no player registered');
@@ -339,13 +597,219 @@ export async function submitMatch(durationMs: number, difficulty: string): Promi
     return null;
   }
   try {
-    return await apiRecordMatch(player.playerId, difficulty || 'beginner', Math.floor(durationMs));
+    return await apiRecordMatch(player.playerId, difficulty || 'beginner', Math.floor(durationMs), setScores || null, matchToken, replay, outcome);
   } catch (error) {
     console.warn('Failed to record match to backend:', error);
     return null;
   }
 }
 
+// Accounts. The API keeps the sign-in session in an HTTP-only cookie, so this side only ever sees
+// the resulting player. Signing up or in claims this device's guest player and its history.
+async function apiAuth(path: string, body: any = {}): Promise<any> {
+  const response = await fetch(`${getApiBaseUrl()}/auth/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || response.statusText);
+  }
+  return data;
+}
+
+// Play as the account's player from now on
+function adoptAccount(account: Account): Account {
+  writeId(account.playerId);
+  writeName(account.playerName);
+  emitReady({ playerId: account.playerId, playerName: account.playerName });
+  return account;
+}
+
+// The signed-in account, or null (signed out, a guest, or the API is unreachable)
+export async function getAccount(): Promise<Account | null> {
+  try {
+    const response = await fetch(`${getApiBaseUrl()}/auth/me`);
+    if (!response.ok) return null;
+    const account = await response.json();
+    return account && account.email ? account : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function signUp(email: string, password: string): Promise<Account> {
+  // The guest session comes with registering the player; make sure there is one to claim
+  const player = getPlayer();
+  if (player.playerId && player.playerName) await ensurePlayerInBackend(player.playerName).catch(() => {});
+  return adoptAccount(await apiAuth('register', { email, password, playerName: player.playerName }));
+}
+
+export async function signIn(email: string, password: string): Promise<Account> {
+  const player = getPlayer();
+  if (player.playerId && player.playerName) await ensurePlayerInBackend(player.playerName).catch(() => {});
+  return adoptAccount(await apiAuth('login', { email, password }));
+}
+
+// Email a one-time sign-in link (in development it lands in the API's local mail outbox)
+export async function requestSignInLink(email: string): Promise<void> {
+  const player = getPlayer();
+  if (player.playerId && player.playerName) await ensurePlayerInBackend(player.playerName).catch(() => {});
+  await apiAuth('link', { email });
+}
+
+// Finish signing in from the link's ?signin=<token>
+export async function completeSignInLink(token: string): Promise<Account> {
+  return adoptAccount(await apiAuth('link/verify', { token }));
+}
+
+// Sign out and start over as a new guest on this device
+export async function signOut(): Promise<void> {
+  try {
+    await apiAuth('logout');
+  } finally {
+    removeItem(KEY_ID);
+    removeItem(KEY_NAME);
+  }
+}
+
+// Local versus: the second player keeps their own id on this device so PvP matches can name both sides
+export function getPlayer2(): Player {
+  const id = getItem(KEY_P2_ID) || '';
+  const name = getItem(KEY_P2_NAME) || '';
+  return { playerId: id, playerName: name };
+}
+
+export async function setPlayer2Name(name: string): Promise<Player> {
+  const trimmed = (name || '').trim() || 'Player 2';
+  let id = getItem(KEY_P2_ID);
+  if (!id) {
+    id = generateUuid();
+    setItem(KEY_P2_ID, id);
+  }
+  setItem(KEY_P2_NAME, trimmed);
+
+  try {
+    const backendPlayer = await apiRegisterPlayer(id, trimmed);
+    if (backendPlayer.playerId && backendPlayer.playerId !== id) {
+      setItem(KEY_P2_ID, backendPlayer.playerId);
+    }
+    return backendPlayer;
+  } catch (error) {
+    console.warn('Failed to sync player 2 with backend:', error);
+    return { playerId: id, playerName: trimmed };
+  }
+}
+
+// Record a local versus match between the main player (bottom) and player 2 (top)
+export async function submitPvpMatch(durationMs: number, setScores: string | null = null, matchToken: string | null = null, replay: any = null, outcome: MatchOutcome | null = null): Promise<any | null> {
+  const player = getPlayer();
+  const player2 = getPlayer2();
+  if (!player.playerId || !player2.playerId) {
+    console.warn('Cannot record PvP match: both players must be registered');
+    return null;
+  }
+  if (typeof durationMs !== 'number' || durationMs <= 0) {
+    console.warn('Cannot record match: invalid durationMs');
+    return null;
+  }
+  try {
+    return await apiRecordMatch(player.playerId, 'pvp', Math.floor(durationMs), setScores || null, matchToken, replay, outcome, player2.playerId);
+  } catch (error) {
+    console.warn('Failed to record PvP match to backend:', error);
+    return null;
+  }
+}
+
+// The difficulty presets the server plays, or null if it can't be reached (the built-in ones apply)
+export async function getDifficultyPresets(): Promise<DifficultyPreset[] | null> {
+  try {
+    const response = await fetch(`${getApiBaseUrl()}/difficulties`);
+    if (!response.ok) throw new Error(`Failed to get difficulty presets: ${response.statusText}`);
+    return (await response.json()).presets || null;
+  } catch (error) {
+    console.warn('Failed to fetch difficulty presets from API:', error);
+    return null;
+  }
+}
+
+// The player's career, or null if the API can't be reached or doesn't know the player yet
+export async function getCampaign(playerId: string): Promise<Campaign | null> {
+  try {
+    const response = await fetch(`${getApiBaseUrl()}/campaign/${encodeURIComponent(playerId)}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Failed to get campaign: ${response.statusText}`);
+    return await response.json();
+  } catch (error) {
+    console.warn('Failed to fetch campaign from API:', error);
+    return null;
+  }
+}
+
+// Today's daily challenge, or null if the API can't be reached (the game can still work it out)
+export async function getDailyChallenge(): Promise<DailyChallenge | null> {
+  try {
+    const response = await fetch(`${getApiBaseUrl()}/daily`);
+    if (!response.ok) throw new Error(`Failed to get daily challenge: ${response.statusText}`);
+    return await response.json();
+  } catch (error) {
+    console.warn('Failed to fetch daily challenge from API:', error);
+    return null;
+  }
+}
+
+// A shared replay by ID: { replayId, matchId, playerId, createdAt, replay }
+export async function getReplay(replayId: string): Promise<any> {
+  const response = await fetch(`${getApiBaseUrl()}/replays/${encodeURIComponent(replayId)}`);
+  if (!response.ok) {
+    throw new Error(response.status === 404 ? 'Replay not found' : `Failed to get replay: ${response.statusText}`);
+  }
+  return await response.json();
+}
+
+// Saved control bindings, or null for the defaults. Unreadable or corrupt data counts as none.
+export function getKeyBindings(): any | null {
+  try {
+    const raw = getItem(KEY_BINDINGS);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Pass null to forget the custom bindings and go back to the defaults
+export function saveKeyBindings(bindings: any | null) {
+  try {
+    if (bindings) {
+      setItem(KEY_BINDINGS, JSON.stringify(bindings));
+    } else {
+      removeItem(KEY_BINDINGS);
+    }
+  } catch {}
+}
+
+// The saved custom difficulty's settings, or null if none. Unreadable or corrupt data counts as none.
+export function getCustomDifficulty(): any | null {
+  try {
+    const raw = getItem(KEY_CUSTOM_DIFFICULTY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Pass null to forget the custom difficulty
+export function saveCustomDifficulty(settings: any | null) {
+  try {
+    if (settings) {
+      setItem(KEY_CUSTOM_DIFFICULTY, JSON.stringify(settings));
+    } else {
+      removeItem(KEY_CUSTOM_DIFFICULTY);
+    }
+  } catch {}
+}
+
 export async function syncPlayerData(): Promise<Player | null> {
   const player = getPlayer();
   if (!player.playerId) {
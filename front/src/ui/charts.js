@@ -0,0 +1,107 @@
+// Small canvas charts for the profile screen. They only call 2D context methods, so they draw on any
+// CanvasRenderingContext2D-like object and can be checked without a browser.
+
+export const CHART_COLORS = {
+    win: '#00A550',
+    loss: '#d9534f',
+    other: 'rgba(255,255,255,0.35)',
+    text: '#ffffff',
+    grid: 'rgba(255,255,255,0.15)'
+};
+
+const FONT = "12px 'Courier New', monospace";
+
+function clear(ctx, width, height) {
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = FONT;
+    ctx.textBaseline = 'middle';
+}
+
+function emptyMessage(ctx, width, height, text) {
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.textAlign = 'center';
+    ctx.fillText(text, width / 2, height / 2);
+}
+
+// One horizontal bar per row ({ label, wins, losses, played }): wins then losses, and the undecided
+// rest, scaled to the row with the most matches. Returns the number of rows drawn.
+export function drawRecordChart(ctx, rows, { width, height, labelWidth = 90 }) {
+    clear(ctx, width, height);
+    const visible = rows.filter(row => row.played > 0);
+    if (visible.length === 0) {
+        emptyMessage(ctx, width, height, 'No matches yet');
+        return 0;
+    }
+    const countWidth = 60;
+    const barSpace = width - labelWidth - countWidth;
+    const rowHeight = Math.min(28, height / visible.length);
+    const most = Math.max(...visible.map(row => row.played));
+
+    visible.forEach((row, i) => {
+        const y = i * rowHeight;
+        const barHeight = rowHeight * 0.6;
+        const top = y + (rowHeight - barHeight) / 2;
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.textAlign = 'left';
+        ctx.fillText(row.label, 0, y + rowHeight / 2);
+
+        let x = labelWidth;
+        for (const [value, color] of [[row.wins, CHART_COLORS.win], [row.losses, CHART_COLORS.loss], [row.played - row.wins - row.losses, CHART_COLORS.other]]) {
+            if (value <= 0) continue;
+            const w = (value / most) * barSpace;
+            ctx.fillStyle = color;
+            ctx.fillRect(x, top, w, barHeight);
+            x += w;
+        }
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.textAlign = 'right';
+        ctx.fillText(`${row.wins}-${row.losses}`, width, y + rowHeight / 2);
+    });
+    return visible.length;
+}
+
+// Daily matches as columns ({ day, matches, wins, games }), wins in green at the bottom of each,
+// with the scores submitted that day as dots. Returns the tallest column's value.
+export function drawActivityChart(ctx, days, { width, height }) {
+    clear(ctx, width, height);
+    const most = Math.max(0, ...days.map(day => Math.max(day.matches, day.games)));
+    if (days.length === 0 || most === 0) {
+        emptyMessage(ctx, width, height, 'No games in the last days');
+        return 0;
+    }
+    const axis = 16;               // Room for the day labels
+    const plotHeight = height - axis;
+    const slot = width / days.length;
+    const barWidth = Math.max(2, slot * 0.7);
+    const scale = plotHeight / most;
+
+    ctx.strokeStyle = CHART_COLORS.grid;
+    ctx.beginPath();
+    ctx.moveTo(0, plotHeight + 0.5);
+    ctx.lineTo(width, plotHeight + 0.5);
+    ctx.stroke();
+
+    days.forEach((day, i) => {
+        const x = i * slot + (slot - barWidth) / 2;
+        if (day.matches > 0) {
+            ctx.fillStyle = CHART_COLORS.other;
+            ctx.fillRect(x, plotHeight - day.matches * scale, barWidth, day.matches * scale);
+            ctx.fillStyle = CHART_COLORS.win;
+            ctx.fillRect(x, plotHeight - day.wins * scale, barWidth, day.wins * scale);
+        }
+        if (day.games > 0) {
+            ctx.fillStyle = CHART_COLORS.text;
+            ctx.beginPath();
+            ctx.arc(x + barWidth / 2, plotHeight - day.games * scale, 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    });
+
+    // First and last day under the axis, "MM-DD"
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.textAlign = 'left';
+    ctx.fillText(days[0].day.slice(5), 0, height - axis / 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(days[days.length - 1].day.slice(5), width, height - axis / 2);
+    return most;
+}
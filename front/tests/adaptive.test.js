@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEngine } from '../src/game/engine.js';
+import { DIFFICULTY_SETTINGS } from '../src/game/difficulty.js';
+import { ADAPTIVE_FIELDS, ADAPTIVE_START_LEVEL, settingsAtLevel, nextLevel, levelName } from '../src/game/adaptive.js';
+import { ReplayRecorder, ReplayPlayer } from '../src/game/replay.js';
+
+// Serve at the toss apex and shadow the ball
+function botInput(engine) {
+    const ballX = engine.ball.x + engine.ball.width / 2;
+    const paddleX = engine.paddle2.x + engine.paddle2.width / 2;
+    const serving = engine.isAwaitingPlayerServe();
+    return {
+        player: {
+            left: ballX < paddleX - 5,
+            right: ballX > paddleX + 5,
+            serve: serving && (engine.serve.phase === 'ready' || engine.serve.tossFrame === 33)
+        }
+    };
+}
+
+test('the level runs through the presets: beginner at 0, advanced at 0.5, expert at 1', () => {
+    const base = DIFFICULTY_SETTINGS.adaptive;
+    for (const [level, preset] of [[0, 'beginner'], [0.5, 'advanced'], [1, 'expert']]) {
+        const settings = settingsAtLevel(base, level);
+        for (const field of ADAPTIVE_FIELDS) assert.equal(settings[field], DIFFICULTY_SETTINGS[preset][field], `${field} at ${level}`);
+        assert.equal(levelName(level), preset);
+    }
+    const between = settingsAtLevel(base, 0.75);
+    assert.equal(between.aiSpeed, (DIFFICULTY_SETTINGS.advanced.aiSpeed + DIFFICULTY_SETTINGS.expert.aiSpeed) / 2);
+    assert.equal(between.aiServeDelay, base.aiServeDelay, 'the other settings stay the preset ones');
+    assert.equal(settingsAtLevel(base, 3).aiSpeed, DIFFICULTY_SETTINGS.expert.aiSpeed);
+});
+
+test('points won raise the level and points lost lower it, quick points the most', () => {
+    const rally = { strokes: 5 };
+    assert.ok(nextLevel(0.5, { ...rally, won: true }) > 0.5);
+    assert.ok(nextLevel(0.5, { ...rally, won: false }) < 0.5);
+    const ace = nextLevel(0.5, { won: true, strokes: 1 }) - 0.5;
+    const long = nextLevel(0.5, { won: true, strokes: 12 }) - 0.5;
+    assert.ok(ace > long && long > 0);
+    assert.equal(nextLevel(1, { ...rally, won: true }), 1);
+    assert.equal(nextLevel(0, { ...rally, won: false }), 0);
+});
+
+test('a scrambling player eases the Copilot off and a growing lead pushes it on', () => {
+    const point = { won: true, strokes: 5 };
+    assert.ok(nextLevel(0.5, { ...point, margin: 0.9 }) < nextLevel(0.5, point));
+    assert.ok(nextLevel(0.5, { ...point, margin: 0.1 }) > nextLevel(0.5, point));
+    assert.ok(nextLevel(0.5, { ...point, lead: 6 }) > nextLevel(0.5, { ...point, lead: 2 }));
+    assert.ok(nextLevel(0.5, { ...point, won: false, lead: -6 }) < nextLevel(0.5, { ...point, won: false }));
+});
+
+test('an adaptive match moves the Copilot\'s pace and reports the level it played at', () => {
+    const engine = new GameEngine({ seed: 4, difficulty: 'adaptive', format: 'quick' });
+    assert.ok(engine.isAdaptive);
+    assert.equal(engine.settings.aiSpeed, DIFFICULTY_SETTINGS.advanced.aiSpeed);
+    const recorder = new ReplayRecorder(engine);
+    const levels = new Set();
+    engine.on('point', () => levels.add(engine.adaptive.level));
+    engine.start();
+    let end = null;
+    for (let tick = 0; tick < 400000 && !end; tick++) {
+        const input = botInput(engine);
+        recorder.record(input);
+        end = engine.step(input).find(event => event.type === 'matchEnd');
+    }
+    assert.ok(end, 'the match finished');
+    assert.ok(levels.size > 1, 'the level moved during the match');
+    assert.equal(engine.paddle1.speed, engine.settings.aiSpeed);
+    assert.ok(end.adaptiveLevel >= 0 && end.adaptiveLevel <= 1);
+    assert.notEqual(end.adaptiveLevel, ADAPTIVE_START_LEVEL);
+
+    const player = new ReplayPlayer(JSON.parse(JSON.stringify(recorder.finish(end))));
+    let replayed = null;
+    while (!player.finished && !replayed) replayed = player.step().find(event => event.type === 'matchEnd');
+    assert.equal(replayed.adaptiveLevel, end.adaptiveLevel);
+    assert.deepEqual(player.engine.pointLog, engine.pointLog);
+});
+
+test('only the Copilot adapts, and fixed difficulties report no level', () => {
+    const versus = new GameEngine({ difficulty: 'adaptive', opponent: 'human' });
+    assert.equal(versus.isAdaptive, false);
+    assert.equal(versus.settings, DIFFICULTY_SETTINGS.adaptive);
+    const fixed = new GameEngine({ seed: 4, difficulty: 'expert', format: 'quick' });
+    fixed.start();
+    let end = null;
+    for (let tick = 0; tick < 400000 && !end; tick++) end = fixed.step(botInput(fixed)).find(event => event.type === 'matchEnd');
+    assert.equal('adaptiveLevel' in end, false);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEngine } from '../src/game/engine.js';
+import { DIFFICULTY_SETTINGS } from '../src/game/difficulty.js';
+import { AI_PERSONALITIES, PERSONALITY_NAMES, DEFAULT_PERSONALITY, isPersonality } from '../src/game/ai.js';
+import { ReplayRecorder, ReplayPlayer, validateReplay } from '../src/game/replay.js';
+import { isShotType } from '../src/game/shots.js';
+import { SeededRandom } from '../src/game/rng.js';
+
+// Serve at the toss apex and shadow the ball
+function botInput(engine) {
+    const ballX = engine.ball.x + engine.ball.width / 2;
+    const paddleX = engine.paddle2.x + engine.paddle2.width / 2;
+    const serving = engine.isAwaitingPlayerServe();
+    return {
+        player: {
+            left: ballX < paddleX - 5,
+            right: ballX > paddleX + 5,
+            serve: serving && (engine.serve.phase === 'ready' || engine.serve.tossFrame === 33)
+        }
+    };
+}
+
+// Play against `personality` for a while: the Copilot's average depth during rallies, its shots
+// and the points it lost on its own misses
+function play(personality, ticks = 20000) {
+    const engine = new GameEngine({ seed: 5, difficulty: 'advanced', format: 'bestOf3', personality });
+    engine.start();
+    const stats = { depth: 0, rallyTicks: 0, shots: {}, errors: 0, strokes: 0 };
+    engine.on('hit', (event) => {
+        if (event.side !== 'copilot' || event.serve) return;
+        stats.strokes++;
+        stats.shots[event.shot] = (stats.shots[event.shot] || 0) + 1;
+    });
+    engine.on('point', (event) => {
+        if (event.scorer === 'player' && engine.rally.hitter === 'copilot') stats.errors++;
+    });
+    for (let tick = 0; tick < ticks && !engine.gameEnded; tick++) {
+        engine.step(botInput(engine));
+        if (engine.rally.hitter && !engine.isServePending()) {
+            stats.depth += engine.netPosition - engine.paddle1.y;
+            stats.rallyTicks++;
+        }
+    }
+    stats.depth /= stats.rallyTicks;
+    return stats;
+}
+
+test('every personality is a complete strategy', () => {
+    assert.ok(isPersonality(DEFAULT_PERSONALITY));
+    assert.deepEqual(PERSONALITY_NAMES, ['allCourt', 'baseliner', 'netRusher', 'counterPuncher', 'rookie']);
+    const engine = new GameEngine({ seed: 1 });
+    engine.start();
+    const state = engine.aiState();
+    for (const name of PERSONALITY_NAMES) {
+        const ai = AI_PERSONALITIES[name];
+        assert.equal(typeof ai.label, 'string', name);
+        const target = ai.target(state, DIFFICULTY_SETTINGS.expert);
+        assert.ok(Number.isFinite(target.x) && Number.isFinite(target.y), name);
+        assert.ok(isShotType(ai.shot(state, DIFFICULTY_SETTINGS.expert, new SeededRandom(3))), name);
+        const errorRate = ai.errorRate(state, DIFFICULTY_SETTINGS.expert);
+        assert.ok(errorRate >= 0 && errorRate < 1, name);
+    }
+});
+
+test('unknown personalities fall back to the default one', () => {
+    assert.equal(new GameEngine({ personality: 'robot' }).personality, DEFAULT_PERSONALITY);
+    const engine = new GameEngine({ personality: 'rookie' });
+    engine.setPersonality('robot');
+    assert.equal(engine.personality, 'rookie');
+    engine.setPersonality('baseliner');
+    assert.equal(engine.ai, AI_PERSONALITIES.baseliner);
+});
+
+test('the net-rusher plays closer to the net than the baseliner and the counter-puncher', () => {
+    const netRusher = play('netRusher');
+    const baseliner = play('baseliner');
+    const counterPuncher = play('counterPuncher');
+    assert.ok(netRusher.depth < counterPuncher.depth, `${netRusher.depth} < ${counterPuncher.depth}`);
+    assert.ok(counterPuncher.depth < baseliner.depth, `${counterPuncher.depth} < ${baseliner.depth}`);
+});
+
+test('each personality has its own shots, and the rookie gives away the most points', () => {
+    const baseliner = play('baseliner');
+    assert.ok(baseliner.shots.topspin > (baseliner.shots.slice || 0));
+    const counterPuncher = play('counterPuncher');
+    assert.ok((counterPuncher.shots.slice || 0) + (counterPuncher.shots.lob || 0) > (counterPuncher.shots.topspin || 0));
+
+    const rookie = play('rookie');
+    assert.ok(Object.keys(rookie.shots).length >= 4);
+    assert.ok(rookie.errors / rookie.strokes > counterPuncher.errors / counterPuncher.strokes);
+});
+
+test('replays keep the personality and play back the same match', () => {
+    const engine = new GameEngine({ seed: 9, format: 'quick', personality: 'netRusher' });
+    engine.setDifficulty('expert');
+    const recorder = new ReplayRecorder(engine);
+    engine.start();
+    let end = null;
+    for (let tick = 0; tick < 20000 && !engine.gameEnded; tick++) {
+        const input = botInput(engine);
+        recorder.record(input);
+        end = engine.step(input).find(event => event.type === 'matchEnd') || end;
+    }
+    const replay = recorder.finish(end);
+    assert.equal(replay.personality, 'netRusher');
+
+    const player = new ReplayPlayer(JSON.parse(JSON.stringify(replay)));
+    while (!player.finished) player.step();
+    assert.equal(player.engine.personality, 'netRusher');
+    assert.deepEqual(player.engine.pointLog, engine.pointLog);
+
+    assert.equal(validateReplay({ ...replay, personality: 'robot' }), 'Unknown personality: robot');
+    const { personality, ...older } = replay;
+    assert.equal(validateReplay(older), null);
+});
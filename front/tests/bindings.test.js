@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_BINDINGS, KEY_PRESETS, resolveBindings, actionForKey, findConflicts, normalizeKey, keyLabel } from '../src/input/bindings.js';
+
+test('no saved bindings means arrows for player 1 and WASD for player 2', () => {
+    const bindings = resolveBindings(null);
+    assert.deepEqual(bindings, DEFAULT_BINDINGS);
+    assert.notEqual(bindings.player.keys, DEFAULT_BINDINGS.player.keys, 'a copy, so remapping never edits the defaults');
+    assert.equal(actionForKey(bindings, 'player', 'ArrowLeft'), 'left');
+    assert.equal(actionForKey(bindings, 'copilot', 'w'), 'up');
+});
+
+test('saved bindings override the defaults action by action and bad values are ignored', () => {
+    const bindings = resolveBindings({
+        player: { keys: { left: 'H', right: 'l', up: 42, serve: '' }, gamepad: { serve: 2, pause: -1 } },
+        copilot: 'garbage'
+    });
+    assert.equal(bindings.player.keys.left, 'h');
+    assert.equal(bindings.player.keys.right, 'l');
+    assert.equal(bindings.player.keys.up, 'ArrowUp');
+    assert.equal(bindings.player.keys.serve, ' ');
+    assert.equal(bindings.player.gamepad.serve, 2);
+    assert.equal(bindings.player.gamepad.pause, 9);
+    assert.deepEqual(bindings.copilot, DEFAULT_BINDINGS.copilot);
+});
+
+test('letters match whatever the case, named keys as they are', () => {
+    const bindings = resolveBindings({ player: { keys: KEY_PRESETS.vim.keys } });
+    assert.equal(actionForKey(bindings, 'player', 'K'), 'up');
+    assert.equal(actionForKey(bindings, 'player', 'j'), 'down');
+    assert.equal(actionForKey(bindings, 'player', 'ArrowUp'), null);
+    assert.equal(normalizeKey('Enter'), 'Enter');
+    assert.equal(keyLabel(' '), 'Space');
+    assert.equal(keyLabel('a'), 'A');
+});
+
+test('the two sides may share serve and pause keys but not movement keys', () => {
+    assert.deepEqual(findConflicts(resolveBindings(null)), []);
+
+    const bindings = resolveBindings({ copilot: { keys: KEY_PRESETS.arrows.keys } });
+    const conflicts = findConflicts(bindings);
+    assert.deepEqual(conflicts.map(conflict => conflict.key), ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'z', 'x', 'c', 'v']);
+    assert.deepEqual(conflicts[0].users, [{ side: 'player', action: 'left' }, { side: 'copilot', action: 'left' }]);
+});
+
+test('one key for two actions of the same side is a conflict', () => {
+    const bindings = resolveBindings({ player: { keys: { pause: ' ' } } });
+    assert.deepEqual(findConflicts(bindings).map(conflict => conflict.key), [' ']);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEngine } from '../src/game/engine.js';
+import { DIFFICULTY_SETTINGS } from '../src/game/difficulty.js';
+import { MATCH_FORMATS } from '../src/game/scoring.js';
+import { AI_PERSONALITIES } from '../src/game/ai.js';
+import { validateDifficulty } from '../src/game/customDifficulty.js';
+import { CAMPAIGN_DIFFICULTY, CAMPAIGN_TIERS, campaignTier, campaignState, roundSettings } from '../src/game/campaign.js';
+import { ReplayRecorder, ReplayPlayer, validateReplay } from '../src/game/replay.js';
+
+// Serve at the toss apex and shadow the ball
+function botInput(engine) {
+    const ballX = engine.ball.x + engine.ball.width / 2;
+    const paddleX = engine.paddle2.x + engine.paddle2.width / 2;
+    const serving = engine.isAwaitingPlayerServe();
+    return {
+        player: {
+            left: ballX < paddleX - 5,
+            right: ballX > paddleX + 5,
+            serve: serving && (engine.serve.phase === 'ready' || engine.serve.tossFrame === 33)
+        }
+    };
+}
+
+test('every round is a playable opponent, and the Copilot gets faster round after round', () => {
+    let lastSpeed = 0;
+    for (const tier of CAMPAIGN_TIERS) {
+        assert.ok(MATCH_FORMATS[tier.format], tier.id);
+        assert.equal(campaignTier(tier.id), tier);
+        tier.rounds.forEach((round, i) => {
+            const settings = roundSettings(tier, i);
+            assert.equal(validateDifficulty(settings), null, `${tier.id} ${round.id}`);
+            assert.ok(AI_PERSONALITIES[round.personality], round.personality);
+            assert.ok(settings.aiSpeed >= lastSpeed, `${tier.id} ${round.id} is no easier than the round before`);
+            lastSpeed = settings.aiSpeed;
+        });
+    }
+    assert.equal(roundSettings(CAMPAIGN_TIERS[0], 0).aiSpeed, DIFFICULTY_SETTINGS.beginner.aiSpeed);
+    assert.equal(roundSettings(CAMPAIGN_TIERS.at(-1), 3).aiSpeed, DIFFICULTY_SETTINGS.expert.aiSpeed);
+    assert.equal(campaignTier('moon'), null);
+});
+
+test('a tournament opens once the one before it has been won', () => {
+    assert.deepEqual(campaignState().map(tier => [tier.id, tier.unlocked, tier.nextRound, tier.titles]),
+        [['club', true, 0, 0], ['national', false, 0, 0], ['grandSlam', false, 0, 0]]);
+    const state = campaignState([{ tierId: 'club', nextRound: 2, titles: 1 }, { tierId: 'national', nextRound: 9, titles: 0 }]);
+    assert.deepEqual(state.map(tier => [tier.unlocked, tier.nextRound, tier.titles]), [[true, 2, 1], [true, 3, 0], [false, 0, 0]]);
+});
+
+test('a campaign round plays at its settings and its replay plays back', () => {
+    const tier = campaignTier('national');
+    const settings = roundSettings(tier, 2);
+    const engine = new GameEngine({
+        seed: 4, difficulty: CAMPAIGN_DIFFICULTY, format: tier.format, personality: tier.rounds[2].personality,
+        difficultySettings: { ...DIFFICULTY_SETTINGS, [CAMPAIGN_DIFFICULTY]: settings }
+    });
+    assert.equal(engine.currentDifficulty, CAMPAIGN_DIFFICULTY);
+    assert.equal(engine.paddle1.speed, settings.aiSpeed);
+    const recorder = new ReplayRecorder(engine);
+    engine.start();
+    let end = null;
+    for (let tick = 0; tick < 400000 && !end; tick++) {
+        const input = botInput(engine);
+        recorder.record(input);
+        end = engine.step(input).find(event => event.type === 'matchEnd');
+    }
+    assert.ok(end, 'the match finished');
+
+    const replay = JSON.parse(JSON.stringify(recorder.finish(end)));
+    assert.deepEqual(replay.settings, settings);
+    assert.equal(validateReplay(replay, DIFFICULTY_SETTINGS), null);
+    assert.match(validateReplay({ ...replay, settings: undefined }), /campaign difficulty needs its settings/);
+    const player = new ReplayPlayer(replay);
+    let replayed = null;
+    while (!player.finished && !replayed) replayed = player.step().find(event => event.type === 'matchEnd');
+    assert.deepEqual(player.engine.pointLog, engine.pointLog);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { drawRecordChart, drawActivityChart, CHART_COLORS } from '../src/ui/charts.js';
+
+// Records fillRect calls (with the fill color at the time) and text; other drawing calls are no-ops
+function recordingContext() {
+    const ctx = { rects: [], texts: [], arcs: 0 };
+    return new Proxy(ctx, {
+        get(target, key) {
+            if (key in target) return target[key];
+            if (key === 'fillRect') return (x, y, w, h) => target.rects.push({ x, y, w, h, color: target.fillStyle });
+            if (key === 'fillText') return (text) => target.texts.push(text);
+            if (key === 'arc') return () => target.arcs++;
+            return () => {};
+        }
+    });
+}
+
+test('record chart scales bars to the busiest row and skips empty ones', () => {
+    const ctx = recordingContext();
+    const rows = [
+        { label: 'beginner', played: 4, wins: 3, losses: 1 },
+        { label: 'expert', played: 2, wins: 0, losses: 1 },
+        { label: 'pvp', played: 0, wins: 0, losses: 0 }
+    ];
+    assert.equal(drawRecordChart(ctx, rows, { width: 250, height: 100 }), 2);
+    const bar = 250 - 90 - 60;
+    const widths = ctx.rects.map(r => [r.color, r.w]);
+    assert.deepEqual(widths, [
+        [CHART_COLORS.win, bar * 3 / 4], [CHART_COLORS.loss, bar / 4],
+        [CHART_COLORS.loss, bar / 4], [CHART_COLORS.other, bar / 4]
+    ]);
+    assert.deepEqual(ctx.texts, ['beginner', '3-1', 'expert', '0-1']);
+});
+
+test('activity chart draws a column per active day and a dot per day with scores', () => {
+    const ctx = recordingContext();
+    const days = [
+        { day: '2026-03-01', matches: 2, wins: 1, games: 0 },
+        { day: '2026-03-02', matches: 0, wins: 0, games: 4 },
+        { day: '2026-03-03', matches: 1, wins: 0, games: 1 }
+    ];
+    assert.equal(drawActivityChart(ctx, days, { width: 300, height: 116 }), 4);
+    // Plot height 100, 4 per column at most: 2 matches -> 50px tall, its win 25px
+    const [matches, wins] = ctx.rects;
+    assert.deepEqual([matches.h, matches.y, wins.h, wins.y], [50, 50, 25, 75]);
+    assert.equal(ctx.rects.length, 4);
+    assert.equal(ctx.arcs, 2);
+    assert.deepEqual(ctx.texts, ['03-01', '03-03']);
+});
+
+test('charts without data say so', () => {
+    const ctx = recordingContext();
+    assert.equal(drawRecordChart(ctx, [], { width: 200, height: 80 }), 0);
+    assert.equal(drawActivityChart(ctx, [{ day: '2026-03-01', matches: 0, wins: 0, games: 0 }], { width: 200, height: 80 }), 0);
+    assert.deepEqual(ctx.texts, ['No matches yet', 'No games in the last days']);
+    assert.equal(ctx.rects.length, 0);
+});
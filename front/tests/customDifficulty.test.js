@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEngine } from '../src/game/engine.js';
+import { DIFFICULTY_SETTINGS } from '../src/game/difficulty.js';
+import {
+    CUSTOM_DIFFICULTY, DIFFICULTY_FIELDS, readField, writeField, validateDifficulty, canonicalDifficulty,
+    difficultyHash, matchingPreset, encodeDifficulty, decodeDifficulty
+} from '../src/game/customDifficulty.js';
+import { ReplayRecorder, ReplayPlayer, validateReplay } from '../src/game/replay.js';
+
+// Serve at the toss apex and shadow the ball
+function botInput(engine) {
+    const ballX = engine.ball.x + engine.ball.width / 2;
+    const paddleX = engine.paddle2.x + engine.paddle2.width / 2;
+    const serving = engine.isAwaitingPlayerServe();
+    return {
+        player: {
+            left: ballX < paddleX - 5,
+            right: ballX > paddleX + 5,
+            serve: serving && (engine.serve.phase === 'ready' || engine.serve.tossFrame === 33)
+        }
+    };
+}
+
+function customSettings() {
+    const settings = canonicalDifficulty(DIFFICULTY_SETTINGS.advanced);
+    writeField(settings, 'ballSpeed.x', 2.2);
+    settings.aiErrorRate = 0.05;
+    return settings;
+}
+
+test('every preset is a valid difficulty within the editor\'s ranges', () => {
+    for (const [id, settings] of Object.entries(DIFFICULTY_SETTINGS)) {
+        assert.equal(validateDifficulty(settings), null, id);
+    }
+    assert.match(validateDifficulty(null), /must be an object/);
+    const tooFast = customSettings();
+    writeField(tooFast, 'ballSpeed.y', 9);
+    assert.match(validateDifficulty(tooFast), /ballSpeed\.y must be a number from/);
+    const { aiSpeed, ...missing } = customSettings();
+    assert.match(validateDifficulty(missing), /aiSpeed/);
+    assert.match(validateDifficulty({ ...customSettings(), adaptive: 'yes' }), /adaptive/);
+});
+
+test('equal settings hash the same whatever else they carry, and match their preset', () => {
+    const expert = DIFFICULTY_SETTINGS.expert;
+    const copy = { ...canonicalDifficulty(expert), label: 'mine' };
+    assert.equal(difficultyHash(copy), difficultyHash(expert));
+    assert.match(difficultyHash(expert), /^[0-9a-f]{8}$/);
+    assert.equal(matchingPreset(copy, DIFFICULTY_SETTINGS), 'expert');
+    assert.equal(matchingPreset(customSettings(), DIFFICULTY_SETTINGS), null);
+    assert.notEqual(difficultyHash(DIFFICULTY_SETTINGS.adaptive), difficultyHash(DIFFICULTY_SETTINGS.advanced), 'the adaptive flag counts');
+    assert.deepEqual(Object.keys(canonicalDifficulty(copy)), [...new Set(DIFFICULTY_FIELDS.map(({ path }) => path.split('.')[0]))]);
+});
+
+test('a share code brings back the same settings, and a bad one nothing', () => {
+    const settings = customSettings();
+    const code = encodeDifficulty(settings);
+    assert.match(code, /^ACE1-[\w-]+$/);
+    assert.deepEqual(decodeDifficulty(code), settings);
+    assert.deepEqual(decodeDifficulty(encodeDifficulty(DIFFICULTY_SETTINGS.adaptive)), canonicalDifficulty(DIFFICULTY_SETTINGS.adaptive));
+    assert.equal(decodeDifficulty('ACE1-' + btoa('1,2,3')), null);
+    assert.equal(decodeDifficulty('hello'), null);
+    const outOfRange = customSettings();
+    outOfRange.aiSpeed = 40;
+    assert.equal(decodeDifficulty(encodeDifficulty(outOfRange)), null);
+    assert.equal(readField(settings, 'ballSpeed.x'), 2.2);
+});
+
+test('a custom match plays its settings and its replay plays back without them being a preset', () => {
+    const settings = customSettings();
+    const engine = new GameEngine({ seed: 9, difficulty: CUSTOM_DIFFICULTY, format: 'quick', difficultySettings: { ...DIFFICULTY_SETTINGS, [CUSTOM_DIFFICULTY]: settings } });
+    assert.equal(engine.currentDifficulty, CUSTOM_DIFFICULTY);
+    assert.equal(engine.ball.maxSpeed, settings.ballMaxSpeed);
+    const recorder = new ReplayRecorder(engine);
+    engine.start();
+    let end = null;
+    for (let tick = 0; tick < 400000 && !end; tick++) {
+        const input = botInput(engine);
+        recorder.record(input);
+        end = engine.step(input).find(event => event.type === 'matchEnd');
+    }
+    assert.ok(end, 'the match finished');
+
+    const replay = JSON.parse(JSON.stringify(recorder.finish(end)));
+    assert.deepEqual(replay.settings, settings);
+    assert.equal(validateReplay(replay, DIFFICULTY_SETTINGS), null);
+    const player = new ReplayPlayer(replay);
+    let replayed = null;
+    while (!player.finished && !replayed) replayed = player.step().find(event => event.type === 'matchEnd');
+    assert.equal(replayed.durationMs, end.durationMs);
+    assert.deepEqual(player.engine.pointLog, engine.pointLog);
+
+    assert.match(validateReplay({ ...replay, settings: undefined }), /custom difficulty needs its settings/);
+    assert.match(validateReplay({ ...replay, settings: { ...settings, aiSpeed: 0 } }), /Invalid difficulty settings: aiSpeed/);
+});
+
+test('new presets apply to the engine, and the current difficulty takes its new settings', () => {
+    const engine = new GameEngine({ difficulty: 'expert' });
+    const tuned = { ...DIFFICULTY_SETTINGS.expert, aiSpeed: 5.5, ballMaxSpeed: 5.5 };
+    engine.setDifficultyPresets({ ...DIFFICULTY_SETTINGS, expert: tuned });
+    assert.equal(engine.paddle1.speed, 5.5);
+    assert.equal(engine.ball.maxSpeed, 5.5);
+    engine.setDifficulty(CUSTOM_DIFFICULTY);
+    assert.equal(engine.currentDifficulty, 'expert', 'no custom difficulty to switch to');
+});
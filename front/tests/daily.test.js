@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEngine } from '../src/game/engine.js';
+import { DIFFICULTY_SETTINGS } from '../src/game/difficulty.js';
+import { MATCH_FORMATS } from '../src/game/scoring.js';
+import { isPersonality } from '../src/game/ai.js';
+import { PADDLE_WIDTH, MATCH_MODIFIERS, isModifier } from '../src/game/modifiers.js';
+import { DAILY_DIFFICULTY, challengeDay, challengeEndsAt, isChallengeDay, dailyChallenge, formatCountdown } from '../src/game/daily.js';
+import { ReplayRecorder, ReplayPlayer, validateReplay } from '../src/game/replay.js';
+
+// Serve at the toss apex and shadow the ball
+function botInput(engine) {
+    const ballX = engine.ball.x + engine.ball.width / 2;
+    const paddleX = engine.paddle2.x + engine.paddle2.width / 2;
+    const serving = engine.isAwaitingPlayerServe();
+    return {
+        player: {
+            left: ballX < paddleX - 5,
+            right: ballX > paddleX + 5,
+            serve: serving && (engine.serve.phase === 'ready' || engine.serve.tossFrame === 33)
+        }
+    };
+}
+
+test('a day\'s challenge is the same for everyone and changes with the UTC date', () => {
+    assert.equal(challengeDay(new Date('2026-03-09T23:59:59Z')), '2026-03-09');
+    assert.equal(challengeDay(Date.parse('2026-03-10T00:00:00Z')), '2026-03-10');
+    assert.equal(challengeEndsAt('2026-03-09').toISOString(), '2026-03-10T00:00:00.000Z');
+    assert.equal(isChallengeDay('2026-02-28'), true);
+    assert.equal(isChallengeDay('2026-02-30'), false);
+    assert.equal(isChallengeDay('today'), false);
+    assert.equal(formatCountdown('2026-03-10T00:00:00Z', Date.parse('2026-03-09T18:57:51Z')), '5h 02m 09s');
+    assert.equal(formatCountdown('2026-03-10T00:00:00Z', Date.parse('2026-03-11T00:00:00Z')), '0h 00m 00s');
+
+    const challenge = dailyChallenge('2026-03-09', 123456789);
+    assert.deepEqual(dailyChallenge('2026-03-09', 123456789), challenge);
+    assert.equal(challenge.seed, 123456789);
+    assert.ok(isModifier(challenge.modifier), challenge.modifier);
+    assert.ok(isPersonality(challenge.personality), challenge.personality);
+    assert.equal(challenge.difficulty, DAILY_DIFFICULTY);
+    assert.ok(DIFFICULTY_SETTINGS[challenge.difficulty] && MATCH_FORMATS[challenge.format]);
+    // The seed picks the modifier, so every modifier comes up
+    const month = Array.from({ length: 30 }, (_, i) => dailyChallenge(`2026-04-${String(i + 1).padStart(2, '0')}`, i));
+    assert.deepEqual([...new Set(month.map(day => day.modifier))].sort(), Object.keys(MATCH_MODIFIERS).sort());
+});
+
+test('modifiers change the ball, the paddles and the rally, and go away with null', () => {
+    const plain = new GameEngine({ seed: 5, difficulty: 'advanced' });
+    const fast = new GameEngine({ seed: 5, difficulty: 'advanced', modifier: 'fastBall' });
+    assert.equal(fast.ball.maxSpeed, plain.ball.maxSpeed * MATCH_MODIFIERS.fastBall.ballSpeed);
+    assert.equal(fast.settings.ballSpeed.y, DIFFICULTY_SETTINGS.advanced.ballSpeed.y * MATCH_MODIFIERS.fastBall.ballSpeed);
+    assert.equal(DIFFICULTY_SETTINGS.advanced.ballMaxSpeed, plain.ball.maxSpeed, 'the preset itself is untouched');
+    assert.equal(new GameEngine({ modifier: 'hurricane' }).modifier, null);
+
+    const narrow = new GameEngine({ seed: 5, modifier: 'narrowPaddle' });
+    assert.equal(narrow.paddle1.width, MATCH_MODIFIERS.narrowPaddle.paddleWidth);
+    assert.equal(narrow.paddle2.x, narrow.width / 2 - narrow.paddle2.width / 2, 'the paddles start centred');
+    narrow.setModifier(null);
+    narrow.reset(5);
+    assert.equal(narrow.paddle2.width, PADDLE_WIDTH);
+
+    // The wind pushes the ball along in rallies, so the same inputs end up somewhere else
+    const windy = new GameEngine({ seed: 5, difficulty: 'advanced', modifier: 'wind' });
+    const calm = new GameEngine({ seed: 5, difficulty: 'advanced' });
+    windy.start();
+    calm.start();
+    let drifted = 0;
+    for (let tick = 0; tick < 1000; tick++) {
+        const rally = windy.serve.phase === 'none' && !windy.isScoreDelay;
+        const { x, speedX } = windy.ball;
+        windy.step(botInput(windy));
+        calm.step(botInput(calm));
+        if (rally && windy.serve.phase === 'none' && Math.abs(windy.ball.x - x - speedX - MATCH_MODIFIERS.wind.wind) < 1e-9) drifted++;
+    }
+    assert.ok(drifted > 0);
+    assert.notEqual(windy.ball.x, calm.ball.x);
+});
+
+test('a daily challenge replay plays back under its modifier', () => {
+    const challenge = dailyChallenge('2026-03-09', 123456789);
+    const engine = new GameEngine({ seed: challenge.seed, difficulty: challenge.difficulty, format: challenge.format, personality: challenge.personality, modifier: 'narrowPaddle' });
+    engine.reseed();
+    const recorder = new ReplayRecorder(engine);
+    engine.start();
+    let end = null;
+    for (let tick = 0; tick < 400000 && !end; tick++) {
+        const input = botInput(engine);
+        recorder.record(input);
+        end = engine.step(input).find(event => event.type === 'matchEnd');
+    }
+    assert.ok(end, 'the match finished');
+
+    const replay = JSON.parse(JSON.stringify(recorder.finish(end)));
+    assert.equal(replay.modifier, 'narrowPaddle');
+    assert.equal(replay.rng, challenge.seed, 'the match drew from the seed itself');
+    assert.equal(validateReplay(replay, DIFFICULTY_SETTINGS), null);
+    const player = new ReplayPlayer(replay);
+    assert.equal(player.engine.paddle1.width, MATCH_MODIFIERS.narrowPaddle.paddleWidth);
+    let replayed = null;
+    while (!player.finished && !replayed) replayed = player.step().find(event => event.type === 'matchEnd');
+    assert.equal(replayed.durationMs, end.durationMs);
+    assert.deepEqual(player.engine.pointLog, engine.pointLog);
+
+    assert.match(validateReplay({ ...replay, modifier: 'hurricane' }), /Unknown modifier: hurricane/);
+    assert.equal('modifier' in new ReplayRecorder(new GameEngine()).setup, false, 'replays without one stay as they were');
+});
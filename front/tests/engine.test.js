@@ -0,0 +1,345 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEngine } from '../src/game/engine.js';
+import { stepHeight, crossedNet } from '../src/game/flight.js';
+
+function createEngine(options = {}) {
+    return new GameEngine({ width: 600, height: 800, seed: 42, ...options });
+}
+
+// Put the ball in play (skip the serve): last struck by `hitter`, moving at the given speed
+function startRally(engine, hitter, speedX, speedY, bounces = 0) {
+    engine.start();
+    engine.serve.phase = 'none';
+    engine.rally.hitter = hitter;
+    engine.rally.bounces = bounces;
+    engine.ball.speedX = speedX;
+    engine.ball.speedY = speedY;
+    engine.ball.speedZ = 0;
+    engine.ball.gravity = 0;
+}
+
+// Simple bot: serve at the toss apex and shadow the ball with the player's paddle
+function botInput(engine) {
+    const ballX = engine.ball.x + engine.ball.width / 2;
+    const paddleX = engine.paddle2.x + engine.paddle2.width / 2;
+    const serving = engine.isAwaitingPlayerServe();
+    return {
+        player: {
+            left: ballX < paddleX - 5,
+            right: ballX > paddleX + 5,
+            serve: serving && (engine.serve.phase === 'ready' || engine.serve.tossFrame === 33)
+        }
+    };
+}
+
+function playMatch(engine, maxTicks = 2000000) {
+    const events = [];
+    engine.start();
+    for (let i = 0; i < maxTicks && !engine.gameEnded; i++) {
+        events.push(...engine.step(botInput(engine)));
+    }
+    return events;
+}
+
+test('hitBallWithPaddle sends the ball back over the net', () => {
+    const engine = createEngine();
+    engine.ball.x = engine.paddle2.x + engine.paddle2.width / 2 - engine.ball.width / 2;
+    engine.ball.y = engine.paddle2.y - 20;
+    engine.hitBallWithPaddle(engine.paddle2, false);
+    assert.ok(engine.ball.speedY < 0, 'player shot travels up');
+
+    engine.ball.y = engine.paddle1.y + 20;
+    engine.hitBallWithPaddle(engine.paddle1, true);
+    assert.ok(engine.ball.speedY > 0, 'Copilot shot travels down');
+});
+
+test('hitBallWithPaddle keeps speeds within the difficulty limits', () => {
+    for (const difficulty of ['beginner', 'advanced', 'expert']) {
+        const engine = createEngine({ difficulty });
+        const maxSpeed = engine.settings.ballMaxSpeed;
+        for (let i = 0; i <= 20; i++) {
+            engine.ball.x = engine.paddle2.x - engine.ball.width / 2 + (engine.paddle2.width * i) / 20;
+            engine.ball.y = engine.paddle2.y - 20;
+            engine.hitBallWithPaddle(engine.paddle2, false);
+            assert.ok(Math.abs(engine.ball.speedX) <= 4);
+            assert.ok(engine.ball.speedY <= -0.8 && engine.ball.speedY >= -maxSpeed);
+        }
+    }
+});
+
+test('hitting off the right of the paddle aims further right', () => {
+    const engine = createEngine();
+    const paddle = engine.paddle2;
+    engine.ball.y = paddle.y - 20;
+
+    engine.ball.x = paddle.x - engine.ball.width / 2;
+    engine.rng.state = 1;
+    engine.hitBallWithPaddle(paddle, false);
+    const leftEdge = engine.ball.speedX;
+
+    engine.ball.x = paddle.x + paddle.width - engine.ball.width / 2;
+    engine.rng.state = 1;
+    engine.hitBallWithPaddle(paddle, false);
+    assert.ok(engine.ball.speedX > leftEdge);
+});
+
+test('a hit emits a hit event for the striking side', () => {
+    const engine = createEngine();
+    const hits = [];
+    engine.on('hit', event => hits.push(event.side));
+    engine.hitBallWithPaddle(engine.paddle1, true);
+    engine.hitBallWithPaddle(engine.paddle2, false);
+    assert.deepEqual(hits, ['copilot', 'player']);
+});
+
+test('shots arc over the net and land deep in the opponent court', () => {
+    const engine = createEngine();
+    const ball = engine.ball;
+    ball.x = engine.width / 2 - ball.width / 2;
+    ball.y = engine.paddle2.y - 20;
+    ball.z = 20;
+    engine.hitBallWithPaddle(engine.paddle2, false);
+
+    let clearance = null;
+    let landed = false;
+    for (let i = 0; i < 2000 && !landed; i++) {
+        const previousY = ball.y + ball.height / 2;
+        ball.x += ball.speedX;
+        ball.y += ball.speedY;
+        landed = stepHeight(ball, engine.groundLevel);
+        if (crossedNet(previousY, ball.y + ball.height / 2, engine.netPosition)) clearance = ball.z;
+    }
+    assert.ok(landed);
+    assert.ok(clearance > engine.netHeight, 'clears the net');
+    assert.ok(engine.isInCourt('copilot', ball.x + ball.width / 2, ball.y + ball.height / 2));
+});
+
+test('a ball past the receiver after a good bounce scores for the hitter', () => {
+    const engine = createEngine();
+    startRally(engine, 'player', 0, -4, 1);
+    engine.ball.x = 20;
+    engine.ball.y = -18;
+    engine.ball.z = 10;
+    const events = engine.step();
+    const point = events.find(event => event.type === 'point');
+    assert.equal(point.scorer, 'player');
+    assert.equal(engine.playerScore, 1);
+    assert.equal(engine.score.pointLabel('player'), '15');
+    assert.ok(engine.isScoreDelay);
+});
+
+test('a ball leaving the court before it lands is out', () => {
+    const engine = createEngine();
+    startRally(engine, 'copilot', 0, 4);
+    engine.ball.x = 20;
+    engine.ball.y = engine.height + 18;
+    engine.ball.z = 40;
+    const events = engine.step();
+    const point = events.find(event => event.type === 'point');
+    assert.equal(point.scorer, 'player');
+    assert.equal(point.reason, 'Out');
+});
+
+test('a ball landing outside the lines is called out', () => {
+    const engine = createEngine();
+    startRally(engine, 'player', 0, -1);
+    engine.ball.x = engine.courtBounds.left - 40;
+    engine.ball.y = 150;
+    engine.ball.z = 1;
+    engine.ball.speedZ = -2;
+    const events = engine.step();
+    assert.deepEqual(events.find(event => event.type === 'bounce').in, false);
+    const point = events.find(event => event.type === 'point');
+    assert.equal(point.scorer, 'copilot');
+    assert.match(engine.scoreCallout, /^Out/);
+});
+
+test('a ball landing on the line is in', () => {
+    const engine = createEngine();
+    startRally(engine, 'player', 0, -1);
+    engine.ball.x = engine.courtBounds.left - engine.ball.width / 2;
+    engine.ball.y = 150;
+    engine.ball.z = 1;
+    engine.ball.speedZ = -2;
+    const events = engine.step();
+    assert.equal(events.find(event => event.type === 'bounce').in, true);
+    assert.equal(events.some(event => event.type === 'point'), false);
+    assert.equal(engine.rally.bounces, 1);
+});
+
+test('a second bounce wins the point for the hitter', () => {
+    const engine = createEngine();
+    startRally(engine, 'copilot', 0, 1, 1);
+    engine.ball.x = engine.width / 2;
+    engine.ball.y = 600;
+    engine.ball.z = 1;
+    engine.ball.speedZ = -2;
+    const events = engine.step();
+    assert.equal(events.find(event => event.type === 'point').scorer, 'copilot');
+});
+
+test('a ball too low at the net hits the net', () => {
+    const engine = createEngine();
+    startRally(engine, 'player', 0, -3);
+    engine.ball.x = engine.width / 2;
+    engine.ball.y = engine.netPosition - engine.ball.height / 2 + 2;
+    engine.ball.z = engine.netHeight - 10;
+    const events = engine.step();
+    assert.ok(events.some(event => event.type === 'net'));
+    assert.equal(events.find(event => event.type === 'point').scorer, 'copilot');
+    assert.match(engine.scoreCallout, /^Net/);
+});
+
+test('a high ball clears the net', () => {
+    const engine = createEngine();
+    startRally(engine, 'player', 0, -3);
+    engine.ball.x = engine.width / 2;
+    engine.ball.y = engine.netPosition - engine.ball.height / 2 + 2;
+    engine.ball.z = engine.netHeight + 10;
+    const events = engine.step();
+    assert.equal(events.length, 0);
+});
+
+test('a paddle cannot reach a ball passing high over it', () => {
+    const engine = createEngine();
+    startRally(engine, 'copilot', 0, 1);
+    engine.ball.x = engine.paddle2.x + engine.paddle2.width / 2 - engine.ball.width / 2;
+    engine.ball.y = engine.paddle2.y - 20;
+    engine.ball.z = 100;
+    engine.ball.speedZ = 0.5;
+    const events = engine.step();
+    assert.equal(events.some(event => event.type === 'hit'), false);
+
+    engine.ball.z = 10;
+    assert.ok(engine.step().some(event => event.type === 'hit' && event.side === 'player'));
+});
+
+test('next serve is prepared after the score delay', () => {
+    const engine = createEngine();
+    startRally(engine, 'player', 0, -4, 1);
+    engine.ball.x = 20;
+    engine.ball.y = -18;
+    engine.ball.z = 10;
+    engine.step();
+    for (let i = 0; i < 200 && engine.isScoreDelay; i++) engine.step();
+    assert.equal(engine.isScoreDelay, false);
+    assert.equal(engine.serve.phase, 'ready');
+    assert.equal(engine.serve.court, 'ad');
+});
+
+test('two faults lose the point', () => {
+    const engine = createEngine();
+    engine.start();
+    engine.callFault('Out');
+    assert.equal(engine.copilotScore, 0);
+    engine.callFault('Net');
+    assert.equal(engine.copilotScore, 1);
+    assert.match(engine.scoreCallout, /^Double fault/);
+});
+
+test('winning the last point ends the match with a matchEnd event', () => {
+    const engine = createEngine({ format: 'quick' });
+    const ends = [];
+    engine.on('matchEnd', event => ends.push(event));
+    engine.start();
+    // Quick format: one set to 4 games, no-ad
+    for (let i = 0; i < 16; i++) engine.awardPoint('player');
+    assert.equal(engine.gameEnded, true);
+    assert.equal(engine.winner, 'player');
+    assert.equal(ends.length, 1);
+    assert.equal(ends[0].setScores, '4-0');
+    assert.equal(ends[0].playerScore, 16);
+    assert.deepEqual(engine.step(), []);
+});
+
+test('a full match runs to completion', () => {
+    const engine = createEngine();
+    const events = playMatch(engine);
+    assert.equal(engine.gameEnded, true);
+    assert.ok(['player', 'copilot'].includes(engine.winner));
+    assert.equal(events.filter(event => event.type === 'matchEnd').length, 1);
+    assert.ok(events.some(event => event.type === 'hit'));
+});
+
+test('matchEnd carries the point log, with each point\'s strokes', () => {
+    const engine = createEngine({ seed: 3 });
+    const events = playMatch(engine);
+    const end = events.find(event => event.type === 'matchEnd');
+    const hits = events.filter(event => event.type === 'hit');
+    assert.equal(end.pointsPlayed, end.playerScore + end.copilotScore);
+    assert.equal(end.pointLog.length, end.pointsPlayed);
+    assert.equal(end.pointLog.filter(point => point.winner === 'player').length, end.playerScore);
+    assert.equal(end.longestRally, Math.max(...end.pointLog.map(point => point.strokes)));
+    // Faulted first serves are hits too, so the log never counts more strokes than there were hits
+    const strokes = end.pointLog.reduce((sum, point) => sum + point.strokes, 0);
+    assert.ok(strokes > 0 && strokes <= hits.length);
+    assert.ok(end.pointLog.every((point, i) => i === 0 || point.timeMs >= end.pointLog[i - 1].timeMs));
+    assert.equal(end.pointLog[0].server, 'player');
+});
+
+test('the same seed and inputs replay the same match', () => {
+    const first = createEngine({ seed: 7 });
+    const second = createEngine({ seed: 7 });
+    const a = playMatch(first);
+    const b = playMatch(second);
+    assert.deepEqual(b, a);
+    assert.equal(second.matchTicks, first.matchTicks);
+    assert.deepEqual(second.ball, first.ball);
+});
+
+test('changing the seed changes the match', () => {
+    const first = createEngine({ seed: 1 });
+    const second = createEngine({ seed: 2 });
+    playMatch(first);
+    playMatch(second);
+    assert.notEqual(second.matchTicks, first.matchTicks);
+});
+
+test('local versus: the top paddle follows the second player instead of the AI', () => {
+    const engine = createEngine({ opponent: 'human' });
+    startRally(engine, 'player', 3, -2);
+    engine.ball.x = engine.width - 100;
+    engine.ball.y = 300;
+    engine.ball.z = 100;
+    const startX = engine.paddle1.x;
+
+    engine.step({ copilot: { left: true } });
+    assert.equal(engine.paddle1.x, startX - engine.paddle1.speed, 'moves left even though the ball is to the right');
+    engine.step({});
+    assert.equal(engine.paddle1.x, startX - engine.paddle1.speed, 'no input, no movement');
+    assert.equal(engine.paddle1.speed, engine.paddle2.speed);
+});
+
+test('local versus: a human top server waits for the serve input', () => {
+    const engine = createEngine({ opponent: 'human' });
+    engine.start();
+    engine.server = 'copilot';
+    engine.prepareServe();
+    for (let i = 0; i < 300; i++) engine.step({});
+    assert.equal(engine.serve.phase, 'ready');
+    assert.ok(engine.isAwaitingServe('copilot'));
+    assert.equal(engine.isAwaitingServe('player'), false);
+
+    engine.step({ player: { serve: true } });
+    assert.equal(engine.serve.phase, 'ready', "the other player's serve key does nothing");
+    engine.step({ copilot: { serve: true } });
+    assert.equal(engine.serve.phase, 'toss');
+});
+
+test('a gamepad stick moves the paddle in proportion and never off its side of the court', () => {
+    const engine = createEngine();
+    startRally(engine, 'copilot', 0, 0);
+    const start = { x: engine.paddle2.x, y: engine.paddle2.y };
+
+    engine.movePaddle('player', { moveX: 0.5, moveY: -1 });
+    assert.equal(engine.paddle2.x, start.x + engine.paddle2.speed * 0.5);
+    assert.equal(engine.paddle2.y, start.y - engine.paddle2.speed);
+
+    for (let i = 0; i < 1000; i++) engine.movePaddle('player', { moveX: 1, moveY: -1 });
+    assert.equal(engine.paddle2.x, engine.width - engine.paddle2.width);
+    assert.equal(engine.paddle2.y, engine.netPosition + 10, 'stops short of the net');
+
+    engine.movePaddle('player', { moveX: Infinity, moveY: 'up' });
+    assert.equal(engine.paddle2.y, engine.netPosition + 10, 'junk stick values are ignored');
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STICK_DEADZONE, stickAxis, readPad, GamepadInput } from '../src/input/gamepad.js';
+
+// Plain object shaped like a standard-mapping Gamepad
+function pad({ index = 0, axes = [0, 0, 0, 0], pressed = [] } = {}) {
+    const buttons = Array.from({ length: 17 }, (_, button) => ({ pressed: pressed.includes(button), value: pressed.includes(button) ? 1 : 0 }));
+    return { index, id: `Test pad ${index}`, connected: true, axes, buttons };
+}
+
+test('stick travel inside the deadzone is ignored and the rest rescaled to 0..1', () => {
+    assert.equal(stickAxis(STICK_DEADZONE / 2), 0);
+    assert.equal(stickAxis(-STICK_DEADZONE), 0);
+    assert.equal(stickAxis(1), 1);
+    assert.equal(stickAxis(-1), -1);
+    assert.ok(Math.abs(stickAxis(0.6) - 0.5) < 1e-9);
+    assert.equal(stickAxis(NaN), 0);
+});
+
+test('the left stick moves, the d-pad moves at full speed and wins over the stick', () => {
+    const stick = readPad(pad({ axes: [1, -1] }));
+    assert.equal(stick.moveX, 1);
+    assert.equal(stick.moveY, -1);
+    const dpad = readPad(pad({ axes: [0.5, 0], pressed: [14, 13] }));
+    assert.equal(dpad.moveX, -1);
+    assert.equal(dpad.moveY, 1);
+});
+
+test('a held button counts as pressed only on the first reading', () => {
+    const first = readPad(pad({ pressed: [0] }));
+    assert.equal(first.justPressed[0], true);
+    const second = readPad(pad({ pressed: [0] }), first.pressed);
+    assert.equal(second.pressed[0], true);
+    assert.equal(second.justPressed[0], false);
+});
+
+test('GamepadInput polls connected pads in slot order and rumbles where it can', async () => {
+    const effects = [];
+    const first = pad({ index: 0, pressed: [9] });
+    first.vibrationActuator = { playEffect: (type, params) => { effects.push({ type, ...params }); return Promise.resolve('complete'); } };
+    const pads = [first, null, pad({ index: 2 })];
+    const input = new GamepadInput({ getGamepads: () => pads });
+
+    const readings = input.poll();
+    assert.deepEqual(readings.map(reading => reading.index), [0, 2]);
+    assert.equal(readings[0].justPressed[9], true);
+    assert.equal(input.poll()[0].justPressed[9], false, 'still held on the next frame');
+
+    input.rumble(0);
+    input.rumble(2); // No actuator: nothing happens
+    assert.equal(effects.length, 1);
+    assert.equal(effects[0].type, 'dual-rumble');
+
+    assert.deepEqual(new GamepadInput({}).poll(), [], 'no Gamepad API, no pads');
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FLICK_SPEED, flickShot } from '../src/input/gestures.js';
+
+test('a quick flick toward the net asks for a smash, back toward the baseline for a slice', () => {
+    assert.equal(flickShot(0, -40, 20, 'player'), 'smash');
+    assert.equal(flickShot(0, 40, 20, 'player'), 'slice');
+    // The top paddle faces down the screen
+    assert.equal(flickShot(0, 40, 20, 'copilot'), 'smash');
+    assert.equal(flickShot(5, -40, 20, 'copilot'), 'slice');
+});
+
+test('slow or sideways finger movement only steers the paddle', () => {
+    assert.equal(flickShot(0, -FLICK_SPEED * 10, 20, 'player'), null);
+    assert.equal(flickShot(60, -40, 20, 'player'), null);
+    assert.equal(flickShot(0, -40, 0, 'player'), null);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEngine } from '../src/game/engine.js';
+import { DIFFICULTY_SETTINGS } from '../src/game/difficulty.js';
+import { minGamesToWin, minMatchDurationMs, maxPointsIn } from '../src/game/limits.js';
+
+// Serve at the toss apex and shadow the ball
+function botInput(engine) {
+    const ballX = engine.ball.x + engine.ball.width / 2;
+    const paddleX = engine.paddle2.x + engine.paddle2.width / 2;
+    const serving = engine.isAwaitingPlayerServe();
+    return {
+        player: {
+            left: ballX < paddleX - 5,
+            right: ballX > paddleX + 5,
+            serve: serving && (engine.serve.phase === 'ready' || engine.serve.tossFrame === 33)
+        }
+    };
+}
+
+test('the shortest match wins every game of the sets it needs', () => {
+    assert.equal(minGamesToWin('quick'), 4);
+    assert.equal(minGamesToWin('bestOf3'), 12);
+    assert.equal(minGamesToWin('bestOf5'), 18);
+});
+
+test('the Copilot serve delay makes easier difficulties slower to beat', () => {
+    const beginner = minMatchDurationMs('quick', DIFFICULTY_SETTINGS.beginner);
+    const expert = minMatchDurationMs('quick', DIFFICULTY_SETTINGS.expert);
+    assert.ok(beginner > expert);
+    assert.ok(minMatchDurationMs('quick', DIFFICULTY_SETTINGS.expert, 'human') < expert);
+    // 15 score delays of 1.5s at least
+    assert.ok(expert >= 15 * 1500);
+});
+
+test('played matches never beat the minimum duration, even with every point won by aces', () => {
+    for (const difficulty of Object.keys(DIFFICULTY_SETTINGS)) {
+        const engine = new GameEngine({ seed: 11, difficulty });
+        engine.start();
+        let end = null;
+        for (let i = 0; i < 400000 && !end; i++) {
+            end = engine.step(botInput(engine)).find(event => event.type === 'matchEnd');
+        }
+        assert.ok(end, `${difficulty} match finished`);
+        assert.ok(end.durationMs >= minMatchDurationMs('quick', engine.settings), `${difficulty}: ${end.durationMs}ms`);
+        assert.ok(end.playerScore <= maxPointsIn(end.durationMs));
+    }
+
+    // Fastest conceivable match: the player wins each point the moment it can be played
+    const engine = new GameEngine({ seed: 3, difficulty: 'expert' });
+    engine.start();
+    let end = null;
+    for (let i = 0; i < 100000 && !end; i++) {
+        const events = engine.step({});
+        if (!engine.isScoreDelay && !engine.gameEnded && (engine.server === 'player' || engine.serve.phase !== 'ready')) {
+            engine.awardPoint('player');
+        }
+        end = events.find(event => event.type === 'matchEnd') || engine.tickEvents.find(event => event.type === 'matchEnd');
+    }
+    assert.ok(end);
+    assert.ok(end.durationMs >= minMatchDurationMs('quick', engine.settings), `${end.durationMs}ms`);
+});
+
+test('maxPointsIn allows one point per score delay', () => {
+    assert.equal(maxPointsIn(0), 1);
+    assert.equal(maxPointsIn(1499), 1);
+    assert.equal(maxPointsIn(1500), 2);
+    assert.equal(maxPointsIn(-5), 1);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FixedTimestep, TICK_MS, MAX_FRAME_MS, lerp } from '../src/game/loop.js';
+
+test('the first frame only starts the clock', () => {
+    const clock = new FixedTimestep();
+    assert.equal(clock.advance(5000), 0);
+    assert.equal(clock.alpha, 0);
+});
+
+test('frames run as many whole ticks as have built up, and carry the rest over', () => {
+    const clock = new FixedTimestep(10);
+    clock.advance(0);
+    assert.equal(clock.advance(25), 2);
+    assert.equal(clock.alpha, 0.5);
+    assert.equal(clock.advance(30), 1, 'the 5ms left over and 5 more make a tick');
+    assert.equal(clock.alpha, 0);
+    // A fast display runs some frames without a tick, and catches up on the next
+    assert.equal(clock.advance(34), 0);
+    assert.equal(clock.advance(38), 0);
+    assert.equal(clock.advance(41), 1);
+});
+
+test('60 ticks a second whatever the display rate', () => {
+    for (const fps of [30, 60, 144]) {
+        const clock = new FixedTimestep();
+        let ticks = 0;
+        for (let frame = 0; frame <= fps; frame++) ticks += clock.advance(frame * 1000 / fps);
+        assert.ok(Math.abs(ticks - 1000 / TICK_MS) <= 1, `${fps} fps ran ${ticks} ticks`);
+    }
+});
+
+test('a stall is clamped instead of fast-forwarded, and time never runs backwards', () => {
+    const clock = new FixedTimestep(10);
+    clock.advance(0);
+    assert.equal(clock.advance(60000), MAX_FRAME_MS / 10);
+    assert.equal(clock.advance(59000), 0);
+    assert.equal(clock.alpha, 0);
+    assert.equal(clock.advance(59010), 1, 'and it goes on from the earlier time');
+
+    clock.reset();
+    assert.equal(clock.advance(100000), 0, 'a reset clock starts again');
+});
+
+test('lerp interpolates between two ticks', () => {
+    assert.equal(lerp(10, 20, 0), 10);
+    assert.equal(lerp(10, 20, 0.25), 12.5);
+    assert.equal(lerp(10, 20, 1), 20);
+});
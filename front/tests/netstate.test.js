@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEngine } from '../src/game/engine.js';
+import { serializeState, applyState, mirrorEvent, mirrorInput } from '../src/game/netstate.js';
+
+function createEngine() {
+    return new GameEngine({ width: 600, height: 800, opponent: 'human', seed: 42 });
+}
+
+// Server engine a few points into a match, with the top player serving
+function serverEngine() {
+    const engine = createEngine();
+    engine.start();
+    engine.awardPoint('copilot');
+    engine.awardPoint('copilot');
+    engine.awardPoint('player');
+    engine.isScoreDelay = false;
+    engine.server = 'copilot';
+    engine.prepareServe();
+    engine.paddle2.x = 100;
+    return engine;
+}
+
+test('a snapshot applied without mirroring reproduces the server state', () => {
+    const server = serverEngine();
+    const client = createEngine();
+    applyState(client, JSON.parse(JSON.stringify(serializeState(server))));
+    assert.deepEqual({ x: client.ball.x, y: client.ball.y, z: client.ball.z }, { x: server.ball.x, y: server.ball.y, z: server.ball.z });
+    assert.equal(client.paddle2.x, 100);
+    assert.equal(client.server, 'copilot');
+    assert.deepEqual(client.serve.box, server.serve.box);
+    assert.equal(client.score.callout(), server.score.callout());
+    assert.equal(client.copilotScore, 2);
+    assert.equal(client.isAwaitingServe('copilot'), true);
+});
+
+test('the top player sees the court turned around from the bottom', () => {
+    const server = serverEngine();
+    const client = createEngine();
+    applyState(client, serializeState(server), true);
+
+    // Their paddle (server paddle1) is now at the bottom, the opponent's at the top
+    assert.equal(client.paddle2.y, server.height - server.paddle1.y - server.paddle1.height);
+    assert.equal(client.paddle1.x, server.width - 100 - server.paddle2.width);
+    assert.equal(client.ball.x, server.width - server.ball.x - server.ball.width);
+    assert.equal(client.ball.z, server.ball.z);
+
+    // Sides swap: they serve as 'player', with the scores seen from their side
+    assert.equal(client.server, 'player');
+    assert.equal(client.isAwaitingServe('player'), true);
+    assert.equal(client.playerScore, 2);
+    assert.equal(client.score.pointLabel('player'), '30');
+    assert.equal(client.score.pointLabel('copilot'), '15');
+    assert.ok(server.serve.box.top >= server.netPosition);
+    assert.ok(client.serve.box.bottom <= client.netPosition, 'they serve up the screen into the box across the net');
+});
+
+test('mirrored events name the client side and mirrored positions', () => {
+    const engine = createEngine();
+    assert.deepEqual(mirrorEvent(engine, { type: 'point', scorer: 'copilot', reason: 'Out' }), { type: 'point', scorer: 'player', reason: 'Out' });
+    assert.deepEqual(mirrorEvent(engine, { type: 'bounce', x: 100, y: 200, in: true }), { type: 'bounce', x: 500, y: 600, in: true });
+    const end = mirrorEvent(engine, { type: 'matchEnd', winner: 'player', playerScore: 16, copilotScore: 3 });
+    assert.equal(end.winner, 'copilot');
+    assert.equal(end.playerScore, 3);
+});
+
+test('controls on a mirrored screen are turned back into server directions', () => {
+    const engine = createEngine();
+    const input = mirrorInput(engine, { left: true, right: false, up: true, down: false, serve: true, aim: 0.8, target: { x: 150, y: 700 } });
+    assert.deepEqual(input, { left: false, right: true, up: false, down: true, serve: true, aim: -0.8, target: { x: 450, y: 100 } });
+});
+
+test('a mirrored paddle move lands where the server puts it', () => {
+    const server = createEngine();
+    const client = createEngine();
+    server.start();
+    applyState(client, serializeState(server), true);
+
+    const input = { left: true, up: true };
+    client.movePaddle('player', input);
+    server.movePaddle('copilot', mirrorInput(client, input));
+    const check = createEngine();
+    applyState(check, serializeState(server), true);
+    assert.equal(check.paddle2.x, client.paddle2.x);
+    assert.equal(check.paddle2.y, client.paddle2.y);
+});
+
+test('a mirrored gamepad stick pushes the other way on the server court', () => {
+    const engine = createEngine();
+    assert.equal(mirrorInput(engine, { moveX: 0.5, moveY: -1 }).moveX, -0.5);
+    assert.equal(mirrorInput(engine, { moveX: 0.5, moveY: -1 }).moveY, 1);
+    assert.equal(mirrorInput(engine, { moveX: 0 }).moveX, 0);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOutbox, backoffMs, outcomeForStatus, OUTBOX_MAX_AGE_MS, OUTBOX_MAX_DELAY_MS, OUTBOX_MAX_ENTRIES } from '../src/services/outbox.js';
+
+// An outbox over a JSON string, the way session.ts keeps it, with a clock the test moves
+function createTestOutbox(send) {
+    const store = { raw: null, time: 1000, ids: 0, counts: [] };
+    const outbox = createOutbox({
+        load: () => JSON.parse(store.raw),
+        save: entries => { store.raw = JSON.stringify(entries); },
+        send,
+        now: () => store.time,
+        newId: () => `key-${++store.ids}`,
+        onChange: count => store.counts.push(count)
+    });
+    return { outbox, store };
+}
+
+test('the backoff doubles from 2 seconds and stops growing at 5 minutes', () => {
+    assert.deepEqual([1, 2, 3, 4].map(backoffMs), [2000, 4000, 8000, 16000]);
+    assert.equal(backoffMs(30), OUTBOX_MAX_DELAY_MS);
+});
+
+test('only answers that could change on a retry keep an entry queued', () => {
+    assert.equal(outcomeForStatus(200), 'sent');
+    for (const status of [0, 401, 408, 409, 429, 500, 503]) assert.equal(outcomeForStatus(status), 'retry', status);
+    for (const status of [400, 403, 404, 413, 422]) assert.equal(outcomeForStatus(status), 'drop', status);
+});
+
+test('a sent entry leaves the queue and its result comes back from the flush', async () => {
+    const sent = [];
+    const { outbox, store } = createTestOutbox(async entry => {
+        sent.push(entry);
+        return { outcome: 'sent', result: { matchId: 'm1' } };
+    });
+    const entry = outbox.enqueue('match', { setScores: '4-0' });
+    assert.equal(outbox.pending(), 1);
+    const results = await outbox.flush();
+    assert.deepEqual(results, { [entry.id]: { matchId: 'm1' } });
+    assert.deepEqual(sent.map(e => [e.id, e.kind, e.body]), [['key-1', 'match', { setScores: '4-0' }]]);
+    assert.equal(outbox.pending(), 0);
+    assert.equal(outbox.nextAttemptAt(), null);
+    assert.deepEqual(store.counts, [1, 0]);
+});
+
+test('failed sends back off and keep the same idempotency key until they go through', async () => {
+    const answers = [Promise.reject(new Error('offline')), { outcome: 'retry' }, { outcome: 'sent', result: 'ok' }];
+    const keys = [];
+    const { outbox, store } = createTestOutbox(async entry => {
+        keys.push(entry.id);
+        return answers.shift();
+    });
+    outbox.enqueue('match', {});
+
+    assert.deepEqual(await outbox.flush(), {});
+    assert.equal(outbox.nextAttemptAt(), 1000 + backoffMs(1));
+    // Not due yet: nothing is sent
+    await outbox.flush();
+    assert.equal(keys.length, 1);
+
+    store.time = outbox.nextAttemptAt();
+    await outbox.flush();
+    assert.equal(outbox.nextAttemptAt(), store.time + backoffMs(2));
+    store.time = outbox.nextAttemptAt();
+    assert.deepEqual(Object.values(await outbox.flush()), ['ok']);
+    assert.deepEqual(keys, ['key-1', 'key-1', 'key-1']);
+    assert.equal(outbox.pending(), 0);
+});
+
+test('refused entries are dropped, and the queue survives a reload', async () => {
+    const { outbox, store } = createTestOutbox(async entry => ({ outcome: entry.body.bad ? 'drop' : 'retry' }));
+    outbox.enqueue('match', { bad: true });
+    outbox.enqueue('match', { bad: false });
+    await outbox.flush();
+
+    const reloaded = createOutbox({ load: () => JSON.parse(store.raw), save: () => {}, send: async () => ({ outcome: 'sent' }), now: () => store.time });
+    assert.equal(reloaded.pending(), 1);
+    assert.equal(createOutbox({ load: () => JSON.parse('corrupt'), save: () => {}, send: async () => ({}) }).pending(), 0);
+});
+
+test('concurrent flushes send an entry once, and the queue keeps only the newest entries', async () => {
+    let sends = 0;
+    const { outbox } = createTestOutbox(async () => {
+        sends++;
+        return { outcome: 'sent' };
+    });
+    outbox.enqueue('match', {});
+    await Promise.all([outbox.flush(), outbox.flush()]);
+    assert.equal(sends, 1);
+
+    for (let i = 0; i < OUTBOX_MAX_ENTRIES + 5; i++) outbox.enqueue('match', { i });
+    assert.equal(outbox.pending(), OUTBOX_MAX_ENTRIES);
+});
+
+test('entries are given up before the API forgets their idempotency key', async () => {
+    const keys = [];
+    const { outbox, store } = createTestOutbox(async entry => {
+        keys.push(entry.id);
+        return { outcome: 'retry' };
+    });
+    outbox.enqueue('match', {});
+    await outbox.flush();
+    store.time = 1000 + OUTBOX_MAX_AGE_MS;
+    assert.equal(outbox.pending(), 1);
+
+    store.time += 1;
+    assert.equal(outbox.pending(), 0);
+    assert.equal(outbox.nextAttemptAt(), null);
+    await outbox.flush();
+    assert.deepEqual(keys, ['key-1']);
+    assert.ok(OUTBOX_MAX_AGE_MS < 24 * 60 * 60 * 1000);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEngine } from '../src/game/engine.js';
+import { ReplayRecorder, ReplayPlayer, encodeInput, decodeInput, validateReplay } from '../src/game/replay.js';
+
+// Serve at the toss apex, shadow the ball and mix in a few shot types and stick moves
+function botInput(engine, tick) {
+    const ballX = engine.ball.x + engine.ball.width / 2;
+    const paddleX = engine.paddle2.x + engine.paddle2.width / 2;
+    const serving = engine.isAwaitingPlayerServe();
+    return {
+        player: {
+            left: ballX < paddleX - 5,
+            right: ballX > paddleX + 5,
+            moveY: tick % 240 < 30 ? -0.5 : 0,
+            serve: serving && (engine.serve.phase === 'ready' || engine.serve.tossFrame === 33),
+            shot: ['flat', 'topspin', 'slice', null][Math.floor(tick / 600) % 4]
+        }
+    };
+}
+
+// Record a short match, starting like the game does: difficulty picked after reset, then start()
+function recordMatch(maxTicks = 20000) {
+    const engine = new GameEngine({ seed: 7, format: 'quick' });
+    engine.setDifficulty('advanced');
+    const recorder = new ReplayRecorder(engine);
+    engine.start();
+    let end = null;
+    for (let tick = 0; tick < maxTicks && !engine.gameEnded; tick++) {
+        const input = botInput(engine, tick);
+        recorder.record(input);
+        end = engine.step(input).find(event => event.type === 'matchEnd') || end;
+    }
+    return { engine, end, replay: recorder.finish(end) };
+}
+
+test('encodeInput keeps only what the engine reads and decodes back', () => {
+    assert.equal(encodeInput({}), 0);
+    assert.equal(encodeInput({ left: true, serve: true, shot: null, target: null }), 17);
+    const input = { left: false, right: true, up: false, down: false, serve: false, moveX: 0.25, moveY: -1, aim: 0.8, shot: 'lob', target: { x: 12.5, y: 300 } };
+    const packed = encodeInput(input);
+    assert.deepEqual(packed, { k: 2, x: 0.25, y: -1, a: 0.8, s: 'lob', t: [12.5, 300] });
+    assert.deepEqual(decodeInput(JSON.parse(JSON.stringify(packed))), input);
+});
+
+test('a recorded match plays back to the same result', () => {
+    const { engine, end, replay } = recordMatch();
+    assert.ok(end, 'the recorded match finished');
+    assert.equal(validateReplay(replay), null);
+
+    const player = new ReplayPlayer(JSON.parse(JSON.stringify(replay)));
+    let replayed = null;
+    while (!player.finished) {
+        replayed = player.step().find(event => event.type === 'matchEnd') || replayed;
+    }
+    assert.deepEqual(
+        { winner: replayed.winner, setScores: replayed.setScores, durationMs: replayed.durationMs },
+        { winner: end.winner, setScores: end.setScores, durationMs: end.durationMs }
+    );
+    assert.equal(player.engine.playerScore, engine.playerScore);
+    assert.equal(player.engine.copilotScore, engine.copilotScore);
+});
+
+test('inputs are stored as runs, far fewer than ticks', () => {
+    const { replay } = recordMatch();
+    assert.ok(replay.inputs.player.length < replay.ticks / 3);
+    // The Copilot plays itself: one idle run
+    assert.deepEqual(replay.inputs.copilot, [[replay.ticks, 0]]);
+});
+
+test('seek lands on the same state as playing through, backwards too', () => {
+    const { replay } = recordMatch();
+    const straight = new ReplayPlayer(replay);
+    for (let i = 0; i < 1500; i++) straight.step();
+
+    const scrubbed = new ReplayPlayer(replay);
+    scrubbed.seek(3000);
+    scrubbed.seek(1500);
+    assert.equal(scrubbed.tick, 1500);
+    assert.equal(scrubbed.seeking, false);
+    assert.deepEqual(scrubbed.engine.ball, straight.engine.ball);
+    assert.deepEqual(scrubbed.engine.paddle1, straight.engine.paddle1);
+    assert.equal(scrubbed.engine.score.scoreLine('player'), straight.engine.score.scoreLine('player'));
+});
+
+test('validateReplay rejects damaged files', () => {
+    const { replay } = recordMatch(600);
+    assert.match(validateReplay({ ...replay, version: 99 }), /version/);
+    assert.match(validateReplay({ ...replay, format: 'marathon' }), /format/);
+    assert.match(validateReplay({ ...replay, ticks: replay.ticks + 1 }), /inputs cover/);
+    assert.match(validateReplay({ ...replay, inputs: { ...replay.inputs, player: [[1, 'left']] } }), /Invalid player input/);
+    assert.match(validateReplay(replay, { beginner: {} }), /Unknown difficulty/);
+    assert.throws(() => new ReplayPlayer({ ...replay, seed: -1 }), /Invalid seed/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom, randomSeed, parseSeed } from '../src/game/rng.js';
+
+const draw = (rng, count) => Array.from({ length: count }, () => rng.next());
+
+test('the same seed draws the same sequence', () => {
+    const sequence = draw(new SeededRandom(42), 100);
+    assert.deepEqual(draw(new SeededRandom(42), 100), sequence);
+    assert.notDeepEqual(draw(new SeededRandom(43), 100), sequence);
+    assert.ok(sequence.every(value => value >= 0 && value < 1));
+    assert.ok(new Set(sequence).size > 95);
+});
+
+test('saving the state and restoring it picks the sequence up where it left off', () => {
+    const rng = new SeededRandom(7);
+    draw(rng, 10);
+    const saved = rng.state;
+    const rest = draw(rng, 20);
+
+    const restored = new SeededRandom(7);
+    restored.state = saved;
+    assert.deepEqual(draw(restored, 20), rest);
+    assert.equal(restored.seed, 7, 'the seed stays what it was created with');
+    assert.equal(new SeededRandom(7).state, 7);
+});
+
+test('range and sign draw from the same sequence', () => {
+    const rng = new SeededRandom(3);
+    const [a, b] = draw(new SeededRandom(3), 2);
+    assert.equal(rng.range(10, 20), 10 + a * 10);
+    assert.equal(rng.sign(), b > 0.5 ? 1 : -1);
+});
+
+test('seeds are 32-bit unsigned integers', () => {
+    assert.equal(new SeededRandom(-1).seed, 0xFFFFFFFF);
+    assert.equal(new SeededRandom(2 ** 32 + 5).seed, 5);
+    const seed = randomSeed();
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF);
+});
+
+test('parseSeed takes numbers as they are and hashes anything else', () => {
+    assert.equal(parseSeed('12345'), 12345);
+    assert.equal(parseSeed(' 12345 '), 12345);
+    assert.equal(parseSeed('2024-06-01'), parseSeed('2024-06-01'));
+    assert.notEqual(parseSeed('2024-06-01'), parseSeed('2024-06-02'));
+    assert.ok(Number.isInteger(parseSeed('tennis')) && parseSeed('tennis') <= 0xFFFFFFFF);
+    assert.equal(parseSeed(''), null);
+    assert.equal(parseSeed(null), null);
+});
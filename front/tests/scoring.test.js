@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TennisScore, MATCH_FORMATS, formatId, describeFormat } from '../src/game/scoring.js';
+
+function win(score, side, points) {
+    let outcome;
+    for (let i = 0; i < points; i++) outcome = score.pointWonBy(side);
+    return outcome;
+}
+
+test('points go 15, 30, 40 then game', () => {
+    const score = new TennisScore();
+    assert.equal(win(score, 'player', 1), 'point');
+    assert.equal(score.pointLabel('player'), '15');
+    win(score, 'player', 2);
+    assert.equal(score.callout(), '40-Love');
+    assert.equal(win(score, 'player', 1), 'game');
+    assert.equal(score.games.player, 1);
+});
+
+test('deuce and advantage need a two point lead', () => {
+    const score = new TennisScore();
+    win(score, 'player', 3);
+    win(score, 'copilot', 3);
+    assert.equal(score.callout(), 'Deuce');
+    win(score, 'copilot', 1);
+    assert.equal(score.pointLabel('copilot'), 'AD');
+    assert.equal(score.callout(), 'Advantage Copilot');
+    win(score, 'player', 1);
+    assert.equal(score.callout(), 'Deuce');
+    assert.equal(win(score, 'player', 2), 'game');
+});
+
+test('no-ad plays a deciding point at deuce', () => {
+    const score = new TennisScore(MATCH_FORMATS.quick);
+    win(score, 'player', 3);
+    win(score, 'copilot', 3);
+    assert.equal(score.callout(), 'Deciding point');
+    assert.equal(win(score, 'copilot', 1), 'game');
+});
+
+test('the number of sets, short sets and no-ad are separate choices', () => {
+    assert.equal(Object.keys(MATCH_FORMATS).length, 12);
+    assert.equal(formatId({ bestOf: 1, shortSets: true, noAd: true }), 'quick');
+    assert.equal(formatId({ bestOf: 1 }), 'oneSet');
+    assert.equal(formatId({ bestOf: 3 }), 'bestOf3');
+    assert.deepEqual(MATCH_FORMATS[formatId({ bestOf: 5, shortSets: true })], { bestOf: 5, gamesPerSet: 4, noAd: false, tieBreak: true });
+    assert.deepEqual(MATCH_FORMATS[formatId({ bestOf: 3, noAd: true })], { bestOf: 3, gamesPerSet: 6, noAd: true, tieBreak: true });
+    assert.equal(describeFormat(MATCH_FORMATS['bestOf3-short-noAd']), 'Best of 3 sets · Short sets to 4 · No-ad');
+    // The API keeps the format with each match session
+    assert.ok(Object.keys(MATCH_FORMATS).every(id => id.length <= 20));
+});
+
+test('a set at 6-6 goes to a tie-break', () => {
+    const score = new TennisScore(MATCH_FORMATS.bestOf3);
+    for (let i = 0; i < 6; i++) {
+        win(score, 'player', 4);
+        win(score, 'copilot', 4);
+    }
+    assert.equal(score.inTieBreak, true);
+    win(score, 'copilot', 5);
+    win(score, 'player', 6);
+    assert.equal(score.callout(), 'Tie-break 6-5');
+    assert.equal(win(score, 'player', 1), 'set');
+    assert.equal(score.formatSets('player'), '7-6(5)');
+});
+
+test('best of 3 ends when a side wins two sets', () => {
+    const score = new TennisScore(MATCH_FORMATS.bestOf3);
+    assert.equal(win(score, 'player', 24), 'set');
+    win(score, 'copilot', 24);
+    assert.equal(score.winner, null);
+    assert.equal(win(score, 'player', 24), 'match');
+    assert.equal(score.winner, 'player');
+    assert.equal(score.formatSets('player'), '6-0 0-6 6-0');
+    assert.equal(score.formatSets('copilot'), '0-6 6-0 0-6');
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEngine } from '../src/game/engine.js';
+import { PADDLE_REACH } from '../src/game/flight.js';
+import { SHOT_NAMES, SMASH_MIN_HEIGHT, resolveShot } from '../src/game/shots.js';
+
+function createEngine(options = {}) {
+    return new GameEngine({ width: 600, height: 800, seed: 42, ...options });
+}
+
+const baseline = { inForecourt: false, ballZ: 10, falling: false, bounces: 1 };
+const atTheNet = { inForecourt: true, ballZ: SMASH_MIN_HEIGHT + 5, falling: false, bounces: 0 };
+
+test('a requested shot is played, except a smash away from the net', () => {
+    for (const shot of ['topspin', 'slice', 'lob', 'flat']) assert.equal(resolveShot(shot, baseline), shot);
+    assert.equal(resolveShot('smash', atTheNet), 'smash');
+    assert.equal(resolveShot('smash', baseline), 'topspin');
+    assert.equal(resolveShot('smash', { ...atTheNet, ballZ: 5 }), 'topspin', 'too low to smash');
+});
+
+test('without a request the contact timing picks the shot', () => {
+    assert.equal(resolveShot(null, baseline), 'flat');
+    assert.equal(resolveShot(null, atTheNet), 'smash', 'a high ball at the net is put away');
+    assert.equal(resolveShot(null, { ...baseline, ballZ: 3, falling: true }), 'slice', 'a ball taken late is sliced');
+    assert.equal(resolveShot('bogus', baseline), 'flat');
+});
+
+// The player strikes `shot` from (x, y) with the ball at `z`; follows the ball to its first bounce
+function playShot(shot, { y = 740, z = 20, seed = 7 } = {}) {
+    const engine = createEngine({ seed, opponent: 'human' });
+    engine.start();
+    engine.serve.phase = 'none';
+    engine.rally.hitter = 'copilot';
+    engine.rally.bounces = 1;
+    engine.paddle1.y = -1000; // Nobody returns it
+    engine.paddle2.x = 260;
+    engine.paddle2.y = y;
+    engine.ball.x = 280;
+    engine.ball.y = y - 20;
+    engine.ball.z = z;
+    engine.ball.speedZ = -0.1;
+    engine.shotIntent.player = shot;
+
+    const hit = [];
+    engine.on('hit', event => hit.push(event));
+    engine.hitBallWithPaddle(engine.paddle2, false);
+    const result = { shot: hit[0].shot, speedY: Math.abs(engine.ball.speedY), netHeight: null, bounce: null, ticks: 0, kick: 0 };
+    let previousY = engine.ball.y + engine.ball.height / 2;
+    for (let tick = 1; tick < 2000 && !engine.isScoreDelay; tick++) {
+        const events = engine.step({});
+        const centerY = engine.ball.y + engine.ball.height / 2;
+        if (result.netHeight === null && (previousY - engine.netPosition) * (centerY - engine.netPosition) <= 0) result.netHeight = engine.ball.z;
+        previousY = centerY;
+        const bounce = events.find(event => event.type === 'bounce');
+        if (bounce && !result.bounce) {
+            result.bounce = bounce;
+            result.ticks = tick;
+        }
+        if (result.bounce && engine.rally.bounces === 1) result.kick = Math.max(result.kick, engine.ball.z);
+    }
+    return result;
+}
+
+test('every shot type clears the net and lands in from the baseline', () => {
+    for (const shot of SHOT_NAMES) {
+        for (const seed of [1, 2, 3, 4, 5]) {
+            const result = playShot(shot, { seed });
+            assert.ok(result.netHeight > 30, `${shot} clears the net`);
+            assert.equal(result.bounce.in, true, `${shot} (seed ${seed}) lands in`);
+        }
+    }
+});
+
+test('topspin dips and kicks up, slice skids low, a lob flies over a player at the net', () => {
+    const flat = playShot('flat');
+    const topspin = playShot('topspin');
+    const slice = playShot('slice');
+    const lob = playShot('lob');
+
+    assert.ok(topspin.speedY > flat.speedY);
+    assert.ok(topspin.netHeight > flat.netHeight && topspin.ticks < flat.ticks, 'higher over the net yet down sooner');
+    assert.ok(topspin.kick > flat.kick * 1.3, 'kicks up off the court');
+
+    assert.ok(slice.netHeight < flat.netHeight);
+    assert.ok(slice.kick < flat.kick / 2, 'stays low after the bounce');
+
+    assert.ok(lob.netHeight > PADDLE_REACH * 2, 'out of reach at the net');
+    assert.ok(lob.ticks > flat.ticks * 1.5, 'slow');
+});
+
+test('a smash is hit hard from the forecourt, and becomes topspin from the back', () => {
+    const smash = playShot('smash', { y: 450, z: 40 });
+    const flat = playShot('flat', { y: 450, z: 40 });
+    assert.equal(smash.shot, 'smash');
+    assert.ok(smash.speedY > flat.speedY * 1.4);
+    assert.ok(smash.ticks < flat.ticks);
+    assert.equal(smash.bounce.in, true);
+
+    assert.equal(playShot('smash', { y: 740, z: 40 }).shot, 'topspin');
+});
+
+test('a higher difficulty Copilot mixes in more shot types', () => {
+    const variety = (difficulty) => {
+        const engine = createEngine({ difficulty, seed: 3 });
+        engine.start();
+        let special = 0;
+        for (let i = 0; i < 400; i++) {
+            if (engine.chooseAiShot() !== 'flat') special++;
+        }
+        return special / 400;
+    };
+    assert.ok(variety('beginner') < 0.25);
+    assert.ok(variety('expert') > 0.55);
+});
+
+test('the Copilot lobs a player rushing the net and smashes a high ball at the net', () => {
+    const engine = createEngine({ difficulty: 'expert' });
+    engine.start();
+    engine.paddle2.y = engine.netPosition + 20;
+    engine.paddle1.y = 40;
+    engine.ball.z = 10;
+    const lobs = Array.from({ length: 50 }, () => engine.chooseAiShot()).filter(shot => shot === 'lob').length;
+    assert.ok(lobs > 25);
+
+    engine.paddle1.y = engine.netPosition - 60;
+    engine.ball.z = SMASH_MIN_HEIGHT + 10;
+    const smashes = Array.from({ length: 50 }, () => engine.chooseAiShot()).filter(shot => shot === 'smash').length;
+    assert.ok(smashes > 25);
+});
+
+test('a human shot request comes in with the input and is named in the hit event', () => {
+    const engine = createEngine();
+    engine.start();
+    engine.step({ player: { shot: 'lob' } });
+    assert.equal(engine.shotIntent.player, 'lob');
+    engine.step({ player: { shot: 'nonsense' } });
+    assert.equal(engine.shotIntent.player, null);
+});
@@ -13,6 +13,8 @@ export default defineConfig({
         // Proxy target should point to the API dev server (not the Vite server)
         target: 'http://localhost:7000',
         changeOrigin: true,
+        // also proxy the multiplayer WebSocket (/api/ws)
+        ws: true,
         // remove the leading /api before forwarding to the API server
         rewrite: (path) => path.replace(/^\/api/, '')
       }